@@ -5,161 +5,144 @@
  * 
  * This agent turns facts + legal analysis into dollar amounts.
  * It considers:
- * - Rent abatement (loss of use)
+ * - Rent abatement (loss of use), reconciled against rent actually paid
+ * - Prejudgment interest on rent overpaid
  * - Repair/remediation costs
  * - Security deposit return
  * - Relocation expenses
+ * - Medical costs (from health impact analysis)
  * - Emotional distress
+ * - Statutory damages (treble deposit, lockout penalties)
  * - Punitive damages (bad faith)
  * - Attorney fees
+ *
+ * State-specific rules (abatement method, statutory multipliers, punitive
+ * caps, fee shifting) come from the rule pack for caseData.property.state -
+ * see damages/rule-pack-registry.js. Each breakdown line cites its rule.
  */
 
-const { z } = require('zod');
-
-const DamagesSchema = z.object({
-  conservative: z.object({
-    total: z.number(),
-    breakdown: z.array(z.object({
-      category: z.string(),
-      amount: z.number(),
-      calculation: z.string(),
-      explanation: z.string(),
-    })),
-  }),
-  
-  aggressive: z.object({
-    total: z.number(),
-    breakdown: z.array(z.object({
-      category: z.string(),
-      amount: z.number(),
-      calculation: z.string(),
-      explanation: z.string(),
-    })),
-  }),
-  
-  recommended: z.object({
-    demandAmount: z.number(),
-    settlementRange: z.object({
-      low: z.number(),
-      high: z.number(),
-    }),
-    rationale: z.string(),
-  }),
-  
-  categories: z.object({
-    rentAbatement: z.object({
-      conservative: z.number(),
-      aggressive: z.number(),
-      calculation: z.string(),
-      monthsAffected: z.number(),
-      percentUninhabitable: z.number(),
-    }),
-    
-    securityDeposit: z.object({
-      amount: z.number(),
-      returnable: z.boolean(),
-      explanation: z.string(),
-    }),
-    
-    repairCosts: z.object({
-      conservative: z.number(),
-      aggressive: z.number(),
-      items: z.array(z.object({
-        item: z.string(),
-        estimatedCost: z.number(),
-        source: z.string(), // market rate, quote, etc.
-      })),
-    }),
-    
-    relocationCosts: z.object({
-      moving: z.number(),
-      storageFees: z.number(),
-      temporaryHousing: z.number(),
-      total: z.number(),
-    }).optional(),
-    
-    lossOfUse: z.object({
-      conservative: z.number(),
-      aggressive: z.number(),
-      explanation: z.string(),
-    }).optional(),
-    
-    emotionalDistress: z.object({
-      conservative: z.number(),
-      aggressive: z.number(),
-      factors: z.array(z.string()),
-      explanation: z.string(),
-    }).optional(),
-    
-    punitiveRange: z.object({
-      min: z.number(),
-      max: z.number(),
-      available: z.boolean(),
-      basisForClaim: z.string(),
-    }).optional(),
-    
-    attorneyFees: z.object({
-      estimated: z.number(),
-      availableUnderStatute: z.boolean(),
-      statute: z.string().optional(),
-      explanation: z.string(),
-    }),
-  }),
-  
-  metadata: z.object({
-    calculationDate: z.string(),
-    assumptions: z.array(z.string()),
-    uncertainties: z.array(z.string()),
-    agent: z.string(),
-  }),
-});
-
-class DamagesCalculator {
-  constructor() {
-    this.version = '1.0';
+import { reviewFields, UnconfirmedFieldError } from './field_provenance.js';
+import { getRulePack, measureAward, triggerMatches, RulePackSchema } from '../damages/rule-pack-registry.js';
+import { buildAbatementLedger } from '../damages/abatement-ledger.js';
+import { reconcileRentPayments } from '../damages/rent-payment-ledger.js';
+import { accrueInterest } from '../damages/interest-engine.js';
+import { accountDeposit, withDepositViolation, DEPOSIT_BASES } from '../damages/security-deposit.js';
+import { calculateRelocation, DEFAULT_PER_DIEM, PerDiemTableSchema } from '../damages/relocation-costs.js';
+import { applyOverrides, defaultSensitivityInputs, rankBySwing, EXCLUDABLE_CATEGORIES } from '../damages/what-if.js';
+import {
+  CostIndexSchema,
+  DEFAULT_COST_INDEX,
+  evidencedRepairCost,
+  indexedRepairCost,
+} from '../damages/repair-cost-index.js';
+import { DamagesSchema, DamagesSchemaError, DAMAGES_SCHEMA_VERSION, validateDamages } from '../damages/damages-schema.js';
+import {
+  AggregateDamagesSchema,
+  SHARED_SYSTEM_CATEGORIES,
+  buildingKey,
+  findSharedRepairs,
+  resolveGrouping,
+  sumCategories,
+} from '../damages/aggregate-damages.js';
+
+// Output shape - versioned, with migrations for saved results (see damages/damages-schema.js)
+export { DamagesSchema };
+
+// Case fields the calculation reads; warned about when unconfirmed and uncertain
+const DAMAGES_FIELDS = [
+  'lease.monthlyRent',
+  'lease.securityDeposit',
+  'moveOut',
+  'timeline.durationDays',
+  'timeline.firstNotificationToLandlord',
+  'issues',
+  'tenant.hasChildren',
+  'healthImpact',
+];
+
+// Every category scales with rent - a guessed rent is refused outright
+const REQUIRED_DAMAGES_FIELDS = ['lease.monthlyRent'];
+
+/**
+ * @typedef {object} DamagesCalculationOptions
+ * @property {object} [healthAnalysis] - From HealthImpactAnalyzerAgent
+ * @property {boolean} [allowUnconfirmed] - Calculate even when required fields
+ *   are unconfirmed guesses
+ * @property {string} [asOf] - ISO date ongoing issues and interest accrue to (default today)
+ * @property {string[]} [exclude] - Categories to leave out (EXCLUDABLE_CATEGORIES)
+ */
+
+/**
+ * @typedef {object} DamagesCalculatorOptions
+ * @property {object[]} [rulePacks] - State rule packs that override the
+ *   built-in ones (see loadRulePack)
+ * @property {object} [costIndex] - Regional repair cost index replacing
+ *   DEFAULT_COST_INDEX (see CostIndexSchema)
+ * @property {object} [perDiem] - Lodging, meals and mileage rates replacing
+ *   DEFAULT_PER_DIEM (see PerDiemTableSchema)
+ */
+
+// Deterministic - no model access
+export class DamagesCalculator {
+  /**
+   * @param {DamagesCalculatorOptions} [options]
+   */
+  constructor(options = {}) {
+    this.version = '1.1';
+    this.rulePacks = new Map((options.rulePacks || []).map(pack => {
+      const validated = RulePackSchema.parse(pack);
+      return [validated.jurisdiction.toUpperCase(), validated];
+    }));
+    this.costIndex = options.costIndex ? CostIndexSchema.parse(options.costIndex) : DEFAULT_COST_INDEX;
+    this.perDiem = options.perDiem ? PerDiemTableSchema.parse(options.perDiem) : DEFAULT_PER_DIEM;
   }
 
   /**
    * Main calculation function
    * @param {object} caseData - From IntakeAgent
    * @param {object} legalAnalysis - From LegalMapperAgent
+   * @param {DamagesCalculationOptions} [options]
    * @returns {object} Damages calculation
    */
-  calculate(caseData, legalAnalysis) {
+  calculate(caseData, legalAnalysis, options = {}) {
     try {
+      const fieldReview = reviewFields(caseData, DAMAGES_FIELDS, { required: REQUIRED_DAMAGES_FIELDS });
+
+      if (fieldReview.refused.length > 0 && !options.allowUnconfirmed) {
+        throw new UnconfirmedFieldError('DamagesCalculator', fieldReview.refused);
+      }
+
+      const { pack, matched } = getRulePack(caseData.property?.state, this.rulePacks);
+      const asOf = (options.asOf || new Date().toISOString()).substring(0, 10);
+
       // Calculate each category
-      const rentAbatement = this.calculateRentAbatement(caseData);
-      const securityDeposit = this.calculateSecurityDeposit(caseData);
-      const repairCosts = this.calculateRepairCosts(caseData);
-      const relocationCosts = this.calculateRelocationCosts(caseData);
-      const lossOfUse = this.calculateLossOfUse(caseData);
-      const emotionalDistress = this.calculateEmotionalDistress(caseData, legalAnalysis);
-      const punitiveRange = this.calculatePunitiveDamages(caseData, legalAnalysis);
-      const attorneyFees = this.calculateAttorneyFees(caseData, legalAnalysis);
-
-      // Build conservative estimate
-      const conservative = this.buildConservativeEstimate({
-        rentAbatement,
-        securityDeposit,
-        repairCosts,
-        relocationCosts,
-        lossOfUse,
-        emotionalDistress,
-        punitiveRange,
-        attorneyFees,
-      });
+      const rentAbatement = this.calculateRentAbatement(caseData, pack, asOf);
+      const rentPayments = reconcileRentPayments(caseData, rentAbatement.ledger);
+      const securityDeposit = this.calculateSecurityDeposit(caseData, pack, asOf);
 
-      // Build aggressive estimate
-      const aggressive = this.buildAggressiveEstimate({
+      const categories = {
         rentAbatement,
+        rentPayments,
+        prejudgmentInterest: this.calculatePrejudgmentInterest(rentPayments, pack, asOf),
         securityDeposit,
-        repairCosts,
-        relocationCosts,
-        lossOfUse,
-        emotionalDistress,
-        punitiveRange,
-        attorneyFees,
-      });
+        repairCosts: this.calculateRepairCosts(caseData),
+        relocationCosts: this.calculateRelocationCosts(caseData, asOf),
+        lossOfUse: this.calculateLossOfUse(rentAbatement.ledger),
+        medicalCosts: this.calculateMedicalCosts(options.healthAnalysis),
+        emotionalDistress: this.calculateEmotionalDistress(caseData, legalAnalysis, pack, rentAbatement.ledger),
+        statutoryDamages: this.calculateStatutoryDamages(caseData, legalAnalysis, pack, securityDeposit),
+      };
+
+      // Excluded categories drop out before punitive damages are scaled to the rest
+      const excluded = this.excludeCategories(categories, options.exclude || []);
+
+      categories.punitiveRange = excluded.includes('punitiveRange')
+        ? undefined
+        : this.calculatePunitiveDamages(caseData, legalAnalysis, pack, categories);
+      categories.attorneyFees = this.calculateAttorneyFees(caseData, withDepositViolation(legalAnalysis, securityDeposit.accounting), pack);
+
+      const conservative = this.buildConservativeEstimate(categories, pack);
+      const aggressive = this.buildAggressiveEstimate(categories, pack);
 
       // Recommended demand/settlement
       const recommended = this.calculateRecommendation(conservative, aggressive, legalAnalysis);
@@ -168,26 +151,25 @@ class DamagesCalculator {
         conservative,
         aggressive,
         recommended,
-        categories: {
-          rentAbatement,
-          securityDeposit,
-          repairCosts,
-          relocationCosts,
-          lossOfUse,
-          emotionalDistress,
-          punitiveRange,
-          attorneyFees,
-        },
+        categories,
         metadata: {
           calculationDate: new Date().toISOString(),
-          assumptions: this.getAssumptions(caseData),
-          uncertainties: this.getUncertainties(caseData),
+          assumptions: this.getAssumptions(caseData, pack, categories),
+          uncertainties: [
+            ...this.getUncertainties(caseData, legalAnalysis, pack, matched),
+            ...fieldReview.warnings,
+          ],
+          unconfirmedFields: fieldReview.flagged,
+          rulePack: { jurisdiction: pack.jurisdiction, name: pack.name, version: pack.version },
+          schemaVersion: DAMAGES_SCHEMA_VERSION,
+          asOf,
+          ...(excluded.length > 0 ? { excludedCategories: excluded } : {}),
           agent: 'DamagesCalculator',
         },
       };
 
       // Validate
-      const validated = DamagesSchema.parse(result);
+      const validated = validateDamages(result);
 
       return {
         success: true,
@@ -200,89 +182,383 @@ class DamagesCalculator {
         success: false,
         error: error.message,
         data: null,
+        ...(error instanceof UnconfirmedFieldError ? { unconfirmedFields: error.fields } : {}),
+        ...(error instanceof DamagesSchemaError ? { invalidCategory: error.category } : {}),
       };
     }
   }
 
   /**
-   * RENT ABATEMENT CALCULATION
-   * Formula: (% of home uninhabitable) × (months affected) × (monthly rent)
+   * Building-wide or portfolio damages for many households with the same
+   * building or landlord: each household is calculated on its own, then
+   * rolled up for a joint complaint with shared repairs counted once
+   * (see damages/aggregate-damages.js)
+   * @param {{ caseData: object, legalAnalysis?: object, healthAnalysis?: object }[]} households
+   * @param {DamagesCalculationOptions & { legalAnalysis?: object, groupBy?: 'building'|'landlord',
+   *   sharedCategories?: string[] }} [options] - legalAnalysis applies to households without their own
+   * @returns {object} Per-household and class-wide damages
    */
-  calculateRentAbatement(caseData) {
-    const monthlyRent = caseData.lease.monthlyRent;
-    const durationDays = caseData.timeline.durationDays || 0;
-    const monthsAffected = durationDays / 30;
+  calculateAggregate(households, options = {}) {
+    try {
+      const {
+        legalAnalysis: sharedAnalysis,
+        groupBy: requestedGrouping,
+        sharedCategories = SHARED_SYSTEM_CATEGORIES,
+        ...calculation
+      } = options;
+      calculation.asOf = (calculation.asOf || new Date().toISOString()).substring(0, 10);
+
+      if (!households?.length) throw new Error('Aggregate damages need at least one household');
+      const groupBy = resolveGrouping(households, requestedGrouping);
+
+      const calculated = [];
+      const failures = [];
+      const ids = new Set();
+
+      households.forEach(({ caseData, legalAnalysis, healthAnalysis }, i) => {
+        const unit = caseData.property?.unit;
+        let id = `${caseData.tenant?.name || `Household ${i + 1}`}${unit ? ` (${unit})` : ''}`;
+        if (ids.has(id)) id = `${id} #${i + 1}`;
+        ids.add(id);
+
+        const result = this.calculate(caseData, legalAnalysis || sharedAnalysis, {
+          ...calculation,
+          healthAnalysis: healthAnalysis || calculation.healthAnalysis,
+        });
+
+        if (result.success) {
+          calculated.push({ id, unit, caseData, building: buildingKey(caseData.property), damages: result.data });
+        } else {
+          failures.push({ id, error: result.error });
+        }
+      });
 
-    // Determine % uninhabitable based on issues
-    const percentUninhabitable = this.assessUninhabitablePercent(caseData);
+      if (calculated.length === 0) {
+        throw new Error(`No household could be calculated: ${failures.map(f => `${f.id}: ${f.error}`).join('; ')}`);
+      }
 
-    const conservative = monthlyRent * monthsAffected * (percentUninhabitable - 0.1); // Reduce by 10%
-    const aggressive = monthlyRent * monthsAffected * percentUninhabitable;
+      // Shared repairs: each household keeps an equal share of the one repair
+      const sharedRepairs = findSharedRepairs(calculated, sharedCategories);
+      const credits = new Map(calculated.map(h => [h.id, { conservative: 0, aggressive: 0 }]));
+      for (const shared of sharedRepairs) {
+        const share = { low: shared.counted.low / shared.entries.length, high: shared.counted.high / shared.entries.length };
+        for (const { household, item } of shared.entries) {
+          const credit = credits.get(household);
+          credit.conservative += item.low - share.low;
+          credit.aggressive += item.high - share.high;
+        }
+      }
 
-    return {
-      conservative: Math.round(conservative),
-      aggressive: Math.round(aggressive),
-      calculation: `${Math.round(percentUninhabitable * 100)}% × ${monthsAffected.toFixed(1)} months × $${monthlyRent}/month`,
-      monthsAffected: monthsAffected,
-      percentUninhabitable: percentUninhabitable,
-    };
+      const duplicateRepairCosts = {
+        conservative: Math.round(sharedRepairs.reduce((sum, r) => sum + r.removed.conservative, 0)),
+        aggressive: Math.round(sharedRepairs.reduce((sum, r) => sum + r.removed.aggressive, 0)),
+      };
+
+      const categories = sumCategories(calculated).map(row => (row.category === 'Repair Costs' ? {
+        ...row,
+        conservative: row.conservative - duplicateRepairCosts.conservative,
+        aggressive: row.aggressive - duplicateRepairCosts.aggressive,
+      } : row));
+
+      const total = estimate => calculated.reduce((sum, h) => sum + h.damages[estimate].total, 0) - duplicateRepairCosts[estimate];
+      const conservative = { total: total('conservative') };
+      const aggressive = { total: total('aggressive') };
+      const recommended = this.calculateRecommendation(conservative, aggressive, sharedAnalysis || households[0].legalAnalysis);
+
+      const buildings = new Map();
+      for (const h of calculated) {
+        const entry = buildings.get(h.building) || { key: h.building, address: h.caseData.property.address, households: 0 };
+        entry.households += 1;
+        buildings.set(h.building, entry);
+      }
+
+      const assumptions = [
+        `${calculated.length} household(s) grouped by ${groupBy}; each household's damages calculated on its own facts`,
+        ...(sharedRepairs.length > 0
+          ? [`${sharedRepairs.length} repair(s) shared across households counted once, split equally - building systems (${sharedCategories.join(', ')}) and identical quotes, invoices or receipts`]
+          : []),
+        'Punitive damages and statutory penalties stay per household - caps are applied to each plaintiff\'s award',
+        ...(failures.length > 0 ? [`${failures.length} household(s) left out - see failures`] : []),
+      ];
+
+      const result = {
+        groupBy,
+        landlords: [...new Set(calculated.map(h => h.caseData.landlord?.companyName || h.caseData.landlord?.name || 'Unknown'))],
+        buildings: [...buildings.values()],
+        households: calculated.map(({ id, unit, caseData, building, damages }) => {
+          const credit = credits.get(id);
+          return {
+            id,
+            tenant: caseData.tenant?.name || id,
+            building,
+            ...(unit ? { unit } : {}),
+            conservative: damages.conservative.total,
+            aggressive: damages.aggressive.total,
+            demandAmount: damages.recommended.demandAmount,
+            sharedRepairCredit: { conservative: Math.round(credit.conservative), aggressive: Math.round(credit.aggressive) },
+            adjusted: {
+              conservative: Math.round(damages.conservative.total - credit.conservative),
+              aggressive: Math.round(damages.aggressive.total - credit.aggressive),
+            },
+            damages,
+          };
+        }),
+        sharedRepairs,
+        categories,
+        totals: { conservative: conservative.total, aggressive: aggressive.total, duplicateRepairCosts },
+        recommended,
+        failures,
+        assumptions,
+        metadata: {
+          calculationDate: new Date().toISOString(),
+          households: calculated.length,
+          rulePacks: [...new Set(calculated.map(h => h.damages.metadata.rulePack.jurisdiction))],
+          agent: 'DamagesCalculator',
+        },
+      };
+
+      return { success: true, data: AggregateDamagesSchema.parse(result) };
+    } catch (error) {
+      console.error('DamagesCalculator aggregate error:', error);
+      return { success: false, error: error.message, data: null };
+    }
   }
 
-  assessUninhabitablePercent(caseData) {
-    let percent = 0;
+  /**
+   * Recalculate under changed facts or with categories left out, e.g.
+   * "what if the mold started a month earlier" or "what if the judge rejects
+   * emotional distress" (see damages/what-if.js for override shapes)
+   * @param {object} caseData - From IntakeAgent
+   * @param {object} legalAnalysis - From LegalMapperAgent
+   * @param {object[]} overrides - Changed facts and excluded categories
+   * @param {DamagesCalculationOptions} [options]
+   * @returns {object} Baseline and scenario estimates with the change between them
+   */
+  whatIf(caseData, legalAnalysis, overrides = [], options = {}) {
+    try {
+      const asOf = (options.asOf || new Date().toISOString()).substring(0, 10);
+      const baseline = this.calculate(caseData, legalAnalysis, { ...options, asOf });
+      if (!baseline.success) return baseline;
 
-    for (const issue of caseData.issues) {
-      const severity = issue.severity;
-      const category = issue.category;
+      const scenario = this.runScenario({ caseData, legalAnalysis, options: { ...options, asOf } }, overrides);
+      if (!scenario.success) return scenario;
 
-      // Major habitability issues
-      if (category === 'water_leak' || category === 'mold') {
-        if (severity === 'uninhabitable') percent += 0.40;
-        else if (severity === 'severe') percent += 0.30;
-        else if (severity === 'major') percent += 0.20;
-        else percent += 0.10;
-      }
+      return {
+        success: true,
+        data: {
+          applied: scenario.applied,
+          baseline: summarize(baseline.data),
+          scenario: scenario.data,
+          change: {
+            conservative: scenario.data.conservative.total - baseline.data.conservative.total,
+            aggressive: scenario.data.aggressive.total - baseline.data.aggressive.total,
+            demandAmount: scenario.data.recommended.demandAmount - baseline.data.recommended.demandAmount,
+          },
+        },
+      };
+    } catch (error) {
+      console.error('DamagesCalculator what-if error:', error);
+      return { success: false, error: error.message, data: null };
+    }
+  }
 
-      // Lost bathroom
-      if (category === 'plumbing_failure' && issue.description.includes('bathroom')) {
-        if (severity === 'uninhabitable' || severity === 'severe') {
-          // Lost 1 bathroom in 3BR house = significant loss
-          percent += 0.25;
-        }
-      }
+  /**
+   * Tornado report: swing each input low and high and rank them by how far
+   * they move the recommended demand
+   * @param {object} caseData - From IntakeAgent
+   * @param {object} legalAnalysis - From LegalMapperAgent
+   * @param {DamagesCalculationOptions & { inputs?: object[] }} [options] - inputs:
+   *   [{ input, low: overrides[], high: overrides[] }], default defaultSensitivityInputs()
+   * @returns {object} Baseline demand and inputs ranked by swing
+   */
+  sensitivity(caseData, legalAnalysis, options = {}) {
+    try {
+      const { inputs = defaultSensitivityInputs(caseData, legalAnalysis), ...calculation } = options;
+      calculation.asOf = (calculation.asOf || new Date().toISOString()).substring(0, 10);
+
+      const baseline = this.calculate(caseData, legalAnalysis, calculation);
+      if (!baseline.success) return baseline;
+      const baselineDemand = baseline.data.recommended.demandAmount;
+
+      const demandFor = (overrides) => {
+        if (overrides.length === 0) return baselineDemand;
+        const scenario = this.runScenario({ caseData, legalAnalysis, options: calculation }, overrides);
+        if (!scenario.success) throw new Error(scenario.error);
+        return scenario.data.recommended.demandAmount;
+      };
 
-      // No heat/AC
-      if (category === 'no_heat' || category === 'no_ac') {
-        if (severity === 'severe' || severity === 'uninhabitable') percent += 0.30;
-        else percent += 0.15;
-      }
+      const results = inputs.map(({ input, low, high }) => ({ input, low: demandFor(low), high: demandFor(high) }));
 
-      // No water
-      if (category === 'no_water' || category === 'no_hot_water') {
-        if (severity === 'uninhabitable') percent += 0.50;
-        else percent += 0.25;
-      }
+      return {
+        success: true,
+        data: {
+          baseline: summarize(baseline.data),
+          inputs: rankBySwing(baselineDemand, results),
+          asOf: calculation.asOf,
+        },
+      };
+    } catch (error) {
+      console.error('DamagesCalculator sensitivity error:', error);
+      return { success: false, error: error.message, data: null };
+    }
+  }
+
+  runScenario({ caseData, legalAnalysis, options }, overrides) {
+    const { inputs, exclude, applied } = applyOverrides(
+      { caseData, legalAnalysis, healthAnalysis: options.healthAnalysis },
+      overrides,
+    );
+
+    const result = this.calculate(inputs.caseData, inputs.legalAnalysis, {
+      ...options,
+      healthAnalysis: inputs.healthAnalysis,
+      exclude: [...(options.exclude || []), ...exclude],
+    });
+
+    return { ...result, applied };
+  }
+
+  /**
+   * Leave categories out of the totals. Required categories are zeroed;
+   * rejecting rent abatement also drops interest on overpaid rent.
+   * @returns {string[]} Categories actually excluded
+   */
+  excludeCategories(categories, exclude) {
+    const excluded = new Set(exclude);
+    if (excluded.has('rentAbatement')) excluded.add('prejudgmentInterest');
 
-      // Pest infestation
-      if (category === 'pest_infestation') {
-        if (severity === 'severe') percent += 0.20;
-        else percent += 0.10;
+    for (const category of excluded) {
+      if (!EXCLUDABLE_CATEGORIES.includes(category)) {
+        throw new Error(`Unknown damages category to exclude: ${category}`);
       }
 
-      // Structural
-      if (category === 'structural_damage') {
-        percent += 0.30;
+      switch (category) {
+        case 'rentAbatement':
+          Object.assign(categories.rentAbatement, { conservative: 0, aggressive: 0 });
+          break;
+        case 'securityDeposit':
+          Object.assign(categories.securityDeposit, { returnable: false, explanation: 'Excluded from this scenario.' });
+          break;
+        case 'repairCosts':
+          categories.repairCosts = { conservative: 0, aggressive: 0, items: [] };
+          break;
+        case 'statutoryDamages':
+          categories.statutoryDamages = [];
+          break;
+        case 'punitiveRange':
+          break; // calculated after the compensatory categories
+        default:
+          categories[category] = undefined;
       }
     }
 
-    // Cap at 100%
-    return Math.min(percent, 1.0);
+    return [...excluded];
+  }
+
+  /**
+   * RENT ABATEMENT CALCULATION
+   * Sum of the abatement ledger: each day's rent × share of the unit out of
+   * use that day (see damages/abatement-ledger.js). The pack's method decides
+   * whether an uninhabitable unit abates the full day's rent in the
+   * aggressive estimate.
+   */
+  calculateRentAbatement(caseData, pack, asOf) {
+    const monthlyRent = caseData.lease.monthlyRent;
+    const { method, conservativeReduction } = pack.rentAbatement;
+
+    const ledger = buildAbatementLedger(caseData, {
+      asOf,
+      conservativeReduction,
+      fullAbatementWhenUninhabitable: method === 'full_abatement_if_uninhabitable',
+    });
+    const { days, conservative, aggressive, rentForPeriod, peakLostUse } = ledger.totals;
+
+    const formula = amount => {
+      const averageLostUse = rentForPeriod > 0 ? amount / rentForPeriod : 0;
+      return `${days} days × ${Math.round(averageLostUse * 100)}% average lost use × $${monthlyRent}/month `
+        + `(${ledger.months.length} month${ledger.months.length === 1 ? '' : 's'} itemized in ledger)`;
+    };
+
+    return {
+      conservative: Math.round(conservative),
+      aggressive: Math.round(aggressive),
+      calculation: formula(aggressive),
+      conservativeCalculation: formula(conservative),
+      monthsAffected: days / 30,
+      percentUninhabitable: peakLostUse,
+      method,
+      ledger,
+    };
+  }
+
+  /**
+   * PREJUDGMENT INTEREST
+   * At the state's legal rate on each month's rent overpayment, from the day
+   * it was paid (see damages/interest-engine.js)
+   */
+  calculatePrejudgmentInterest(rentPayments, pack, asOf) {
+    const terms = pack.prejudgmentInterest || { rate: 0, compounding: 'simple' };
+    const months = rentPayments.months.filter(month => month.paidOn);
+
+    const accrue = estimate => accrueInterest(
+      months.map(month => ({ date: month.paidOn, amount: month.overpaid[estimate], label: month.month })),
+      { rate: terms.rate, compounding: terms.compounding, asOf },
+    );
+    const low = accrue('conservative');
+    const high = accrue('aggressive');
+
+    return {
+      conservative: Math.round(low.total),
+      aggressive: Math.round(high.total),
+      rate: terms.rate,
+      compounding: terms.compounding,
+      asOf,
+      explanation: terms.rate > 0
+        ? `${(terms.rate * 100).toFixed(2).replace(/\.?0+$/, '')}% per year (${terms.compounding}) on rent overpaid, from each payment to ${asOf}`
+        : `No statutory interest rate in the ${pack.name} rule pack`,
+      items: high.items
+        .map((item, index) => ({
+          month: item.label,
+          from: item.from,
+          days: item.days,
+          principal: { conservative: low.items[index].principal, aggressive: item.principal },
+          interest: { conservative: low.items[index].interest, aggressive: item.interest },
+        }))
+        .filter(item => item.principal.aggressive > 0),
+    };
   }
 
   /**
    * SECURITY DEPOSIT
+   * With move-out facts (caseData.moveOut), the deposit the landlord still
+   * owes after lawful deductions - see damages/security-deposit.js. Otherwise
+   * the whole deposit.
    */
-  calculateSecurityDeposit(caseData) {
+  calculateSecurityDeposit(caseData, pack, asOf) {
+    const accounting = accountDeposit(caseData, pack, asOf);
+
+    if (accounting) {
+      const due = accounting.status === 'due';
+      const unlawful = accounting.deductions.filter(d => !d.lawful);
+      return {
+        amount: due ? accounting.wrongfullyWithheld : accounting.withheld,
+        returnable: due && accounting.wrongfullyWithheld > 0,
+        calculation: `$${accounting.deposit.toLocaleString()} deposit - $${accounting.refunded.toLocaleString()} refunded - $${accounting.lawfulDeductions.toLocaleString()} lawful deductions`,
+        explanation: !due
+          ? accounting.deadline || accounting.unreadableDates.length === 0
+            ? `Not yet owed - landlord has until ${accounting.deadline || 'a forwarding address starts the clock'} to refund or itemize.`
+            : `Deadline not checked - can't read the ${accounting.unreadableDates.join(', ')} as a date.`
+          : accounting.forfeited
+            ? 'Landlord forfeited the right to keep any of the deposit.'
+            : unlawful.length > 0
+              ? `Deductions not allowed: ${unlawful.map(d => `${d.description} (${d.reason.toLowerCase()})`).join('; ')}.`
+              : accounting.wrongfullyWithheld > 0
+                ? 'Deposit wrongfully withheld beyond the itemized deductions.'
+                : 'Nothing wrongfully withheld - the deposit was refunded less lawful deductions.',
+        accounting,
+      };
+    }
+
     const amount = caseData.lease.securityDeposit || 0;
     
     // If tenant is moving out or breaking lease, deposit should be returned
@@ -301,81 +577,40 @@ class DamagesCalculator {
    * REPAIR COSTS
    */
   calculateRepairCosts(caseData) {
-    const items = [];
-    let conservativeTotal = 0;
-    let aggressiveTotal = 0;
-
-    for (const issue of caseData.issues) {
-      const costs = this.getRepairCostEstimate(issue);
-      items.push(costs);
-      conservativeTotal += costs.estimatedCost * 0.8; // Conservative = 80%
-      aggressiveTotal += costs.estimatedCost * 1.2; // Aggressive = 120%
-    }
+    const items = caseData.issues.map(issue => this.getRepairCostEstimate(issue, caseData.property));
 
     return {
-      conservative: Math.round(conservativeTotal),
-      aggressive: Math.round(aggressiveTotal),
+      conservative: Math.round(items.reduce((total, item) => total + item.low, 0)),
+      aggressive: Math.round(items.reduce((total, item) => total + item.high, 0)),
       items,
     };
   }
 
-  getRepairCostEstimate(issue) {
-    // Market rate estimates (2024-2025)
-    const costMap = {
-      water_leak: { item: 'Roof/plumbing leak repair', cost: 3500, source: 'Industry average' },
-      mold: { item: 'Professional mold remediation', cost: 5000, source: 'EPA guidelines' },
-      plumbing_failure: { item: 'Plumbing system repair', cost: 2500, source: 'Plumber estimate' },
-      no_heat: { item: 'HVAC repair/replacement', cost: 4000, source: 'HVAC contractor' },
-      no_ac: { item: 'AC repair/replacement', cost: 3500, source: 'HVAC contractor' },
-      structural_damage: { item: 'Structural repairs', cost: 8000, source: 'Contractor estimate' },
-      pest_infestation: { item: 'Pest remediation', cost: 1500, source: 'Exterminator' },
-      electrical_hazard: { item: 'Electrical repairs', cost: 2000, source: 'Electrician' },
-      roof_leak: { item: 'Roof repair', cost: 4500, source: 'Roofing contractor' },
-    };
-
-    const estimate = costMap[issue.category] || { item: 'Repair costs', cost: 1000, source: 'Estimate' };
-    
-    // Adjust for severity
-    let multiplier = 1.0;
-    if (issue.severity === 'uninhabitable') multiplier = 1.5;
-    else if (issue.severity === 'severe') multiplier = 1.3;
-    else if (issue.severity === 'major') multiplier = 1.1;
-
-    return {
-      item: estimate.item,
-      estimatedCost: Math.round(estimate.cost * multiplier),
-      source: estimate.source,
-    };
+  /**
+   * Contractor quotes, invoices and receipts on the issue override the
+   * regional cost index
+   */
+  getRepairCostEstimate(issue, property = {}) {
+    return evidencedRepairCost(issue) || indexedRepairCost(issue, property, this.costIndex);
   }
 
   /**
    * RELOCATION COSTS
+   * Temporary housing, meals, extra commute, storage and moving - documented
+   * or estimated from per-diem rates (see damages/relocation-costs.js)
    */
-  calculateRelocationCosts(caseData) {
-    if (!caseData.desiredOutcome?.breakLease) {
-      return undefined; // Not seeking relocation
-    }
-
-    // Standard relocation cost estimates
-    const moving = 1500; // Moving company
-    const storageFees = 500; // 2-3 months storage
-    const temporaryHousing = 0; // If they stayed elsewhere, calculate
-
-    return {
-      moving,
-      storageFees,
-      temporaryHousing,
-      total: moving + storageFees + temporaryHousing,
-    };
+  calculateRelocationCosts(caseData, asOf) {
+    return calculateRelocation(caseData, { asOf, perDiem: this.perDiem });
   }
 
   /**
    * LOSS OF USE (beyond rent abatement)
-   * E.g., couldn't host family, lost guest room, etc.
+   * E.g., couldn't host family, lost guest room, etc. Runs for the days the
+   * abatement ledger has part of the unit out of use.
    */
-  calculateLossOfUse(caseData) {
-    const durationMonths = (caseData.timeline.durationDays || 0) / 30;
-    
+  calculateLossOfUse(ledger) {
+    const durationMonths = ledger.totals.days / 30;
+
     // Estimate value of lost amenities
     const conservative = durationMonths * 200; // $200/month
     const aggressive = durationMonths * 500; // $500/month
@@ -383,15 +618,66 @@ class DamagesCalculator {
     return {
       conservative: Math.round(conservative),
       aggressive: Math.round(aggressive),
-      explanation: 'Loss of full use and enjoyment of property, inability to host guests, lost amenity value.',
+      explanation: `Loss of full use and enjoyment of property, inability to host guests, lost amenity value (${ledger.totals.days} affected days).`,
+    };
+  }
+
+  /**
+   * MEDICAL COSTS
+   * From HealthImpactAnalyzerAgent. Conservative counts past costs with
+   * definite/probable causation; aggressive adds future care and possible links.
+   */
+  calculateMedicalCosts(healthAnalysis) {
+    const impacts = (healthAnalysis?.medicalImpacts || [])
+      .filter(impact => impact.causationStrength !== 'unrelated');
+
+    if (impacts.length === 0) {
+      return undefined;
+    }
+
+    let conservative = 0;
+    let aggressive = 0;
+    const items = [];
+
+    for (const impact of impacts) {
+      const pastCosts = impact.medicalCosts.pastCosts || 0;
+      const futureCosts = impact.medicalCosts.estimatedFutureCosts || 0;
+
+      if (impact.causationStrength === 'definite' || impact.causationStrength === 'probable') {
+        conservative += pastCosts;
+      }
+      aggressive += pastCosts + futureCosts;
+
+      items.push({
+        person: impact.affectedPerson,
+        condition: impact.condition,
+        pastCosts,
+        futureCosts,
+        causationStrength: impact.causationStrength,
+      });
+    }
+
+    return {
+      conservative: Math.round(conservative),
+      aggressive: Math.round(aggressive),
+      items,
+      explanation: 'Medical expenses caused by hazardous conditions (past treatment and estimated future care).',
     };
   }
 
   /**
    * EMOTIONAL DISTRESS
-   * Based on severity, health impact, children
+   * Based on severity, health impact, children, and how long the abatement
+   * ledger has the unit affected
    */
-  calculateEmotionalDistress(caseData, legalAnalysis) {
+  calculateEmotionalDistress(caseData, legalAnalysis, pack, ledger) {
+    const hasBadFaith = this.hasBadFaith(legalAnalysis);
+
+    // Some states only allow distress damages in tort for willful conduct
+    if (pack.emotionalDistress.requiresBadFaith && !hasBadFaith) {
+      return undefined;
+    }
+
     const factors = [];
     let multiplier = 1.0;
 
@@ -408,7 +694,7 @@ class DamagesCalculator {
     }
 
     // Duration
-    const durationMonths = (caseData.timeline.durationDays || 0) / 30;
+    const durationMonths = ledger.totals.days / 30;
     if (durationMonths > 3) {
       factors.push('Extended duration of unsafe living conditions');
       multiplier += 0.3;
@@ -422,7 +708,6 @@ class DamagesCalculator {
     }
 
     // Bad faith
-    const hasBadFaith = legalAnalysis?.legalTheories?.some(t => t.theory === 'bad_faith');
     if (hasBadFaith) {
       factors.push('Landlord acted in bad faith');
       multiplier += 0.4;
@@ -441,91 +726,189 @@ class DamagesCalculator {
     };
   }
 
+  /**
+   * STATUTORY DAMAGES
+   * Fixed awards and multipliers the state attaches to specific violations
+   * (treble deposit, rent-plus penalties). "Up to" awards only count their
+   * floor in the conservative estimate. Deposit penalties come from the
+   * move-out accounting when there is one.
+   */
+  calculateStatutoryDamages(caseData, legalAnalysis, pack, securityDeposit) {
+    const awards = [];
+
+    for (const rule of pack.statutoryDamages) {
+      const { basis, includesDeposit } = rule.measure;
+
+      if (DEPOSIT_BASES.includes(basis) && securityDeposit.accounting) {
+        const penalty = securityDeposit.accounting.penalties.find(p => p.id === rule.id);
+        if (penalty) awards.push(penalty);
+        continue;
+      }
+
+      if (!triggerMatches(rule.when, caseData, legalAnalysis)) continue;
+
+      const base = DEPOSIT_BASES.includes(basis)
+        ? caseData.lease.securityDeposit || 0
+        : basis === 'monthly_rent' ? caseData.lease.monthlyRent : 0;
+
+      // Nothing withheld, nothing to multiply
+      if (DEPOSIT_BASES.includes(basis) && base === 0) continue;
+
+      // Already counted as the plain deposit return
+      const offset = includesDeposit && securityDeposit.returnable ? securityDeposit.amount : 0;
+      awards.push(measureAward(rule, base, offset));
+    }
+
+    return awards;
+  }
+
   /**
    * PUNITIVE DAMAGES
-   * Available if bad faith / willful conduct
+   * Available if bad faith / willful conduct. A multiple of compensatory
+   * damages (conservative for the low end, aggressive for the high end),
+   * held to the state's cap.
    */
-  calculatePunitiveDamages(caseData, legalAnalysis) {
+  calculatePunitiveDamages(caseData, legalAnalysis, pack, compensatory) {
     // Check if bad faith applies
-    const hasBadFaith = legalAnalysis?.legalTheories?.some(t => t.theory === 'bad_faith');
+    const hasBadFaith = this.hasBadFaith(legalAnalysis);
     const badFaithStatute = legalAnalysis?.attorneyFeesAvailable?.available;
 
-    if (!hasBadFaith && !badFaithStatute) {
+    if (!pack.punitive.available || (!hasBadFaith && !badFaithStatute)) {
       return {
         min: 0,
         max: 0,
         available: false,
         basisForClaim: 'No basis for punitive damages identified.',
+        cap: null,
+        minCap: null,
+        citation: pack.punitive.citation,
       };
     }
 
-    // In Georgia, punitive damages can be substantial for willful/wanton conduct
-    // Typically 1x-3x compensatory damages
-    
-    // Estimate compensatory (excluding punitive)
-    const estimatedCompensatory = 30000; // Rough estimate
+    const low = this.compensatoryTotals(compensatory, 'conservative');
+    const high = this.compensatoryTotals(compensatory, 'aggressive');
+    const { ratio, cap } = pack.punitive;
+
+    // Caps scale with compensatory damages, so each bound has its own
+    const lowCap = this.punitiveCap(cap, low);
+    const highCap = this.punitiveCap(cap, high);
+    const min = (low.economic + low.noneconomic) * ratio.min;
+    const max = (high.economic + high.noneconomic) * ratio.max;
 
     return {
-      min: estimatedCompensatory * 0.5,
-      max: estimatedCompensatory * 2.0,
+      min: Math.round(lowCap === null ? min : Math.min(min, lowCap)),
+      max: Math.round(highCap === null ? max : Math.min(max, highCap)),
       available: true,
-      basisForClaim: 'Landlord\'s willful and wanton disregard for tenant safety, bad faith failure to repair despite repeated notice.',
+      basisForClaim: `Landlord's willful and wanton disregard for tenant safety, bad faith failure to repair despite repeated notice. Standard: ${pack.punitive.description}.`,
+      cap: highCap === null ? null : Math.round(highCap),
+      minCap: lowCap === null ? null : Math.round(lowCap),
+      citation: pack.punitive.citation,
     };
   }
 
+  /**
+   * Economic and non-economic compensatory damages for one estimate
+   * (statutory and punitive awards excluded)
+   */
+  compensatoryTotals(categories, estimate) {
+    const economic = categories.rentAbatement[estimate]
+      + (categories.securityDeposit.returnable ? categories.securityDeposit.amount : 0)
+      + categories.repairCosts[estimate]
+      + (categories.relocationCosts?.[estimate] || 0)
+      + (categories.lossOfUse?.[estimate] || 0)
+      + (categories.medicalCosts?.[estimate] || 0);
+
+    // The conservative estimate leaves emotional distress out
+    const noneconomic = estimate === 'aggressive' ? categories.emotionalDistress?.aggressive || 0 : 0;
+
+    return { economic, noneconomic };
+  }
+
+  /**
+   * Statutory cap for a compensatory award; null when the state has none
+   */
+  punitiveCap(cap, { economic, noneconomic }) {
+    if (!cap) return null;
+
+    const candidates = [];
+    if (cap.fixed !== undefined) candidates.push(cap.fixed);
+    if (cap.compensatoryMultiple !== undefined) candidates.push(cap.compensatoryMultiple * (economic + noneconomic));
+    if (cap.economicMultiple !== undefined) {
+      candidates.push(cap.economicMultiple * economic + Math.min(noneconomic, cap.noneconomicLimit ?? Infinity));
+    }
+
+    if (candidates.length === 0) return null;
+    return cap.rule === 'lesser_of' ? Math.min(...candidates) : Math.max(...candidates);
+  }
+
+  hasBadFaith(legalAnalysis) {
+    return legalAnalysis?.legalTheories?.some(t => t.theory === 'bad_faith') || false;
+  }
+
   /**
    * ATTORNEY FEES
+   * Fee-shifting statutes from the rule pack whose violations are present,
+   * else whatever the legal analysis found. Hours scale with the number of issues.
    */
-  calculateAttorneyFees(caseData, legalAnalysis) {
-    const available = legalAnalysis?.attorneyFeesAvailable?.available || false;
-    const statute = legalAnalysis?.attorneyFeesAvailable?.statute;
+  calculateAttorneyFees(caseData, legalAnalysis, pack) {
+    const triggered = pack.attorneyFees.statutes.filter(rule => triggerMatches(rule.when, caseData, legalAnalysis));
+    const available = triggered.length > 0 || legalAnalysis?.attorneyFeesAvailable?.available || false;
+    const statute = triggered.length > 0
+      ? triggered.map(rule => rule.citation).join('; ')
+      : legalAnalysis?.attorneyFeesAvailable?.statute;
 
     // Estimate attorney fees if case goes to litigation
-    const estimatedHours = 40; // Pre-trial + trial
-    const hourlyRate = 350; // Market rate for tenant attorney
+    const { hourlyRate, baseHours, hoursPerIssue } = pack.attorneyFees;
+    const estimatedHours = baseHours + hoursPerIssue * caseData.issues.length;
     const estimated = estimatedHours * hourlyRate;
 
     return {
       estimated,
+      calculation: `${estimatedHours} hours × $${hourlyRate}/hour`,
       availableUnderStatute: available,
       statute,
       explanation: available 
-        ? `Attorney fees likely recoverable under ${statute} if case proceeds and tenant prevails.`
-        : 'Attorney fees may not be recoverable unless landlord acts in bad faith.',
+        ? `Attorney fees likely recoverable under ${statute || 'statute'} if case proceeds and tenant prevails.`
+        : `No fee-shifting statute in ${pack.name} applies to these claims; fees may not be recoverable unless the landlord acts in bad faith.`,
     };
   }
 
   /**
    * BUILD ESTIMATES
    */
-  buildConservativeEstimate(categories) {
+  buildConservativeEstimate(categories, pack) {
     const breakdown = [
       {
         category: 'Rent Abatement',
         amount: categories.rentAbatement.conservative,
-        calculation: categories.rentAbatement.calculation,
+        calculation: categories.rentAbatement.conservativeCalculation || categories.rentAbatement.calculation,
         explanation: 'Reduced rent value for period property was not fully habitable',
+        rule: rule(pack.rentAbatement),
       },
+      ...this.rentPaymentLines(categories, pack, 'conservative'),
       {
         category: 'Security Deposit Return',
         amount: categories.securityDeposit.returnable ? categories.securityDeposit.amount : 0,
-        calculation: `$${categories.securityDeposit.amount}`,
+        calculation: categories.securityDeposit.calculation || `$${categories.securityDeposit.amount}`,
         explanation: categories.securityDeposit.explanation,
+        rule: rule(pack.securityDeposit),
       },
       {
         category: 'Repair Costs',
         amount: categories.repairCosts.conservative,
-        calculation: 'Professional remediation estimates',
+        calculation: repairCostCalculation(categories.repairCosts, 'low'),
         explanation: 'Cost to bring property to habitable standard',
+        rule: rule(pack.repairCosts),
       },
     ];
 
     if (categories.relocationCosts) {
       breakdown.push({
         category: 'Relocation Costs',
-        amount: categories.relocationCosts.total,
-        calculation: 'Moving + storage + temporary housing',
-        explanation: 'Costs to relocate due to uninhabitable conditions',
+        amount: categories.relocationCosts.conservative,
+        calculation: relocationCalculation(categories.relocationCosts, 'low'),
+        explanation: categories.relocationCosts.explanation,
+        rule: rule(pack.consequentialDamages),
       });
     }
 
@@ -535,42 +918,60 @@ class DamagesCalculator {
         amount: categories.lossOfUse.conservative,
         calculation: categories.lossOfUse.explanation,
         explanation: 'Diminished value and enjoyment',
+        rule: rule(pack.consequentialDamages),
+      });
+    }
+
+    if (categories.medicalCosts) {
+      breakdown.push({
+        category: 'Medical Costs',
+        amount: categories.medicalCosts.conservative,
+        calculation: 'Past treatment costs with definite/probable causation',
+        explanation: categories.medicalCosts.explanation,
+        rule: rule(pack.consequentialDamages),
       });
     }
 
+    breakdown.push(...this.statutoryLines(categories.statutoryDamages, 'conservative'));
+
     const total = breakdown.reduce((sum, item) => sum + item.amount, 0);
 
     return { total, breakdown };
   }
 
-  buildAggressiveEstimate(categories) {
+  buildAggressiveEstimate(categories, pack) {
     const breakdown = [
       {
         category: 'Rent Abatement',
         amount: categories.rentAbatement.aggressive,
         calculation: categories.rentAbatement.calculation,
         explanation: 'Full rent value for uninhabitable period',
+        rule: rule(pack.rentAbatement),
       },
+      ...this.rentPaymentLines(categories, pack, 'aggressive'),
       {
         category: 'Security Deposit Return',
         amount: categories.securityDeposit.returnable ? categories.securityDeposit.amount : 0,
-        calculation: `$${categories.securityDeposit.amount}`,
+        calculation: categories.securityDeposit.calculation || `$${categories.securityDeposit.amount}`,
         explanation: categories.securityDeposit.explanation,
+        rule: rule(pack.securityDeposit),
       },
       {
         category: 'Repair/Remediation Costs',
         amount: categories.repairCosts.aggressive,
-        calculation: 'Full professional estimates',
+        calculation: repairCostCalculation(categories.repairCosts, 'high'),
         explanation: 'Complete remediation and repair',
+        rule: rule(pack.repairCosts),
       },
     ];
 
     if (categories.relocationCosts) {
       breakdown.push({
         category: 'Relocation Costs',
-        amount: categories.relocationCosts.total,
-        calculation: 'All moving expenses',
-        explanation: 'Forced relocation costs',
+        amount: categories.relocationCosts.aggressive,
+        calculation: relocationCalculation(categories.relocationCosts, 'high'),
+        explanation: categories.relocationCosts.explanation,
+        rule: rule(pack.consequentialDamages),
       });
     }
 
@@ -580,6 +981,17 @@ class DamagesCalculator {
         amount: categories.lossOfUse.aggressive,
         calculation: categories.lossOfUse.explanation,
         explanation: 'Full loss of enjoyment value',
+        rule: rule(pack.consequentialDamages),
+      });
+    }
+
+    if (categories.medicalCosts) {
+      breakdown.push({
+        category: 'Medical Costs',
+        amount: categories.medicalCosts.aggressive,
+        calculation: 'Past treatment + estimated future care',
+        explanation: categories.medicalCosts.explanation,
+        rule: rule(pack.consequentialDamages),
       });
     }
 
@@ -589,15 +1001,20 @@ class DamagesCalculator {
         amount: categories.emotionalDistress.aggressive,
         calculation: categories.emotionalDistress.explanation,
         explanation: 'Mental anguish and suffering',
+        rule: rule(pack.emotionalDistress),
       });
     }
 
+    breakdown.push(...this.statutoryLines(categories.statutoryDamages, 'aggressive'));
+
     if (categories.punitiveRange && categories.punitiveRange.available) {
+      const { min, minCap } = categories.punitiveRange;
       breakdown.push({
         category: 'Punitive Damages',
-        amount: categories.punitiveRange.min, // Use min for aggressive total
-        calculation: categories.punitiveRange.basisForClaim,
+        amount: min, // Use min for aggressive total
+        calculation: `${pack.punitive.ratio.min}× compensatory damages${minCap != null ? ` (capped at $${minCap.toLocaleString()})` : ''}`,
         explanation: 'Punitive for willful/wanton conduct',
+        rule: rule(pack.punitive),
       });
     }
 
@@ -606,6 +1023,52 @@ class DamagesCalculator {
     return { total, breakdown };
   }
 
+  /**
+   * Rent withheld (or paid beyond the lease) over the abatement period, and
+   * interest on the overpayments - only when there is a payment ledger
+   */
+  rentPaymentLines({ rentPayments, prejudgmentInterest }, pack, estimate) {
+    const lines = [];
+    const { source, totals, months } = rentPayments;
+    const difference = Math.round(totals.paid - totals.rentDue);
+
+    if (source === 'ledger' && difference !== 0) {
+      lines.push({
+        category: difference < 0 ? 'Rent Withheld (offset)' : 'Rent Paid Beyond Lease',
+        amount: difference,
+        calculation: `$${totals.paid.toLocaleString()} paid - $${totals.rentDue.toLocaleString()} due over ${months.length} month${months.length === 1 ? '' : 's'}`,
+        explanation: difference < 0
+          ? 'Rent the tenant already withheld counts against the abatement'
+          : 'Rent paid above the lease amount is refundable',
+        rule: { citation: pack.rentAbatement.citation, description: 'Abatement is recovered from rent actually paid' },
+      });
+    }
+
+    if (prejudgmentInterest?.[estimate] > 0) {
+      lines.push({
+        category: 'Prejudgment Interest',
+        amount: prejudgmentInterest[estimate],
+        calculation: prejudgmentInterest.explanation,
+        explanation: 'Interest accrued to date on rent paid for value not received',
+        rule: rule(pack.prejudgmentInterest),
+      });
+    }
+
+    return lines;
+  }
+
+  statutoryLines(awards, estimate) {
+    return awards
+      .filter(award => award[estimate] > 0)
+      .map(award => ({
+        category: 'Statutory Damages',
+        amount: award[estimate],
+        calculation: award.calculation,
+        explanation: award.description,
+        rule: { citation: award.citation, description: award.description },
+      }));
+  }
+
   calculateRecommendation(conservative, aggressive, legalAnalysis) {
     // Recommended demand: split between conservative and aggressive
     const demandAmount = Math.round((conservative.total + aggressive.total) / 2);
@@ -634,18 +1097,39 @@ class DamagesCalculator {
     };
   }
 
-  getAssumptions(caseData) {
+  getAssumptions(caseData, pack, { rentAbatement, rentPayments, repairCosts, relocationCosts }) {
+    const indexed = repairCosts.items.filter(item => item.source === 'cost_index').length;
+
     return [
-      'Market rate repair costs (2024-2025 prices)',
+      ...(indexed > 0
+        ? [`${indexed} of ${repairCosts.items.length} repair cost(s) from the regional cost index (${this.costIndex.version}) - attach quotes, invoices or receipts to replace them`]
+        : []),
+      ...(relocationCosts?.estimated > 0
+        ? [`$${relocationCosts.estimated.toLocaleString()} of relocation costs estimated (${[
+          relocationCosts.items.some(item => item.basis === 'per_diem') && `${relocationCosts.perDiem.locality} per diem, ${relocationCosts.perDiem.version}`,
+          relocationCosts.items.some(item => item.basis === 'standard') && 'flat moving allowance',
+        ].filter(Boolean).join('; ')}) - only in the aggressive estimate until receipts replace them`]
+        : []),
       'Tenant followed proper notice procedures',
       'Evidence substantiates claims',
-      'Jurisdiction allows claimed damages',
+      `${pack.name} damages rules (rule pack ${pack.version})`,
+      `Attorney time at $${pack.attorneyFees.hourlyRate}/hour`,
       'No tenant-caused damage',
+      ...(rentAbatement.ledger?.assumptions || []),
+      ...(rentPayments?.assumptions || []),
     ];
   }
 
-  getUncertainties(caseData) {
+  getUncertainties(caseData, legalAnalysis, pack, matched) {
     const uncertainties = [];
+
+    if (!matched) {
+      uncertainties.push(`No damages rule pack for "${caseData.property?.state || 'unknown state'}" - common-law rules applied, no statutory damages or fee shifting assumed`);
+    }
+
+    if (pack.emotionalDistress.requiresBadFaith && !this.hasBadFaith(legalAnalysis)) {
+      uncertainties.push(`Emotional distress not claimed: ${pack.emotionalDistress.description} (${pack.emotionalDistress.citation})`);
+    }
     
     if (!caseData.timeline.firstNotificationToLandlord) {
       uncertainties.push('Date of first landlord notification unclear');
@@ -663,7 +1147,44 @@ class DamagesCalculator {
   }
 }
 
-module.exports = { DamagesCalculator, DamagesSchema };
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+// Citation for a breakdown line, from a rule-pack entry
+function rule({ citation, description }) {
+  return { citation, description };
+}
+
+// Headline numbers of a calculation, for comparing scenarios
+function summarize(damages) {
+  return {
+    conservative: damages.conservative.total,
+    aggressive: damages.aggressive.total,
+    demandAmount: damages.recommended.demandAmount,
+    settlementRange: damages.recommended.settlementRange,
+  };
+}
+
+// "2 receipt, 1 cost_index" - how a repair cost total was sourced
+function repairCostCalculation(repairCosts, bound) {
+  const counts = {};
+  for (const item of repairCosts.items) counts[item.source] = (counts[item.source] || 0) + 1;
+  const sources = Object.entries(counts).map(([source, count]) => `${count} ${source.replace('_', ' ')}`).join(', ');
+  return `${bound === 'low' ? 'Low' : 'High'} end of ${repairCosts.items.length} item(s): ${sources}`;
+}
+
+function relocationCalculation(relocationCosts, bound) {
+  const { documented, estimated, items } = relocationCosts;
+  const quoted = items.filter(item => item.basis === 'quote').reduce((sum, item) => sum + item[bound], 0);
+  return [
+    `$${documented.toLocaleString()} documented`,
+    quoted && `$${quoted.toLocaleString()} quoted (${bound === 'low' ? 'low' : 'high'} quote)`,
+    bound === 'high' && estimated && `$${estimated.toLocaleString()} estimated`,
+  ].filter(Boolean).join(' + ');
+}
+
+export default DamagesCalculator;
 
 // Example usage:
 /*
@@ -14,8 +14,27 @@
  * that maximize recovery and legal impact.
  */
 
-import OpenAI from 'openai';
 import { z } from 'zod';
+import { resolveLLM } from '../llm/index.js';
+import { reviewFields, UnconfirmedFieldError } from './field_provenance.js';
+import { loadDamages } from '../damages/damages-schema.js';
+import { CitationVerifier, CitationCheckSchema, FLAGGED_STATUSES } from '../legal-intelligence/citation-verifier.js';
+
+// Case fields that end up as facts in outgoing documents
+const DRAFTING_FIELDS = [
+  'tenant.name',
+  'landlord.name',
+  'property.address',
+  'lease.monthlyRent',
+  'lease.moveInDate',
+  'lease.securityDeposit',
+  'timeline.firstIssueDate',
+  'timeline.firstNotificationToLandlord',
+  'issues',
+];
+
+// A letter to the wrong party or address is worse than no letter
+const REQUIRED_DRAFTING_FIELDS = ['tenant.name', 'landlord.name', 'property.address'];
 
 const DocumentSchema = z.object({
   documentType: z.enum([
@@ -37,20 +56,39 @@ const DocumentSchema = z.object({
   formatInstructions: z.string().optional(),
   attachments: z.array(z.string()).optional(),
   nextSteps: z.array(z.string()).optional(),
-  legalCitations: z.array(z.string()).optional()
+  legalCitations: z.array(z.string()).optional(),
+  citationCheck: CitationCheckSchema.optional()
 });
 
-export default class DocumentDrafterAgent {
-  constructor(openaiApiKey) {
-    this.openai = new OpenAI({ apiKey: openaiApiKey || process.env.OPENAI_API_KEY });
+/**
+ * @typedef {import('../llm/index.js').LLMOptions & {
+ *   legalLibrary?: import('../legal-intelligence/legal-library.js').LegalLibrary,
+ *   corpusPacks?: object[],
+ *   citationVerifier?: CitationVerifier,
+ * }} DocumentDrafterAgentOptions
+ */
+
+export class DocumentDrafterAgent {
+  /**
+   * @param {DocumentDrafterAgentOptions|string} [options] - Provider options, or an OpenAI API key
+   */
+  constructor(options = {}) {
+    this.llm = resolveLLM(options);
+    this.log = options.log || console.log;
     this.model = 'gpt-4-turbo-preview';
+    this.citationVerifier = options.citationVerifier || new CitationVerifier({
+      legalLibrary: options.legalLibrary,
+      corpusPacks: options.corpusPacks,
+    });
   }
 
   /**
    * Draft demand letter
    */
   async draftDemandLetter(caseData, legalAnalysis, damagesAnalysis, options = {}) {
-    console.log('📝 Document Drafter: Creating demand letter...');
+    this.log('📝 Document Drafter: Creating demand letter...');
+    const fieldReview = this.reviewCaseFields(caseData, options);
+    const damages = loadDamages(damagesAnalysis);
 
     const {
       tone = 'professional', // professional, aggressive, conciliatory
@@ -62,15 +100,16 @@ export default class DocumentDrafterAgent {
     const prompt = `You are a skilled attorney drafting a demand letter for a tenant.
 
 CASE DATA:
-${JSON.stringify(caseData, null, 2)}
+${formatCaseData(caseData)}
 
 LEGAL ANALYSIS:
 ${JSON.stringify(legalAnalysis, null, 2)}
 
 DAMAGES:
-${JSON.stringify(damagesAnalysis, null, 2)}
+${JSON.stringify(damages, null, 2)}
 
 DEMAND LETTER REQUIREMENTS:
+- Demand amount: $${damages.recommended.demandAmount.toLocaleString()}
 - Tone: ${tone}
 - Deadline: ${deadline} days from date of letter
 - Include statutory damages: ${includeStatutoryDamages}
@@ -94,10 +133,10 @@ TONE GUIDANCE:
 - Conciliatory: Open to negotiation, collaborative tone
 
 Make it compelling and legally sound. This often gets cases settled.
-
+${unverifiedFactsNote(fieldReview)}
 Draft the complete demand letter as it would be sent.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -109,10 +148,8 @@ Draft the complete demand letter as it would be sent.`;
       temperature: 0.4
     });
 
-    const content = response.choices[0].message.content;
-
-    // Extract legal citations
-    const citations = this.extractCitations(content);
+    const content = response.content;
+    const citations = await this.checkCitations(content, caseData);
 
     return DocumentSchema.parse({
       documentType: 'demand_letter',
@@ -127,12 +164,14 @@ Draft the complete demand letter as it would be sent.`;
         'Repair Request Documentation'
       ],
       nextSteps: [
+        ...verificationSteps(fieldReview),
+        ...citationSteps(citations.citationCheck),
         `Wait ${deadline} days for response`,
         'If no response, file complaint in court',
         'If partial response, negotiate settlement',
         'Document all communications'
       ],
-      legalCitations: citations
+      ...citations
     });
   }
 
@@ -140,7 +179,9 @@ Draft the complete demand letter as it would be sent.`;
    * Draft lawsuit complaint
    */
   async draftComplaint(caseData, legalAnalysis, damagesAnalysis, options = {}) {
-    console.log('📝 Document Drafter: Creating complaint...');
+    this.log('📝 Document Drafter: Creating complaint...');
+    const fieldReview = this.reviewCaseFields(caseData, options);
+    const damages = loadDamages(damagesAnalysis);
 
     const {
       jurisdiction = caseData.jurisdiction || 'Georgia',
@@ -152,13 +193,13 @@ Draft the complete demand letter as it would be sent.`;
     const prompt = `You are an attorney drafting a civil complaint for a tenant against a landlord.
 
 CASE DATA:
-${JSON.stringify(caseData, null, 2)}
+${formatCaseData(caseData)}
 
 LEGAL ANALYSIS:
 ${JSON.stringify(legalAnalysis, null, 2)}
 
 DAMAGES:
-${JSON.stringify(damagesAnalysis, null, 2)}
+${JSON.stringify(damages, null, 2)}
 
 JURISDICTION: ${jurisdiction}
 COURT: ${court}
@@ -211,9 +252,10 @@ COMPLAINT STRUCTURE (follow ${jurisdiction} rules):
    - Firm information
    - Contact details
 
+${unverifiedFactsNote(fieldReview)}
 Draft the complete, file-ready complaint.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -225,8 +267,8 @@ Draft the complete, file-ready complaint.`;
       temperature: 0.3
     });
 
-    const content = response.choices[0].message.content;
-    const citations = this.extractCitations(content);
+    const content = response.content;
+    const citations = await this.checkCitations(content, caseData);
 
     return DocumentSchema.parse({
       documentType: 'complaint',
@@ -242,13 +284,15 @@ Draft the complete, file-ready complaint.`;
         'Exhibit F: Damages Calculation'
       ],
       nextSteps: [
+        ...verificationSteps(fieldReview),
+        ...citationSteps(citations.citationCheck),
         'Review and revise complaint',
         'Obtain client signature verification',
         'File with court and pay filing fee',
         'Serve defendant per local rules',
         'Await defendant response (typically 30 days)'
       ],
-      legalCitations: citations
+      ...citations
     });
   }
 
@@ -256,14 +300,14 @@ Draft the complete, file-ready complaint.`;
    * Draft discovery interrogatories
    */
   async draftInterrogatories(caseData, legalAnalysis, options = {}) {
-    console.log('📝 Document Drafter: Creating interrogatories...');
+    this.log('📝 Document Drafter: Creating interrogatories...');
 
     const maxQuestions = options.maxQuestions || 30; // Most jurisdictions limit to 30-50
 
     const prompt = `Draft discovery interrogatories for a tenant lawsuit.
 
 CASE DATA:
-${JSON.stringify(caseData, null, 2)}
+${formatCaseData(caseData)}
 
 LEGAL THEORIES:
 ${JSON.stringify(legalAnalysis.legalTheories || [], null, 2)}
@@ -294,7 +338,7 @@ Each interrogatory should:
 
 Draft ${maxQuestions} interrogatories numbered sequentially.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -306,7 +350,7 @@ Draft ${maxQuestions} interrogatories numbered sequentially.`;
       temperature: 0.3
     });
 
-    const content = response.choices[0].message.content;
+    const content = response.content;
 
     return DocumentSchema.parse({
       documentType: 'discovery_interrogatories',
@@ -327,12 +371,12 @@ Draft ${maxQuestions} interrogatories numbered sequentially.`;
    * Draft requests for production of documents
    */
   async draftRequestsForProduction(caseData, legalAnalysis, options = {}) {
-    console.log('📝 Document Drafter: Creating document requests...');
+    this.log('📝 Document Drafter: Creating document requests...');
 
     const prompt = `Draft requests for production of documents for a tenant lawsuit.
 
 CASE DATA:
-${JSON.stringify(caseData, null, 2)}
+${formatCaseData(caseData)}
 
 LEGAL ANALYSIS:
 ${JSON.stringify(legalAnalysis, null, 2)}
@@ -394,7 +438,7 @@ Each request should:
 
 Draft comprehensive requests for production.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -406,7 +450,7 @@ Draft comprehensive requests for production.`;
       temperature: 0.3
     });
 
-    const content = response.choices[0].message.content;
+    const content = response.content;
 
     return DocumentSchema.parse({
       documentType: 'discovery_requests_production',
@@ -428,12 +472,13 @@ Draft comprehensive requests for production.`;
    * Draft settlement agreement
    */
   async draftSettlementAgreement(caseData, settlementTerms, options = {}) {
-    console.log('📝 Document Drafter: Creating settlement agreement...');
+    this.log('📝 Document Drafter: Creating settlement agreement...');
+    const fieldReview = this.reviewCaseFields(caseData, options);
 
     const prompt = `Draft a settlement agreement for a tenant-landlord dispute.
 
 CASE DATA:
-${JSON.stringify(caseData, null, 2)}
+${formatCaseData(caseData)}
 
 SETTLEMENT TERMS:
 ${JSON.stringify(settlementTerms, null, 2)}
@@ -478,9 +523,10 @@ SETTLEMENT AGREEMENT STRUCTURE:
    - Both parties
    - Notarization (if required)
 
+${unverifiedFactsNote(fieldReview)}
 Draft a comprehensive, enforceable settlement agreement.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -492,7 +538,7 @@ Draft a comprehensive, enforceable settlement agreement.`;
       temperature: 0.3
     });
 
-    const content = response.choices[0].message.content;
+    const content = response.content;
 
     return DocumentSchema.parse({
       documentType: 'settlement_agreement',
@@ -500,6 +546,7 @@ Draft a comprehensive, enforceable settlement agreement.`;
       content,
       formatInstructions: 'Have both parties sign. Consider notarization. File dismissal with court once payment received.',
       nextSteps: [
+        ...verificationSteps(fieldReview),
         'Review terms with client',
         'Negotiate any changes',
         'Execute agreement',
@@ -514,12 +561,12 @@ Draft a comprehensive, enforceable settlement agreement.`;
    * Create evidence index
    */
   async createEvidenceIndex(caseData, evidenceList, options = {}) {
-    console.log('📝 Document Drafter: Creating evidence index...');
+    this.log('📝 Document Drafter: Creating evidence index...');
 
     const prompt = `Create a professional evidence index for trial or settlement negotiations.
 
 CASE DATA:
-${JSON.stringify(caseData, null, 2)}
+${formatCaseData(caseData)}
 
 EVIDENCE ITEMS:
 ${JSON.stringify(evidenceList, null, 2)}
@@ -543,7 +590,7 @@ Organize logically:
 
 Format as a professional exhibit list suitable for court filing.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -555,7 +602,7 @@ Format as a professional exhibit list suitable for court filing.`;
       temperature: 0.2
     });
 
-    const content = response.choices[0].message.content;
+    const content = response.content;
 
     return DocumentSchema.parse({
       documentType: 'evidence_index',
@@ -576,7 +623,7 @@ Format as a professional exhibit list suitable for court filing.`;
    * Generate timeline exhibit
    */
   async createTimelineExhibit(timelineAnalysis, options = {}) {
-    console.log('📝 Document Drafter: Creating timeline exhibit...');
+    this.log('📝 Document Drafter: Creating timeline exhibit...');
 
     const format = options.format || 'table'; // table, narrative, or visual
 
@@ -607,7 +654,7 @@ Create a table with columns:
 Format for trial use. Make it clear, compelling, and easy to follow.
 Highlight critical dates and patterns of landlord misconduct.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -619,7 +666,7 @@ Highlight critical dates and patterns of landlord misconduct.`;
       temperature: 0.3
     });
 
-    const content = response.choices[0].message.content;
+    const content = response.content;
 
     return DocumentSchema.parse({
       documentType: 'timeline_exhibit',
@@ -654,29 +701,45 @@ Highlight critical dates and patterns of landlord misconduct.`;
   }
 
   /**
-   * Extract legal citations from document text
+   * Check the case facts a document will state
+   * @throws {UnconfirmedFieldError} When parties or address are unconfirmed
+   *   guesses (unless options.allowUnconfirmed)
    */
-  extractCitations(text) {
-    const citations = [];
-    
-    // Pattern for statute citations (e.g., "O.C.G.A. § 44-7-13")
-    const statutePattern = /\b([A-Z]\.){1,3}([A-Z]\.[A-Z]\.)?[A-Z]\.\s*§+\s*[\d-]+(\([a-z]\))?/g;
-    const statuteMatches = text.match(statutePattern) || [];
-    citations.push(...statuteMatches);
-    
-    // Pattern for case citations (e.g., "Smith v. Jones, 123 Ga. 456 (2020)")
-    const casePattern = /\b[A-Z][a-z]+\s+v\.\s+[A-Z][a-z]+,\s+\d+\s+[A-Z][a-z\.]+\s+\d+/g;
-    const caseMatches = text.match(casePattern) || [];
-    citations.push(...caseMatches);
-    
-    return [...new Set(citations)]; // Deduplicate
+  reviewCaseFields(caseData, options = {}) {
+    const review = reviewFields(caseData, DRAFTING_FIELDS, { required: REQUIRED_DRAFTING_FIELDS });
+
+    if (review.refused.length > 0 && !options.allowUnconfirmed) {
+      throw new UnconfirmedFieldError('DocumentDrafterAgent', review.refused);
+    }
+
+    return review;
+  }
+
+  /**
+   * Normalized citations in a drafted text and the result of checking each
+   * against the legal corpus and library
+   * @returns {Promise<{ legalCitations: string[], citationCheck: object }>}
+   */
+  async checkCitations(text, caseData) {
+    const citationCheck = await this.citationVerifier.verifyText(text, {
+      jurisdiction: caseData?.property?.state,
+    });
+
+    return {
+      legalCitations: citationCheck.citations.map(c => c.citation),
+      citationCheck,
+    };
   }
 
   /**
    * Generate all documents for a case
    */
   async generateAllDocuments(caseData, legalAnalysis, damagesAnalysis, timelineAnalysis, options = {}) {
-    console.log('📝 Document Drafter: Generating complete document set...');
+    this.log('📝 Document Drafter: Generating complete document set...');
+
+    // Refuse before spending any LLM calls
+    this.reviewCaseFields(caseData, options);
+    loadDamages(damagesAnalysis);
 
     const documents = {};
 
@@ -706,8 +769,53 @@ Highlight critical dates and patterns of landlord misconduct.`;
       );
     }
 
-    console.log(`✅ Generated ${Object.keys(documents).length} documents`);
+    // Every document leaves with its citations checked, not just the ones
+    // that prompt for authority
+    for (const document of Object.values(documents)) {
+      if (document.citationCheck) continue;
+
+      const citations = await this.checkCitations(document.content, caseData);
+      if (citations.citationCheck.checked === 0) continue;
+
+      Object.assign(document, citations);
+      document.nextSteps = [...citationSteps(citations.citationCheck), ...(document.nextSteps || [])];
+    }
+
+    this.log(`✅ Generated ${Object.keys(documents).length} documents`);
 
     return documents;
   }
 }
+
+// ============================================================================
+// PROMPT HELPERS
+// ============================================================================
+
+// Provenance is bookkeeping for us, not facts for the model
+function formatCaseData(caseData) {
+  const { provenance, ...facts } = caseData;
+  return JSON.stringify(facts, null, 2);
+}
+
+function unverifiedFactsNote(review) {
+  if (review.flagged.length === 0) return '';
+
+  return `
+UNVERIFIED FACTS (not confirmed by the tenant, low extraction confidence):
+${review.flagged.map(f => `- ${f.field}`).join('\n')}
+Wherever the document relies on one of these, insert [CONFIRM: <field>] so the attorney verifies it before sending.
+`;
+}
+
+function verificationSteps(review) {
+  if (review.flagged.length === 0) return [];
+  return [`Verify unconfirmed facts with the tenant: ${review.flagged.map(f => f.field).join(', ')}`];
+}
+
+function citationSteps(check) {
+  const flagged = check.citations.filter(c => FLAGGED_STATUSES.includes(c.status));
+  if (flagged.length === 0) return [];
+  return [`Fix citations that could not be verified: ${flagged.map(c => `${c.citation} - ${c.reason}`).join('; ')}`];
+}
+
+export default DocumentDrafterAgent;
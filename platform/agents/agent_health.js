@@ -15,8 +15,8 @@
  * - Vulnerable population analysis (children, elderly, pregnant)
  */
 
-import OpenAI from 'openai';
 import { z } from 'zod';
+import { resolveLLM } from '../llm/index.js';
 
 // Health hazard schema
 const HealthHazardSchema = z.object({
@@ -68,7 +68,7 @@ const MedicalImpactSchema = z.object({
   disability: z.object({
     temporary: z.boolean(),
     permanent: z.boolean(),
-    impactOnDaily Life: z.string()
+    impactOnDailyLife: z.string()
   }).optional(),
   documentationAvailable: z.array(z.string()).describe('Medical records, bills, etc.')
 });
@@ -91,9 +91,17 @@ const HealthAnalysisSchema = z.object({
   urgencyLevel: z.enum(['immediate', 'high', 'moderate', 'low'])
 });
 
-export default class HealthImpactAnalyzerAgent {
-  constructor(openaiApiKey) {
-    this.openai = new OpenAI({ apiKey: openaiApiKey || process.env.OPENAI_API_KEY });
+/**
+ * @typedef {import('../llm/index.js').LLMOptions} HealthImpactAnalyzerAgentOptions
+ */
+
+export class HealthImpactAnalyzerAgent {
+  /**
+   * @param {HealthImpactAnalyzerAgentOptions|string} [options] - Provider options, or an OpenAI API key
+   */
+  constructor(options = {}) {
+    this.llm = resolveLLM(options);
+    this.log = options.log || console.log;
     this.model = 'gpt-4-turbo-preview';
     
     // Medical knowledge base
@@ -146,7 +154,7 @@ export default class HealthImpactAnalyzerAgent {
    * Analyze health impacts from case
    */
   async analyze(caseData, timelineAnalysis = null, options = {}) {
-    console.log('🏥 Health Impact Analyzer: Assessing health and safety impacts...');
+    this.log('🏥 Health Impact Analyzer: Assessing health and safety impacts...');
 
     // Identify hazards
     const hazards = await this.identifyHazards(caseData);
@@ -206,7 +214,7 @@ export default class HealthImpactAnalyzerAgent {
     // Validate with Zod
     const validated = HealthAnalysisSchema.parse(analysis);
 
-    console.log(`✅ Health analysis complete: ${hazards.length} hazards, ${medicalImpacts.length} medical impacts`);
+    this.log(`✅ Health analysis complete: ${hazards.length} hazards, ${medicalImpacts.length} medical impacts`);
     
     return validated;
   }
@@ -249,7 +257,7 @@ Be thorough. Every hazard strengthens the case.
 
 Return as JSON with array of hazards.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -259,10 +267,10 @@ Return as JSON with array of hazards.`;
         { role: 'user', content: prompt }
       ],
       temperature: 0.3,
-      response_format: { type: 'json_object' }
+      responseFormat: { type: 'json_object' }
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const result = JSON.parse(response.content);
     return result.hazards || [];
   }
 
@@ -304,7 +312,7 @@ Establish clear causation between hazards and health impacts.
 
 Return as JSON with array of medicalImpacts.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -314,10 +322,10 @@ Return as JSON with array of medicalImpacts.`;
         { role: 'user', content: prompt }
       ],
       temperature: 0.3,
-      response_format: { type: 'json_object' }
+      responseFormat: { type: 'json_object' }
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const result = JSON.parse(response.content);
     return result.medicalImpacts || [];
   }
 
@@ -467,7 +475,7 @@ Make it scientifically sound and legally compelling.
 
 Write 3-5 paragraphs.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -479,7 +487,7 @@ Write 3-5 paragraphs.`;
       temperature: 0.4
     });
 
-    return response.choices[0].message.content.trim();
+    return response.content.trim();
   }
 
   /**
@@ -707,3 +715,5 @@ Write 3-5 paragraphs.`;
     return report;
   }
 }
+
+export default HealthImpactAnalyzerAgent;
@@ -3,15 +3,42 @@
  * 
  * Job: Convert messy tenant stories into clean, structured case data
  * 
- * Input: Raw text, voice transcripts, scattered facts
- * Output: Structured Case object with all key data points
+ * Input: Raw text, voice transcripts, scattered facts - plus, optionally, the
+ *        tenant's files (lease, texts, emails, notices) read by ingestion/
+ * Output: Structured Case object with all key data points, plus per-field
+ *         provenance (story or document span, confidence, confirmed) - see
+ *         field_provenance.js
  */
 
-const OpenAI = require('openai');
-const { z } = require('zod');
+import { z } from 'zod';
+import { resolveLLM } from '../llm/index.js';
+import { FieldProvenanceSchema, LOW_CONFIDENCE, buildFieldProvenance } from './field_provenance.js';
+import { RentPaymentSchema } from '../damages/rent-payment-ledger.js';
+import { RepairEvidenceSchema } from '../damages/repair-cost-index.js';
+import { MoveOutSchema } from '../damages/security-deposit.js';
+import { DisplacementSchema } from '../damages/relocation-costs.js';
+
+// A dated message from an ingested SMS export or email thread
+export const CommunicationSchema = z.object({
+  date: z.string().nullable(), // ISO timestamp
+  channel: z.enum(['sms', 'email']),
+  direction: z.enum(['from_tenant', 'to_tenant', 'unknown']),
+  from: z.string(),
+  to: z.string(),
+  subject: z.string().optional(),
+  excerpt: z.string(),
+  attachments: z.array(z.string()),
+  kind: z.enum(['repair_request', 'landlord_notice', 'message']),
+  source: z.object({
+    file: z.string(),
+    index: z.number(),
+    start: z.number(), // offsets in the document's text
+    end: z.number(),
+  }),
+});
 
 // Output schema for structured case data
-const CaseDataSchema = z.object({
+export const CaseDataSchema = z.object({
   // Parties
   tenant: z.object({
     name: z.string(),
@@ -40,6 +67,7 @@ const CaseDataSchema = z.object({
   // Property
   property: z.object({
     address: z.string(),
+    unit: z.string().optional(), // "Apt 4B" - multi-unit buildings
     city: z.string(),
     state: z.string(),
     zipCode: z.string(),
@@ -47,17 +75,32 @@ const CaseDataSchema = z.object({
     propertyType: z.enum(['single_family', 'duplex', 'apartment', 'condo', 'townhouse']),
     bedrooms: z.number().optional(),
     bathrooms: z.number().optional(),
+    squareFeet: z.number().optional(),
+    rooms: z.array(z.object({
+      name: z.string(), // "bathroom", "bedroom 2"
+      squareFeet: z.number().optional(),
+    })).optional(),
   }),
   
   // Lease Info
   lease: z.object({
     moveInDate: z.string(), // ISO date
+    signedDate: z.string().optional(), // ISO date; moveInDate stands in when unknown
     leaseType: z.enum(['fixed_term', 'month_to_month']),
     monthlyRent: z.number(),
     securityDeposit: z.number().optional(),
     leaseEndDate: z.string().optional(), // ISO date
   }),
   
+  // Rent actually paid - reconciled against abatement in damages
+  rentPayments: z.array(RentPaymentSchema).optional(),
+  
+  // Move-out and what happened to the deposit - checked in damages
+  moveOut: MoveOutSchema.optional(),
+  
+  // Nights away from the unit and what they cost - relocation damages
+  displacement: DisplacementSchema.optional(),
+  
   // Problems
   issues: z.array(z.object({
     category: z.enum([
@@ -88,7 +131,18 @@ const CaseDataSchema = z.object({
     description: z.string(),
     severity: z.enum(['minor', 'major', 'severe', 'uninhabitable']),
     firstOccurred: z.string().optional(), // ISO date
+    resolvedDate: z.string().optional(), // ISO date - repaired
     isOngoing: z.boolean(),
+    // Rooms the issue took out of use; none = the whole unit
+    affectedAreas: z.array(z.object({
+      room: z.string(),
+      squareFeet: z.number().optional(),
+      from: z.string().optional(), // ISO date, default firstOccurred
+      to: z.string().optional(), // ISO date, default resolvedDate
+      lossOfUse: z.number().min(0).max(1).optional(), // share of the room lost
+    })).optional(),
+    // Contractor quotes, invoices and receipts for the repair
+    costEvidence: z.array(RepairEvidenceSchema).optional(),
   })),
   
   // Timeline Markers
@@ -137,40 +191,129 @@ const CaseDataSchema = z.object({
     missingInformation: z.array(z.string()),
     clarificationNeeded: z.array(z.string()),
   }),
+  
+  // Field path -> where the value came from (built by analyze, not the model)
+  provenance: z.record(FieldProvenanceSchema).optional(),
+
+  // Files the case was extracted from, and every message found in them
+  // (copied from ingestion, not the model)
+  sourceDocuments: z.array(z.object({
+    file: z.string(),
+    format: z.string(),
+    kind: z.string(),
+    messageCount: z.number(),
+  })).optional(),
+  communications: z.array(CommunicationSchema).optional(),
 });
 
-class IntakeAgent {
-  constructor(apiKey) {
-    this.openai = new OpenAI({ apiKey });
+// Document text sent to the model per file, and messages kept on the case
+const MAX_DOCUMENT_PROMPT_CHARS = 15000;
+const MAX_COMMUNICATIONS = 500;
+
+// Fields counted by calculateCompleteness
+export const CRITICAL_FIELDS = [
+  'property.address',
+  'lease.moveInDate',
+  'lease.monthlyRent',
+  'landlord.name',
+  'timeline.firstIssueDate',
+  'issues.length > 0',
+];
+
+// How much a missing field matters to the case (0-10). Critical fields also
+// raise completeness, so they are asked before anything else.
+const QUESTION_PRIORITIES = {
+  'issues.length > 0': 10,
+  'landlord.name': 9,
+  'property.address': 9,
+  'lease.monthlyRent': 8,
+  'timeline.firstIssueDate': 8,
+  'timeline.firstNotificationToLandlord': 7,
+  'lease.moveInDate': 6,
+  'property.state': 6,
+  'tenant.hasChildren': 5,
+  'tenant.childrenAges': 4,
+  'healthImpact.hasHealthIssues': 4,
+  'lease.securityDeposit': 3,
+  'tenant.name': 3,
+};
+
+// Extracted values worth a "did we get this right?" question when uncertain -
+// the ones damages and document drafting depend on
+export const CONFIRMATION_FIELDS = [
+  'lease.monthlyRent',
+  'tenant.name',
+  'landlord.name',
+  'property.address',
+  'lease.securityDeposit',
+  'timeline.firstIssueDate',
+  'timeline.firstNotificationToLandlord',
+];
+
+const DEFAULT_QUESTION_PRIORITY = 2;
+const CLARIFICATION_PRIORITY = 1;
+
+/**
+ * @typedef {import('../llm/index.js').LLMOptions} IntakeAgentOptions
+ */
+
+export class IntakeAgent {
+  /**
+   * @param {IntakeAgentOptions|string} [options] - Provider options, or an OpenAI API key
+   */
+  constructor(options = {}) {
+    this.llmOptions = options;
+    this.llm = null;
     this.model = 'gpt-4-turbo-preview';
+    this.log = options.log || console.log;
+  }
+
+  /**
+   * Provider resolved on first use, so an agent that never calls the model
+   * (e.g. an intake session only asking follow-up questions) needs no credentials
+   */
+  getLLM() {
+    this.llm ??= resolveLLM(this.llmOptions);
+    return this.llm;
   }
 
   /**
    * Main analysis function
-   * @param {string} rawStory - The tenant's unstructured story
+   * @param {string} rawStory - The tenant's unstructured story (may be empty
+   *   when documents carry the facts)
    * @param {object} options - Additional options (prefilledData, etc.)
+   * @param {object[]} [options.documents] - From DocumentIngestor.ingest().documents
    * @returns {Promise<object>} Structured case data
    */
   async analyze(rawStory, options = {}) {
     try {
       const prompt = this.buildPrompt(rawStory, options);
       
-      const response = await this.openai.chat.completions.create({
+      const llm = this.getLLM();
+      const response = await llm.chat({
         model: this.model,
         messages: [
           { role: 'system', content: this.getSystemPrompt() },
           { role: 'user', content: prompt }
         ],
-        response_format: { type: 'json_object' },
+        responseFormat: { type: 'json_object' },
         temperature: 0.3, // Lower temp for more consistent extraction
       });
 
-      const content = response.choices[0].message.content;
-      const structured = JSON.parse(content);
+      const content = response.content;
+      const { provenance: reported, ...structured } = JSON.parse(content);
       
       // Validate against schema
       const validated = CaseDataSchema.parse(structured);
       
+      // Offsets are located here - models can quote, but can't count characters
+      const documents = options.documents || [];
+      validated.provenance = buildFieldProvenance(validated, rawStory || '', reported, documents);
+
+      if (documents.length > 0) {
+        Object.assign(validated, collectDocumentRecords(documents, this.log));
+      }
+      
       // Add processing metadata
       validated.metadata.processingDate = new Date().toISOString();
       validated.metadata.agent = 'IntakeAgent';
@@ -215,8 +358,22 @@ Output must be valid JSON matching the required schema.`;
   }
 
   buildPrompt(rawStory, options = {}) {
-    let prompt = `Extract structured case information from this tenant's story:\n\n`;
-    prompt += `TENANT'S STORY:\n${rawStory}\n\n`;
+    const documents = options.documents || [];
+
+    let prompt = documents.length > 0
+      ? `Extract structured case information from this tenant's story and documents:\n\n`
+      : `Extract structured case information from this tenant's story:\n\n`;
+    prompt += `TENANT'S STORY:\n${rawStory || '(none - use the documents)'}\n\n`;
+
+    if (documents.length > 0) {
+      prompt += `TENANT'S DOCUMENTS:\n`;
+      for (const document of documents) {
+        const truncated = document.text.length > MAX_DOCUMENT_PROMPT_CHARS;
+        prompt += `=== FILE: ${document.file} (${document.kind}, ${document.format}) ===\n`;
+        prompt += truncated ? document.text.substring(0, MAX_DOCUMENT_PROMPT_CHARS) : document.text;
+        prompt += truncated ? `\n[... truncated ...]\n\n` : `\n\n`;
+      }
+    }
     
     if (options.prefilledData) {
       prompt += `PREFILLED DATA (from intake form):\n`;
@@ -228,9 +385,31 @@ Output must be valid JSON matching the required schema.`;
     prompt += `1. Parse all relevant information\n`;
     prompt += `2. Categorize issues correctly (water_leak, mold, etc.)\n`;
     prompt += `3. Extract dates in ISO format (YYYY-MM-DD)\n`;
-    prompt += `4. Assess severity of each issue (minor/major/severe/uninhabitable)\n`;
+    prompt += `4. Assess severity of each issue (minor/major/severe/uninhabitable). Where the story says, `;
+    prompt += `add the rooms it affected ("affectedAreas", with square footage and the dates each room was `;
+    prompt += `unusable), when it was fixed ("resolvedDate"), and any contractor quotes, invoices or `;
+    prompt += `receipts for the repair ("costEvidence": type, amount, vendor, date, file)\n`;
     prompt += `5. Flag any missing critical information\n`;
-    prompt += `6. Provide confidence score (0-1) for overall extraction quality\n\n`;
+    prompt += `6. Provide confidence score (0-1) for overall extraction quality\n`;
+    prompt += `7. Add a top-level "provenance" object with one entry per field you filled, keyed by dotted path `;
+    prompt += `("lease.monthlyRent", "issues.0.category"): { "quote": exact words from the story the value `;
+    prompt += `came from, or null if you inferred it, "confidence": 0-1 }\n`;
+    prompt += `8. List rent payments the tenant made in "rentPayments" (date, amount, method, and the receipt, `;
+    prompt += `check or confirmation number) - partial payments as paid, months withheld left out\n`;
+    prompt += `9. If the tenant has moved out, fill "moveOut": move-out date, when a forwarding address was `;
+    prompt += `given, when the landlord's itemized statement arrived, the refund, each deduction the landlord `;
+    prompt += `took (description, amount, category, whether a receipt was attached), whether there was a `;
+    prompt += `move-in checklist, and where the deposit was held ("depositAccount")\n`;
+    prompt += `10. If the tenant had to stay elsewhere, even for part of the unit (a collapsed ceiling), fill `;
+    prompt += `"displacement": each period away (from, to, full or partial, why, who), hotel, meal, storage, `;
+    prompt += `moving and mileage receipts or quotes, the extra commute miles per day, and household size\n`;
+
+    if (documents.length > 0) {
+      prompt += `11. Prefer the signed lease for lease terms, and dated messages, notices and mail receipts `;
+      prompt += `for timeline dates (first notification to the landlord, landlord responses). When a value `;
+      prompt += `comes from a document, quote the document and add "file": the file name to its provenance entry\n`;
+    }
+    prompt += `\n`;
     
     prompt += `Return structured JSON matching the case data schema.`;
     
@@ -239,33 +418,102 @@ Output must be valid JSON matching the required schema.`;
 
   /**
    * Interactive clarification - ask follow-up questions
+   *
+   * `pending` lists the same questions ranked highest-value first, with the
+   * field each one concerns (null for free-text clarifications) and its kind:
+   * 'missing', 'confirm' (uncertain extracted value) or 'clarification'.
    */
   async clarify(caseData, additionalInfo) {
     const missingInfo = caseData.metadata?.missingInformation || [];
     const clarifications = caseData.metadata?.clarificationNeeded || [];
     
-    if (missingInfo.length === 0 && clarifications.length === 0) {
-      return { needsClarification: false };
+    // Critical fields count toward completeness even if extraction didn't flag them
+    const missingCritical = CRITICAL_FIELDS.filter(field =>
+      !missingInfo.includes(field) && !this.fieldExists(caseData, field)
+    );
+    const missingFields = [...missingInfo, ...missingCritical];
+    const unconfirmed = this.fieldsNeedingConfirmation(caseData);
+    
+    if (missingFields.length === 0 && clarifications.length === 0 && unconfirmed.length === 0) {
+      return { needsClarification: false, questions: [], pending: [], completionPercentage: this.calculateCompleteness(caseData) };
     }
     
     // Generate follow-up questions
-    const questions = [];
+    const pending = [];
+    
+    for (const field of missingFields) {
+      pending.push({
+        field,
+        question: this.generateQuestionFor(field),
+        value: this.questionValue(field),
+        kind: 'missing',
+      });
+    }
     
-    for (const field of missingInfo) {
-      questions.push(this.generateQuestionFor(field));
+    // A wrong rent or party name is as bad as a missing one
+    for (const field of unconfirmed) {
+      pending.push({
+        field,
+        question: this.generateConfirmationFor(field, this.getField(caseData, field)),
+        value: this.questionValue(field) + 100 / CRITICAL_FIELDS.length,
+        kind: 'confirm',
+      });
     }
     
     for (const clarification of clarifications) {
-      questions.push(clarification);
+      pending.push({ field: null, question: clarification, value: CLARIFICATION_PRIORITY, kind: 'clarification' });
     }
     
+    // Stable sort keeps extraction order among equally valuable questions
+    pending.sort((a, b) => b.value - a.value);
+    
     return {
       needsClarification: true,
-      questions,
+      questions: pending.map(p => p.question),
+      pending,
       completionPercentage: this.calculateCompleteness(caseData),
     };
   }
 
+  /**
+   * Rank a missing field: completeness gain first, then legal value
+   */
+  questionValue(field) {
+    const priority = QUESTION_PRIORITIES[field] ?? DEFAULT_QUESTION_PRIORITY;
+    const completenessGain = CRITICAL_FIELDS.includes(field) ? 100 / CRITICAL_FIELDS.length : 0;
+    return completenessGain + priority;
+  }
+
+  /**
+   * Key fields extracted with low confidence the tenant hasn't confirmed
+   */
+  fieldsNeedingConfirmation(caseData) {
+    const provenance = caseData.provenance || {};
+    
+    return CONFIRMATION_FIELDS.filter(field =>
+      provenance[field] && !provenance[field].confirmed && provenance[field].confidence < LOW_CONFIDENCE
+    );
+  }
+
+  generateConfirmationFor(field, value) {
+    const labels = {
+      'lease.monthlyRent': 'your monthly rent',
+      'tenant.name': 'your name',
+      'landlord.name': 'your landlord\'s name',
+      'property.address': 'the property address',
+      'lease.securityDeposit': 'your security deposit',
+      'timeline.firstIssueDate': 'when the problem started',
+      'timeline.firstNotificationToLandlord': 'when you first told the landlord',
+    };
+    const shown = typeof value === 'number' ? `$${value.toLocaleString()}` : value;
+    
+    return `We understood ${labels[field] || field} as "${shown}". Is that right? (yes, or give the correct answer)`;
+  }
+
+  getField(caseData, path) {
+    return path.split('.').reduce((current, key) => current?.[key], caseData);
+  }
+
   generateQuestionFor(field) {
     const questionMap = {
       'property.address': 'What is the full street address of the property?',
@@ -275,25 +523,22 @@ Output must be valid JSON matching the required schema.`;
       'timeline.firstNotificationToLandlord': 'When did you first notify the landlord about this problem?',
       'landlord.name': 'What is your landlord\'s name?',
       'tenant.hasChildren': 'Do you have children living in the home?',
+      'tenant.childrenAges': 'How old are the children living with you?',
+      'tenant.name': 'What is your full name?',
+      'property.state': 'Which state is the property in?',
+      'lease.securityDeposit': 'How much security deposit did you pay?',
+      'healthImpact.hasHealthIssues': 'Has anyone in the home had health problems because of these conditions?',
+      'issues.length > 0': 'What problems are you having with the home (leaks, mold, no heat, pests, ...)?',
     };
     
     return questionMap[field] || `Please provide: ${field}`;
   }
 
   calculateCompleteness(caseData) {
-    const criticalFields = [
-      'property.address',
-      'lease.moveInDate',
-      'lease.monthlyRent',
-      'landlord.name',
-      'timeline.firstIssueDate',
-      'issues.length > 0',
-    ];
-    
     let complete = 0;
-    let total = criticalFields.length;
+    let total = CRITICAL_FIELDS.length;
     
-    for (const field of criticalFields) {
+    for (const field of CRITICAL_FIELDS) {
       if (this.fieldExists(caseData, field)) {
         complete++;
       }
@@ -310,10 +555,12 @@ Output must be valid JSON matching the required schema.`;
       if (key.includes('>')) {
         // Special check like "issues.length > 0"
         const [field, operator, value] = key.split(/\s+/);
+        if (current[field] === undefined || current[field] === null) return false;
         return eval(`current.${field} ${operator} ${value}`);
       }
       
-      if (current[key] === undefined || current[key] === null) {
+      // Extraction fills required strings with "" when the story doesn't say
+      if (current === null || typeof current !== 'object' || current[key] === undefined || current[key] === null || current[key] === '') {
         return false;
       }
       current = current[key];
@@ -323,7 +570,35 @@ Output must be valid JSON matching the required schema.`;
   }
 }
 
-module.exports = { IntakeAgent, CaseDataSchema };
+// ============================================================================
+// DOCUMENT RECORDS
+// ============================================================================
+
+/**
+ * What the case keeps from ingested documents: the file list, and their
+ * messages in date order (most recent dropped beyond MAX_COMMUNICATIONS)
+ */
+function collectDocumentRecords(documents, log) {
+  const communications = documents
+    .flatMap(document => document.messages)
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+  if (communications.length > MAX_COMMUNICATIONS) {
+    log(`⚠️  IntakeAgent: keeping the first ${MAX_COMMUNICATIONS} of ${communications.length} messages`);
+  }
+
+  return {
+    sourceDocuments: documents.map(({ file, format, kind, messages }) => ({
+      file,
+      format,
+      kind,
+      messageCount: messages.length,
+    })),
+    communications: communications.slice(0, MAX_COMMUNICATIONS),
+  };
+}
+
+export default IntakeAgent;
 
 // Example usage:
 /*
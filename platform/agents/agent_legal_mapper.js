@@ -12,11 +12,13 @@
  * - Relevant case law
  */
 
-const OpenAI = require('openai');
-const { z } = require('zod');
+import { z } from 'zod';
+import { resolveLLM } from '../llm/index.js';
+import { searchCorpus, caseIssueCategories, CorpusPackSchema, REMEDY_TOPICS, FEDERAL_JURISDICTION } from '../legal-intelligence/legal-corpus.js';
+import { caseLegalDates } from '../legal-intelligence/statute-versions.js';
 
 // Output schema for legal analysis
-const LegalAnalysisSchema = z.object({
+export const LegalAnalysisSchema = z.object({
   jurisdiction: z.object({
     state: z.string(),
     county: z.string().optional(),
@@ -114,14 +116,40 @@ const LegalAnalysisSchema = z.object({
     confidenceScore: z.number(), // 0-1
     lastUpdated: z.string(), // ISO date
     agent: z.string(),
+    // Case dates the statutes were read as of (see statute-versions.js)
+    lawAsOf: z.object({
+      leaseSigned: z.string().nullable(),
+      firstNotice: z.string().nullable(),
+    }).optional(),
   }),
 });
 
-class LegalMapperAgent {
-  constructor(apiKey) {
-    this.openai = new OpenAI({ apiKey });
+/**
+ * Model access, plus corpus packs that add to or override the built-in ones
+ * for this agent only (see loadCorpusPack)
+ * @typedef {import('../llm/index.js').LLMOptions & { corpusPacks?: object[] }} LegalMapperAgentOptions
+ */
+
+export class LegalMapperAgent {
+  /**
+   * @param {LegalMapperAgentOptions|string} [options] - Provider options, or an OpenAI API key
+   */
+  constructor(options = {}) {
+    this.llmOptions = options;
+    this.llm = null;
     this.model = 'gpt-4-turbo-preview';
-    this.vectorDB = null; // Will be initialized with Pinecone/Weaviate
+    this.corpusPacks = new Map((options.corpusPacks || []).map(pack => {
+      const validated = CorpusPackSchema.parse(pack);
+      return [validated.jurisdiction.toUpperCase(), validated];
+    }));
+  }
+
+  /**
+   * Provider resolved on first use, so quickCheck() needs no credentials
+   */
+  getLLM() {
+    this.llm ??= resolveLLM(this.llmOptions);
+    return this.llm;
   }
 
   /**
@@ -145,17 +173,18 @@ class LegalMapperAgent {
       const prompt = this.buildPrompt(caseData, jurisdiction, relevantCodes, relevantCases);
       
       // 5. Get LLM analysis
-      const response = await this.openai.chat.completions.create({
+      const llm = this.getLLM();
+      const response = await llm.chat({
         model: this.model,
         messages: [
           { role: 'system', content: this.getSystemPrompt() },
           { role: 'user', content: prompt }
         ],
-        response_format: { type: 'json_object' },
+        responseFormat: { type: 'json_object' },
         temperature: 0.2, // Low temp for legal precision
       });
 
-      const content = response.choices[0].message.content;
+      const content = response.content;
       const analysis = JSON.parse(content);
       
       // 6. Validate against schema
@@ -165,6 +194,7 @@ class LegalMapperAgent {
       validated.metadata.lastUpdated = new Date().toISOString();
       validated.metadata.agent = 'LegalMapperAgent';
       validated.metadata.version = '1.0';
+      validated.metadata.lawAsOf = caseLegalDates(caseData);
       
       return {
         success: true,
@@ -221,8 +251,14 @@ Output must be valid JSON matching the legal analysis schema.`;
     prompt += `\n\n`;
     
     prompt += `=== APPLICABLE STATUTES (from legal database) ===\n`;
+    if (!codes.some(code => code.jurisdiction !== FEDERAL_JURISDICTION)) {
+      prompt += `No state law on file for ${jurisdiction.state}. Cite a state statute only if you are certain of it.\n`;
+    }
     for (const code of codes) {
-      prompt += `\n**${code.citation}**: ${code.title}\n`;
+      prompt += `\n**${code.citation}**: ${code.title}${code.type === 'ordinance' ? ` (${code.localities[0]} ordinance)` : ''}\n`;
+      if (code.version && !code.version.current) {
+        prompt += `(Text in force on ${code.version.asOf}, the ${code.version.basis === 'leaseSigned' ? 'lease signing' : 'first notice'} date - amended ${code.version.amendedOn}${code.version.amendedBy ? ` by ${code.version.amendedBy}` : ''}. Apply this text, not the amendment.)\n`;
+      }
       prompt += `${code.summary}\n`;
       if (code.fullText) {
         prompt += `Full text: ${code.fullText.substring(0, 500)}...\n`;
@@ -341,82 +377,39 @@ Output must be valid JSON matching the legal analysis schema.`;
   }
 
   /**
-   * Retrieve relevant legal codes using RAG
-   * In production, this queries a vector database
+   * Statutes, regulations and local ordinances from the legal corpus,
+   * ranked by the case's issues
    */
   async retrieveRelevantCodes(caseData, jurisdiction) {
-    // TODO: Implement vector DB query
-    // For now, return Georgia landlord-tenant statutes as example
-    
-    if (jurisdiction.state === 'GA') {
-      return [
-        {
-          citation: 'O.C.G.A. § 44-7-13',
-          title: 'Duty to keep premises in repair',
-          category: 'habitability',
-          summary: 'Landlord must keep premises in repair, comply with building codes, and maintain fit and habitable condition.',
-          fullText: 'O.C.G.A. § 44-7-13 (2010)\n§ 44-7-13. Duties of landlord; remedies of tenant\n\n(a) The landlord has an implied duty to keep the premises in repair. The landlord is responsible for compliance with applicable building and housing codes materially affecting health and safety.\n\n(b) If the landlord fails to make repairs, the tenant may:\n(1) Terminate the lease;\n(2) Make repairs and deduct the cost from rent;\n(3) Recover damages; or\n(4) Seek injunctive relief.',
-        },
-        {
-          citation: 'O.C.G.A. § 44-7-14',
-          title: 'Notice requirements for repairs',
-          category: 'repairs',
-          summary: 'Tenant must provide written notice to landlord of need for repairs. Landlord has reasonable time to make repairs.',
-          fullText: 'O.C.G.A. § 44-7-14 - Tenant must give landlord written notice and reasonable time to repair before exercising remedies.',
-        },
-        {
-          citation: 'O.C.G.A. § 13-6-11',
-          title: 'Attorney fees in bad faith cases',
-          category: 'attorney_fees',
-          summary: 'In contract actions, attorney fees may be awarded if claim or defense was interposed in bad faith or to unnecessarily delay.',
-          fullText: 'O.C.G.A. § 13-6-11 - Attorney fees and expenses may be awarded where the defendant has acted in bad faith, has been stubbornly litigious, or has caused the plaintiff unnecessary trouble and expense.',
-        },
-        {
-          citation: 'Georgia HB 404 (Safe at Home Act)',
-          title: 'Safe at Home Act - Habitability protections',
-          category: 'habitability',
-          summary: 'Strengthens tenant rights regarding habitability, allows lease termination for unsafe conditions.',
-          fullText: 'HB 404 (2024) strengthens warranty of habitability, allows tenants to terminate lease if conditions pose imminent threat to health/safety, prohibits retaliation.',
-        },
-        {
-          citation: 'O.C.G.A. § 44-7-20',
-          title: 'Constructive eviction',
-          category: 'constructive_eviction',
-          summary: 'If landlord\'s conduct renders premises uninhabitable, tenant may treat it as eviction.',
-          fullText: 'Constructive eviction occurs when landlord\'s acts or omissions substantially interfere with tenant\'s beneficial use and enjoyment, forcing tenant to vacate.',
-        },
-      ];
-    }
-    
-    // For other states, would query vector DB
-    return [];
+    return searchCorpus({
+      ...this.corpusQuery(caseData, jurisdiction),
+      types: ['statute', 'regulation', 'ordinance'],
+      limit: 12,
+    }, this.corpusPacks);
   }
 
   /**
-   * Retrieve relevant case law
+   * Controlling cases from the legal corpus
    */
   async retrieveRelevantCaseLaw(caseData, jurisdiction) {
-    // TODO: Implement case law database query
-    // For now, return example Georgia cases
-    
-    if (jurisdiction.state === 'GA') {
-      return [
-        {
-          citation: 'Kalandyk v. Butz, 271 Ga. App. 836 (2005)',
-          court: 'Georgia Court of Appeals',
-          year: 2005,
-          holding: 'Landlord breached warranty of habitability due to persistent water leaks and mold. Tenant entitled to rent abatement and damages.',
-        },
-        {
-          citation: 'Stephens v. Wachtel, 225 Ga. App. 706 (1997)',
-          court: 'Georgia Court of Appeals',
-          year: 1997,
-          holding: 'Landlord who fails to repair dangerous conditions after notice may be liable for negligence.',
-        },
-      ];
-    }
-    
-    return [];
+    return searchCorpus({
+      ...this.corpusQuery(caseData, jurisdiction),
+      types: ['case'],
+      limit: 5,
+    }, this.corpusPacks);
+  }
+
+  corpusQuery(caseData, jurisdiction) {
+    const topics = [...REMEDY_TOPICS];
+    if (caseData.moveOut) topics.push('security-deposits');
+
+    return {
+      state: jurisdiction.state,
+      issues: caseIssueCategories(caseData),
+      topics,
+      localities: [jurisdiction.city, jurisdiction.county],
+      dates: caseLegalDates(caseData),
+    };
   }
 
   /**
@@ -434,10 +427,14 @@ Output must be valid JSON matching the legal analysis schema.`;
     const hasPlumbingFailure = caseData.issues.some(i => i.category === 'plumbing_failure');
     const durationOver30Days = caseData.timeline.durationDays > 30;
     const landlordNotified = !!caseData.timeline.firstNotificationToLandlord;
+
+    // The state's own statutes when the corpus has them
+    const habitabilityCode = codes.find(c => c.type === 'statute' && c.topics.includes('habitability'));
+    const repairCode = codes.find(c => c.type === 'statute' && c.topics.includes('repairs')) || habitabilityCode;
     
     if ((hasWaterLeak || hasMold || hasPlumbingFailure) && durationOver30Days && landlordNotified) {
       likelyViolations.push({
-        statute: 'O.C.G.A. § 44-7-13',
+        statute: habitabilityCode?.citation || 'Implied warranty of habitability',
         title: 'Breach of Warranty of Habitability',
         likelihood: 'high',
       });
@@ -445,7 +442,7 @@ Output must be valid JSON matching the legal analysis schema.`;
     
     if (durationOver30Days && landlordNotified) {
       likelyViolations.push({
-        statute: 'O.C.G.A. § 44-7-13',
+        statute: repairCode?.citation || 'Landlord\'s duty to repair',
         title: 'Failure to Repair',
         likelihood: 'high',
       });
@@ -458,7 +455,7 @@ Output must be valid JSON matching the legal analysis schema.`;
   }
 }
 
-module.exports = { LegalMapperAgent, LegalAnalysisSchema };
+export default LegalMapperAgent;
 
 // Example usage:
 /*
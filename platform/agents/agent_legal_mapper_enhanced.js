@@ -8,17 +8,13 @@
  * - Predictive outcome modeling
  */
 
-import OpenAI from 'openai';
 import { z } from 'zod';
 import LegalLibrary from '../legal-intelligence/legal-library.js';
 import GameTheoryEngine from '../legal-intelligence/game-theory-engine.js';
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const legalLibrary = new LegalLibrary();
-const gameTheory = new GameTheoryEngine();
-
-// Initialize legal library
-await legalLibrary.initialize();
+import { searchCorpus, caseIssueCategories, CorpusPackSchema, REMEDY_TOPICS } from '../legal-intelligence/legal-corpus.js';
+import { caseLegalDates, governingDate } from '../legal-intelligence/statute-versions.js';
+import { GOOD_LAW_STATUSES } from '../legal-intelligence/citation-graph.js';
+import { resolveLLM } from '../llm/index.js';
 
 // Output schema (enhanced)
 const LegalAnalysisSchema = z.object({
@@ -83,6 +79,7 @@ const LegalAnalysisSchema = z.object({
       outcome: z.string(),
       relevance: z.number(),
       citeCount: z.number(),
+      goodLaw: z.enum(GOOD_LAW_STATUSES).optional(), // From the library's citation graph
     })),
     researchMemo: z.string(),
     confidence: z.number(),
@@ -108,11 +105,25 @@ const LegalAnalysisSchema = z.object({
 // ENHANCED LEGAL MAPPER CLASS
 // ============================================================================
 
+/**
+ * Model access, the orchestrator's library and engine to reuse, and corpus
+ * packs that add to or override the built-in ones (see loadCorpusPack)
+ * @typedef {import('../llm/index.js').LLMOptions & { legalLibrary?: LegalLibrary, gameTheory?: GameTheoryEngine, corpusPacks?: object[] }} EnhancedLegalMapperAgentOptions
+ */
+
 export class EnhancedLegalMapperAgent {
-  constructor() {
-    this.openai = openai;
-    this.legalLibrary = legalLibrary;
-    this.gameTheory = gameTheory;
+  /**
+   * @param {EnhancedLegalMapperAgentOptions} [options]
+   */
+  constructor(options = {}) {
+    this.llm = resolveLLM(options);
+    this.log = options.log || console.log;
+    this.legalLibrary = options.legalLibrary || new LegalLibrary({ llm: this.llm, log: this.log });
+    this.gameTheory = options.gameTheory || new GameTheoryEngine({ llm: this.llm, log: this.log });
+    this.corpusPacks = new Map((options.corpusPacks || []).map((pack) => {
+      const validated = CorpusPackSchema.parse(pack);
+      return [validated.jurisdiction.toUpperCase(), validated];
+    }));
   }
 
   /**
@@ -125,15 +136,15 @@ export class EnhancedLegalMapperAgent {
       runPredictions = true,
     } = options;
 
-    console.log('\n🧠 ENHANCED Legal Mapping Analysis\n');
+    this.log('\n🧠 ENHANCED Legal Mapping Analysis\n');
 
     // STEP 1: Base legal analysis (existing logic)
-    console.log('📋 Step 1: Base legal analysis...');
+    this.log('📋 Step 1: Base legal analysis...');
     const baseAnalysis = await this.performBaseLegalAnalysis(caseData);
 
     // STEP 2: Deep legal research (NEW)
     if (deepResearch) {
-      console.log('🔍 Step 2: Deep legal research...');
+      this.log('🔍 Step 2: Deep legal research...');
       baseAnalysis.legalResearch = await this.performDeepResearch(
         caseData,
         baseAnalysis,
@@ -143,7 +154,7 @@ export class EnhancedLegalMapperAgent {
 
     // STEP 3: Predictive modeling (NEW)
     if (runPredictions) {
-      console.log('🎲 Step 3: Predictive modeling...');
+      this.log('🎲 Step 3: Predictive modeling...');
       baseAnalysis.predictions = await this.generatePredictions(
         caseData,
         baseAnalysis
@@ -153,7 +164,7 @@ export class EnhancedLegalMapperAgent {
     // Validate final output
     const validated = LegalAnalysisSchema.parse(baseAnalysis);
 
-    console.log('✅ Enhanced legal analysis complete\n');
+    this.log('✅ Enhanced legal analysis complete\n');
     return validated;
   }
 
@@ -167,11 +178,14 @@ export class EnhancedLegalMapperAgent {
       city: caseData.property.city || undefined,
     };
 
+    // Ground the analysis in the offline corpus
+    const authorities = this.corpusAuthorities(caseData, ['statute', 'regulation', 'ordinance', 'case'], 15);
+
     // Build comprehensive prompt
-    const prompt = this.buildLegalAnalysisPrompt(caseData, jurisdiction);
+    const prompt = this.buildLegalAnalysisPrompt(caseData, jurisdiction, authorities);
 
     // Call GPT-4 for analysis
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: 'gpt-4-turbo-preview',
       messages: [
         {
@@ -183,12 +197,12 @@ export class EnhancedLegalMapperAgent {
           content: prompt,
         },
       ],
-      response_format: { type: 'json_object' },
+      responseFormat: { type: 'json_object' },
       temperature: 0.2,
-      max_tokens: 4000,
+      maxTokens: 4000,
     });
 
-    const analysis = JSON.parse(response.choices[0].message.content);
+    const analysis = JSON.parse(response.content);
 
     return {
       jurisdiction,
@@ -209,21 +223,31 @@ export class EnhancedLegalMapperAgent {
     // Build research query from case facts
     const query = this.buildResearchQuery(caseData, baseAnalysis);
 
-    console.log(`  → Searching legal database for: "${query}"`);
+    this.log(`  → Searching legal database for: "${query}"`);
 
-    // Search for relevant statutes
-    const statutes = await this.legalLibrary.searchStatutes(
+    await this.legalLibrary.initialize();
+
+    // Corpus authority first, then whatever the library adds
+    const corpusStatutes = this.corpusAuthorities(caseData, ['statute', 'regulation', 'ordinance'], 10)
+      .map((entry) => ({ code: entry.citation, title: entry.title, fullText: entry.fullText || entry.summary, relevanceScore: entry.relevanceScore }));
+
+    // Search for relevant statutes, as they read when the landlord was told
+    const statutes = mergeResearch(corpusStatutes, await this.legalLibrary.searchStatutes(
       query,
       caseData.property.state,
-      { topK: 15, includeFullText: true }
-    );
+      { topK: 15, includeFullText: true, asOf: governingDate([], caseLegalDates(caseData))?.date }
+    ), (s) => s.code);
 
-    console.log(`  ✓ Found ${statutes.length} relevant statutes`);
+    this.log(`  ✓ Found ${statutes.length} relevant statutes`);
 
     // Search for supporting case law
     let cases = [];
     if (includeCaseLaw) {
-      cases = await this.legalLibrary.searchCaseLaw(
+      // Corpus cases are controlling authority whatever their age or citation count
+      const corpusCases = this.corpusAuthorities(caseData, ['case'], 5)
+        .map((entry) => ({ citation: entry.citation, year: entry.year, holdingText: entry.holding, outcome: 'unknown', citeCount: 0, relevanceScore: entry.relevanceScore }));
+
+      cases = mergeResearch(corpusCases, await this.legalLibrary.searchCaseLaw(
         query,
         caseData.property.state,
         {
@@ -231,9 +255,9 @@ export class EnhancedLegalMapperAgent {
           minYear: 2000,
           minCitations: 5,
         }
-      );
+      ), (c) => c.citation);
 
-      console.log(`  ✓ Found ${cases.length} supporting cases`);
+      this.log(`  ✓ Found ${cases.length} supporting cases`);
     }
 
     // Generate research memo with AI
@@ -259,12 +283,28 @@ export class EnhancedLegalMapperAgent {
         outcome: c.outcome,
         relevance: c.relevanceScore,
         citeCount: c.citeCount,
+        goodLaw: c.goodLaw,
       })),
       researchMemo: memo,
       confidence: this.calculateResearchConfidence(statutes, cases),
     };
   }
 
+  /**
+   * Offline corpus entries for the case's state, city and issues
+   */
+  corpusAuthorities(caseData, types, limit) {
+    return searchCorpus({
+      state: caseData.property?.state,
+      issues: caseIssueCategories(caseData),
+      topics: REMEDY_TOPICS,
+      localities: [caseData.property?.city, caseData.property?.county],
+      dates: caseLegalDates(caseData),
+      types,
+      limit,
+    }, this.corpusPacks);
+  }
+
   /**
    * Build research query from case facts
    */
@@ -286,13 +326,13 @@ QUERY: ${query}
 CASE FACTS:
 - Property: ${caseData.property.address}
 - Issues: ${caseData.issues?.map((i) => i.type).join(', ')}
-- Duration: ${caseData.timeline?.length || 0} events
+- Duration: ${caseData.timeline?.durationDays ? `${caseData.timeline.durationDays} days` : 'Unknown'}
 
 RELEVANT STATUTES FOUND:
 ${statutes.slice(0, 5).map((s) => `- ${s.code}: ${s.title}\n  Relevance: ${(s.relevanceScore * 100).toFixed(1)}%`).join('\n')}
 
 SUPPORTING CASE LAW:
-${cases.slice(0, 5).map((c) => `- ${c.citation} (${c.year}) - ${c.outcome}\n  Cited ${c.citeCount} times\n  Holding: ${c.holdingText?.substring(0, 200)}...`).join('\n\n')}
+${cases.slice(0, 5).map((c) => `- ${c.citation} (${c.year}) - ${c.outcome}\n  Cited ${c.citeCount} times${c.goodLaw === 'questioned' ? ' (questioned - distinguished or criticized by later cases)' : ''}\n  Holding: ${c.holdingText?.substring(0, 200)}...`).join('\n\n')}
 
 Generate a memo with:
 1. **Issue Statement** - What legal questions are presented?
@@ -305,14 +345,14 @@ Generate a memo with:
 Be thorough but concise. Cite specific statutes and cases.`;
 
     try {
-      const response = await this.openai.chat.completions.create({
+      const response = await this.llm.chat({
         model: 'gpt-4-turbo-preview',
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.3,
-        max_tokens: 3000,
+        maxTokens: 3000,
       });
 
-      return response.choices[0].message.content;
+      return response.content;
     } catch (error) {
       return 'Research memo generation failed. Manual review required.';
     }
@@ -345,7 +385,7 @@ Be thorough but concise. Cite specific statutes and cases.`;
    * PREDICTIVE MODELING (NEW)
    */
   async generatePredictions(caseData, baseAnalysis) {
-    console.log('  → Running game theory analysis...');
+    this.log('  → Running game theory analysis...');
 
     // Run full game theory analysis
     const gameTheoryAnalysis = await this.gameTheory.analyzeCase(
@@ -371,7 +411,10 @@ Be thorough but concise. Cite specific statutes and cases.`;
   /**
    * Build legal analysis prompt
    */
-  buildLegalAnalysisPrompt(caseData, jurisdiction) {
+  buildLegalAnalysisPrompt(caseData, jurisdiction, authorities = []) {
+    const codes = authorities.filter((a) => a.type !== 'case');
+    const cases = authorities.filter((a) => a.type === 'case');
+
     return `Analyze this landlord-tenant case under ${jurisdiction.state} law.
 
 TENANT: ${caseData.tenant?.name || 'Unknown'}
@@ -391,11 +434,17 @@ ${caseData.issues?.map((issue, i) => `${i + 1}. ${issue.type}
    - Landlord Notified: ${issue.landlordNotified ? 'Yes' : 'No'}`).join('\n\n') || 'No issues documented'}
 
 TIMELINE:
-${caseData.timeline?.slice(0, 10).map((event, i) => `${i + 1}. ${event.date}: ${event.description}`).join('\n') || 'No timeline available'}
+${timelineMarkers(caseData.timeline).join('\n') || 'No timeline available'}
 
 HEALTH IMPACTS:
 ${caseData.healthImpacts?.map((h) => `- ${h.type}: ${h.description}`).join('\n') || 'None reported'}
 
+AUTHORITIES ON FILE:
+${codes.map((c) => `- ${c.citation}: ${c.title}${versionNote(c)}\n  ${c.summary}`).join('\n') || 'None on file for this state - cite a statute only if you are certain of it'}
+
+CASE LAW ON FILE:
+${cases.map((c) => `- ${c.citation}: ${c.holding}`).join('\n') || 'None on file'}
+
 TASK: Identify ALL violated statutes, legal theories, and assess case strength.
 Return JSON with violations, legalTheories, caseStrength (1-10), and attorneyFeesAvailable.`;
   }
@@ -432,6 +481,34 @@ Return detailed JSON analysis.`;
   }
 }
 
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+// First list wins on duplicates (the corpus over the library's copy)
+function mergeResearch(first, second, keyOf) {
+  const seen = new Set(first.map(keyOf));
+  return [...first, ...second.filter((item) => item && !seen.has(keyOf(item)))];
+}
+
+// Dated markers from the intake timeline
+function timelineMarkers(timeline = {}) {
+  return [
+    timeline.firstIssueDate && `- First issue: ${timeline.firstIssueDate}`,
+    timeline.firstNotificationToLandlord && `- Landlord notified: ${timeline.firstNotificationToLandlord}`,
+    timeline.landlordResponseDate && `- Landlord responded: ${timeline.landlordResponseDate}`,
+    timeline.repairAttemptDates?.length > 0 && `- Repair attempts: ${timeline.repairAttemptDates.join(', ')}`,
+    timeline.durationDays && `- Duration: ${timeline.durationDays} days`,
+  ].filter(Boolean);
+}
+
+// Marks an authority read as an earlier version than today's
+function versionNote(authority) {
+  const { version } = authority;
+  if (!version || version.current) return '';
+  return ` (text in force on ${version.asOf}; amended ${version.amendedOn}${version.amendedBy ? ` by ${version.amendedBy}` : ''})`;
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -472,11 +549,12 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         landlordNotified: true,
       },
     ],
-    timeline: [
-      { date: '2024-05-15', description: 'Leak discovered' },
-      { date: '2024-05-16', description: 'Landlord notified via text' },
-      { date: '2024-07-15', description: 'Bathroom torn out, no repairs made' },
-    ],
+    timeline: {
+      firstIssueDate: '2024-05-15',
+      firstNotificationToLandlord: '2024-05-16',
+      repairAttemptDates: ['2024-07-15'],
+      durationDays: 61,
+    },
     healthImpacts: [
       {
         type: 'respiratory',
@@ -5,28 +5,149 @@
  * This is the "conductor" of the AI swarm
  */
 
+import { EventEmitter } from 'events';
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
 import IntakeAgent from './agent_intake.js';
+import TimelineArchitectAgent from './agent_timeline.js';
+import HealthImpactAnalyzerAgent from './agent_health.js';
+import DocumentDrafterAgent from './agent_document_drafter.js';
 import EnhancedLegalMapperAgent from './agent_legal_mapper_enhanced.js';
 import DamagesCalculator from './agent_damages.js';
+import { netRecoveryAt } from '../damages/net-recovery.js';
+import { loadDamages } from '../damages/damages-schema.js';
 import AdversarialIntelligence from '../legal-intelligence/adversarial-intelligence.js';
 import GameTheoryEngine from '../legal-intelligence/game-theory-engine.js';
 import LegalLibrary from '../legal-intelligence/legal-library.js';
+import DataIntegrationOrchestrator from '../data-integration/data-integration-orchestrator.js';
+import { resolveLLM } from '../llm/index.js';
+import FileCheckpointStore, { createCaseId, hashInputs, isValidCaseId, InvalidCaseIdError } from '../pipeline/checkpoint-store.js';
+import DAGExecutor from '../pipeline/dag-executor.js';
+import { PIPELINE_EVENTS, serializeError } from '../pipeline/events.js';
+import { ConsoleReporter } from '../pipeline/reporters.js';
+import CasePackageExporter from '../export/case-package-exporter.js';
+import DocumentIngestor from '../ingestion/document-ingestor.js';
+
+// Phase names in execution order (valid values for resumeFrom)
+export const PIPELINE_PHASES = [
+  'intake', 'timeline', 'context', 'legal', 'health', 'damages',
+  'opponent', 'judge', 'strategy', 'qc', 'summary', 'documents',
+];
+
+// Per-phase defaults; LLM-heavy phases get longer budgets
+const DEFAULT_PHASE_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_PHASE_RETRIES = 1;
+
+const DEFAULT_ANALYSIS_OPTIONS = {
+  opponentLawyer: null,
+  opponentFirm: null,
+  judge: null,
+  court: null,
+  deepResearch: true,
+  generateDocuments: true,
+  allowUnconfirmed: false, // price/draft on unconfirmed low-confidence fields
+  // Tenant files read into intake: paths, or { name, data, encoding } for
+  // uploads (string data, e.g. base64, survives checkpointing)
+  files: [],
+  // Fee agreement, costs and liens (NetRecoveryTermsSchema) - adds what the
+  // tenant nets across the recommended settlement range
+  netRecovery: null,
+};
+
+// Anything else passed as the first argument is treated as a raw story
+const CASE_ID_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * Order phases so every phase runs after the phases it depends on
+ * (declaration order is kept where the graph allows it)
+ */
+function orderPhases(phases) {
+  const byName = new Map(phases.map(phase => [phase.name, phase]));
+  const state = new Map(); // name -> 'visiting' | 'done'
+  const ordered = [];
+
+  const visit = (phase, path) => {
+    if (state.get(phase.name) === 'done') return;
+    if (state.get(phase.name) === 'visiting') {
+      throw new Error(`Circular phase dependency: ${[...path, phase.name].join(' → ')}`);
+    }
+
+    state.set(phase.name, 'visiting');
+    for (const dependency of phase.dependsOn) {
+      if (!byName.has(dependency)) {
+        throw new Error(`Phase "${phase.name}" depends on unknown phase "${dependency}"`);
+      }
+      visit(byName.get(dependency), [...path, phase.name]);
+    }
+    state.set(phase.name, 'done');
+    ordered.push(phase);
+  };
+
+  phases.forEach(phase => visit(phase, []));
+  return ordered;
+}
 
 // ============================================================================
 // ORCHESTRATOR CLASS
 // ============================================================================
 
-export class MasterOrchestrator {
-  constructor() {
+/**
+ * @typedef {object} MasterOrchestratorOptions
+ * @property {import('../llm/index.js').LLMProvider} [llm] - One provider shared by
+ *   every agent (OpenAI, local model, or record/replay fixtures); otherwise
+ *   built from provider/apiKey/baseURL/model or the environment
+ * @property {object} [checkpoints] - Phase checkpoint store
+ *   (defaults to a FileCheckpointStore under CHECKPOINT_DIR)
+ * @property {number} [phaseTimeoutMs] - Default per-phase timeout
+ * @property {number} [phaseRetries] - Default retries per failed phase
+ * @property {boolean} [logToConsole] - Attach the console reporter (default true)
+ * @property {object} [export] - CasePackageExporter options (docxTemplatePath, footerText)
+ * @property {object} [ingestion] - DocumentIngestor options (maxFileBytes, tenantAddresses)
+ * @property {object} [legalLibrary] - LegalLibrary options (store, storeDir, embeddings, hybridWeight)
+ */
+
+export class MasterOrchestrator extends EventEmitter {
+  /**
+   * @param {MasterOrchestratorOptions} [options]
+   */
+  constructor(options = {}) {
+    super();
+    this.llm = resolveLLM(options);
+    const llm = this.llm;
+
+    // Agents report progress as events, tagged with the phase running them
+    this.phaseContext = new AsyncLocalStorage();
+    const log = (message) => this.emitProgress(message);
+
     // Initialize all agents
-    this.intakeAgent = new IntakeAgent();
-    this.legalMapper = new EnhancedLegalMapperAgent();
+    this.intakeAgent = new IntakeAgent({ llm, log });
+    this.timelineAgent = new TimelineArchitectAgent({ llm, log });
+    this.healthAgent = new HealthImpactAnalyzerAgent({ llm, log });
+    this.legalLibrary = new LegalLibrary({ llm, log, ...options.legalLibrary });
+    this.gameTheory = new GameTheoryEngine({ llm, log });
+    this.legalMapper = new EnhancedLegalMapperAgent({
+      llm,
+      log,
+      legalLibrary: this.legalLibrary,
+      gameTheory: this.gameTheory,
+    });
     this.damagesCalc = new DamagesCalculator();
-    this.adversarial = new AdversarialIntelligence();
-    this.gameTheory = new GameTheoryEngine();
-    this.legalLibrary = new LegalLibrary();
+    this.adversarial = new AdversarialIntelligence({ llm, log });
+    this.documentDrafter = new DocumentDrafterAgent({ llm, log, legalLibrary: this.legalLibrary });
+    this.dataIntegration = new DataIntegrationOrchestrator({ log });
+    this.checkpoints = options.checkpoints || new FileCheckpointStore();
+    this.executor = new DAGExecutor({
+      timeoutMs: options.phaseTimeoutMs ?? DEFAULT_PHASE_TIMEOUT_MS,
+      retries: options.phaseRetries ?? DEFAULT_PHASE_RETRIES,
+    });
+    this.exporter = new CasePackageExporter(options.export);
+    this.ingestor = new DocumentIngestor(options.ingestion);
 
     this.initialized = false;
+
+    if (options.logToConsole !== false) {
+      this.consoleReporter = new ConsoleReporter().attach(this);
+    }
   }
 
   /**
@@ -35,190 +156,600 @@ export class MasterOrchestrator {
   async initialize() {
     if (this.initialized) return;
 
-    console.log('🚀 Initializing Tenant Justice Platform...\n');
-
-    // Initialize legal library
-    console.log('📚 Loading legal library...');
+    this.emitEvent(PIPELINE_EVENTS.INITIALIZE_START);
     await this.legalLibrary.initialize();
-    console.log('  ✓ Legal library ready\n');
 
     this.initialized = true;
-    console.log('✅ Platform initialized and ready\n');
+    this.emitEvent(PIPELINE_EVENTS.INITIALIZE_COMPLETE);
   }
 
   /**
    * FULL CASE ANALYSIS PIPELINE
    * 
-   * Takes raw tenant story and produces complete legal package
+   * Takes raw tenant story and produces complete legal package.
+   * Every phase's output is checkpointed per case, so a run can be resumed:
+   *
+   *   analyzeCase(story, { caseId: 'smith-2024' })        // fresh run
+   *   analyzeCase('smith-2024', { resumeFrom: 'strategy' }) // reuse intake..judge
+   *   analyzeCase('smith-2024', { resume: true, judge })    // re-run only phases whose inputs changed
+   *
+   * Progress is reported as events (see pipeline/events.js), not printed.
    */
-  async analyzeCase(rawStory, options = {}) {
-    const {
-      opponentLawyer = null,
-      opponentFirm = null,
-      judge = null,
-      court = null,
-      deepResearch = true,
-      generateDocuments = true,
-    } = options;
-
-    console.log('\n' + '='.repeat(80));
-    console.log('🎯 TENANT JUSTICE PLATFORM - FULL CASE ANALYSIS');
-    console.log('='.repeat(80) + '\n');
+  async analyzeCase(input, options = {}) {
+    const { resume = false, resumeFrom = null, phaseOptions = {}, runId = randomUUID() } = options;
+    const run = { runId, caseId: null };
 
     const startTime = Date.now();
     const results = {};
 
     try {
-      // =======================================================================
-      // PHASE 1: INTAKE & STRUCTURING
-      // =======================================================================
-      console.log('📋 PHASE 1: INTAKE & CASE STRUCTURING\n');
-
-      const intake = await this.intakeAgent.analyze(rawStory);
-      results.caseData = intake.caseData;
-      results.metadata = {
-        confidence: intake.confidence,
-        completeness: intake.completeness,
-        missingInfo: intake.missingInfo,
-      };
-
-      console.log(`  ✓ Case structured (${intake.confidence}% confidence)`);
-      console.log(`  ✓ Completeness: ${intake.completeness}%`);
-      
-      if (intake.missingInfo.length > 0) {
-        console.log(`  ⚠️  Missing: ${intake.missingInfo.join(', ')}`);
+      if (resumeFrom && !PIPELINE_PHASES.includes(resumeFrom)) {
+        throw new Error(`Unknown phase "${resumeFrom}" (expected one of: ${PIPELINE_PHASES.join(', ')})`);
       }
-      console.log();
 
-      // =======================================================================
-      // PHASE 2: LEGAL ANALYSIS & RESEARCH
-      // =======================================================================
-      console.log('⚖️  PHASE 2: LEGAL ANALYSIS & RESEARCH\n');
+      const { caseId, rawStory, settings } = await this.resolveCaseInput(input, options);
+      run.caseId = caseId;
+      await this.checkpoints.saveRun(caseId, { rawStory, options: settings });
 
-      const legalAnalysis = await this.legalMapper.analyze(results.caseData, {
-        deepResearch,
-        includeCaseLaw: true,
-        runPredictions: true,
-      });
-      results.legalAnalysis = legalAnalysis;
-
-      console.log(`  ✓ Found ${legalAnalysis.violations.length} statute violations`);
-      console.log(`  ✓ Identified ${legalAnalysis.legalTheories.length} legal theories`);
-      console.log(`  ✓ Case strength: ${legalAnalysis.caseStrength}/10`);
-      
-      if (legalAnalysis.legalResearch) {
-        console.log(`  ✓ Researched ${legalAnalysis.legalResearch.statutes.length} statutes`);
-        console.log(`  ✓ Found ${legalAnalysis.legalResearch.caseLaw.length} supporting cases`);
-      }
-      console.log();
+      const phases = this.definePhases(rawStory, settings);
+      const resumeIndex = resumeFrom ? phases.findIndex(phase => phase.name === resumeFrom) : -1;
+      const pinned = new Set(phases.slice(0, Math.max(resumeIndex, 0)).map(phase => phase.name));
 
-      // =======================================================================
-      // PHASE 3: DAMAGES CALCULATION
-      // =======================================================================
-      console.log('💰 PHASE 3: DAMAGES CALCULATION\n');
+      this.emitEvent(PIPELINE_EVENTS.PIPELINE_START, run, {
+        phases: phases.map(({ name, title, dependsOn }) => ({ name, title, dependsOn })),
+      });
 
-      const damages = await this.damagesCalc.calculate(
-        results.caseData,
-        legalAnalysis
+      // Independent phases run concurrently; per-call overrides:
+      // phaseOptions: { legal: { timeoutMs: 600000, retries: 2 } }
+      const timing = await this.executor.run(
+        phases.map(phase => ({ ...phase, ...phaseOptions[phase.name] })),
+        (phase, { attempt, signal }) => this.executePhase(phase, { run, results, resume, resumeFrom, pinned, attempt, signal }),
+        {
+          onRetry: (phase, attempt, error) => this.emitEvent(PIPELINE_EVENTS.WARNING, run, {
+            phase: phase.name,
+            message: `Attempt ${attempt} failed (${error.message}) - retrying`,
+          }),
+        }
       );
-      results.damages = damages;
-
-      console.log(`  ✓ Conservative: $${damages.conservative.total.toLocaleString()}`);
-      console.log(`  ✓ Recommended: $${damages.recommended.total.toLocaleString()}`);
-      console.log(`  ✓ Aggressive: $${damages.aggressive.total.toLocaleString()}`);
-      console.log();
-
-      // =======================================================================
-      // PHASE 4: ADVERSARIAL INTELLIGENCE (if opponent known)
-      // =======================================================================
-      if (opponentLawyer && opponentFirm) {
-        console.log('🕵️  PHASE 4: ADVERSARIAL INTELLIGENCE\n');
-
-        const opponentIntel = await this.adversarial.profileLawyer(
-          opponentLawyer,
-          opponentFirm
-        );
-        results.opponentIntel = opponentIntel;
-
-        console.log(`  ✓ Opponent profiled: ${opponentLawyer}`);
-        console.log(`  ✓ Win rate: ${opponentIntel.profile.caseHistory?.wins || 0}/${opponentIntel.profile.caseHistory?.totalCases || 0}`);
-        console.log(`  ✓ Weaknesses identified: ${opponentIntel.weaknesses.length}`);
-        console.log();
+
+      const pipeline = { executed: [], restored: [], skipped: [] };
+      for (const [name, phaseTiming] of Object.entries(timing.phases)) {
+        pipeline[phaseTiming.status]?.push(name);
       }
 
-      if (judge && court) {
-        console.log('⚖️  JUDGE PROFILING\n');
+      results.metadata = { ...results.metadata, caseId, pipeline, timing };
+
+      this.emitEvent(PIPELINE_EVENTS.PIPELINE_COMPLETE, run, {
+        durationMs: Date.now() - startTime,
+        timing,
+        results,
+      });
+
+      return results;
+
+    } catch (error) {
+      this.emitEvent(PIPELINE_EVENTS.PIPELINE_ERROR, run, { error: serializeError(error) });
+      throw error;
+    }
+  }
+
+  /**
+   * Async-iterator form of analyzeCase: yields every event of one run, ending
+   * with pipeline-complete (whose payload has the results). Rethrows on failure.
+   *
+   *   for await (const event of orchestrator.analyzeCaseStream(story)) { ... }
+   */
+  async *analyzeCaseStream(input, options = {}) {
+    const runId = options.runId || randomUUID();
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+
+    const onEvent = (event) => {
+      if (event.runId !== runId) return;
+      queue.push(event);
+      wake?.();
+    };
 
-        const judgeIntel = await this.adversarial.profileJudge(judge, court);
-        results.judgeIntel = judgeIntel;
+    this.on('event', onEvent);
+
+    const pending = this.analyzeCase(input, { ...options, runId })
+      .catch(error => { failure = error; })
+      .finally(() => {
+        finished = true;
+        wake?.();
+      });
 
-        console.log(`  ✓ Judge profiled: ${judge}`);
-        console.log(`  ✓ Tenant bias: ${judgeIntel.predictions.tenantBias > 0 ? 'Pro-tenant' : 'Neutral'}`);
-        console.log();
+    try {
+      while (true) {
+        while (queue.length > 0) yield queue.shift();
+        if (finished) break;
+        await new Promise(resolve => { wake = resolve; });
+        wake = null;
       }
 
-      // =======================================================================
-      // PHASE 5: GAME THEORY & STRATEGY
-      // =======================================================================
-      console.log('🎲 PHASE 5: GAME THEORY & OPTIMAL STRATEGY\n');
+      await pending;
+      if (failure) throw failure;
+    } finally {
+      this.off('event', onEvent);
+    }
+  }
 
-      const strategy = await this.gameTheory.analyzeCase(
-        results.caseData,
-        legalAnalysis,
-        results.opponentIntel?.profile || null
-      );
-      results.strategy = strategy;
-
-      console.log(`  ✓ Ran 10,000 Monte Carlo simulations`);
-      console.log(`  ✓ Win probability: ${(strategy.simulations.statistics.winRate * 100).toFixed(1)}%`);
-      console.log(`  ✓ Expected value: $${Math.round(strategy.expectedValues.optimal.expectedValue).toLocaleString()}`);
-      console.log(`  ✓ Optimal strategy: ${strategy.optimalStrategy.primaryApproach}`);
-      console.log();
-
-      // =======================================================================
-      // PHASE 6: QUALITY CONTROL
-      // =======================================================================
-      console.log('✅ PHASE 6: QUALITY CONTROL\n');
-
-      const qualityCheck = this.performQualityControl(results);
-      results.qualityCheck = qualityCheck;
-
-      console.log(`  ✓ Overall quality: ${qualityCheck.score}/100`);
-      console.log(`  ✓ Evidence strength: ${qualityCheck.evidenceStrength}/10`);
-      console.log(`  ✓ Legal basis: ${qualityCheck.legalBasis}/10`);
-      console.log();
-
-      // =======================================================================
-      // PHASE 7: EXECUTIVE SUMMARY
-      // =======================================================================
-      console.log('📊 PHASE 7: GENERATING EXECUTIVE SUMMARY\n');
-
-      const summary = await this.generateExecutiveSummary(results);
-      results.executiveSummary = summary;
-
-      console.log('  ✓ Executive summary generated');
-      console.log();
-
-      // =======================================================================
-      // COMPLETION
-      // =======================================================================
-      const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-
-      console.log('='.repeat(80));
-      console.log(`✅ ANALYSIS COMPLETE (${duration}s)`);
-      console.log('='.repeat(80));
-      console.log();
-      console.log('📊 EXECUTIVE SUMMARY:');
-      console.log(summary);
-      console.log();
+  /**
+   * Emit a typed event, plus the same event on the catch-all 'event' channel
+   */
+  emitEvent(type, run = {}, payload = {}) {
+    const event = {
+      type,
+      runId: run.runId || null,
+      caseId: run.caseId || null,
+      timestamp: new Date().toISOString(),
+      ...payload,
+    };
 
-      return results;
+    this.emit(type, event);
+    this.emit('event', event);
+    return event;
+  }
 
-    } catch (error) {
-      console.error('\n❌ Analysis failed:', error.message);
-      console.error(error.stack);
+  /**
+   * Progress line from an agent, as a progress event for the phase it runs in.
+   * Lines from a timed-out attempt are dropped along with its results.
+   */
+  emitProgress(message) {
+    const context = this.phaseContext.getStore();
+    if (context?.signal?.aborted) return;
+
+    this.emitEvent(PIPELINE_EVENTS.PROGRESS, context?.run, {
+      phase: context?.phase || null,
+      message: String(message).trim(),
+    });
+  }
+
+  /**
+   * Run (or restore) one phase for the DAG executor. Returns the phase status.
+   * An attempt whose signal was aborted (it timed out and the executor moved
+   * on) publishes nothing: no checkpoint, results or events.
+   */
+  async executePhase(phase, { run, results, resume, resumeFrom, pinned, attempt, signal }) {
+    const { caseId } = run;
+    const complete = (status, extra = {}) => this.emitEvent(PIPELINE_EVENTS.PHASE_COMPLETE, run, {
+      phase: phase.name,
+      title: phase.title,
+      status,
+      durationMs: 0,
+      highlights: [],
+      ...extra,
+    });
+
+    if (phase.skip?.(results)) {
+      complete('skipped');
+      return 'skipped';
+    }
+
+    const inputHash = hashInputs(phase.inputs(results));
+    const isPinned = pinned.has(phase.name);
+    const forced = Boolean(resumeFrom) && !isPinned;
+
+    const checkpoint = !forced && (resume || isPinned)
+      ? await this.checkpoints.load(caseId, phase.name)
+      : null;
+
+    if (isPinned && !checkpoint) {
+      const error = new Error(`Cannot resume case "${caseId}" from "${resumeFrom}": no checkpoint for phase "${phase.name}"`);
+      error.retryable = false;
+      throw error;
+    }
+
+    if (checkpoint && (isPinned || checkpoint.inputHash === inputHash)) {
+      const output = phase.restore ? phase.restore(checkpoint.output) : checkpoint.output;
+      signal?.throwIfAborted();
+      Object.assign(results, output);
+      complete('restored', { completedAt: checkpoint.completedAt });
+      this.emitEvent(PIPELINE_EVENTS.PARTIAL_RESULT, run, { phase: phase.name, output });
+      return 'restored';
+    }
+
+    this.emitEvent(PIPELINE_EVENTS.PHASE_START, run, { phase: phase.name, title: phase.title, attempt });
+
+    const highlights = [];
+    const report = {
+      highlight: (message) => highlights.push(message),
+      warn: (message) => {
+        if (!signal?.aborted) this.emitEvent(PIPELINE_EVENTS.WARNING, run, { phase: phase.name, message });
+      },
+    };
+
+    const phaseStart = Date.now();
+    const output = await this.phaseContext.run({ run, phase: phase.name, signal }, () => phase.run(results, report));
+    const completedAt = new Date().toISOString();
+    const durationMs = Date.now() - phaseStart;
+
+    signal?.throwIfAborted();
+    await this.checkpoints.save(caseId, phase.name, { inputHash, completedAt, durationMs, output });
+    signal?.throwIfAborted();
+
+    Object.assign(results, output);
+    complete('executed', { durationMs, highlights, completedAt });
+    this.emitEvent(PIPELINE_EVENTS.PARTIAL_RESULT, run, { phase: phase.name, output });
+    return 'executed';
+  }
+
+  /**
+   * Work out which case is being analyzed. A short id plus resume/resumeFrom
+   * loads the story and options saved by the previous run; explicit options
+   * override the saved ones.
+   */
+  async resolveCaseInput(input, options) {
+    const {
+      resume = false,
+      resumeFrom = null,
+      caseId = null,
+      rawStory = null,
+      phaseOptions = null, // execution tuning, not part of the case
+      runId = null,
+      ...overrides
+    } = options;
+
+    const resuming = resume || Boolean(resumeFrom);
+    const byId = resuming && !caseId && CASE_ID_PATTERN.test(input);
+    const id = caseId || (byId ? input : createCaseId(input));
+    if (!isValidCaseId(id)) throw new InvalidCaseIdError(id);
+    const savedRun = resuming ? await this.checkpoints.loadRun(id) : null;
+
+    if (byId && !savedRun) {
+      throw new Error(`No checkpoints found for case "${id}"`);
+    }
+
+    return {
+      caseId: id,
+      rawStory: byId ? (rawStory ?? savedRun.rawStory) : input,
+      settings: { ...DEFAULT_ANALYSIS_OPTIONS, ...savedRun?.options, ...overrides },
+    };
+  }
+
+  /**
+   * Phase graph for analyzeCase. Phases start as soon as everything in
+   * `dependsOn` has finished. `inputs` is hashed to decide whether a saved
+   * checkpoint is still valid; `run(results, report)` returns the fields merged
+   * into results and reports progress via report.highlight / report.warn.
+   * `restore(output)` upgrades a checkpoint saved by an older version.
+   * `timeoutMs` / `retries` override the executor defaults.
+   */
+  definePhases(rawStory, settings) {
+    const { opponentLawyer, opponentFirm, judge, court, deepResearch, generateDocuments, allowUnconfirmed, files, netRecovery } = settings;
+    const profileOpponent = Boolean(opponentLawyer && opponentFirm);
+    const profileJudge = Boolean(judge && court);
+
+    // generateDocuments: true, or DocumentDrafterAgent options
+    // ({ tone, includeComplaint, includeDiscovery, settlementTerms, ... })
+    const documentOptions = typeof generateDocuments === 'object'
+      ? { court, allowUnconfirmed, ...generateDocuments }
+      : { court, allowUnconfirmed };
+
+    return orderPhases([
+      {
+        name: 'intake',
+        title: '📋 PHASE 1: INTAKE & CASE STRUCTURING',
+        dependsOn: [],
+        inputs: () => ({ rawStory, files }),
+        run: (r, report) => this.runIntakePhase(rawStory, files, report),
+      },
+      {
+        name: 'timeline',
+        title: '🕐 PHASE 2: FORENSIC TIMELINE',
+        dependsOn: ['intake'],
+        inputs: (r) => ({ caseData: r.caseData }),
+        run: (r, report) => this.runTimelinePhase(r.caseData, report),
+      },
+      {
+        name: 'context',
+        title: '🔍 PHASE 3: DATA INTEGRATION CONTEXT',
+        dependsOn: ['intake'],
+        timeoutMs: 2 * 60 * 1000,
+        inputs: (r) => ({ caseData: r.caseData }),
+        run: (r, report) => this.runContextPhase(r.caseData, report),
+      },
+      {
+        name: 'legal',
+        title: '⚖️  PHASE 4: LEGAL ANALYSIS & RESEARCH',
+        dependsOn: ['intake'],
+        timeoutMs: deepResearch ? 10 * 60 * 1000 : undefined,
+        inputs: (r) => ({ caseData: r.caseData, deepResearch }),
+        run: (r, report) => this.runLegalPhase(r.caseData, deepResearch, report),
+      },
+      {
+        name: 'health',
+        title: '🏥 PHASE 5: HEALTH IMPACT & CAUSATION',
+        dependsOn: ['intake', 'timeline'],
+        inputs: (r) => ({ caseData: r.caseData, timelineAnalysis: r.timelineAnalysis }),
+        run: (r, report) => this.runHealthPhase(r.caseData, r.timelineAnalysis, report),
+      },
+      {
+        name: 'damages',
+        title: '💰 PHASE 6: DAMAGES CALCULATION',
+        dependsOn: ['intake', 'legal', 'health'],
+        retries: 0,
+        inputs: (r) => ({
+          caseData: r.caseData,
+          legalAnalysis: r.legalAnalysis,
+          healthAnalysis: r.healthAnalysis,
+          allowUnconfirmed,
+          netRecovery,
+        }),
+        run: (r, report) => this.runDamagesPhase(r, { allowUnconfirmed, netRecovery }, report),
+        restore: (output) => ({ ...output, damages: loadDamages(output.damages) }),
+      },
+      {
+        name: 'opponent',
+        title: '🕵️  PHASE 7: ADVERSARIAL INTELLIGENCE',
+        dependsOn: [],
+        skip: () => !profileOpponent,
+        inputs: () => ({ opponentLawyer, opponentFirm }),
+        run: (r, report) => this.runOpponentPhase(opponentLawyer, opponentFirm, report),
+      },
+      {
+        name: 'judge',
+        title: '⚖️  PHASE 8: JUDGE PROFILING',
+        dependsOn: [],
+        skip: () => !profileJudge,
+        inputs: () => ({ judge, court }),
+        run: (r, report) => this.runJudgePhase(judge, court, report),
+      },
+      {
+        name: 'strategy',
+        title: '🎲 PHASE 9: GAME THEORY & OPTIMAL STRATEGY',
+        dependsOn: ['intake', 'legal', 'damages', 'opponent'],
+        inputs: (r) => ({
+          caseData: r.caseData,
+          legalAnalysis: r.legalAnalysis,
+          damages: r.damages,
+          opponentProfile: r.opponentIntel?.profile || null,
+        }),
+        run: (r, report) => this.runStrategyPhase(r, report),
+      },
+      {
+        name: 'qc',
+        title: '✅ PHASE 10: QUALITY CONTROL',
+        dependsOn: ['intake', 'legal', 'damages', 'strategy'],
+        retries: 0,
+        inputs: (r) => ({
+          metadata: r.metadata,
+          caseData: r.caseData,
+          legalAnalysis: r.legalAnalysis,
+          damages: r.damages,
+          strategy: r.strategy,
+        }),
+        run: (r, report) => this.runQualityPhase(r, report),
+      },
+      {
+        name: 'summary',
+        title: '📊 PHASE 11: GENERATING EXECUTIVE SUMMARY',
+        dependsOn: ['timeline', 'context', 'health', 'damages', 'strategy', 'qc'],
+        retries: 0,
+        inputs: (r) => ({
+          caseData: r.caseData,
+          timelineAnalysis: r.timelineAnalysis,
+          scenarios: r.dataContext?.scenarios?.map(match => match.id) || [],
+          legalAnalysis: r.legalAnalysis,
+          healthAnalysis: r.healthAnalysis,
+          damages: r.damages,
+          strategy: r.strategy,
+          qualityCheck: r.qualityCheck,
+        }),
+        run: async (r, report) => {
+          const executiveSummary = await this.generateExecutiveSummary(r);
+          report.highlight('Executive summary generated');
+          return { executiveSummary };
+        },
+      },
+      {
+        name: 'documents',
+        title: '📝 PHASE 12: DRAFTING CASE DOCUMENTS',
+        dependsOn: ['timeline', 'legal', 'damages'],
+        timeoutMs: 10 * 60 * 1000,
+        skip: () => !generateDocuments,
+        inputs: (r) => ({
+          caseData: r.caseData,
+          legalAnalysis: r.legalAnalysis,
+          damages: r.damages,
+          timelineAnalysis: r.timelineAnalysis,
+          documentOptions,
+        }),
+        run: (r, report) => this.runDocumentsPhase(r, documentOptions, report),
+      },
+    ]);
+  }
+
+  // ==========================================================================
+  // PHASES
+  // ==========================================================================
+
+  async runIntakePhase(rawStory, files, report) {
+    const bundle = await this.ingestor.ingest(files);
+
+    if (bundle.documents.length > 0) {
+      const messages = bundle.documents.reduce((total, document) => total + document.messages.length, 0);
+      report.highlight(`Read ${bundle.documents.length} document(s), ${messages} message(s)`);
+    }
+    for (const { file, reason } of bundle.skipped) {
+      report.warn(`Skipped ${file}: ${reason}`);
+    }
+
+    const intake = await this.intakeAgent.analyze(rawStory, { documents: bundle.documents });
+
+    // Fail the phase rather than checkpoint an empty result
+    if (!intake.success) {
+      throw new Error(`Intake failed: ${intake.error}`);
+    }
+
+    const caseData = intake.data;
+    const metadata = {
+      confidence: Math.round(caseData.metadata.confidenceScore * 100),
+      completeness: this.intakeAgent.calculateCompleteness(caseData),
+      missingInfo: caseData.metadata.missingInformation,
+    };
+
+    report.highlight(`Case structured (${metadata.confidence}% confidence)`);
+    report.highlight(`Completeness: ${metadata.completeness}%`);
+
+    if (metadata.missingInfo.length > 0) {
+      report.warn(`Missing: ${metadata.missingInfo.join(', ')}`);
+    }
+
+    const needsConfirmation = this.intakeAgent.fieldsNeedingConfirmation(caseData);
+    if (needsConfirmation.length > 0) {
+      report.warn(`Low-confidence, unconfirmed: ${needsConfirmation.join(', ')}`);
+    }
+
+    return { caseData, metadata };
+  }
+
+  async runTimelinePhase(caseData, report) {
+    const timelineAnalysis = await this.timelineAgent.buildTimeline(caseData);
+
+    report.highlight(`${timelineAnalysis.totalEvents} events over ${timelineAnalysis.timespan.durationDays} days`);
+    report.highlight(`Patterns: ${timelineAnalysis.patterns.length}, causation chains: ${timelineAnalysis.causationChains.length}`);
+
+    if (timelineAnalysis.gaps.length > 0) {
+      report.warn(`Timeline gaps: ${timelineAnalysis.gaps.length}`);
+    }
+
+    return { timelineAnalysis };
+  }
+
+  async runContextPhase(caseData, report) {
+    const dataContext = await this.dataIntegration.generateCompleteContext(caseData);
+
+    report.highlight(`Matched ${dataContext.scenarios.length} rental scenarios`);
+    report.highlight(`Data coverage: ${dataContext.dataQuality.completenessScore}%`);
+
+    return { dataContext };
+  }
+
+  async runLegalPhase(caseData, deepResearch, report) {
+    const legalAnalysis = await this.legalMapper.analyze(caseData, {
+      deepResearch,
+      includeCaseLaw: true,
+      runPredictions: true,
+    });
+
+    report.highlight(`Found ${legalAnalysis.violations.length} statute violations`);
+    report.highlight(`Identified ${legalAnalysis.legalTheories.length} legal theories`);
+    report.highlight(`Case strength: ${legalAnalysis.caseStrength}/10`);
+
+    if (legalAnalysis.legalResearch) {
+      report.highlight(`Researched ${legalAnalysis.legalResearch.statutes.length} statutes`);
+      report.highlight(`Found ${legalAnalysis.legalResearch.caseLaw.length} supporting cases`);
+    }
+
+    return { legalAnalysis };
+  }
+
+  async runHealthPhase(caseData, timelineAnalysis, report) {
+    // Timeline causation chains ground the hazard → illness links
+    const healthAnalysis = await this.healthAgent.analyze(caseData, timelineAnalysis);
+
+    report.highlight(`Hazards: ${healthAnalysis.hazards.length} (severity: ${healthAnalysis.overallSeverity})`);
+    report.highlight(`Medical impacts: ${healthAnalysis.medicalImpacts.length}`);
+    report.highlight(`Medical costs: $${healthAnalysis.totalMedicalCosts.total.toLocaleString()}`);
+
+    return { healthAnalysis };
+  }
+
+  async runDamagesPhase({ caseData, legalAnalysis, healthAnalysis }, { allowUnconfirmed, netRecovery: terms }, report) {
+    const calculation = await this.damagesCalc.calculate(caseData, legalAnalysis, { healthAnalysis, allowUnconfirmed });
+
+    if (!calculation.success) {
+      const error = new Error(`Damages calculation failed: ${calculation.error}`);
+      // Refused on unconfirmed fields - retrying won't change the data
+      if (calculation.unconfirmedFields) error.retryable = false;
       throw error;
     }
+
+    const damages = calculation.data;
+
+    const unconfirmed = damages.metadata.unconfirmedFields || [];
+    if (unconfirmed.length > 0) {
+      report.warn(`Priced on unconfirmed values: ${unconfirmed.map(f => f.field).join(', ')}`);
+    }
+
+    report.highlight(`Conservative: $${damages.conservative.total.toLocaleString()}`);
+    report.highlight(`Recommended: $${damages.recommended.demandAmount.toLocaleString()}`);
+    report.highlight(`Aggressive: $${damages.aggressive.total.toLocaleString()}`);
+
+    if (!terms) return { damages };
+
+    const { low, high } = damages.recommended.settlementRange;
+    const netRecovery = netRecoveryAt(damages, [low, high, damages.recommended.demandAmount], terms);
+    report.highlight(`Net to tenant: $${netRecovery[0].totals.netToTenant.toLocaleString()} - $${netRecovery[1].totals.netToTenant.toLocaleString()} across the settlement range`);
+
+    return { damages, netRecovery };
+  }
+
+  async runOpponentPhase(opponentLawyer, opponentFirm, report) {
+    const opponentIntel = await this.adversarial.profileLawyer(opponentLawyer, opponentFirm);
+
+    report.highlight(`Opponent profiled: ${opponentLawyer}`);
+    report.highlight(`Win rate: ${opponentIntel.profile.caseHistory?.wins || 0}/${opponentIntel.profile.caseHistory?.totalCases || 0}`);
+    report.highlight(`Weaknesses identified: ${opponentIntel.weaknesses.length}`);
+
+    return { opponentIntel };
+  }
+
+  async runJudgePhase(judge, court, report) {
+    const judgeIntel = await this.adversarial.profileJudge(judge, court);
+
+    report.highlight(`Judge profiled: ${judge}`);
+    report.highlight(`Tenant bias: ${judgeIntel.predictions.tenantBias > 0 ? 'Pro-tenant' : 'Neutral'}`);
+
+    return { judgeIntel };
+  }
+
+  async runStrategyPhase(results, report) {
+    const strategy = await this.gameTheory.analyzeCase(
+      results.caseData,
+      { ...results.legalAnalysis, damages: results.damages },
+      results.opponentIntel?.profile || null
+    );
+
+    report.highlight(`Ran 10,000 Monte Carlo simulations`);
+    report.highlight(`Win probability: ${(strategy.simulations.statistics.winRate * 100).toFixed(1)}%`);
+    report.highlight(`Expected value: $${Math.round(strategy.expectedValues.optimal.expectedValue).toLocaleString()}`);
+    report.highlight(`Optimal strategy: ${strategy.optimalStrategy.primaryApproach}`);
+
+    return { strategy };
+  }
+
+  async runQualityPhase(results, report) {
+    const qualityCheck = this.performQualityControl(results);
+
+    report.highlight(`Overall quality: ${qualityCheck.score}/100`);
+    report.highlight(`Evidence strength: ${qualityCheck.evidenceStrength}/10`);
+    report.highlight(`Legal basis: ${qualityCheck.legalBasis}/10`);
+
+    return { qualityCheck };
+  }
+
+  async runDocumentsPhase(results, documentOptions, report) {
+    const documents = await this.documentDrafter.generateAllDocuments(
+      results.caseData,
+      results.legalAnalysis,
+      results.damages,
+      results.timelineAnalysis,
+      documentOptions
+    );
+
+    for (const document of Object.values(documents)) {
+      report.highlight(document.title);
+
+      if (document.citationCheck?.flagged > 0) {
+        report.warn(`${document.title}: ${document.citationCheck.flagged} citation(s) could not be verified`);
+      }
+    }
+
+    return { documents };
   }
 
   /**
@@ -253,8 +784,8 @@ export class MasterOrchestrator {
 
     // Check damages calculation
     const damages = results.damages;
-    if (damages.recommended.total > 10000) score += 15;
-    else if (damages.recommended.total > 5000) score += 10;
+    if (damages.recommended.demandAmount > 10000) score += 15;
+    else if (damages.recommended.demandAmount > 5000) score += 10;
     else issues.push('Low damages - may not justify litigation costs');
 
     // Check legal research
@@ -277,7 +808,7 @@ export class MasterOrchestrator {
 
     return {
       score: Math.round(score),
-      evidenceStrength: this.assessEvidenceStrength(results.caseData),
+      evidenceStrength: this.assessEvidenceStrength(results.caseData, results.timelineAnalysis),
       legalBasis: Math.round(caseStrength),
       issues,
       recommendation: score >= 70 ? 'Strong case - proceed' :
@@ -289,7 +820,7 @@ export class MasterOrchestrator {
   /**
    * Assess evidence strength
    */
-  assessEvidenceStrength(caseData) {
+  assessEvidenceStrength(caseData, timelineAnalysis) {
     let strength = 5; // Start at neutral
 
     // Photos/videos
@@ -310,7 +841,7 @@ export class MasterOrchestrator {
     }
 
     // Timeline documentation
-    if (caseData.timeline?.length > 10) strength += 1;
+    if (timelineAnalysis?.totalEvents > 10) strength += 1;
 
     return Math.min(strength, 10);
   }
@@ -321,9 +852,11 @@ export class MasterOrchestrator {
   async generateExecutiveSummary(results) {
     const caseData = results.caseData;
     const legal = results.legalAnalysis;
-    const damages = results.damages;
+    const damages = loadDamages(results.damages);
     const strategy = results.strategy;
     const quality = results.qualityCheck;
+    const timeline = results.timelineAnalysis;
+    const health = results.healthAnalysis;
 
     return `
 ═══════════════════════════════════════════════════════════════════════════
@@ -352,13 +885,22 @@ Case Strength: ${legal.caseStrength}/10 ${
   legal.caseStrength >= 4 ? '~ Moderate' : '⚠️ Weak'
 }
 
+TIMELINE & HEALTH:
+─────────────────────────────────────────────────────────────────────────
+Documented Events: ${timeline.totalEvents} over ${timeline.timespan.durationDays} days
+Patterns: ${timeline.patterns.map(p => p.patternType).join(', ') || 'None identified'}
+Health Hazards: ${health.hazards.length} (overall severity: ${health.overallSeverity})
+Medical Costs: $${health.totalMedicalCosts.total.toLocaleString()}
+${health.vulnerablePopulations.length > 0 ? `Vulnerable Occupants: ${health.vulnerablePopulations.join(', ')}` : ''}
+Matched Scenarios: ${results.dataContext?.scenarios?.map(match => match.scenario.name).join(', ') || 'None'}
+
 DAMAGES ASSESSMENT:
 ─────────────────────────────────────────────────────────────────────────
 Conservative Estimate: $${damages.conservative.total.toLocaleString()}
-Recommended Demand: $${damages.recommended.total.toLocaleString()}
+Recommended Demand: $${damages.recommended.demandAmount.toLocaleString()}
 Aggressive Maximum: $${damages.aggressive.total.toLocaleString()}
 
-Settlement Range: $${damages.settlementRange.min.toLocaleString()} - $${damages.settlementRange.max.toLocaleString()}
+Settlement Range: $${damages.recommended.settlementRange.low.toLocaleString()} - $${damages.recommended.settlementRange.high.toLocaleString()}
 
 STRATEGIC ANALYSIS (10,000 Simulations):
 ─────────────────────────────────────────────────────────────────────────
@@ -398,14 +940,12 @@ Generated by Tenant Justice Platform AI - ${new Date().toLocaleString()}
 
   /**
    * Export complete case package
+   * @param {string} format - 'json' | 'pdf' | 'docx' | 'zip'
+   * @param {{ allowFlaggedCitations?: boolean }} [options]
+   * @returns {Promise<string|Buffer>} JSON string, or file bytes
    */
-  async exportCasePackage(results, format = 'json') {
-    if (format === 'json') {
-      return JSON.stringify(results, null, 2);
-    }
-
-    // Add PDF, Word, etc. export formats here
-    throw new Error(`Export format "${format}" not yet implemented`);
+  async exportCasePackage(results, format = 'json', options = {}) {
+    return this.exporter.export(results, format, options);
   }
 }
 
@@ -436,6 +976,7 @@ The landlord has been really difficult to deal with. She stopped responding to m
 after I complained. I'm exhausted and don't know what to do.`;
 
   const results = await orchestrator.analyzeCase(story, {
+    caseId: 'patterstone',
     deepResearch: true,
     generateDocuments: true,
   });
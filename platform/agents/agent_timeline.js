@@ -14,8 +14,8 @@
  * - Visual timeline generation
  */
 
-import OpenAI from 'openai';
 import { z } from 'zod';
+import { resolveLLM } from '../llm/index.js';
 
 // Timeline event schema
 const TimelineEventSchema = z.object({
@@ -42,6 +42,11 @@ const TimelineEventSchema = z.object({
   description: z.string(),
   participants: z.array(z.string()).describe('People involved'),
   evidenceIds: z.array(z.string()).optional().describe('Related evidence'),
+  sources: z.array(z.object({
+    file: z.string(),
+    start: z.number().optional(), // offsets in the ingested document's text
+    end: z.number().optional(),
+  })).optional().describe('Tenant files the event was read from'),
   significance: z.enum(['critical', 'important', 'supporting', 'minor']),
   legalRelevance: z.string().describe('Why this event matters legally'),
   notes: z.string().optional()
@@ -100,9 +105,17 @@ const TimelineAnalysisSchema = z.object({
   legalWeaknesses: z.array(z.string())
 });
 
-export default class TimelineArchitectAgent {
-  constructor(openaiApiKey) {
-    this.openai = new OpenAI({ apiKey: openaiApiKey || process.env.OPENAI_API_KEY });
+/**
+ * @typedef {import('../llm/index.js').LLMOptions} TimelineArchitectAgentOptions
+ */
+
+export class TimelineArchitectAgent {
+  /**
+   * @param {TimelineArchitectAgentOptions|string} [options] - Provider options, or an OpenAI API key
+   */
+  constructor(options = {}) {
+    this.llm = resolveLLM(options);
+    this.log = options.log || console.log;
     this.model = 'gpt-4-turbo-preview';
   }
 
@@ -110,10 +123,13 @@ export default class TimelineArchitectAgent {
    * Build complete timeline analysis
    */
   async buildTimeline(caseData, options = {}) {
-    console.log('🕐 Timeline Architect: Building forensic timeline...');
+    this.log('🕐 Timeline Architect: Building forensic timeline...');
 
-    // Extract events from narrative
-    const events = await this.extractEvents(caseData);
+    // Extract events from narrative, plus one per message in the tenant's files
+    const events = [
+      ...await this.extractEvents(caseData),
+      ...this.documentEvents(caseData),
+    ];
     
     // Sort chronologically
     const sortedEvents = this.sortEvents(events);
@@ -164,7 +180,7 @@ export default class TimelineArchitectAgent {
     // Validate with Zod
     const validated = TimelineAnalysisSchema.parse(analysis);
 
-    console.log(`✅ Timeline complete: ${sortedEvents.length} events, ${patterns.length} patterns identified`);
+    this.log(`✅ Timeline complete: ${sortedEvents.length} events, ${patterns.length} patterns identified`);
     
     return validated;
   }
@@ -173,11 +189,17 @@ export default class TimelineArchitectAgent {
    * Extract timeline events from case narrative using GPT-4
    */
   async extractEvents(caseData) {
+    // Messages become events directly (documentEvents); provenance is noise here
+    const { communications = [], provenance, ...facts } = caseData;
+    const documentNote = communications.length > 0
+      ? `\n${communications.length} dated texts/emails from the tenant's files are added to the timeline separately - do not list them individually.\nFor events taken from a file in sourceDocuments (lease signing, notices, mail receipts), put the file name in evidenceIds.\n`
+      : '';
+
     const prompt = `You are a forensic timeline analyst for a legal case.
 
 CASE FACTS:
-${JSON.stringify(caseData, null, 2)}
-
+${JSON.stringify(facts, null, 2)}
+${documentNote}
 TASK: Extract ALL chronological events from this case into a detailed timeline.
 
 For EACH event, identify:
@@ -204,7 +226,7 @@ Be thorough. Even small details can be legally significant.
 
 Return as JSON array of events.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -214,13 +236,46 @@ Return as JSON array of events.`;
         { role: 'user', content: prompt }
       ],
       temperature: 0.3,
-      response_format: { type: 'json_object' }
+      responseFormat: { type: 'json_object' }
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const result = JSON.parse(response.content);
     return result.events || [];
   }
 
+  /**
+   * One event per ingested message, citing the file and offsets it came from
+   */
+  documentEvents(caseData) {
+    const categories = {
+      repair_request: 'tenant_complaint',
+      landlord_notice: 'notice_sent',
+    };
+
+    return (caseData.communications || [])
+      .filter(message => message.date)
+      .map(message => {
+        const category = categories[message.kind]
+          || (message.direction === 'to_tenant' ? 'landlord_response' : 'evidence_created');
+        const medium = message.channel === 'sms' ? 'Text' : 'Email';
+
+        return {
+          date: message.date.substring(0, 10),
+          dateType: 'exact',
+          category,
+          description: `${medium} from ${message.from} to ${message.to}${message.subject ? ` - "${message.subject}"` : ''}: ${message.excerpt}`,
+          participants: [message.from, message.to],
+          evidenceIds: [message.source.file],
+          sources: [{ file: message.source.file, start: message.source.start, end: message.source.end }],
+          significance: message.kind === 'message' ? 'supporting' : 'important',
+          legalRelevance: {
+            repair_request: 'Written notice of the defect to the landlord',
+            landlord_notice: 'Landlord notice - check timing and required content',
+          }[message.kind] || 'Dated record of communication between the parties',
+        };
+      });
+  }
+
   /**
    * Sort events chronologically
    */
@@ -309,7 +364,7 @@ For each pattern:
 
 Return as JSON array of patterns.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -319,10 +374,10 @@ Return as JSON array of patterns.`;
         { role: 'user', content: prompt }
       ],
       temperature: 0.3,
-      response_format: { type: 'json_object' }
+      responseFormat: { type: 'json_object' }
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const result = JSON.parse(response.content);
     return result.patterns || [];
   }
 
@@ -357,7 +412,7 @@ These chains prove LIABILITY and DAMAGES.
 
 Return as JSON array of causation chains.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -367,10 +422,10 @@ Return as JSON array of causation chains.`;
         { role: 'user', content: prompt }
       ],
       temperature: 0.3,
-      response_format: { type: 'json_object' }
+      responseFormat: { type: 'json_object' }
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const result = JSON.parse(response.content);
     return result.causationChains || [];
   }
 
@@ -471,7 +526,7 @@ Write a 3-paragraph narrative that:
 
 Make it compelling but factual. This will be used in legal documents.`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -483,7 +538,7 @@ Make it compelling but factual. This will be used in legal documents.`;
       temperature: 0.4
     });
 
-    return response.choices[0].message.content.trim();
+    return response.content.trim();
   }
 
   /**
@@ -512,7 +567,7 @@ Identify:
 
 Return JSON with two arrays: legalStrengths and legalWeaknesses`;
 
-    const response = await this.openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: this.model,
       messages: [
         {
@@ -522,10 +577,10 @@ Return JSON with two arrays: legalStrengths and legalWeaknesses`;
         { role: 'user', content: prompt }
       ],
       temperature: 0.3,
-      response_format: { type: 'json_object' }
+      responseFormat: { type: 'json_object' }
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
+    const result = JSON.parse(response.content);
     return {
       legalStrengths: result.legalStrengths || [],
       legalWeaknesses: result.legalWeaknesses || []
@@ -705,3 +760,5 @@ Return JSON with two arrays: legalStrengths and legalWeaknesses`;
     return colors[patternType] || '#888888';
   }
 }
+
+export default TimelineArchitectAgent;
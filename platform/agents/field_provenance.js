@@ -0,0 +1,254 @@
+/**
+ * FIELD PROVENANCE
+ *
+ * Where each extracted case field came from. IntakeAgent records, per field
+ * path, the span of the tenant's story - or of an uploaded document's text -
+ * it was read from (character offsets), an extraction confidence, and whether
+ * the tenant has confirmed it:
+ *
+ *   caseData.provenance = {
+ *     'lease.monthlyRent': { source: 'story', span: { start: 212, end: 224, text: '$3,000/month' }, confidence: 0.95, confirmed: false },
+ *     'lease.moveInDate': { source: 'document', file: 'lease.pdf', span: { ... }, confidence: 0.9, confirmed: false },
+ *     'timeline.durationDays': { source: 'inferred', span: null, confidence: 0.4, confirmed: false },
+ *   }
+ *
+ * Agents that turn fields into dollar amounts or legal documents run
+ * reviewFields() and warn - or refuse - on unconfirmed low-confidence values.
+ */
+
+import { z } from 'zod';
+
+// Unconfirmed values below this are flagged
+export const LOW_CONFIDENCE = 0.7;
+
+// Unconfirmed values below this are refused where the caller requires the field
+export const REFUSE_CONFIDENCE = 0.4;
+
+// Extraction named no source for the value, or quoted text not in the story
+const UNCITED_CONFIDENCE = 0.3;
+const MISQUOTED_CONFIDENCE_CAP = 0.5;
+
+export const FieldProvenanceSchema = z.object({
+  source: z.enum(['story', 'document', 'inferred', 'tenant_answer']),
+  file: z.string().optional(), // document: the file the span is in
+  span: z.object({
+    start: z.number(),
+    end: z.number(),
+    text: z.string(),
+  }).nullable(),
+  confidence: z.number().min(0).max(1),
+  confirmed: z.boolean(),
+  answer: z.string().optional(), // tenant_answer: what the tenant said
+});
+
+// What the model reports alongside the extraction, keyed by field path
+const ReportedProvenanceSchema = z.record(z.object({
+  quote: z.string().nullable().optional(),
+  file: z.string().nullable().optional(),
+  confidence: z.number().min(0).max(1).optional(),
+}));
+
+export class UnconfirmedFieldError extends Error {
+  constructor(agent, fields) {
+    super(
+      `${agent} refused to use unconfirmed low-confidence values: ` +
+      fields.map(f => `${f.field} (confidence ${f.confidence.toFixed(2)}, ${f.source})`).join(', ') +
+      ' - confirm them with the tenant or pass allowUnconfirmed'
+    );
+    this.name = 'UnconfirmedFieldError';
+    this.fields = fields;
+    this.retryable = false; // same data fails the same way
+  }
+}
+
+// Top-level case data that isn't extracted by the model
+const UNTRACKED_FIELDS = ['metadata', 'provenance', 'sourceDocuments', 'communications'];
+
+// ============================================================================
+// BUILDING PROVENANCE
+// ============================================================================
+
+/**
+ * Provenance for every extracted leaf field
+ * @param {object} caseData - Validated extraction
+ * @param {string} rawStory - Text story offsets refer to
+ * @param {object} reported - { [path]: { quote, file, confidence } } from the model
+ * @param {object[]} [documents] - Ingested documents ({ file, text }) quotes may come from
+ */
+export function buildFieldProvenance(caseData, rawStory, reported = {}, documents = []) {
+  const parsed = ReportedProvenanceSchema.safeParse(reported);
+  const claims = parsed.success ? parsed.data : {};
+  const provenance = {};
+
+  for (const path of listFieldPaths(caseData)) {
+    const claim = claims[path];
+    const found = claim?.quote ? locateQuote(claim, rawStory, documents) : null;
+
+    if (found) {
+      provenance[path] = { ...found, confidence: claim.confidence ?? LOW_CONFIDENCE, confirmed: false };
+    } else {
+      // A quote we can't find in the story is treated as a guess
+      const confidence = claim
+        ? Math.min(claim.confidence ?? MISQUOTED_CONFIDENCE_CAP, MISQUOTED_CONFIDENCE_CAP)
+        : UNCITED_CONFIDENCE;
+      provenance[path] = { source: 'inferred', span: null, confidence, confirmed: false };
+    }
+  }
+
+  return provenance;
+}
+
+/**
+ * Find a claimed quote: in the named file first, then the story, then any
+ * document (models sometimes misattribute which file a quote is from)
+ */
+function locateQuote(claim, rawStory, documents) {
+  const named = claim.file ? documents.find(document => document.file === claim.file) : null;
+  const candidates = [
+    ...(named ? [named] : []),
+    { file: null, text: rawStory },
+    ...documents.filter(document => document !== named),
+  ];
+
+  for (const candidate of candidates) {
+    const span = locateSpan(candidate.text, claim.quote);
+    if (span) {
+      return candidate.file
+        ? { source: 'document', file: candidate.file, span }
+        : { source: 'story', span };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Character offsets of `quote` in `text`: exact, then case-insensitive, then
+ * ignoring whitespace differences
+ */
+export function locateSpan(text, quote) {
+  const needle = String(quote).trim();
+  if (!text || !needle) return null;
+
+  let start = text.indexOf(needle);
+  let length = needle.length;
+
+  if (start === -1) {
+    start = text.toLowerCase().indexOf(needle.toLowerCase());
+  }
+
+  if (start === -1) {
+    const pattern = needle
+      .split(/\s+/)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\s+');
+    const match = new RegExp(pattern, 'i').exec(text);
+    if (!match) return null;
+    start = match.index;
+    length = match[0].length;
+  }
+
+  return { start, end: start + length, text: text.substring(start, start + length) };
+}
+
+/**
+ * Dotted paths of every populated leaf (array items by index; arrays of
+ * primitives count as one field). Skips metadata, provenance itself and the
+ * records copied verbatim from documents (they cite their own source).
+ */
+export function listFieldPaths(value, prefix = '') {
+  if (value === null || value === undefined || value === '') return [];
+
+  if (Array.isArray(value)) {
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return value.length > 0 ? [prefix] : [];
+    }
+    return value.flatMap((item, i) => listFieldPaths(item, `${prefix}.${i}`));
+  }
+
+  if (typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, child]) => {
+      if (!prefix && UNTRACKED_FIELDS.includes(key)) return [];
+      return listFieldPaths(child, prefix ? `${prefix}.${key}` : key);
+    });
+  }
+
+  return [prefix];
+}
+
+/**
+ * Record values the tenant supplied directly (fully trusted)
+ * @param {object} caseData - Mutated: provenance entries under `path` replaced
+ */
+export function recordTenantAnswer(caseData, path, answer) {
+  caseData.provenance = caseData.provenance || {};
+  const value = path.split('.').reduce((current, key) => current?.[key], caseData);
+
+  for (const leaf of listFieldPaths(value, path)) {
+    caseData.provenance[leaf] = { source: 'tenant_answer', span: null, confidence: 1, confirmed: true, answer: String(answer) };
+  }
+}
+
+/**
+ * Tenant confirmed existing values as correct
+ * @returns {string[]} Paths that were confirmed
+ */
+export function confirmFields(caseData, fields) {
+  const confirmed = [];
+
+  for (const [path, entry] of Object.entries(caseData.provenance || {})) {
+    if (fields.some(field => matchesField(path, field))) {
+      entry.confirmed = true;
+      confirmed.push(path);
+    }
+  }
+
+  return confirmed;
+}
+
+// ============================================================================
+// REVIEWING BEFORE USE
+// ============================================================================
+
+/**
+ * Check the fields an agent is about to rely on
+ *
+ * Case data without provenance (hand-built, or saved before provenance
+ * existed) can't be judged and passes unchecked.
+ *
+ * @param {object} caseData
+ * @param {string[]} fields - Paths used; a path covers its children ('issues')
+ * @param {object} [options]
+ * @param {string[]} [options.required] - Fields refused (rather than warned
+ *   about) when unconfirmed and below REFUSE_CONFIDENCE
+ * @returns {{ flagged: object[], refused: object[], warnings: string[] }}
+ */
+export function reviewFields(caseData, fields, options = {}) {
+  const required = options.required || [];
+  const flagged = [];
+  const refused = [];
+
+  for (const [path, entry] of Object.entries(caseData.provenance || {})) {
+    if (entry.confirmed || entry.confidence >= LOW_CONFIDENCE) continue;
+    if (!fields.some(field => matchesField(path, field))) continue;
+
+    const finding = { field: path, confidence: entry.confidence, source: entry.source };
+    flagged.push(finding);
+
+    if (entry.confidence < REFUSE_CONFIDENCE && required.some(field => matchesField(path, field))) {
+      refused.push(finding);
+    }
+  }
+
+  return {
+    flagged,
+    refused,
+    warnings: flagged.map(f =>
+      `Unconfirmed ${f.source === 'inferred' ? 'inferred' : 'extracted'} value for ${f.field} (confidence ${f.confidence.toFixed(2)})`
+    ),
+  };
+}
+
+function matchesField(path, field) {
+  return path === field || path.startsWith(`${field}.`);
+}
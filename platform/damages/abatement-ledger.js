@@ -0,0 +1,311 @@
+/**
+ * RENT ABATEMENT LEDGER
+ *
+ * Day-by-day lost-use value of the unit. Each issue runs from its start date
+ * to its repair date (or today while ongoing) and takes away either a share
+ * of the whole unit (no heat, no water) or part of the rooms it affects:
+ *
+ *   issues: [{ category: 'plumbing_failure', severity: 'severe', firstOccurred: '2024-07-01',
+ *              affectedAreas: [{ room: 'bathroom', squareFeet: 60, to: '2024-09-15' }] }]
+ *
+ * Rooms are weighted by square footage when known, otherwise evenly. Each day
+ * is priced at that month's daily rent; days roll up into a monthly table.
+ */
+
+import { z } from 'zod';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of a room's use lost, by severity, when the issue doesn't say
+export const ROOM_LOSS_BY_SEVERITY = { minor: 0.25, major: 0.5, severe: 0.75, uninhabitable: 1.0 };
+
+// Rooms assumed besides bedrooms and bathrooms (kitchen, living room)
+const COMMON_ROOMS = 2;
+
+export const AbatementLedgerSchema = z.object({
+  from: z.string().nullable(),
+  to: z.string().nullable(),
+  days: z.array(z.object({
+    date: z.string(),
+    dailyRent: z.number(),
+    lostUse: z.number(), // 0-1 of the unit
+    conservative: z.number(),
+    aggressive: z.number(),
+    areas: z.array(z.string()),
+  })),
+  months: z.array(z.object({
+    month: z.string(), // YYYY-MM
+    days: z.number(),
+    averageLostUse: z.number(),
+    conservative: z.number(),
+    aggressive: z.number(),
+  })),
+  totals: z.object({
+    days: z.number(),
+    conservative: z.number(),
+    aggressive: z.number(),
+    rentForPeriod: z.number(),
+    peakLostUse: z.number(),
+  }),
+  assumptions: z.array(z.string()),
+});
+
+/**
+ * @param {object} caseData - From IntakeAgent
+ * @param {object} [options]
+ * @param {string} [options.asOf] - ISO date ongoing issues accrue to (default today)
+ * @param {number} [options.conservativeReduction] - Lost-use points taken off each
+ *   day in the conservative estimate (default 0.1)
+ * @param {boolean} [options.fullAbatementWhenUninhabitable] - Aggressive estimate
+ *   abates the whole day's rent while a unit-wide issue is uninhabitable
+ * @returns {object} Ledger matching AbatementLedgerSchema
+ */
+export function buildAbatementLedger(caseData, options = {}) {
+  const asOf = parseDate(options.asOf) ?? parseDate(new Date().toISOString());
+  const conservativeReduction = options.conservativeReduction ?? 0.1;
+  const monthlyRent = caseData.lease.monthlyRent;
+  const assumptions = [];
+
+  const rooms = roomSizes(caseData.property || {}, assumptions);
+  const periods = (caseData.issues || [])
+    .flatMap((issue, index) => issuePeriods(issue, index, caseData, asOf, assumptions))
+    .filter(period => period.end > period.start && period.loss > 0);
+
+  const days = [];
+  const start = Math.min(...periods.map(p => p.start));
+  const end = Math.max(...periods.map(p => p.end));
+
+  for (let day = start; day < end; day += DAY_MS) {
+    const active = periods.filter(p => p.start <= day && day < p.end);
+    if (active.length === 0) continue;
+
+    const lostUse = dayLostUse(active, rooms);
+    const dailyRent = monthlyRent / daysInMonth(day);
+    const untenantable = options.fullAbatementWhenUninhabitable
+      && active.some(p => !p.room && p.severity === 'uninhabitable');
+
+    days.push({
+      date: formatDate(day),
+      dailyRent: cents(dailyRent),
+      lostUse: round(lostUse, 4),
+      conservative: cents(dailyRent * Math.max(lostUse - conservativeReduction, 0)),
+      aggressive: cents(dailyRent * (untenantable ? 1 : lostUse)),
+      areas: [...new Set(active.map(p => `${p.room || 'entire unit'} (${p.category})`))],
+    });
+  }
+
+  return {
+    from: days[0]?.date ?? null,
+    to: days[days.length - 1]?.date ?? null,
+    days,
+    months: monthlyTable(days),
+    totals: {
+      days: days.length,
+      conservative: cents(sum(days, 'conservative')),
+      aggressive: cents(sum(days, 'aggressive')),
+      rentForPeriod: cents(sum(days, 'dailyRent')),
+      peakLostUse: days.reduce((peak, d) => Math.max(peak, d.lostUse), 0),
+    },
+    assumptions,
+  };
+}
+
+/**
+ * Share of the whole unit an issue takes away when it has no affected rooms
+ * listed - habitability failures felt everywhere (heat, water) or in
+ * unspecified places
+ */
+export function unitWideLoss(issue) {
+  const { category, severity } = issue;
+
+  // Major habitability issues
+  if (category === 'water_leak' || category === 'mold') {
+    if (severity === 'uninhabitable') return 0.40;
+    if (severity === 'severe') return 0.30;
+    if (severity === 'major') return 0.20;
+    return 0.10;
+  }
+
+  // Lost bathroom
+  if (category === 'plumbing_failure' && issue.description.includes('bathroom')) {
+    // Lost 1 bathroom in 3BR house = significant loss
+    return severity === 'uninhabitable' || severity === 'severe' ? 0.25 : 0;
+  }
+
+  // No heat/AC
+  if (category === 'no_heat' || category === 'no_ac') {
+    return severity === 'severe' || severity === 'uninhabitable' ? 0.30 : 0.15;
+  }
+
+  // No water
+  if (category === 'no_water' || category === 'no_hot_water') {
+    return severity === 'uninhabitable' ? 0.50 : 0.25;
+  }
+
+  // Pest infestation
+  if (category === 'pest_infestation') {
+    return severity === 'severe' ? 0.20 : 0.10;
+  }
+
+  // Structural
+  if (category === 'structural_damage') return 0.30;
+
+  return 0;
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * One period per affected area (or one unit-wide period), with dates
+ * resolved: area dates, then the issue's, then the case timeline
+ */
+function issuePeriods(issue, index, caseData, asOf, assumptions) {
+  const label = `issues.${index} (${issue.category})`;
+  const start = parseDate(issue.firstOccurred) ?? parseDate(caseData.timeline?.firstIssueDate);
+  const durationDays = caseData.timeline?.durationDays;
+
+  let end = parseDate(issue.resolvedDate);
+  if (end === null) {
+    if (issue.isOngoing) {
+      end = asOf + DAY_MS; // through the as-of day
+    } else if (start !== null && durationDays) {
+      end = start + durationDays * DAY_MS;
+      assumptions.push(`${label}: repair date unknown - counted for the case's ${durationDays} days`);
+    } else {
+      end = asOf + DAY_MS;
+      assumptions.push(`${label}: repair date unknown - counted through ${formatDate(asOf)}`);
+    }
+  }
+
+  let issueStart = start;
+  if (issueStart === null) {
+    if (!durationDays) {
+      assumptions.push(`${label}: no start date - left out of the ledger`);
+      return [];
+    }
+    issueStart = end - durationDays * DAY_MS;
+    assumptions.push(`${label}: start date unknown - counted back ${durationDays} days from ${formatDate(end)}`);
+  }
+
+  const base = { category: issue.category, severity: issue.severity };
+
+  if (!issue.affectedAreas?.length) {
+    return [{ ...base, room: null, start: issueStart, end, loss: unitWideLoss(issue) }];
+  }
+
+  return issue.affectedAreas.map(area => ({
+    ...base,
+    room: normalizeRoom(area.room),
+    squareFeet: area.squareFeet,
+    start: parseDate(area.from) ?? issueStart,
+    end: parseDate(area.to) ?? end,
+    loss: area.lossOfUse ?? ROOM_LOSS_BY_SEVERITY[issue.severity] ?? 0.5,
+  }));
+}
+
+/**
+ * Unit-wide losses add up; room losses add up within a room, weighted by the
+ * room's share, and apply to what the unit-wide issues left usable
+ */
+function dayLostUse(active, rooms) {
+  const unitWide = Math.min(active.filter(p => !p.room).reduce((total, p) => total + p.loss, 0), 1);
+
+  const byRoom = new Map();
+  for (const period of active.filter(p => p.room)) {
+    const entry = byRoom.get(period.room) || { loss: 0, share: rooms.shareOf(period.room, period.squareFeet) };
+    entry.loss += period.loss;
+    byRoom.set(period.room, entry);
+  }
+
+  const roomLoss = Math.min([...byRoom.values()].reduce((total, r) => total + r.share * Math.min(r.loss, 1), 0), 1);
+
+  return Math.min(unitWide + (1 - unitWide) * roomLoss, 1);
+}
+
+/**
+ * Room -> share of the unit: its square footage over the unit's when both
+ * are known, else an even split over the rooms listed (or estimated from
+ * bedrooms/bathrooms)
+ */
+function roomSizes(property, assumptions) {
+  const listed = new Map((property.rooms || []).map(room => [normalizeRoom(room.name), room.squareFeet]));
+  const listedSqft = [...listed.values()];
+  const totalSqft = property.squareFeet
+    || (listedSqft.length > 0 && listedSqft.every(Boolean) ? listedSqft.reduce((a, b) => a + b, 0) : null);
+
+  const roomCount = listed.size || (property.bedrooms ?? 2) + (property.bathrooms ?? 1) + COMMON_ROOMS;
+  let noted = false;
+
+  return {
+    shareOf(room, squareFeet) {
+      const sqft = squareFeet ?? listed.get(room);
+      if (sqft && totalSqft) return Math.min(sqft / totalSqft, 1);
+
+      if (!noted) {
+        assumptions.push(`Room sizes unknown - each room counted as 1/${roomCount} of the unit`);
+        noted = true;
+      }
+      return 1 / roomCount;
+    },
+  };
+}
+
+function monthlyTable(days) {
+  const months = new Map();
+
+  for (const day of days) {
+    const key = day.date.substring(0, 7);
+    const month = months.get(key) || { month: key, days: 0, lostUseTotal: 0, conservative: 0, aggressive: 0 };
+    month.days += 1;
+    month.lostUseTotal += day.lostUse;
+    month.conservative += day.conservative;
+    month.aggressive += day.aggressive;
+    months.set(key, month);
+  }
+
+  return [...months.values()].map(({ lostUseTotal, ...month }) => ({
+    ...month,
+    averageLostUse: round(lostUseTotal / month.days, 4),
+    conservative: cents(month.conservative),
+    aggressive: cents(month.aggressive),
+  }));
+}
+
+// 'Bathroom ', 'bathroom' -> 'bathroom'
+function normalizeRoom(room) {
+  return String(room || 'unspecified room').trim().toLowerCase();
+}
+
+// ISO date (or datetime) -> UTC midnight in ms; null when missing/invalid
+function parseDate(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+  const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(time) ? null : time;
+}
+
+function formatDate(time) {
+  return new Date(time).toISOString().substring(0, 10);
+}
+
+function daysInMonth(time) {
+  const date = new Date(time);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+function sum(rows, key) {
+  return rows.reduce((total, row) => total + row[key], 0);
+}
+
+function cents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function round(value, places) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+export default buildAbatementLedger;
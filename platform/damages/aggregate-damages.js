@@ -0,0 +1,192 @@
+/**
+ * AGGREGATE DAMAGES
+ *
+ * Building-wide and portfolio cases: many households suing the same landlord
+ * over the same building (no heat across 40 units) or the same failures
+ * across a portfolio. Each household keeps its own damages; repairs the
+ * households share are counted once in the class-wide roll-up:
+ *
+ * - the same quote, invoice or receipt attached by several households
+ * - building systems (heat, roof, plumbing...) priced from the cost index in
+ *   the same building - one boiler, not forty
+ *
+ * Used by DamagesCalculator.calculateAggregate().
+ */
+
+import { z } from 'zod';
+import { DamagesSchema } from './damages-schema.js';
+
+// Issue categories repaired once for the whole building
+export const SHARED_SYSTEM_CATEGORIES = [
+  'no_heat',
+  'no_ac',
+  'plumbing_failure',
+  'electrical_hazard',
+  'roof_leak',
+  'structural_damage',
+  'pest_infestation',
+];
+
+export const AGGREGATE_GROUPINGS = ['building', 'landlord'];
+
+// Breakdown lines named differently in the two estimates
+const CATEGORY_ALIASES = { 'Repair/Remediation Costs': 'Repair Costs' };
+
+const PairSchema = z.object({ conservative: z.number(), aggressive: z.number() });
+
+export const AggregateDamagesSchema = z.object({
+  groupBy: z.enum(AGGREGATE_GROUPINGS),
+  landlords: z.array(z.string()),
+  buildings: z.array(z.object({ key: z.string(), address: z.string(), households: z.number() })),
+  households: z.array(z.object({
+    id: z.string(),
+    tenant: z.string(),
+    building: z.string(),
+    unit: z.string().optional(),
+    conservative: z.number(),
+    aggressive: z.number(),
+    demandAmount: z.number(),
+    sharedRepairCredit: PairSchema, // duplicate repair cost taken off this household
+    adjusted: PairSchema,
+    damages: DamagesSchema,
+  })),
+  sharedRepairs: z.array(z.object({
+    building: z.string(),
+    basis: z.enum(['evidence', 'building_system']),
+    category: z.string(),
+    item: z.string(),
+    households: z.array(z.string()),
+    counted: z.object({ low: z.number(), high: z.number() }),
+    removed: PairSchema,
+  })),
+  categories: z.array(PairSchema.extend({ category: z.string(), households: z.number() })),
+  totals: PairSchema.extend({ duplicateRepairCosts: PairSchema }),
+  recommended: z.object({
+    demandAmount: z.number(),
+    settlementRange: z.object({ low: z.number(), high: z.number() }),
+    rationale: z.string(),
+  }),
+  failures: z.array(z.object({ id: z.string(), error: z.string() })),
+  assumptions: z.array(z.string()),
+  metadata: z.object({
+    calculationDate: z.string(),
+    households: z.number(),
+    rulePacks: z.array(z.string()),
+    agent: z.string(),
+  }),
+});
+
+/**
+ * Building key: street address without the unit, plus the 5-digit ZIP
+ */
+export function buildingKey(property = {}) {
+  const street = String(property.address || '')
+    .toLowerCase()
+    .replace(/(,|\s)+(apt|apartment|unit|suite|ste|#)\.?\s*[\w-]+\s*$/i, '')
+    .replace(/[.,#]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return `${street}|${String(property.zipCode || '').substring(0, 5)}`;
+}
+
+export function landlordKey(landlord = {}) {
+  return String(landlord.companyName || landlord.name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Decide how households group, or throw when they share neither a building
+ * nor a landlord
+ */
+export function resolveGrouping(households, groupBy) {
+  const buildings = new Set(households.map(h => buildingKey(h.caseData.property)));
+  const landlords = new Set(households.map(h => landlordKey(h.caseData.landlord)));
+
+  if (groupBy === 'building' || (!groupBy && buildings.size === 1)) {
+    if (buildings.size > 1) {
+      throw new Error(`Aggregate by building needs one building; got ${buildings.size}: ${[...buildings].join('; ')}`);
+    }
+    return 'building';
+  }
+
+  if (landlords.size > 1) {
+    throw new Error(`Aggregate damages need households sharing a building or landlord; got ${landlords.size} landlords: ${[...landlords].join('; ')}`);
+  }
+  return 'landlord';
+}
+
+/**
+ * Repairs counted more than once across households
+ * @param {{ id: string, building: string, caseData: object, damages: object }[]} households
+ * @param {string[]} sharedCategories
+ */
+export function findSharedRepairs(households, sharedCategories = SHARED_SYSTEM_CATEGORIES) {
+  const groups = new Map();
+
+  for (const household of households) {
+    household.damages.categories.repairCosts.items.forEach((item, i) => {
+      const category = household.caseData.issues[i]?.category || 'other';
+      let key = null;
+      let basis = null;
+
+      if (item.source !== 'cost_index') {
+        key = `${household.building}|evidence|${item.sourceDetail}`;
+        basis = 'evidence';
+      } else if (sharedCategories.includes(category)) {
+        key = `${household.building}|system|${category}`;
+        basis = 'building_system';
+      }
+      if (!key) return;
+
+      const group = groups.get(key) || { building: household.building, basis, category, entries: [] };
+      group.entries.push({ household: household.id, item });
+      groups.set(key, group);
+    });
+  }
+
+  return [...groups.values()]
+    .filter(group => new Set(group.entries.map(e => e.household)).size > 1)
+    .map(({ building, basis, category, entries }) => {
+      // One repair for the building: the fullest estimate stands for all
+      const counted = entries.reduce((best, e) => (e.item.high > best.high ? e.item : best), entries[0].item);
+      const claimed = {
+        conservative: entries.reduce((sum, e) => sum + e.item.low, 0),
+        aggressive: entries.reduce((sum, e) => sum + e.item.high, 0),
+      };
+      return {
+        building,
+        basis,
+        category,
+        item: counted.item,
+        households: entries.map(e => e.household),
+        counted: { low: counted.low, high: counted.high },
+        removed: {
+          conservative: claimed.conservative - counted.low,
+          aggressive: claimed.aggressive - counted.high,
+        },
+        entries,
+      };
+    });
+}
+
+/**
+ * Class-wide totals per breakdown category, before repair de-duplication
+ */
+export function sumCategories(households) {
+  const totals = new Map();
+
+  for (const { damages } of households) {
+    for (const estimate of ['conservative', 'aggressive']) {
+      for (const line of damages[estimate].breakdown) {
+        const category = CATEGORY_ALIASES[line.category] || line.category;
+        const row = totals.get(category) || { category, conservative: 0, aggressive: 0, households: new Set() };
+        row[estimate] += line.amount;
+        row.households.add(damages);
+        totals.set(category, row);
+      }
+    }
+  }
+
+  return [...totals.values()].map(row => ({ ...row, households: row.households.size }));
+}
+
+export default findSharedRepairs;
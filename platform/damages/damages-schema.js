@@ -0,0 +1,382 @@
+/**
+ * DAMAGES SCHEMA
+ *
+ * The versioned shape of DamagesCalculator output, and the migrations that
+ * bring results saved by older versions (checkpoints, exported JSON) up to
+ * it. Consumers load saved damages through loadDamages() so a missing
+ * category fails loudly instead of printing "undefined".
+ *
+ * Versions:
+ *   1 - unversioned: breakdown lines without rules, string repair sources
+ *   2 - rule citations, ledgers, statutory damages, metadata.schemaVersion
+ *   3 - relocation costs itemized: documented vs per-diem estimates
+ */
+
+import { z } from 'zod';
+import { RuleSchema } from './rule-pack-registry.js';
+import { AbatementLedgerSchema } from './abatement-ledger.js';
+import { RentReconciliationSchema } from './rent-payment-ledger.js';
+import { REPAIR_COST_SOURCES } from './repair-cost-index.js';
+import { EXCLUDABLE_CATEGORIES } from './what-if.js';
+import { DepositAccountingSchema } from './security-deposit.js';
+import { RELOCATION_BASES, RELOCATION_EXPENSE_KINDS } from './relocation-costs.js';
+
+export const DAMAGES_SCHEMA_VERSION = 3;
+
+const BreakdownLineSchema = z.object({
+  category: z.string(),
+  amount: z.number(),
+  calculation: z.string(),
+  explanation: z.string(),
+  rule: RuleSchema, // statute/case the amount rests on
+});
+
+export const DamagesSchema = z.object({
+  conservative: z.object({
+    total: z.number(),
+    breakdown: z.array(BreakdownLineSchema),
+  }),
+  
+  aggressive: z.object({
+    total: z.number(),
+    breakdown: z.array(BreakdownLineSchema),
+  }),
+  
+  recommended: z.object({
+    demandAmount: z.number(),
+    settlementRange: z.object({
+      low: z.number(),
+      high: z.number(),
+    }),
+    rationale: z.string(),
+  }),
+  
+  categories: z.object({
+    rentAbatement: z.object({
+      conservative: z.number(),
+      aggressive: z.number(),
+      calculation: z.string(),
+      conservativeCalculation: z.string().optional(),
+      monthsAffected: z.number(),
+      percentUninhabitable: z.number(), // peak day
+      method: z.string(),
+      ledger: AbatementLedgerSchema.optional(), // day-by-day and monthly lost-use value
+    }),
+    
+    // Rent paid vs. abated value, month by month
+    rentPayments: RentReconciliationSchema.optional(),
+    
+    prejudgmentInterest: z.object({
+      conservative: z.number(),
+      aggressive: z.number(),
+      rate: z.number(),
+      compounding: z.string(),
+      asOf: z.string(),
+      explanation: z.string(),
+      items: z.array(z.object({
+        month: z.string(),
+        from: z.string(),
+        days: z.number(),
+        principal: z.object({ conservative: z.number(), aggressive: z.number() }),
+        interest: z.object({ conservative: z.number(), aggressive: z.number() }),
+      })),
+    }).optional(),
+    
+    securityDeposit: z.object({
+      amount: z.number(),
+      returnable: z.boolean(),
+      calculation: z.string().optional(),
+      explanation: z.string(),
+      accounting: DepositAccountingSchema.optional(), // move-out deadlines and deductions
+    }),
+    
+    repairCosts: z.object({
+      conservative: z.number(),
+      aggressive: z.number(),
+      items: z.array(z.object({
+        item: z.string(),
+        estimatedCost: z.number(),
+        low: z.number(), // counted in the conservative estimate
+        high: z.number(), // counted in the aggressive estimate
+        source: z.enum(REPAIR_COST_SOURCES),
+        sourceDetail: z.string(), // vendors and files, or the index adjustment
+        documents: z.array(z.string()).optional(),
+      })),
+    }),
+    
+    relocationCosts: z.object({
+      conservative: z.number(),
+      aggressive: z.number(),
+      documented: z.number(), // receipts, invoices, mileage logs
+      estimated: z.number(), // per diem and flat allowances
+      items: z.array(z.object({
+        kind: z.enum(RELOCATION_EXPENSE_KINDS),
+        description: z.string(),
+        low: z.number(), // counted in the conservative estimate
+        high: z.number(), // counted in the aggressive estimate
+        basis: z.enum(RELOCATION_BASES),
+        calculation: z.string(),
+        documents: z.array(z.string()),
+      })),
+      periods: z.array(z.object({
+        from: z.string(),
+        to: z.string(),
+        ongoing: z.boolean(),
+        nights: z.number(),
+        scope: z.enum(['full', 'partial']),
+        reason: z.string().optional(),
+        people: z.number(),
+        lodging: z.boolean(),
+        meals: z.boolean(),
+      })),
+      perDiem: z.object({
+        version: z.string(),
+        locality: z.string(),
+        lodging: z.number(),
+        meals: z.number(),
+        mileage: z.number(),
+      }).nullable(),
+      explanation: z.string(),
+    }).optional(),
+    
+    lossOfUse: z.object({
+      conservative: z.number(),
+      aggressive: z.number(),
+      explanation: z.string(),
+    }).optional(),
+    
+    emotionalDistress: z.object({
+      conservative: z.number(),
+      aggressive: z.number(),
+      factors: z.array(z.string()),
+      explanation: z.string(),
+    }).optional(),
+    
+    medicalCosts: z.object({
+      conservative: z.number(),
+      aggressive: z.number(),
+      items: z.array(z.object({
+        person: z.string(),
+        condition: z.string(),
+        pastCosts: z.number(),
+        futureCosts: z.number(),
+        causationStrength: z.string(),
+      })),
+      explanation: z.string(),
+    }).optional(),
+    
+    statutoryDamages: z.array(z.object({
+      id: z.string(),
+      conservative: z.number(),
+      aggressive: z.number(),
+      calculation: z.string(),
+      citation: z.string(),
+      description: z.string(),
+    })),
+    
+    punitiveRange: z.object({
+      min: z.number(),
+      max: z.number(),
+      available: z.boolean(),
+      basisForClaim: z.string(),
+      cap: z.number().nullable().optional(), // cap on max; null = no statutory cap
+      minCap: z.number().nullable().optional(), // cap on min (from the conservative compensatories)
+      citation: z.string().optional(),
+    }).optional(),
+    
+    attorneyFees: z.object({
+      estimated: z.number(),
+      calculation: z.string(),
+      availableUnderStatute: z.boolean(),
+      statute: z.string().optional(),
+      explanation: z.string(),
+    }),
+  }),
+  
+  metadata: z.object({
+    calculationDate: z.string(),
+    assumptions: z.array(z.string()),
+    uncertainties: z.array(z.string()),
+    unconfirmedFields: z.array(z.object({
+      field: z.string(),
+      confidence: z.number(),
+      source: z.string(),
+    })).optional(),
+    rulePack: z.object({
+      jurisdiction: z.string(),
+      name: z.string(),
+      version: z.string(),
+    }),
+    schemaVersion: z.literal(DAMAGES_SCHEMA_VERSION),
+    asOf: z.string().optional(), // date ongoing losses and interest run to
+    excludedCategories: z.array(z.enum(EXCLUDABLE_CATEGORIES)).optional(), // left out by a what-if
+    agent: z.string(),
+  }),
+});
+
+/**
+ * A damages result that doesn't match DamagesSchema. `category` names the
+ * first category at fault ("repairCosts", "recommended"); `fields` lists
+ * every failing path.
+ */
+export class DamagesSchemaError extends Error {
+  constructor(issues) {
+    const fields = issues.map(issue => ({
+      path: issue.path.join('.'),
+      message: issue.message,
+    }));
+    const category = categoryOf(issues[0].path);
+
+    const listed = fields.slice(0, 5).map(f => `${f.path || '(root)'} (${f.message})`).join(', ');
+    super(
+      `Damages result is invalid in "${category}": ${listed}` +
+      (fields.length > 5 ? ` and ${fields.length - 5} more` : '')
+    );
+    this.name = 'DamagesSchemaError';
+    this.category = category;
+    this.fields = fields;
+    this.retryable = false; // same data fails the same way
+  }
+}
+
+/**
+ * Validate a current-version damages result
+ * @throws {DamagesSchemaError}
+ */
+export function validateDamages(damages) {
+  if (!damages || typeof damages !== 'object') {
+    throw new DamagesSchemaError([{ path: [], message: 'No damages result' }]);
+  }
+
+  const parsed = DamagesSchema.safeParse(damages);
+  if (!parsed.success) throw new DamagesSchemaError(parsed.error.issues);
+  return parsed.data;
+}
+
+/**
+ * Upgrade a saved damages result to DAMAGES_SCHEMA_VERSION (not validated)
+ */
+export function migrateDamages(saved) {
+  if (!saved || typeof saved !== 'object') return saved;
+
+  let damages = structuredClone(saved);
+  let version = damages.metadata?.schemaVersion ?? 1;
+
+  if (version > DAMAGES_SCHEMA_VERSION) {
+    throw new Error(`Damages result has schema version ${version}; this build reads up to ${DAMAGES_SCHEMA_VERSION}`);
+  }
+
+  while (version < DAMAGES_SCHEMA_VERSION) {
+    damages = MIGRATIONS[version](damages);
+    version += 1;
+  }
+
+  return damages;
+}
+
+/**
+ * Migrate, then validate - for damages read back from storage
+ * @throws {DamagesSchemaError}
+ */
+export function loadDamages(saved) {
+  return validateDamages(migrateDamages(saved));
+}
+
+// ============================================================================
+// MIGRATIONS
+// ============================================================================
+
+const NOT_RECORDED = 'Not recorded (saved before rule packs)';
+
+// MIGRATIONS[n] upgrades version n to n + 1
+const MIGRATIONS = {
+  1: (damages) => {
+    const { recommended = {}, categories = {}, metadata = {} } = damages;
+
+    // Early summaries wrote recommended.total and a top-level settlementRange { min, max }
+    if (recommended.demandAmount === undefined && recommended.total !== undefined) {
+      recommended.demandAmount = recommended.total;
+    }
+    const legacyRange = damages.settlementRange;
+    if (!recommended.settlementRange && legacyRange?.min !== undefined) {
+      recommended.settlementRange = { low: legacyRange.min, high: legacyRange.max };
+    }
+    delete recommended.total;
+    delete damages.settlementRange;
+
+    for (const estimate of [damages.conservative, damages.aggressive]) {
+      for (const line of estimate?.breakdown || []) {
+        line.rule ??= { citation: '', description: NOT_RECORDED };
+      }
+    }
+
+    if (categories.rentAbatement) categories.rentAbatement.method ??= 'percentage_reduction';
+    categories.statutoryDamages ??= [];
+
+    if (categories.repairCosts) {
+      categories.repairCosts.items = (categories.repairCosts.items || []).map(item => (
+        REPAIR_COST_SOURCES.includes(item.source) ? item : {
+          ...item,
+          low: item.low ?? Math.round(item.estimatedCost * 0.8),
+          high: item.high ?? Math.round(item.estimatedCost * 1.2),
+          source: 'cost_index',
+          sourceDetail: item.sourceDetail ?? `${item.source || 'Estimate'} (saved before repair evidence)`,
+        }
+      ));
+    }
+
+    if (categories.attorneyFees) categories.attorneyFees.calculation ??= NOT_RECORDED;
+
+    metadata.rulePack ??= { jurisdiction: 'US', name: NOT_RECORDED, version: '0' };
+    metadata.schemaVersion = 2;
+
+    return { ...damages, recommended, categories, metadata };
+  },
+
+  2: (damages) => {
+    const { categories = {}, metadata = {} } = damages;
+
+    // Flat { moving, storageFees, temporaryHousing, total } allowance
+    const legacy = categories.relocationCosts;
+    if (legacy && legacy.items === undefined) {
+      const items = [
+        ['moving', 'Moving company (standard estimate)', legacy.moving],
+        ['storage', 'Storage (standard estimate)', legacy.storageFees],
+        ['hotel', 'Temporary housing', legacy.temporaryHousing],
+      ]
+        .filter(([, , amount]) => amount > 0)
+        .map(([kind, description, amount]) => ({
+          kind, description, low: amount, high: amount, basis: 'standard', calculation: `$${amount.toLocaleString()} flat allowance`, documents: [],
+        }));
+      const total = legacy.total ?? items.reduce((sum, item) => sum + item.high, 0);
+
+      categories.relocationCosts = {
+        conservative: total,
+        aggressive: total,
+        documented: 0,
+        estimated: total,
+        items,
+        periods: [],
+        perDiem: null,
+        explanation: 'Flat relocation allowance (saved before relocation itemization)',
+      };
+    }
+
+    metadata.schemaVersion = 3;
+
+    return { ...damages, categories, metadata };
+  },
+};
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+// ['categories', 'repairCosts', 'items', 0] -> 'repairCosts'
+function categoryOf(path) {
+  if (path.length === 0) return 'damages';
+  if (path[0] === 'categories' && path.length > 1) return String(path[1]);
+  return String(path[0]);
+}
+
+export default DamagesSchema;
@@ -0,0 +1,68 @@
+/**
+ * STATUTORY INTEREST ENGINE
+ *
+ * Prejudgment interest on dated losses at a state's legal rate, simple or
+ * compounded:
+ *
+ *   accrueInterest([{ date: '2024-08-01', amount: 540 }], { rate: 0.07, compounding: 'simple', asOf: '2025-06-01' })
+ *
+ * Rates and compounding come from the `prejudgmentInterest` rule in each
+ * state's damages rule pack.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+// Compounding periods per year
+export const COMPOUNDING_PERIODS = { simple: null, annual: 1, monthly: 12, daily: DAYS_PER_YEAR };
+
+/**
+ * Interest on one amount over a number of days
+ * @param {number} principal
+ * @param {number} days
+ * @param {{ rate: number, compounding: string }} terms - Annual rate (0.07 = 7%)
+ */
+export function interestFor(principal, days, { rate, compounding }) {
+  if (principal <= 0 || days <= 0 || rate <= 0) return 0;
+
+  const years = days / DAYS_PER_YEAR;
+  const periods = COMPOUNDING_PERIODS[compounding];
+
+  if (!periods) return principal * rate * years;
+  return principal * ((1 + rate / periods) ** (periods * years) - 1);
+}
+
+/**
+ * @param {Array<{ date: string, amount: number, label?: string }>} items - Losses and when they arose
+ * @param {object} terms
+ * @param {number} terms.rate - Annual rate
+ * @param {string} terms.compounding - simple | annual | monthly | daily
+ * @param {string} [terms.asOf] - ISO date interest runs to (default today)
+ * @returns {{ total: number, items: object[] }} Per item: { label, from, principal, days, interest }
+ */
+export function accrueInterest(items, terms) {
+  const asOf = Date.parse((terms.asOf || new Date().toISOString()).substring(0, 10));
+
+  const accrued = items.map(item => {
+    const from = Date.parse(item.date.substring(0, 10));
+    const days = Number.isNaN(from) ? 0 : Math.max(Math.round((asOf - from) / DAY_MS), 0);
+    return {
+      label: item.label,
+      from: item.date.substring(0, 10),
+      principal: item.amount,
+      days,
+      interest: cents(interestFor(item.amount, days, terms)),
+    };
+  });
+
+  return {
+    total: cents(accrued.reduce((total, item) => total + item.interest, 0)),
+    items: accrued,
+  };
+}
+
+function cents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export default accrueInterest;
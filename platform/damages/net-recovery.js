@@ -0,0 +1,327 @@
+/**
+ * NET RECOVERY
+ *
+ * What the tenant takes home from a settlement: the figure is allocated
+ * across the damages breakdown, then the contingency fee, case costs, liens
+ * (Medicaid, medical providers) and estimated income tax come off each
+ * category according to how it is treated.
+ *
+ *   calculateNetRecovery(damages, 25000, {
+ *     contingencyFee: { rate: 0.33 },
+ *     costs: [{ label: 'Filing fee', amount: 400 }],
+ *     liens: [{ holder: 'Georgia Medicaid', type: 'medicaid', amount: 3200 }],
+ *     taxRate: 0.22,
+ *   })
+ *
+ * Tax figures are estimates for a client conversation, not tax advice.
+ */
+
+import { z } from 'zod';
+
+export const TAX_TREATMENTS = {
+  rent_refund: {
+    label: 'Rent & deposit refund',
+    taxable: false,
+    citation: 'IRC § 61(a); Raytheon Prod. Corp. v. Commissioner, 144 F.2d 110 (1st Cir. 1944)',
+    description: 'Return of the tenant\'s own rent and deposit - not income',
+  },
+  reimbursement: {
+    label: 'Repair & relocation reimbursement',
+    taxable: false,
+    citation: 'Raytheon Prod. Corp. v. Commissioner, 144 F.2d 110 (1st Cir. 1944)',
+    description: 'Repays money spent - not income to the extent of what was spent',
+  },
+  physical_injury: {
+    label: 'Physical injury / sickness',
+    taxable: false,
+    citation: 'IRC § 104(a)(2)',
+    description: 'Excluded, except medical expenses already deducted',
+  },
+  emotional_distress: {
+    label: 'Emotional distress',
+    taxable: true,
+    citation: 'IRC § 104(a) (flush language); Treas. Reg. § 1.104-1(c)',
+    description: 'Taxable unless it flows from a physical injury, less medical care for the distress',
+  },
+  economic_loss: {
+    label: 'Loss of use & other damages',
+    taxable: true,
+    citation: 'IRC § 61(a)',
+    description: 'Taxable as ordinary income',
+  },
+  statutory: {
+    label: 'Statutory damages',
+    taxable: true,
+    citation: 'IRC § 61(a)',
+    description: 'Penalty awards are taxable as ordinary income',
+  },
+  punitive: {
+    label: 'Punitive damages',
+    taxable: true,
+    citation: 'IRC § 104(a)(2); O\'Gilvie v. United States, 519 U.S. 79 (1996)',
+    description: 'Always taxable, even in a physical injury case',
+  },
+  interest: {
+    label: 'Interest',
+    taxable: true,
+    citation: 'IRC § 61(a)(4)',
+    description: 'Taxable as interest income',
+  },
+};
+
+// Damages breakdown line → tax treatment; unknown lines are treated as taxable
+const LINE_TREATMENTS = {
+  'Rent Abatement': 'rent_refund',
+  'Rent Withheld (offset)': 'rent_refund',
+  'Rent Paid Beyond Lease': 'rent_refund',
+  'Security Deposit Return': 'rent_refund',
+  'Repair Costs': 'reimbursement',
+  'Repair/Remediation Costs': 'reimbursement',
+  'Relocation Costs': 'reimbursement',
+  'Loss of Use': 'economic_loss',
+  'Medical Costs': 'physical_injury',
+  'Emotional Distress': 'emotional_distress',
+  'Statutory Damages': 'statutory',
+  'Punitive Damages': 'punitive',
+  'Prejudgment Interest': 'interest',
+};
+
+const TREATMENTS = Object.keys(TAX_TREATMENTS);
+
+export const LIEN_TYPES = ['medicaid', 'medical_provider', 'other'];
+
+export const NetRecoveryTermsSchema = z.object({
+  estimate: z.enum(['conservative', 'aggressive']).default('aggressive'), // breakdown to allocate over
+  contingencyFee: z.object({
+    rate: z.number().min(0).max(1),
+    basis: z.enum(['gross', 'net_of_costs']).default('gross'),
+  }).default({ rate: 1 / 3 }),
+  costs: z.array(z.object({ label: z.string(), amount: z.number() })).default([]),
+  liens: z.array(z.object({
+    holder: z.string(),
+    type: z.enum(LIEN_TYPES),
+    amount: z.number(),
+    negotiatedAmount: z.number().optional(), // agreed reduction
+  })).default([]),
+  // Dollar allocation written into the settlement agreement; default pro rata
+  allocation: z.record(z.enum(TREATMENTS), z.number()).optional(),
+  taxRate: z.number().min(0).max(1).default(0.22), // combined marginal federal + state
+  physicalInjury: z.boolean().default(false), // distress flows from a physical injury or sickness
+});
+
+const MoneyRowSchema = z.object({
+  gross: z.number(),
+  attorneyFee: z.number(),
+  costs: z.number(),
+  liens: z.number(),
+  taxableAmount: z.number(),
+  estimatedTax: z.number(),
+  netToTenant: z.number(),
+});
+
+export const NetRecoverySchema = z.object({
+  settlement: z.number(),
+  estimate: z.enum(['conservative', 'aggressive']),
+  rows: z.array(MoneyRowSchema.extend({
+    treatment: z.enum(TREATMENTS),
+    label: z.string(),
+    taxable: z.boolean(),
+    citation: z.string(),
+  })),
+  totals: MoneyRowSchema,
+  liens: z.array(z.object({
+    holder: z.string(),
+    type: z.enum(LIEN_TYPES),
+    claimed: z.number(),
+    paid: z.number(),
+    explanation: z.string(),
+  })),
+  notes: z.array(z.string()),
+});
+
+/**
+ * Net-to-tenant table for one settlement figure
+ * @param {object} damages - DamagesCalculator result (DamagesSchema)
+ * @param {number} settlement - Gross settlement amount
+ * @param {object} [terms] - Fee agreement, costs, liens and tax rate (NetRecoveryTermsSchema)
+ * @returns {object} Net recovery matching NetRecoverySchema
+ */
+export function calculateNetRecovery(damages, settlement, terms = {}) {
+  const parsed = NetRecoveryTermsSchema.safeParse(terms);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`).join('; ');
+    throw new Error(`Invalid net recovery terms: ${issues}`);
+  }
+  const options = parsed.data;
+  const notes = [];
+
+  const gross = allocate(damages[options.estimate].breakdown, settlement, options, notes);
+
+  // Contingency fee and costs come off every category in proportion
+  const costs = options.costs.reduce((total, cost) => total + cost.amount, 0);
+  const feeBase = options.contingencyFee.basis === 'gross' ? settlement : Math.max(settlement - costs, 0);
+  const fee = feeBase * options.contingencyFee.rate;
+  const share = treatment => (settlement > 0 ? gross[treatment] / settlement : 0);
+
+  const rows = TREATMENTS
+    .filter(treatment => gross[treatment] > 0)
+    .map(treatment => {
+      const { label, taxable, citation } = TAX_TREATMENTS[treatment];
+      return {
+        treatment,
+        label,
+        taxable,
+        citation,
+        gross: gross[treatment],
+        attorneyFee: fee * share(treatment),
+        costs: costs * share(treatment),
+        liens: 0,
+      };
+    });
+
+  const liens = payLiens(rows, options.liens, notes);
+
+  for (const row of rows) {
+    // Commissioner v. Banks: the fee share of a taxable recovery is still the client's income
+    row.taxableAmount = row.taxable ? row.gross : 0;
+    row.estimatedTax = row.taxableAmount * options.taxRate;
+    row.netToTenant = row.gross - row.attorneyFee - row.costs - row.liens - row.estimatedTax;
+  }
+
+  if (rows.some(row => row.taxable && row.attorneyFee > 0)) {
+    notes.push('Fees on taxable categories count as the tenant\'s income (Commissioner v. Banks, 543 U.S. 426 (2005)); '
+      + 'the above-the-line deduction in IRC § 62(a)(20) does not reach housing claims');
+  }
+  if (rows.some(row => row.treatment === 'physical_injury')) {
+    notes.push('Medical expenses the tenant already deducted are taxable when reimbursed (IRC § 104(a))');
+  }
+  notes.push(`Estimated tax at a ${Math.round(options.taxRate * 1000) / 10}% combined marginal rate - confirm with a tax professional`);
+
+  const roundedRows = rows.map(row => ({ ...row, ...roundMoney(row) }));
+  const totals = roundMoney(Object.fromEntries(
+    Object.keys(MoneyRowSchema.shape).map(key => [key, rows.reduce((sum, row) => sum + row[key], 0)]),
+  ));
+
+  return NetRecoverySchema.parse({
+    settlement,
+    estimate: options.estimate,
+    rows: roundedRows,
+    totals,
+    liens,
+    notes,
+  });
+}
+
+/**
+ * Net recovery at several settlement figures, e.g. the recommended range
+ */
+export function netRecoveryAt(damages, settlements, terms = {}) {
+  return settlements.map(settlement => calculateNetRecovery(damages, settlement, terms));
+}
+
+// ============================================================================
+// ALLOCATION & LIENS
+// ============================================================================
+
+/**
+ * Settlement dollars per tax treatment: as written in the agreement, or in
+ * proportion to the damages breakdown
+ */
+function allocate(breakdown, settlement, options, notes) {
+  const gross = Object.fromEntries(TREATMENTS.map(treatment => [treatment, 0]));
+
+  if (options.allocation) {
+    const allocated = Object.values(options.allocation).reduce((sum, amount) => sum + amount, 0);
+    if (Math.abs(allocated - settlement) > 1) {
+      throw new Error(`Settlement allocation totals $${allocated.toLocaleString()}, not the $${settlement.toLocaleString()} settlement`);
+    }
+    Object.assign(gross, options.allocation);
+    notes.push('Allocation as written in the settlement agreement');
+    return gross;
+  }
+
+  const claimed = { ...gross };
+  for (const line of breakdown) {
+    let treatment = LINE_TREATMENTS[line.category] || 'economic_loss';
+    if (treatment === 'emotional_distress' && options.physicalInjury) treatment = 'physical_injury';
+    claimed[treatment] += line.amount;
+  }
+
+  // Offsets (rent withheld) net out within their category, never below zero
+  const total = TREATMENTS.reduce((sum, treatment) => sum + Math.max(claimed[treatment], 0), 0);
+  if (total <= 0) {
+    gross.economic_loss = settlement;
+    notes.push('No positive damages to allocate over - settlement treated as taxable');
+    return gross;
+  }
+
+  for (const treatment of TREATMENTS) {
+    gross[treatment] = settlement * Math.max(claimed[treatment], 0) / total;
+  }
+  notes.push(`Settlement allocated in proportion to the ${options.estimate} damages breakdown - an allocation written into the agreement controls`);
+  return gross;
+}
+
+/**
+ * Liens come out of the medical recovery first, then the rest in proportion.
+ * Medicaid can only reach the medical share of the settlement (Ahlborn, Gallardo).
+ */
+function payLiens(rows, liens, notes) {
+  const medical = rows.find(row => row.treatment === 'physical_injury');
+  const medicalShare = medical?.gross || 0;
+  let medicaidReach = medicalShare;
+
+  const paid = liens.map(lien => {
+    const claimed = lien.negotiatedAmount ?? lien.amount;
+    let amount = claimed;
+    let explanation = lien.negotiatedAmount !== undefined
+      ? `Negotiated from $${lien.amount.toLocaleString()}`
+      : 'Paid as claimed';
+
+    if (lien.type === 'medicaid') {
+      amount = Math.min(claimed, medicaidReach);
+      medicaidReach -= amount;
+      if (amount < claimed) {
+        explanation = `Limited to the medical share of the settlement ($${Math.round(medicalShare).toLocaleString()}) - `
+          + 'Arkansas Dep\'t of Health & Human Servs. v. Ahlborn, 547 U.S. 268 (2006); Gallardo v. Marstiller, 596 U.S. 420 (2022)';
+      }
+    }
+
+    return { holder: lien.holder, type: lien.type, claimed: lien.amount, paid: Math.round(amount * 100) / 100, explanation };
+  });
+
+  let remaining = paid.reduce((sum, lien) => sum + lien.paid, 0);
+  if (remaining === 0) return paid;
+
+  if (medical) {
+    const available = medical.gross - medical.attorneyFee - medical.costs;
+    medical.liens = Math.min(remaining, Math.max(available, 0));
+    remaining -= medical.liens;
+  }
+
+  if (remaining > 0) {
+    const others = rows.filter(row => row !== medical);
+    const available = others.reduce((sum, row) => sum + Math.max(row.gross - row.attorneyFee - row.costs, 0), 0);
+    for (const row of others) {
+      const rowAvailable = Math.max(row.gross - row.attorneyFee - row.costs, 0);
+      row.liens = available > 0 ? Math.min(remaining, available) * rowAvailable / available : 0;
+    }
+    if (remaining > available) {
+      notes.push(`Liens exceed the tenant's share by $${Math.round(remaining - available).toLocaleString()} - negotiate reductions before settling`);
+    }
+  }
+
+  return paid;
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function roundMoney(row) {
+  const rounded = {};
+  for (const key of Object.keys(MoneyRowSchema.shape)) rounded[key] = Math.round(row[key] * 100) / 100;
+  return rounded;
+}
+
+export default calculateNetRecovery;
@@ -0,0 +1,314 @@
+/**
+ * RELOCATION AND TEMPORARY HOUSING
+ *
+ * What it cost the tenant to live somewhere else while the unit (or part of
+ * it) was unusable, and to move out for good:
+ *
+ *   caseData.displacement = {
+ *     periods: [{ from: '2025-01-10', to: '2025-01-24', scope: 'partial', reason: 'Bedroom ceiling collapse', lodging: true }],
+ *     expenses: [{ kind: 'hotel', type: 'receipt', amount: 1540, nights: 11, vendor: 'Inn Express', file: 'folio.pdf' }],
+ *     commute: { extraMilesPerDay: 18 },
+ *     household: 3,
+ *   }
+ *
+ * Receipts and invoices count at face value (documented). Nights, meal days
+ * and commute miles no document covers are estimated from the per-diem table:
+ * GSA lodging and meals (M&IE) rates by locality, the IRS mileage rate.
+ * Moving quotes give a range, like repair quotes.
+ *
+ * Rates are approximate FY2025 figures. Supply a newer table with
+ * new DamagesCalculator({ perDiem }).
+ */
+
+import { z } from 'zod';
+
+export const RELOCATION_EXPENSE_KINDS = ['hotel', 'meals', 'mileage', 'storage', 'moving', 'other'];
+
+// receipt/invoice = documented; quote = range; log = mileage log
+export const RELOCATION_EVIDENCE_TYPES = ['receipt', 'invoice', 'quote', 'log'];
+
+export const RELOCATION_BASES = ['receipt', 'invoice', 'quote', 'log', 'per_diem', 'standard'];
+
+export const RelocationExpenseSchema = z.object({
+  kind: z.enum(RELOCATION_EXPENSE_KINDS),
+  type: z.enum(RELOCATION_EVIDENCE_TYPES).default('receipt'),
+  amount: z.number().optional(), // not needed for a mileage log
+  nights: z.number().optional(), // hotel nights covered
+  days: z.number().optional(), // meal days covered
+  miles: z.number().optional(), // mileage log
+  date: z.string().optional(), // ISO date
+  vendor: z.string().optional(),
+  file: z.string().optional(), // document file name or reference number
+  description: z.string().optional(),
+});
+
+export const DisplacementSchema = z.object({
+  periods: z.array(z.object({
+    from: z.string(), // ISO date
+    to: z.string().optional(), // ISO date back home; ongoing when missing
+    scope: z.enum(['full', 'partial']).default('full'), // partial: one room lost, e.g. ceiling collapse
+    reason: z.string().optional(),
+    people: z.number().optional(), // displaced; default the household
+    lodging: z.boolean().optional(), // slept elsewhere (default: full displacement)
+    meals: z.boolean().optional(), // no usable kitchen (default: full displacement)
+  })).default([]),
+  expenses: z.array(RelocationExpenseSchema).default([]),
+  commute: z.object({
+    extraMilesPerDay: z.number(), // round trip, from the temporary lodging
+    workdaysPerWeek: z.number().default(5),
+  }).optional(),
+  household: z.number().optional(), // people in the household
+  permanentMove: z.boolean().optional(), // moved out for good
+});
+
+export const PerDiemTableSchema = z.object({
+  version: z.string(),
+  source: z.string(),
+  standard: z.object({ lodging: z.number(), meals: z.number() }), // per night / per person-day
+  mileage: z.number(), // per mile
+  firstLastDayMeals: z.number(), // share of M&IE on the first and last day
+  localities: z.array(z.object({
+    name: z.string(),
+    lodging: z.number(),
+    meals: z.number(),
+    zipPrefixes: z.array(z.string()), // 3-digit ZIP prefixes
+  })),
+});
+
+export const DEFAULT_PER_DIEM = {
+  version: 'FY2025',
+  source: 'GSA CONUS per diem rates (annual average lodging), IRS standard mileage rate',
+  standard: { lodging: 110, meals: 68 },
+  mileage: 0.70,
+  firstLastDayMeals: 0.75,
+  localities: [
+    { name: 'New York City', lodging: 274, meals: 92, zipPrefixes: ['100', '101', '102', '103', '104', '110', '111', '112', '113', '114', '116'] },
+    { name: 'San Francisco', lodging: 272, meals: 92, zipPrefixes: ['940', '941', '944'] },
+    { name: 'Boston', lodging: 276, meals: 92, zipPrefixes: ['021', '022', '024'] },
+    { name: 'Washington DC', lodging: 230, meals: 92, zipPrefixes: ['200', '202', '203', '204', '205', '222', '223'] },
+    { name: 'Seattle', lodging: 234, meals: 92, zipPrefixes: ['980', '981'] },
+    { name: 'Chicago', lodging: 195, meals: 92, zipPrefixes: ['606', '607', '608'] },
+    { name: 'Los Angeles', lodging: 191, meals: 86, zipPrefixes: ['900', '901', '902', '903', '904', '905', '906', '907', '908', '910', '911', '912', '913', '914', '915', '916', '917', '918'] },
+    { name: 'Miami', lodging: 196, meals: 86, zipPrefixes: ['330', '331', '332'] },
+    { name: 'Denver', lodging: 199, meals: 92, zipPrefixes: ['800', '801', '802'] },
+    { name: 'Philadelphia', lodging: 201, meals: 86, zipPrefixes: ['190', '191'] },
+    { name: 'Atlanta', lodging: 170, meals: 80, zipPrefixes: ['300', '301', '302', '303', '311'] },
+    { name: 'Austin', lodging: 175, meals: 80, zipPrefixes: ['786', '787'] },
+    { name: 'Dallas', lodging: 155, meals: 80, zipPrefixes: ['750', '751', '752', '753'] },
+    { name: 'Houston', lodging: 139, meals: 80, zipPrefixes: ['770', '771', '772'] },
+  ],
+};
+
+// Breaking the lease with no receipts yet - the old flat allowance
+const STANDARD_MOVE = [
+  { kind: 'moving', amount: 1500, description: 'Moving company (standard estimate)' },
+  { kind: 'storage', amount: 500, description: 'Storage, 2-3 months (standard estimate)' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Per-diem rates for a property: locality by ZIP prefix, else the standard CONUS rate
+ */
+export function perDiemRates(property = {}, table = DEFAULT_PER_DIEM) {
+  const prefix = String(property.zipCode || '').trim().substring(0, 3);
+  const locality = /^\d{3}$/.test(prefix) && table.localities.find(l => l.zipPrefixes.includes(prefix));
+
+  return locality
+    ? { locality: locality.name, lodging: locality.lodging, meals: locality.meals, mileage: table.mileage }
+    : { locality: 'Standard CONUS rate', ...table.standard, mileage: table.mileage };
+}
+
+/**
+ * Relocation costs: documented expenses plus per-diem estimates for what no
+ * document covers
+ * @param {object} caseData - With displacement and/or desiredOutcome.breakLease
+ * @param {{ asOf: string, perDiem?: object }} options
+ * @returns {object|undefined} Undefined when the tenant was never displaced
+ */
+export function calculateRelocation(caseData, { asOf, perDiem = DEFAULT_PER_DIEM }) {
+  const displacement = caseData.displacement ? DisplacementSchema.parse(caseData.displacement) : null;
+  const breakLease = caseData.desiredOutcome?.breakLease || displacement?.permanentMove;
+  if (!displacement && !breakLease) return undefined;
+
+  const rates = perDiemRates(caseData.property, perDiem);
+  const household = displacement?.household || 1 + (caseData.tenant?.childrenAges?.length || 0);
+  const items = [];
+  const expenses = displacement?.expenses || [];
+
+  // Displacement periods, with the expenses dated inside each
+  const periods = (displacement?.periods || []).map(period => {
+    const to = (period.to || asOf).substring(0, 10);
+    const nights = Math.max(Math.round((Date.parse(to) - Date.parse(period.from.substring(0, 10))) / DAY_MS), 0);
+    const full = period.scope === 'full';
+    return {
+      from: period.from.substring(0, 10),
+      to,
+      ongoing: !period.to,
+      nights,
+      scope: period.scope,
+      reason: period.reason,
+      people: period.people || household,
+      lodging: period.lodging ?? full,
+      meals: period.meals ?? full,
+    };
+  });
+  const periodOf = expense => (expense.date && periods.find(p => expense.date >= p.from && expense.date <= p.to)) || periods[0];
+
+  // Documented expenses at face value; quotes as a range; mileage logs at the IRS rate
+  for (const expense of expenses.filter(e => e.type !== 'quote')) {
+    const amount = expense.kind === 'mileage' && expense.amount === undefined
+      ? cents((expense.miles || 0) * rates.mileage)
+      : expense.amount || 0;
+    items.push({
+      kind: expense.kind,
+      description: expense.description || describe(expense),
+      low: amount,
+      high: amount,
+      basis: expense.type,
+      calculation: expense.kind === 'mileage' && expense.amount === undefined
+        ? `${expense.miles} miles × $${rates.mileage.toFixed(2)}`
+        : label(expense),
+      documents: expense.file ? [expense.file] : [],
+    });
+  }
+
+  const quotesByKind = group(expenses.filter(e => e.type === 'quote'), e => e.kind);
+  for (const [kind, quotes] of quotesByKind) {
+    // A paid receipt for the same thing supersedes its quotes
+    if (items.some(item => item.kind === kind && kind !== 'other')) continue;
+    const amounts = quotes.map(q => q.amount || 0).sort((a, b) => a - b);
+    items.push({
+      kind,
+      description: quotes.find(q => q.description)?.description || describe(quotes[0]),
+      low: amounts[0],
+      high: amounts[amounts.length - 1],
+      basis: 'quote',
+      calculation: quotes.map(label).join('; '),
+      documents: quotes.map(q => q.file).filter(Boolean),
+    });
+  }
+
+  // Per-diem estimates for what the documents leave uncovered
+  for (const period of periods) {
+    const mine = expenses.filter(e => e.type !== 'quote' && periodOf(e) === period);
+    const span = `${period.from} to ${period.to}${period.ongoing ? ' (ongoing)' : ''}`;
+
+    if (period.lodging) {
+      const covered = sum(mine.filter(e => e.kind === 'hotel'), e => e.nights ?? Math.round((e.amount || 0) / rates.lodging));
+      const nights = Math.max(period.nights - covered, 0);
+      if (nights > 0) {
+        items.push(estimate('hotel', `Lodging, ${span}`, nights * rates.lodging,
+          `${nights} night(s) × $${rates.lodging} lodging per diem (${rates.locality})${covered ? `; ${covered} night(s) on receipts` : ''}`));
+      }
+    }
+
+    if (period.meals) {
+      const covered = sum(mine.filter(e => e.kind === 'meals'), e => e.days ?? 1);
+      const days = Math.max(period.nights + 1 - covered, 0);
+      if (days > 0) {
+        // First and last day at the reduced travel-day rate
+        const travelDays = covered === 0 ? Math.min(days, 2) : 0;
+        const amount = cents(period.people * rates.meals * (days - travelDays + travelDays * perDiem.firstLastDayMeals));
+        items.push(estimate('meals', `Meals, ${span}`, amount,
+          `${period.people} person(s) × ${days} day(s) × $${rates.meals} M&IE${travelDays ? ` (${Math.round(perDiem.firstLastDayMeals * 100)}% on first/last day)` : ''}`));
+      }
+    }
+
+    const commute = displacement?.commute;
+    if (commute && period.lodging) {
+      const logged = sum(mine.filter(e => e.kind === 'mileage'), e => e.miles || 0);
+      const days = Math.round(workdays(period.from, period.to) * commute.workdaysPerWeek / 5);
+      const miles = Math.max(days * commute.extraMilesPerDay - logged, 0);
+      if (miles > 0) {
+        items.push(estimate('mileage', `Extra commute, ${span}`, cents(miles * rates.mileage),
+          logged
+            ? `(${days} workday(s) × ${commute.extraMilesPerDay} extra miles - ${logged} logged) × $${rates.mileage.toFixed(2)}`
+            : `${days} workday(s) × ${commute.extraMilesPerDay} extra miles × $${rates.mileage.toFixed(2)}`));
+      }
+    }
+  }
+
+  // Moving out for good with nothing documented yet
+  if (breakLease) {
+    for (const standard of STANDARD_MOVE) {
+      if (items.some(item => item.kind === standard.kind)) continue;
+      items.push({ ...estimate(standard.kind, standard.description, standard.amount, `$${standard.amount.toLocaleString()} flat allowance`), basis: 'standard' });
+    }
+  }
+
+  const documented = sum(items.filter(i => ['receipt', 'invoice', 'log'].includes(i.basis)), i => i.high);
+  const estimated = sum(items.filter(i => ['per_diem', 'standard'].includes(i.basis)), i => i.high);
+  const quoted = { low: sum(items.filter(i => i.basis === 'quote'), i => i.low), high: sum(items.filter(i => i.basis === 'quote'), i => i.high) };
+
+  return {
+    // Conservative: documents and the low quote; aggressive adds the per-diem estimates
+    conservative: cents(documented + quoted.low),
+    aggressive: cents(documented + quoted.high + estimated),
+    documented: cents(documented),
+    estimated: cents(estimated),
+    items,
+    periods,
+    perDiem: { version: perDiem.version, ...rates },
+    explanation: periods.length > 0
+      ? `Displaced ${periods.map(p => `${p.from} to ${p.to} (${p.scope}${p.reason ? `: ${p.reason}` : ''})`).join('; ')}`
+      : 'Costs to relocate due to uninhabitable conditions',
+  };
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function estimate(kind, description, amount, calculation) {
+  return { kind, description, low: 0, high: cents(amount), basis: 'per_diem', calculation, documents: [] };
+}
+
+// Mon-Fri days from `from` up to (not including) `to`
+function workdays(from, to) {
+  let count = 0;
+  for (let t = Date.parse(from.substring(0, 10)); t < Date.parse(to); t += DAY_MS) {
+    const day = new Date(t).getUTCDay();
+    if (day !== 0 && day !== 6) count += 1;
+  }
+  return count;
+}
+
+function describe(expense) {
+  return {
+    hotel: 'Temporary lodging',
+    meals: 'Meals while displaced',
+    mileage: 'Extra mileage',
+    storage: 'Storage',
+    moving: 'Moving',
+    other: 'Relocation expense',
+  }[expense.kind];
+}
+
+function label(expense) {
+  const parts = [
+    expense.type,
+    expense.vendor && `from ${expense.vendor}`,
+    expense.date && `dated ${expense.date}`,
+    expense.nights && `${expense.nights} night(s)`,
+    expense.amount !== undefined && `$${expense.amount.toLocaleString()}`,
+    expense.file && `(${expense.file})`,
+  ];
+  return parts.filter(Boolean).join(' ');
+}
+
+function group(list, key) {
+  const groups = new Map();
+  for (const item of list) groups.set(key(item), [...(groups.get(key(item)) || []), item]);
+  return groups;
+}
+
+function sum(list, value) {
+  return list.reduce((total, item) => total + value(item), 0);
+}
+
+function cents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export default calculateRelocation;
@@ -0,0 +1,130 @@
+/**
+ * RENT PAYMENT RECONCILIATION
+ *
+ * Matches the rent the tenant actually paid against what the unit was worth
+ * in each month of the abatement ledger. Rent paid above the abated value is
+ * an overpayment (and earns prejudgment interest from the day it was paid);
+ * rent withheld beyond it is owed back to the landlord.
+ *
+ *   caseData.rentPayments = [{ date: '2024-08-01', amount: 1800, method: 'check', receipt: 'check #1042' }]
+ *
+ * Without a payment ledger, rent is assumed paid in full on the 1st.
+ */
+
+import { z } from 'zod';
+
+export const RENT_PAYMENT_METHODS = ['check', 'cash', 'money_order', 'bank_transfer', 'card', 'payment_app', 'other'];
+
+export const RentPaymentSchema = z.object({
+  date: z.string(), // ISO date paid
+  amount: z.number(),
+  method: z.enum(RENT_PAYMENT_METHODS),
+  receipt: z.string().optional(), // receipt file, check or confirmation number
+  period: z.string().optional(), // YYYY-MM the payment covers, when not the month paid
+});
+
+const EstimatePairSchema = z.object({ conservative: z.number(), aggressive: z.number() });
+
+export const RentReconciliationSchema = z.object({
+  source: z.enum(['ledger', 'assumed']),
+  months: z.array(z.object({
+    month: z.string(), // YYYY-MM
+    rentDue: z.number(),
+    paid: z.number(),
+    paidOn: z.string().nullable(), // last payment date for the month
+    abatement: EstimatePairSchema,
+    overpaid: EstimatePairSchema,
+    unpaid: EstimatePairSchema,
+  })),
+  totals: z.object({
+    rentDue: z.number(),
+    paid: z.number(),
+    overpaid: EstimatePairSchema,
+    unpaid: EstimatePairSchema,
+  }),
+  // Payments outside the abatement period (not reconciled)
+  unmatchedPayments: z.array(RentPaymentSchema),
+  assumptions: z.array(z.string()),
+});
+
+/**
+ * @param {object} caseData - From IntakeAgent (lease.monthlyRent, rentPayments)
+ * @param {object} abatementLedger - From buildAbatementLedger
+ * @returns {object} Reconciliation matching RentReconciliationSchema
+ */
+export function reconcileRentPayments(caseData, abatementLedger) {
+  const monthlyRent = caseData.lease.monthlyRent;
+  const payments = [...(caseData.rentPayments || [])].sort((a, b) => a.date.localeCompare(b.date));
+  const source = payments.length > 0 ? 'ledger' : 'assumed';
+  const assumptions = [];
+
+  const byMonth = new Map();
+  const unmatchedPayments = [];
+  const ledgerMonths = new Set(abatementLedger.months.map(m => m.month));
+
+  for (const payment of payments) {
+    const month = payment.period || payment.date.substring(0, 7);
+    if (!ledgerMonths.has(month)) {
+      unmatchedPayments.push(payment);
+      continue;
+    }
+    byMonth.set(month, [...(byMonth.get(month) || []), payment]);
+  }
+
+  if (source === 'assumed') {
+    assumptions.push('No rent-payment ledger - rent assumed paid in full on the 1st of each month');
+  } else {
+    const unpaidMonths = abatementLedger.months.filter(m => !byMonth.has(m.month)).map(m => m.month);
+    if (unpaidMonths.length > 0) {
+      assumptions.push(`No rent payment recorded for ${unpaidMonths.join(', ')}`);
+    }
+    if (unmatchedPayments.length > 0) {
+      assumptions.push(`${unmatchedPayments.length} rent payment(s) outside the abatement period not reconciled`);
+    }
+  }
+
+  const months = abatementLedger.months.map(({ month, conservative, aggressive }) => {
+    const monthPayments = byMonth.get(month) || [];
+    const paid = source === 'assumed' ? monthlyRent : cents(monthPayments.reduce((total, p) => total + p.amount, 0));
+    const paidOn = source === 'assumed' ? `${month}-01` : monthPayments[monthPayments.length - 1]?.date ?? null;
+
+    // Fair rent = lease rent less the month's abatement
+    const settle = abatement => ({
+      overpaid: cents(Math.max(paid - (monthlyRent - abatement), 0)),
+      unpaid: cents(Math.max(monthlyRent - abatement - paid, 0)),
+    });
+    const low = settle(conservative);
+    const high = settle(aggressive);
+
+    return {
+      month,
+      rentDue: monthlyRent,
+      paid,
+      paidOn,
+      abatement: { conservative, aggressive },
+      overpaid: { conservative: low.overpaid, aggressive: high.overpaid },
+      unpaid: { conservative: low.unpaid, aggressive: high.unpaid },
+    };
+  });
+
+  const total = (pick) => cents(months.reduce((sum, m) => sum + pick(m), 0));
+
+  return {
+    source,
+    months,
+    totals: {
+      rentDue: total(m => m.rentDue),
+      paid: total(m => m.paid),
+      overpaid: { conservative: total(m => m.overpaid.conservative), aggressive: total(m => m.overpaid.aggressive) },
+      unpaid: { conservative: total(m => m.unpaid.conservative), aggressive: total(m => m.unpaid.aggressive) },
+    },
+    unmatchedPayments,
+    assumptions,
+  };
+}
+
+function cents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export default reconcileRentPayments;
@@ -0,0 +1,219 @@
+/**
+ * REPAIR COSTS: EVIDENCE AND REGIONAL COST INDEX
+ *
+ * Contractor quotes, invoices and receipts attached to an issue set its
+ * repair cost:
+ *
+ *   issue.costEvidence = [{ type: 'quote', amount: 4200, vendor: 'Dry Right LLC', file: 'quote.pdf' }]
+ *
+ * Money actually billed or paid (invoices, receipts) wins over quotes. With
+ * no evidence, the regional cost index applies: a national base cost per
+ * issue category, scaled by severity and by where the property is - metro
+ * area by ZIP prefix, then state, then the national average.
+ *
+ * Multipliers are approximate relative residential repair costs (national
+ * average = 1.00). Supply a newer or local index with
+ * new DamagesCalculator({ costIndex }).
+ */
+
+import { z } from 'zod';
+
+export const REPAIR_EVIDENCE_TYPES = ['quote', 'invoice', 'receipt'];
+
+// Where a repair line item's cost came from
+export const REPAIR_COST_SOURCES = ['receipt', 'invoice', 'quote', 'cost_index'];
+
+export const RepairEvidenceSchema = z.object({
+  type: z.enum(REPAIR_EVIDENCE_TYPES),
+  amount: z.number(),
+  vendor: z.string().optional(),
+  date: z.string().optional(), // ISO date
+  file: z.string().optional(), // document file name or reference number
+  description: z.string().optional(),
+});
+
+export const CostIndexSchema = z.object({
+  version: z.string(),
+  // National base cost per issue category
+  base: z.record(z.object({ item: z.string(), cost: z.number() })),
+  fallback: z.object({ item: z.string(), cost: z.number() }),
+  severityMultipliers: z.record(z.number()),
+  regions: z.array(z.object({
+    name: z.string(),
+    multiplier: z.number(),
+    zipPrefixes: z.array(z.string()), // 3-digit ZIP prefixes
+  })),
+  states: z.array(z.object({
+    code: z.string().length(2),
+    name: z.string(),
+    multiplier: z.number(),
+  })),
+});
+
+export const DEFAULT_COST_INDEX = {
+  version: '2025.1',
+
+  // Market rate estimates (2024-2025)
+  base: {
+    water_leak: { item: 'Roof/plumbing leak repair', cost: 3500 },
+    mold: { item: 'Professional mold remediation', cost: 5000 },
+    plumbing_failure: { item: 'Plumbing system repair', cost: 2500 },
+    no_heat: { item: 'HVAC repair/replacement', cost: 4000 },
+    no_ac: { item: 'AC repair/replacement', cost: 3500 },
+    structural_damage: { item: 'Structural repairs', cost: 8000 },
+    pest_infestation: { item: 'Pest remediation', cost: 1500 },
+    electrical_hazard: { item: 'Electrical repairs', cost: 2000 },
+    roof_leak: { item: 'Roof repair', cost: 4500 },
+  },
+  fallback: { item: 'Repair costs', cost: 1000 },
+
+  severityMultipliers: { minor: 1.0, major: 1.1, severe: 1.3, uninhabitable: 1.5 },
+
+  regions: [
+    { name: 'New York City metro', multiplier: 1.32, zipPrefixes: ['100', '101', '102', '103', '104', '110', '111', '112', '113', '114', '116', '070', '071', '072', '073', '074'] },
+    { name: 'San Francisco Bay Area', multiplier: 1.30, zipPrefixes: ['940', '941', '943', '944', '945', '946', '947', '948', '949', '950', '951'] },
+    { name: 'Boston metro', multiplier: 1.18, zipPrefixes: ['021', '022', '023', '024', '019'] },
+    { name: 'Seattle metro', multiplier: 1.12, zipPrefixes: ['980', '981', '982'] },
+    { name: 'Los Angeles metro', multiplier: 1.15, zipPrefixes: ['900', '901', '902', '903', '904', '905', '906', '907', '908', '910', '911', '912', '913', '914', '915', '916', '917', '918', '926', '927', '928'] },
+    { name: 'San Diego metro', multiplier: 1.12, zipPrefixes: ['919', '920', '921'] },
+    { name: 'Chicago metro', multiplier: 1.17, zipPrefixes: ['600', '601', '602', '603', '604', '605', '606', '607', '608'] },
+    { name: 'Washington DC metro', multiplier: 1.05, zipPrefixes: ['200', '201', '202', '203', '204', '205', '220', '221', '222', '223', '207', '208', '209'] },
+    { name: 'Philadelphia metro', multiplier: 1.12, zipPrefixes: ['190', '191', '192', '193', '194', '080', '081'] },
+    { name: 'Miami metro', multiplier: 0.95, zipPrefixes: ['330', '331', '332', '333', '334'] },
+    { name: 'Orlando metro', multiplier: 0.88, zipPrefixes: ['327', '328', '347'] },
+    { name: 'Tampa metro', multiplier: 0.89, zipPrefixes: ['335', '336', '337', '346'] },
+    { name: 'Atlanta metro', multiplier: 0.93, zipPrefixes: ['300', '301', '302', '303', '311', '399'] },
+    { name: 'Houston metro', multiplier: 0.88, zipPrefixes: ['770', '771', '772', '773', '774', '775'] },
+    { name: 'Dallas-Fort Worth metro', multiplier: 0.89, zipPrefixes: ['750', '751', '752', '753', '760', '761', '762'] },
+    { name: 'Austin metro', multiplier: 0.90, zipPrefixes: ['786', '787'] },
+    { name: 'San Antonio metro', multiplier: 0.85, zipPrefixes: ['780', '781', '782'] },
+    { name: 'Denver metro', multiplier: 0.97, zipPrefixes: ['800', '801', '802', '803', '804'] },
+    { name: 'Phoenix metro', multiplier: 0.91, zipPrefixes: ['850', '852', '853'] },
+  ],
+
+  states: [
+    { code: 'CA', name: 'California', multiplier: 1.12 },
+    { code: 'NY', name: 'New York', multiplier: 1.05 },
+    { code: 'NJ', name: 'New Jersey', multiplier: 1.15 },
+    { code: 'MA', name: 'Massachusetts', multiplier: 1.12 },
+    { code: 'WA', name: 'Washington', multiplier: 1.05 },
+    { code: 'IL', name: 'Illinois', multiplier: 1.05 },
+    { code: 'PA', name: 'Pennsylvania', multiplier: 1.02 },
+    { code: 'CO', name: 'Colorado', multiplier: 0.94 },
+    { code: 'AZ', name: 'Arizona', multiplier: 0.88 },
+    { code: 'FL', name: 'Florida', multiplier: 0.87 },
+    { code: 'GA', name: 'Georgia', multiplier: 0.86 },
+    { code: 'TX', name: 'Texas', multiplier: 0.85 },
+    { code: 'NC', name: 'North Carolina', multiplier: 0.85 },
+    { code: 'TN', name: 'Tennessee', multiplier: 0.86 },
+    { code: 'OH', name: 'Ohio', multiplier: 0.93 },
+  ],
+};
+
+/**
+ * Cost multiplier for a property: metro by ZIP prefix, then state, then 1.0
+ * @returns {{ multiplier: number, region: string, basis: 'zip'|'state'|'national' }}
+ */
+export function regionalMultiplier(property = {}, index = DEFAULT_COST_INDEX) {
+  const prefix = String(property.zipCode || '').trim().substring(0, 3);
+  const region = /^\d{3}$/.test(prefix) && index.regions.find(r => r.zipPrefixes.includes(prefix));
+  if (region) return { multiplier: region.multiplier, region: region.name, basis: 'zip' };
+
+  const key = String(property.state || '').trim().toUpperCase();
+  const state = index.states.find(s => s.code === key || s.name.toUpperCase() === key);
+  if (state) return { multiplier: state.multiplier, region: `${state.name} (statewide)`, basis: 'state' };
+
+  return { multiplier: 1.0, region: 'national average', basis: 'national' };
+}
+
+/**
+ * Indexed estimate for one issue: base × severity × region. The range
+ * (80%-120%) is what the conservative and aggressive estimates use.
+ */
+export function indexedRepairCost(issue, property, index = DEFAULT_COST_INDEX) {
+  const estimate = index.base[issue.category] || index.fallback;
+  const severity = index.severityMultipliers[issue.severity] ?? 1.0;
+  const { multiplier, region } = regionalMultiplier(property, index);
+  const cost = Math.round(estimate.cost * severity * multiplier);
+
+  return {
+    item: estimate.item,
+    estimatedCost: cost,
+    low: Math.round(cost * 0.8),
+    high: Math.round(cost * 1.2),
+    source: 'cost_index',
+    sourceDetail: `$${estimate.cost.toLocaleString()} national × ${severity} (${issue.severity}) × ${multiplier} (${region}), index ${index.version}`,
+  };
+}
+
+/**
+ * Repair cost from an issue's quotes, invoices and receipts, or null when it
+ * has none. Invoices and receipts are summed at face value; competing quotes
+ * give a range (lowest to highest) around their median.
+ */
+export function evidencedRepairCost(issue) {
+  const evidence = issue.costEvidence || [];
+  const actual = evidence.filter(e => e.type !== 'quote');
+  const quotes = evidence.filter(e => e.type === 'quote');
+
+  if (actual.length > 0) {
+    const total = cents(actual.reduce((sum, e) => sum + e.amount, 0));
+    const ignored = quotes.length > 0 ? `; ${quotes.length} quote(s) superseded` : '';
+    return {
+      item: describe(issue, actual),
+      estimatedCost: total,
+      low: total,
+      high: total,
+      // An invoice may be unpaid - only all-receipt items count as paid
+      source: actual.every(e => e.type === 'receipt') ? 'receipt' : 'invoice',
+      sourceDetail: actual.map(label).join('; ') + ignored,
+      documents: files(actual),
+    };
+  }
+
+  if (quotes.length > 0) {
+    const amounts = quotes.map(q => q.amount).sort((a, b) => a - b);
+    const middle = Math.floor(amounts.length / 2);
+    const median = amounts.length % 2 ? amounts[middle] : (amounts[middle - 1] + amounts[middle]) / 2;
+    return {
+      item: describe(issue, quotes),
+      estimatedCost: cents(median),
+      low: amounts[0],
+      high: amounts[amounts.length - 1],
+      source: 'quote',
+      sourceDetail: quotes.map(label).join('; '),
+      documents: files(quotes),
+    };
+  }
+
+  return null;
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function describe(issue, evidence) {
+  return evidence.find(e => e.description)?.description || `${issue.category.replace(/_/g, ' ')} repair`;
+}
+
+function label(evidence) {
+  const parts = [
+    evidence.type,
+    evidence.vendor && `from ${evidence.vendor}`,
+    evidence.date && `dated ${evidence.date}`,
+    `$${evidence.amount.toLocaleString()}`,
+    evidence.file && `(${evidence.file})`,
+  ];
+  return parts.filter(Boolean).join(' ');
+}
+
+function files(evidence) {
+  return evidence.map(e => e.file).filter(Boolean);
+}
+
+function cents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export default DEFAULT_COST_INDEX;
@@ -0,0 +1,232 @@
+/**
+ * DAMAGES RULE PACKS
+ *
+ * Per-state rules DamagesCalculator applies: how rent abatement is measured,
+ * statutory damages (treble deposit, lockout penalties), punitive caps and
+ * fee-shifting statutes. Every rule carries the citation that ends up on the
+ * breakdown line it produced.
+ *
+ * Built-in packs live in rule-packs/ (GA, CA, NY, TX, FL). Other states fall
+ * back to the common-law pack. Add or override a state with a JS/JSON file:
+ *
+ *   const pack = await loadRulePack('./rules/nc.json');
+ *   new DamagesCalculator({ rulePacks: [pack] });
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { z } from 'zod';
+import georgia from './rule-packs/ga.js';
+import california from './rule-packs/ca.js';
+import newYork from './rule-packs/ny.js';
+import texas from './rule-packs/tx.js';
+import florida from './rule-packs/fl.js';
+import commonLaw from './rule-packs/default.js';
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+export const RuleSchema = z.object({
+  citation: z.string(),
+  description: z.string(),
+});
+
+// Facts that make a rule apply - any one matching is enough
+export const TriggerSchema = z.object({
+  violations: z.array(z.string()).optional(), // LegalAnalysis violation categories (violated: true)
+  theories: z.array(z.string()).optional(),   // LegalAnalysis legal theories
+  issues: z.array(z.string()).optional(),     // CaseData issue categories
+});
+
+export const ABATEMENT_METHODS = ['percentage_reduction', 'full_abatement_if_uninhabitable'];
+
+export const RulePackSchema = z.object({
+  jurisdiction: z.string().length(2), // USPS code, or 'US' for the common-law fallback
+  name: z.string(),
+  version: z.string(),
+
+  rentAbatement: RuleSchema.extend({
+    method: z.enum(ABATEMENT_METHODS),
+    conservativeReduction: z.number().min(0).max(1), // percentage points off the conservative figure
+  }),
+
+  securityDeposit: RuleSchema.extend({
+    // Days to refund the deposit (or send the itemized statement) after move-out
+    returnDays: z.number().default(30),
+    // Days to send the itemized statement when deductions are taken, if longer
+    itemizationDays: z.number().optional(),
+    // The clock starts only once the tenant gives a forwarding address
+    requiresForwardingAddress: z.boolean().default(false),
+    // A late or missing itemized statement forfeits the right to withhold anything
+    forfeiture: RuleSchema.optional(),
+    wearAndTear: RuleSchema.optional(),
+    // Repair and cleaning deductions totalling `over` or more need invoices or receipts
+    receipts: RuleSchema.extend({ over: z.number() }).optional(),
+    // No damage deductions without a move-in list of existing damage
+    moveInInspection: RuleSchema.optional(),
+    account: RuleSchema.extend({
+      separate: z.boolean(), // escrow or trust account, not the landlord's own funds
+      disclosure: z.boolean(), // tenant told in writing where it is held
+      forfeitsOnCommingling: z.boolean().default(false),
+    }).optional(),
+  }),
+  repairCosts: RuleSchema,
+  consequentialDamages: RuleSchema, // relocation, loss of use, medical costs
+
+  emotionalDistress: RuleSchema.extend({
+    requiresBadFaith: z.boolean(), // only recoverable in tort for willful conduct
+  }),
+
+  statutoryDamages: z.array(RuleSchema.extend({
+    id: z.string(),
+    when: TriggerSchema,
+    // Award = basis × multiple + plus ('fixed' awards are just `plus`)
+    measure: z.object({
+      // deposit_withheld: the part of the deposit wrongfully kept (the whole
+      // deposit when there is no move-out accounting)
+      basis: z.enum(['security_deposit', 'deposit_withheld', 'monthly_rent', 'fixed']),
+      multiple: z.number().default(1),
+      plus: z.number().default(0),
+      // "Up to" awards: the conservative estimate takes only this floor
+      discretionary: z.boolean().default(false),
+      minimum: z.number().default(0),
+      // The award includes the deposit itself - net out the plain deposit return
+      includesDeposit: z.boolean().default(false),
+    }),
+  })),
+
+  punitive: RuleSchema.extend({
+    available: z.boolean(),
+    // Punitive range as multiples of compensatory damages
+    ratio: z.object({ min: z.number(), max: z.number() }),
+    // Candidates combined with `rule`; null = no statutory cap
+    cap: z.object({
+      rule: z.enum(['greater_of', 'lesser_of']).default('greater_of'),
+      fixed: z.number().optional(),
+      compensatoryMultiple: z.number().optional(),
+      economicMultiple: z.number().optional(),
+      noneconomicLimit: z.number().optional(),
+    }).nullable(),
+  }),
+
+  // Legal rate on liquidated losses (rent overpaid) until judgment
+  prejudgmentInterest: RuleSchema.extend({
+    rate: z.number().min(0), // annual, 0.07 = 7%
+    compounding: z.enum(['simple', 'annual', 'monthly', 'daily']).default('simple'),
+  }).optional(),
+
+  attorneyFees: z.object({
+    statutes: z.array(RuleSchema.extend({ when: TriggerSchema })),
+    hourlyRate: z.number(),
+    baseHours: z.number(),
+    hoursPerIssue: z.number(),
+  }),
+});
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+export const FALLBACK_JURISDICTION = 'US';
+
+const BUILT_IN_PACKS = [georgia, california, newYork, texas, florida, commonLaw].map(pack => RulePackSchema.parse(pack));
+
+const registry = new Map(BUILT_IN_PACKS.map(pack => [pack.jurisdiction, pack]));
+
+/**
+ * Add or replace a state's pack for every calculator
+ * @returns {object} The validated pack
+ */
+export function registerRulePack(pack) {
+  const validated = RulePackSchema.parse(pack);
+  registry.set(validated.jurisdiction.toUpperCase(), validated);
+  return validated;
+}
+
+/**
+ * Read a pack from a .json file or a JS module's default export
+ * @returns {Promise<object>} The validated pack (not registered)
+ */
+export async function loadRulePack(file) {
+  const resolved = path.resolve(file);
+  const pack = path.extname(resolved) === '.json'
+    ? JSON.parse(await fs.readFile(resolved, 'utf8'))
+    : (await import(pathToFileURL(resolved).href)).default;
+
+  const result = RulePackSchema.safeParse(pack);
+  if (!result.success) {
+    throw new Error(`Invalid damages rule pack ${path.basename(resolved)}: ${result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * Pack for a state code or name ("GA", "Georgia"); the common-law pack when
+ * the state has none
+ * @param {string} state
+ * @param {Map<string, object>} [overrides] - Packs that win over the registry
+ * @returns {{ pack: object, matched: boolean }}
+ */
+export function getRulePack(state, overrides = new Map()) {
+  const key = String(state || '').trim().toUpperCase();
+  const packs = [...overrides.values(), ...registry.values()];
+
+  const pack = packs.find(p => p.jurisdiction.toUpperCase() === key || p.name.toUpperCase() === key);
+  if (pack && pack.jurisdiction !== FALLBACK_JURISDICTION) return { pack, matched: true };
+
+  return { pack: overrides.get(FALLBACK_JURISDICTION) || registry.get(FALLBACK_JURISDICTION), matched: false };
+}
+
+export function listRulePacks() {
+  return [...registry.values()].map(({ jurisdiction, name, version }) => ({ jurisdiction, name, version }));
+}
+
+/**
+ * Does a trigger match the case? (violation categories found violated,
+ * legal theories asserted, or issue categories reported)
+ */
+export function triggerMatches(when, caseData, legalAnalysis) {
+  const violations = (legalAnalysis?.violations || []).filter(v => v.violated).map(v => v.category);
+  const theories = (legalAnalysis?.legalTheories || []).map(t => t.theory);
+  const issues = (caseData?.issues || []).map(i => i.category);
+
+  return (when.violations || []).some(v => violations.includes(v))
+    || (when.theories || []).some(t => theories.includes(t))
+    || (when.issues || []).some(i => issues.includes(i));
+}
+
+const BASIS_LABELS = {
+  security_deposit: 'deposit',
+  deposit_withheld: 'wrongfully withheld',
+  monthly_rent: 'monthly rent',
+};
+
+/**
+ * Conservative and aggressive award for a statutory damages rule
+ * @param {object} rule - A pack's statutoryDamages entry
+ * @param {number} base - The basis amount (deposit, sum withheld, rent)
+ * @param {number} [offset] - Already counted elsewhere (the plain deposit return)
+ */
+export function measureAward(rule, base, offset = 0) {
+  const { basis, multiple, plus, discretionary, minimum } = rule.measure;
+  const full = base * multiple + plus;
+
+  let calculation = basis === 'fixed'
+    ? `$${full.toLocaleString()}`
+    : `${multiple} × $${base.toLocaleString()} ${BASIS_LABELS[basis]}${plus ? ` + $${plus.toLocaleString()}` : ''}`;
+  if (discretionary) calculation = `up to ${calculation}${minimum ? ` (at least $${minimum.toLocaleString()})` : ''}`;
+  if (offset) calculation += ` - $${offset.toLocaleString()} counted as deposit return`;
+
+  return {
+    id: rule.id,
+    conservative: Math.max(Math.round((discretionary ? minimum : full) - offset), 0),
+    aggressive: Math.max(Math.round(full - offset), 0),
+    calculation,
+    citation: rule.citation,
+    description: rule.description,
+  };
+}
+
+export default getRulePack;
@@ -0,0 +1,121 @@
+/**
+ * CALIFORNIA DAMAGES RULES
+ *
+ * Landlord-tenant: Civil Code §§ 1940-1954. Punitive damages: Civil Code § 3294.
+ */
+
+export default {
+  jurisdiction: 'CA',
+  name: 'California',
+  version: '2025.1',
+
+  rentAbatement: {
+    // Rent isn't owed for an untenantable dwelling (§ 1942.4) - the
+    // aggressive figure abates it in full, the conservative one by percentage
+    method: 'full_abatement_if_uninhabitable',
+    conservativeReduction: 0.1,
+    citation: 'Green v. Superior Court, 10 Cal.3d 616 (1974); Cal. Civ. Code § 1942.4',
+    description: 'Implied warranty of habitability - rent reduced to the value of the premises as they were',
+  },
+
+  securityDeposit: {
+    citation: 'Cal. Civ. Code § 1950.5(g)',
+    description: 'Deposit and itemized statement due within 21 days of move-out',
+    returnDays: 21,
+    wearAndTear: {
+      citation: 'Cal. Civ. Code § 1950.5(e)',
+      description: 'No deduction for ordinary wear and tear or conditions existing at move-in',
+    },
+    receipts: {
+      over: 125,
+      citation: 'Cal. Civ. Code § 1950.5(g)(2)',
+      description: 'Repair and cleaning deductions of $125 or more need copies of invoices or receipts',
+    },
+  },
+
+  repairCosts: {
+    citation: 'Cal. Civ. Code §§ 1941, 1942',
+    description: 'Landlord\'s duty to keep the dwelling tenantable; repair-and-deduct',
+  },
+
+  consequentialDamages: {
+    citation: 'Cal. Civ. Code § 3333',
+    description: 'Detriment proximately caused by the breach',
+  },
+
+  emotionalDistress: {
+    requiresBadFaith: false,
+    citation: 'Stoiber v. Honeychuck, 101 Cal.App.3d 903 (1980)',
+    description: 'Annoyance and discomfort from untenantable conditions are recoverable in tort',
+  },
+
+  statutoryDamages: [
+    {
+      id: 'deposit_bad_faith_retention',
+      when: { violations: ['security_deposit'] },
+      measure: { basis: 'security_deposit', multiple: 2, discretionary: true },
+      citation: 'Cal. Civ. Code § 1950.5(l)',
+      description: 'Up to twice the deposit for bad-faith retention, in addition to actual damages',
+    },
+    {
+      id: 'lockout_or_utility_shutoff',
+      when: { violations: ['illegal_eviction', 'utilities'] },
+      // $100 per day; the day count isn't on the case, so only the statutory floor is claimed
+      measure: { basis: 'fixed', plus: 250, minimum: 250 },
+      citation: 'Cal. Civ. Code § 789.3(c)',
+      description: '$100 per day of lockout or utility shutoff, not less than $250',
+    },
+    {
+      id: 'untenantable_rent_demand',
+      when: { violations: ['habitability', 'building_code', 'health_safety'] },
+      measure: { basis: 'fixed', plus: 5000, discretionary: true, minimum: 100 },
+      citation: 'Cal. Civ. Code § 1942.4(b)',
+      description: 'Special damages of $100 to $5,000 for demanding rent on a cited, uncorrected dwelling',
+    },
+    {
+      id: 'retaliation',
+      when: { violations: ['retaliation'], theories: ['retaliation'], issues: ['retaliation'] },
+      measure: { basis: 'fixed', plus: 2000, discretionary: true, minimum: 100 },
+      citation: 'Cal. Civ. Code § 1942.5',
+      description: 'Punitive damages of $100 to $2,000 per retaliatory act done with malice',
+    },
+  ],
+
+  punitive: {
+    available: true,
+    ratio: { min: 0.5, max: 2 },
+    cap: null,
+    citation: 'Cal. Civ. Code § 3294',
+    description: 'Clear and convincing evidence of oppression, fraud or malice',
+  },
+
+  prejudgmentInterest: {
+    rate: 0.10,
+    compounding: 'simple',
+    citation: 'Cal. Civ. Code §§ 3287, 3289(b)',
+    description: 'Damages certain bear 10% per annum after a breach of contract',
+  },
+
+  attorneyFees: {
+    statutes: [
+      {
+        when: { violations: ['habitability', 'building_code', 'health_safety'] },
+        citation: 'Cal. Civ. Code § 1942.4(b)(2)',
+        description: 'Fees to the prevailing tenant on untenantable-dwelling claims',
+      },
+      {
+        when: { violations: ['retaliation'], theories: ['retaliation'], issues: ['retaliation'] },
+        citation: 'Cal. Civ. Code § 1942.5',
+        description: 'Fees to the prevailing party in retaliation actions',
+      },
+      {
+        when: { violations: ['illegal_eviction', 'utilities'] },
+        citation: 'Cal. Civ. Code § 789.3(d)',
+        description: 'Fees to the prevailing party on lockout and utility-shutoff claims',
+      },
+    ],
+    hourlyRate: 450,
+    baseHours: 25,
+    hoursPerIssue: 5,
+  },
+};
@@ -0,0 +1,66 @@
+/**
+ * COMMON-LAW DAMAGES RULES
+ *
+ * Fallback for states without a pack: the implied warranty of habitability
+ * and general contract/tort damages. No statutory multipliers or fee
+ * shifting are assumed - add a state pack for those.
+ */
+
+export default {
+  jurisdiction: 'US',
+  name: 'Common law (no state rule pack)',
+  version: '2025.1',
+
+  rentAbatement: {
+    method: 'percentage_reduction',
+    conservativeReduction: 0.1,
+    citation: 'Restatement (Second) of Property: Landlord & Tenant § 11.1',
+    description: 'Rent abated in proportion to the reduced value of the premises',
+  },
+
+  securityDeposit: {
+    citation: 'Restatement (Second) of Property: Landlord & Tenant § 12.1',
+    description: 'Deposit returned less damage beyond normal wear and tear',
+    returnDays: 30, // reasonable time
+  },
+
+  repairCosts: {
+    citation: 'Restatement (Second) of Property: Landlord & Tenant § 5.1',
+    description: 'Landlord\'s obligation to keep the premises suitable for residential use',
+  },
+
+  consequentialDamages: {
+    citation: 'Restatement (Second) of Property: Landlord & Tenant § 10.2',
+    description: 'Consequential damages for the landlord\'s breach',
+  },
+
+  emotionalDistress: {
+    requiresBadFaith: true,
+    citation: 'Restatement (Second) of Torts § 46',
+    description: 'Recoverable for extreme and outrageous conduct',
+  },
+
+  statutoryDamages: [],
+
+  punitive: {
+    available: true,
+    ratio: { min: 0.5, max: 2 },
+    cap: null,
+    citation: 'Restatement (Second) of Torts § 908',
+    description: 'Outrageous conduct - evil motive or reckless indifference to the rights of others',
+  },
+
+  prejudgmentInterest: {
+    rate: 0,
+    compounding: 'simple',
+    citation: 'Restatement (Second) of Contracts § 354',
+    description: 'Interest on a sum certain at the legal rate - set in a state pack',
+  },
+
+  attorneyFees: {
+    statutes: [],
+    hourlyRate: 300,
+    baseHours: 25,
+    hoursPerIssue: 5,
+  },
+};
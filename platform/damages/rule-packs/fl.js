@@ -0,0 +1,97 @@
+/**
+ * FLORIDA DAMAGES RULES
+ *
+ * Residential Landlord and Tenant Act: Fla. Stat. Part II of Chapter 83.
+ * Punitive damages: Fla. Stat. §§ 768.72-768.73.
+ */
+
+export default {
+  jurisdiction: 'FL',
+  name: 'Florida',
+  version: '2025.1',
+
+  rentAbatement: {
+    method: 'percentage_reduction',
+    conservativeReduction: 0.1,
+    citation: 'Fla. Stat. § 83.60(1)(b)',
+    description: 'Rent reduced in proportion to the loss of rental value from the noncompliance',
+  },
+
+  securityDeposit: {
+    citation: 'Fla. Stat. § 83.49(3)',
+    description: 'Deposit returned within 15 days, or a claim noticed within 30 days or forfeited',
+    returnDays: 15,
+    itemizationDays: 30,
+    forfeiture: {
+      citation: 'Fla. Stat. § 83.49(3)(a)',
+      description: 'No written notice of the claim within 30 days forfeits the right to impose a claim on the deposit',
+    },
+    account: {
+      separate: true,
+      disclosure: true,
+      citation: 'Fla. Stat. § 83.49(1)-(2)',
+      description: 'Deposit held in a separate Florida bank account (or bonded), and the tenant told how within 30 days',
+    },
+  },
+
+  repairCosts: {
+    citation: 'Fla. Stat. § 83.51',
+    description: 'Landlord\'s obligation to maintain the premises',
+  },
+
+  consequentialDamages: {
+    citation: 'Fla. Stat. § 83.55',
+    description: 'Actual damages for the landlord\'s material noncompliance',
+  },
+
+  emotionalDistress: {
+    requiresBadFaith: true,
+    citation: 'Willis v. Gami Golden Glades, LLC, 967 So. 2d 846 (Fla. 2007)',
+    description: 'Impact rule - distress damages need physical impact or intentional conduct',
+  },
+
+  statutoryDamages: [
+    {
+      id: 'lockout_or_utility_shutoff',
+      when: { violations: ['illegal_eviction', 'utilities'] },
+      measure: { basis: 'monthly_rent', multiple: 3 },
+      citation: 'Fla. Stat. § 83.67(6)',
+      description: 'Actual and consequential damages or three months\' rent, whichever is greater',
+    },
+  ],
+
+  punitive: {
+    available: true,
+    ratio: { min: 0.5, max: 2 },
+    // Greater of 3x compensatory or $500,000 (higher caps for specific intent)
+    cap: { rule: 'greater_of', fixed: 500000, compensatoryMultiple: 3 },
+    citation: 'Fla. Stat. §§ 768.72, 768.73',
+    description: 'Clear and convincing evidence of intentional misconduct or gross negligence',
+  },
+
+  prejudgmentInterest: {
+    // Set quarterly by the Chief Financial Officer - update each quarter
+    rate: 0.0938,
+    compounding: 'simple',
+    citation: 'Fla. Stat. § 55.03; Argonaut Ins. Co. v. May Plumbing Co., 474 So. 2d 212 (Fla. 1985)',
+    description: 'Interest on out-of-pocket losses from the date of loss at the statutory rate',
+  },
+
+  attorneyFees: {
+    statutes: [
+      {
+        when: { violations: ['habitability', 'repairs', 'health_safety', 'illegal_eviction', 'utilities'] },
+        citation: 'Fla. Stat. § 83.48',
+        description: 'Fees to the prevailing party in any action under the Act',
+      },
+      {
+        when: { violations: ['security_deposit'] },
+        citation: 'Fla. Stat. § 83.49(3)(c)',
+        description: 'Fees to the prevailing party in deposit disputes',
+      },
+    ],
+    hourlyRate: 350,
+    baseHours: 25,
+    hoursPerIssue: 5,
+  },
+};
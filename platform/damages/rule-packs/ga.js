@@ -0,0 +1,114 @@
+/**
+ * GEORGIA DAMAGES RULES
+ *
+ * Landlord-tenant: O.C.G.A. Title 44, Chapter 7. Punitive damages and
+ * bad-faith fees: Title 51 / Title 13.
+ */
+
+export default {
+  jurisdiction: 'GA',
+  name: 'Georgia',
+  version: '2025.1',
+
+  rentAbatement: {
+    method: 'percentage_reduction',
+    conservativeReduction: 0.1,
+    citation: 'O.C.G.A. §§ 44-7-13, 44-7-14',
+    description: 'Diminished rental value while the landlord failed to keep the premises in repair',
+  },
+
+  securityDeposit: {
+    citation: 'O.C.G.A. § 44-7-34',
+    description: 'Deposit returned within one month of termination, less itemized damage',
+    returnDays: 30, // "within one month"
+    forfeiture: {
+      citation: 'O.C.G.A. § 44-7-35(b)',
+      description: 'Without the itemized statement in time the landlord forfeits the right to withhold any part of the deposit',
+    },
+    wearAndTear: {
+      citation: 'O.C.G.A. § 44-7-34(a)',
+      description: 'No deduction for normal wear and tear',
+    },
+    moveInInspection: {
+      citation: 'O.C.G.A. §§ 44-7-33(a), 44-7-35(a)',
+      description: 'No deductions for damage without a move-in list of existing damage',
+    },
+    account: {
+      separate: true,
+      disclosure: true,
+      citation: 'O.C.G.A. § 44-7-31',
+      description: 'Deposit held in an escrow account at a regulated depository, and the tenant told where',
+    },
+  },
+
+  repairCosts: {
+    citation: 'O.C.G.A. § 44-7-13',
+    description: 'Landlord\'s duty to keep the premises in repair',
+  },
+
+  consequentialDamages: {
+    citation: 'O.C.G.A. §§ 13-6-8, 44-7-14',
+    description: 'Damages flowing from the landlord\'s failure to repair',
+  },
+
+  emotionalDistress: {
+    requiresBadFaith: true,
+    citation: 'O.C.G.A. § 51-12-6',
+    description: 'Injury to peace and feelings - recoverable only for malicious, willful or wanton conduct',
+  },
+
+  statutoryDamages: [
+    {
+      id: 'deposit_withholding',
+      when: { violations: ['security_deposit'] },
+      measure: { basis: 'deposit_withheld', multiple: 3, includesDeposit: true },
+      citation: 'O.C.G.A. § 44-7-35(c)',
+      description: 'Three times the sum improperly withheld (only the sum itself on proof of bona fide error)',
+    },
+    {
+      id: 'retaliation',
+      when: { violations: ['retaliation'], theories: ['retaliation'], issues: ['retaliation'] },
+      measure: { basis: 'monthly_rent', multiple: 1, plus: 500 },
+      citation: 'O.C.G.A. § 44-7-24',
+      description: 'One month\'s rent plus $500 for retaliatory action',
+    },
+  ],
+
+  punitive: {
+    available: true,
+    ratio: { min: 0.5, max: 2 },
+    cap: { fixed: 250000 }, // no cap for specific intent to harm (§ 51-12-5.1(f))
+    citation: 'O.C.G.A. § 51-12-5.1',
+    description: 'Clear and convincing evidence of willful misconduct, wantonness or conscious indifference to consequences',
+  },
+
+  prejudgmentInterest: {
+    rate: 0.07,
+    compounding: 'simple',
+    citation: 'O.C.G.A. § 7-4-15',
+    description: 'Liquidated demands bear 7% per annum from the time the party became liable',
+  },
+
+  attorneyFees: {
+    statutes: [
+      {
+        when: { violations: ['security_deposit'] },
+        citation: 'O.C.G.A. § 44-7-35(c)',
+        description: 'Reasonable fees for improperly withheld deposits',
+      },
+      {
+        when: { violations: ['retaliation'], theories: ['retaliation'], issues: ['retaliation'] },
+        citation: 'O.C.G.A. § 44-7-24',
+        description: 'Reasonable fees for retaliation',
+      },
+      {
+        when: { theories: ['bad_faith'] },
+        citation: 'O.C.G.A. § 13-6-11',
+        description: 'Expenses of litigation for bad faith, stubborn litigiousness or unnecessary trouble',
+      },
+    ],
+    hourlyRate: 350,
+    baseHours: 25,
+    hoursPerIssue: 5,
+  },
+};
@@ -0,0 +1,103 @@
+/**
+ * NEW YORK DAMAGES RULES
+ *
+ * Habitability: Real Property Law § 235-b. Deposits: General Obligations
+ * Law § 7-108 (as amended by the 2019 HSTPA). Unlawful eviction: RPAPL § 853.
+ */
+
+export default {
+  jurisdiction: 'NY',
+  name: 'New York',
+  version: '2025.1',
+
+  rentAbatement: {
+    method: 'percentage_reduction',
+    conservativeReduction: 0.1,
+    citation: 'N.Y. Real Prop. Law § 235-b; Park West Mgt. Corp. v. Mitchell, 47 N.Y.2d 316 (1979)',
+    description: 'Rent abated by the percentage the breach of the warranty of habitability reduced the apartment\'s value',
+  },
+
+  securityDeposit: {
+    citation: 'N.Y. Gen. Oblig. Law § 7-108(1-a)(e)',
+    description: 'Deposit and itemized statement due within 14 days of vacating',
+    returnDays: 14,
+    forfeiture: {
+      citation: 'N.Y. Gen. Oblig. Law § 7-108(1-a)(e)',
+      description: 'No itemized statement within 14 days forfeits the right to retain any part of the deposit',
+    },
+    wearAndTear: {
+      citation: 'N.Y. Gen. Oblig. Law § 7-108(1-a)(b)',
+      description: 'Deductions limited to unpaid rent, utilities and damage beyond ordinary wear and tear',
+    },
+    account: {
+      separate: true,
+      disclosure: true,
+      forfeitsOnCommingling: true,
+      citation: 'N.Y. Gen. Oblig. Law § 7-103',
+      description: 'Deposit held in trust, never commingled with the landlord\'s money, and the tenant told which bank holds it',
+    },
+  },
+
+  repairCosts: {
+    citation: 'N.Y. Mult. Dwell. Law § 78; N.Y. Real Prop. Law § 235-b',
+    description: 'Owner\'s duty to keep the dwelling in good repair',
+  },
+
+  consequentialDamages: {
+    citation: 'N.Y. Real Prop. Law § 235-b(3)',
+    description: 'Damages for breach of the warranty of habitability',
+  },
+
+  emotionalDistress: {
+    requiresBadFaith: true,
+    citation: 'N.Y. Real Prop. Law § 235-b',
+    description: 'Not recoverable for breach of warranty alone - requires an independent tort',
+  },
+
+  statutoryDamages: [
+    {
+      id: 'deposit_willful_retention',
+      when: { violations: ['security_deposit'] },
+      measure: { basis: 'security_deposit', multiple: 2, discretionary: true },
+      citation: 'N.Y. Gen. Oblig. Law § 7-108(1-a)(g)',
+      description: 'Punitive damages up to twice the deposit for willful violation',
+    },
+    {
+      id: 'unlawful_eviction',
+      when: { violations: ['illegal_eviction'] },
+      // Treble actual damages; one month's rent stands in for the actual loss
+      measure: { basis: 'monthly_rent', multiple: 3 },
+      citation: 'N.Y. RPAPL § 853',
+      description: 'Treble damages for forcible or unlawful entry or detainer (actual loss taken as one month\'s rent)',
+    },
+  ],
+
+  punitive: {
+    available: true,
+    ratio: { min: 0.5, max: 2 },
+    cap: null,
+    citation: 'Walker v. Sheldon, 10 N.Y.2d 401 (1961)',
+    description: 'Conduct evincing a high degree of moral culpability or wanton dishonesty',
+  },
+
+  prejudgmentInterest: {
+    rate: 0.09,
+    compounding: 'simple',
+    citation: 'N.Y. CPLR §§ 5001, 5004',
+    description: 'Interest at 9% per annum from the date of breach on contract damages',
+  },
+
+  attorneyFees: {
+    statutes: [
+      {
+        // Implied reciprocal of a landlord fee clause - most NY leases have one
+        when: { violations: ['habitability', 'repairs', 'security_deposit', 'illegal_eviction'] },
+        citation: 'N.Y. Real Prop. Law § 234',
+        description: 'Tenant recovers fees where the lease lets the landlord recover them',
+      },
+    ],
+    hourlyRate: 450,
+    baseHours: 25,
+    hoursPerIssue: 5,
+  },
+};
@@ -0,0 +1,133 @@
+/**
+ * TEXAS DAMAGES RULES
+ *
+ * Landlord-tenant: Property Code Chapter 92. Punitive damages: Civil Practice
+ * and Remedies Code Chapter 41.
+ */
+
+export default {
+  jurisdiction: 'TX',
+  name: 'Texas',
+  version: '2025.1',
+
+  rentAbatement: {
+    method: 'percentage_reduction',
+    conservativeReduction: 0.1,
+    citation: 'Tex. Prop. Code § 92.0563(a)(2)',
+    description: 'Rent reduced in proportion to the reduced rental value from the unrepaired condition',
+  },
+
+  securityDeposit: {
+    citation: 'Tex. Prop. Code § 92.103',
+    description: 'Deposit refunded within 30 days of surrender, less itemized deductions',
+    returnDays: 30,
+    requiresForwardingAddress: true, // § 92.107
+    forfeiture: {
+      citation: 'Tex. Prop. Code § 92.109(b), (d)',
+      description: 'No itemized list within 30 days is presumed bad faith and forfeits the right to withhold any part of the deposit',
+    },
+    wearAndTear: {
+      citation: 'Tex. Prop. Code § 92.104(b)',
+      description: 'No deduction for normal wear and tear',
+    },
+  },
+
+  repairCosts: {
+    citation: 'Tex. Prop. Code §§ 92.052, 92.0561',
+    description: 'Landlord\'s duty to repair conditions affecting health or safety; repair-and-deduct',
+  },
+
+  consequentialDamages: {
+    citation: 'Tex. Prop. Code § 92.0563(a)(4)',
+    description: 'Actual damages from the landlord\'s failure to repair',
+  },
+
+  emotionalDistress: {
+    requiresBadFaith: true,
+    citation: 'Tex. Civ. Prac. & Rem. Code § 41.001(12)',
+    description: 'Mental anguish - recoverable with evidence of a substantial disruption in daily routine',
+  },
+
+  statutoryDamages: [
+    {
+      id: 'failure_to_repair',
+      when: { violations: ['repairs', 'habitability', 'health_safety'] },
+      measure: { basis: 'monthly_rent', multiple: 1, plus: 500 },
+      citation: 'Tex. Prop. Code § 92.0563(a)(3)',
+      description: 'Civil penalty of one month\'s rent plus $500',
+    },
+    {
+      id: 'deposit_bad_faith_retention',
+      when: { violations: ['security_deposit'] },
+      measure: { basis: 'deposit_withheld', multiple: 3, plus: 100, includesDeposit: true },
+      citation: 'Tex. Prop. Code § 92.109(a)',
+      description: '$100 plus three times the portion of the deposit wrongfully withheld',
+    },
+    {
+      id: 'lockout',
+      when: { violations: ['illegal_eviction'] },
+      measure: { basis: 'monthly_rent', multiple: 1, plus: 1000 },
+      citation: 'Tex. Prop. Code § 92.0081(h)',
+      description: 'One month\'s rent plus $1,000 for an unlawful lockout',
+    },
+    {
+      id: 'utility_interruption',
+      when: { violations: ['utilities'] },
+      measure: { basis: 'monthly_rent', multiple: 1, plus: 1000 },
+      citation: 'Tex. Prop. Code § 92.008(f)',
+      description: 'One month\'s rent plus $1,000 for interrupting utilities',
+    },
+    {
+      id: 'retaliation',
+      when: { violations: ['retaliation'], theories: ['retaliation'], issues: ['retaliation'] },
+      measure: { basis: 'monthly_rent', multiple: 1, plus: 500 },
+      citation: 'Tex. Prop. Code § 92.333',
+      description: 'Civil penalty of one month\'s rent plus $500 for retaliation',
+    },
+  ],
+
+  punitive: {
+    available: true,
+    ratio: { min: 0.5, max: 2 },
+    // Greater of $200,000 or 2x economic damages plus non-economic up to $750,000
+    cap: { rule: 'greater_of', fixed: 200000, economicMultiple: 2, noneconomicLimit: 750000 },
+    citation: 'Tex. Civ. Prac. & Rem. Code §§ 41.003, 41.008',
+    description: 'Clear and convincing evidence of fraud, malice or gross negligence',
+  },
+
+  prejudgmentInterest: {
+    // Prime rate, floored at 5% and capped at 15% - update with the published rate
+    rate: 0.075,
+    compounding: 'simple',
+    citation: 'Tex. Fin. Code § 304.003; Johnson & Higgins of Tex., Inc. v. Kenneco Energy, Inc., 962 S.W.2d 507 (Tex. 1998)',
+    description: 'Prejudgment interest at the postjudgment rate, simple',
+  },
+
+  attorneyFees: {
+    statutes: [
+      {
+        when: { violations: ['repairs', 'habitability', 'health_safety'] },
+        citation: 'Tex. Prop. Code § 92.0563(a)(5)',
+        description: 'Court costs and attorney\'s fees on repair claims',
+      },
+      {
+        when: { violations: ['security_deposit'] },
+        citation: 'Tex. Prop. Code § 92.109(a)',
+        description: 'Reasonable fees for bad-faith deposit retention',
+      },
+      {
+        when: { violations: ['retaliation'], theories: ['retaliation'], issues: ['retaliation'] },
+        citation: 'Tex. Prop. Code § 92.333',
+        description: 'Court costs and attorney\'s fees for retaliation',
+      },
+      {
+        when: { violations: ['illegal_eviction', 'utilities'] },
+        citation: 'Tex. Prop. Code § 92.005',
+        description: 'Fees to the party who prevails on a Chapter 92 claim',
+      },
+    ],
+    hourlyRate: 350,
+    baseHours: 25,
+    hoursPerIssue: 5,
+  },
+};
@@ -0,0 +1,369 @@
+/**
+ * SECURITY DEPOSIT ACCOUNTING
+ *
+ * What the landlord did with the deposit after move-out, checked against the
+ * state's deposit statute (rule pack securityDeposit):
+ *
+ *   caseData.moveOut = {
+ *     date: '2025-03-31',
+ *     statementReceived: '2025-05-12',
+ *     refund: 400,
+ *     deductions: [{ description: 'Repaint living room', amount: 600 }],
+ *     depositAccount: { held: 'commingled', disclosed: false },
+ *   }
+ *
+ * - return and itemization deadlines, from move-out or the forwarding address
+ * - forfeiture of every deduction when the statement is late or missing
+ * - unlawful deductions: normal wear and tear, conditions the landlord had to
+ *   repair, damage without a move-in list, undocumented repair charges
+ * - deductions worded like wear and tear (paint, scuffs, fading) flagged for
+ *   review - they may be ordinary aging or damage beyond it
+ * - where and how the deposit was held
+ *
+ * The sum wrongfully withheld is the basis for the state's deposit penalties
+ * (Georgia's treble damages, Texas' $100 plus treble). Used by
+ * DamagesCalculator.calculateSecurityDeposit() and the SECURITY_DEPOSIT
+ * scenario.
+ */
+
+import { z } from 'zod';
+import { measureAward } from './rule-pack-registry.js';
+
+export const DEDUCTION_CATEGORIES = [
+  'unpaid_rent',
+  'utilities',
+  'cleaning',
+  'damage',
+  'repairs',
+  'wear_and_tear',
+  'fees',
+  'other',
+];
+
+export const DEPOSIT_HOLDINGS = ['escrow', 'interest_bearing', 'surety_bond', 'commingled', 'unknown'];
+
+// Statutory damages rules measured on the deposit
+export const DEPOSIT_BASES = ['security_deposit', 'deposit_withheld'];
+
+export const DepositDeductionSchema = z.object({
+  description: z.string(),
+  amount: z.number(),
+  category: z.enum(DEDUCTION_CATEGORIES).optional(),
+  documented: z.boolean().optional(), // invoice or receipt attached to the statement
+});
+
+export const MoveOutSchema = z.object({
+  date: z.string(), // ISO date the keys were returned
+  forwardingAddressDate: z.string().optional(), // ISO date given to the landlord in writing
+  statementReceived: z.string().optional(), // ISO date the itemized statement arrived
+  refund: z.number().optional(), // amount returned
+  refundReceived: z.string().optional(), // ISO date
+  deductions: z.array(DepositDeductionSchema).optional(),
+  moveInChecklist: z.boolean().optional(), // tenant got a move-in list of existing damage
+  depositAccount: z.object({
+    held: z.enum(DEPOSIT_HOLDINGS),
+    bank: z.string().optional(),
+    disclosed: z.boolean().optional(), // tenant told in writing where it is held
+  }).optional(),
+});
+
+export const DepositAccountingSchema = z.object({
+  status: z.enum(['pending', 'due']), // pending = landlord's deadline not yet passed
+  deposit: z.number(),
+  refunded: z.number(),
+  withheld: z.number(),
+  moveOutDate: z.string(),
+  deadline: z.string().nullable(),
+  deadlineRule: z.string(),
+  statementReceived: z.string().nullable(),
+  deductions: z.array(DepositDeductionSchema.extend({
+    lawful: z.boolean(),
+    reason: z.string().optional(),
+    citation: z.string().optional(),
+    review: z.string().optional(), // why a lawful-looking deduction needs a closer look
+  })),
+  lawfulDeductions: z.number(),
+  wrongfullyWithheld: z.number(),
+  forfeited: z.boolean(),
+  violations: z.array(z.object({ id: z.string(), description: z.string(), citation: z.string() })),
+  unreadableDates: z.array(z.string()), // move-out dates that aren't YYYY-MM-DD - their deadlines weren't checked
+  penalties: z.array(z.object({
+    id: z.string(),
+    conservative: z.number(),
+    aggressive: z.number(),
+    calculation: z.string(),
+    citation: z.string(),
+    description: z.string(),
+  })),
+  notes: z.array(z.string()),
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Move-out dates the deadlines are measured from or against
+const MOVE_OUT_DATES = {
+  date: 'move-out date',
+  forwardingAddressDate: 'forwarding address date',
+  statementReceived: 'statement date',
+  refundReceived: 'refund date',
+};
+
+// Charges the landlord itself calls ordinary aging of the unit
+const WEAR_AND_TEAR = /\bwear (and|&) tear\b|\bnormal wear\b/i;
+
+// Work that is wear and tear after ordinary use but can follow real damage
+// (repainting after a tenant's mural) - a question for the tenant, not a finding
+const POSSIBLE_WEAR_AND_TEAR = /\bworn\b|re-?paint|\bpaint(ing)?\b|touch[- ]?up|nail holes?|fad(ed|ing)|scuff/i;
+
+// Deduction wording naming a condition from the case's repair issues
+const ISSUE_TERMS = {
+  mold: /mold|mildew/i,
+  water_leak: /leak|water damage/i,
+  roof_leak: /roof|leak/i,
+  pest_infestation: /pest|roach|rodent|\bmice\b|bed ?bug|extermina/i,
+  no_heat: /heat|furnace|boiler|hvac/i,
+  no_ac: /air condition|\ba\/?c\b|hvac/i,
+  no_hot_water: /hot water|water heater/i,
+  plumbing_failure: /plumb|pipe|drain|clog/i,
+  sewage_backup: /sewage|sewer/i,
+  electrical_hazard: /electric|wiring|outlet/i,
+};
+
+/**
+ * Account for the deposit at move-out
+ * @param {object} caseData - With lease.securityDeposit and moveOut
+ * @param {object} pack - Damages rule pack
+ * @param {string} asOf - ISO date the deadlines are judged on
+ * @returns {object|null} DepositAccountingSchema, or null without move-out facts
+ */
+export function accountDeposit(caseData, pack, asOf) {
+  const moveOut = caseData.moveOut;
+  if (!moveOut?.date) return null;
+
+  const rules = pack.securityDeposit;
+  const deposit = caseData.lease?.securityDeposit || 0;
+  const refunded = moveOut.refund || 0;
+  const withheld = Math.max(deposit - refunded, 0);
+  const claimed = moveOut.deductions || [];
+  const notes = [];
+  const violations = [];
+  const violation = (id, description, citation = rules.citation) => violations.push({ id, description, citation });
+
+  // Compared as YYYY-MM-DD days; anything else is named and left out of the deadline checks
+  const dates = {};
+  const unreadableDates = [];
+  for (const [field, label] of Object.entries(MOVE_OUT_DATES)) {
+    if (!moveOut[field]) continue;
+    dates[field] = toDay(moveOut[field]);
+    if (!dates[field]) unreadableDates.push(`${label} "${moveOut[field]}"`);
+  }
+  if (unreadableDates.length > 0) {
+    notes.push(`Can't read the ${unreadableDates.join(', ')} as a date (YYYY-MM-DD) - deadlines that depend on it were not checked`);
+  }
+
+  // Deadline: from move-out, or from the forwarding address where the statute says so
+  const forwardingUnreadable = moveOut.forwardingAddressDate && !dates.forwardingAddressDate;
+  const start = !dates.date || forwardingUnreadable
+    ? null
+    : rules.requiresForwardingAddress
+      ? dates.forwardingAddressDate && [dates.date, dates.forwardingAddressDate].sort()[1]
+      : dates.date;
+  const days = claimed.length > 0 && rules.itemizationDays ? rules.itemizationDays : rules.returnDays;
+  const deadline = start ? addDays(start, days) : null;
+  const deadlineRule = `${days} days from ${rules.requiresForwardingAddress ? 'move-out or the forwarding address, whichever is later' : 'move-out'} (${rules.citation})`;
+
+  if (!start && unreadableDates.length === 0) {
+    notes.push(`The ${rules.returnDays}-day deadline has not started - no forwarding address given in writing (${rules.citation})`);
+  }
+
+  const statementReceived = moveOut.statementReceived || null;
+  const passed = deadline !== null && deadline < toDay(asOf);
+  const status = passed || (statementReceived && refunded + sum(claimed) >= deposit) ? 'due' : 'pending';
+
+  // Timeliness of the refund and the itemized statement
+  let forfeited = false;
+  if (passed && withheld > 0) {
+    const late = Boolean(dates.statementReceived) && dates.statementReceived > deadline;
+    if (!statementReceived || late) {
+      violation(
+        late ? 'late_itemization' : 'no_itemization',
+        late
+          ? `Itemized statement arrived ${statementReceived}, after the ${deadline} deadline`
+          : `No itemized statement of deductions by the ${deadline} deadline`,
+      );
+      if (rules.forfeiture) {
+        forfeited = true;
+        violation('deductions_forfeited', rules.forfeiture.description, rules.forfeiture.citation);
+      }
+    }
+  }
+  if (deadline && refunded > 0 && dates.refundReceived && dates.refundReceived > deadline) {
+    violation('late_refund', `Refund of $${refunded.toLocaleString()} arrived ${moveOut.refundReceived}, after the ${deadline} deadline`);
+  }
+
+  // Where the deposit was held
+  const account = moveOut.depositAccount;
+  if (rules.account && account) {
+    if (account.held === 'commingled') {
+      violation('commingled', `Deposit mixed with the landlord's own funds - ${rules.account.description}`, rules.account.citation);
+      if (rules.account.forfeitsOnCommingling && !forfeited) {
+        forfeited = true;
+        violation('deductions_forfeited', 'Commingling converts the deposit - the landlord forfeits the right to keep any of it', rules.account.citation);
+      }
+    }
+    if (rules.account.disclosure && account.disclosed === false) {
+      violation('account_not_disclosed', 'Tenant never told in writing where the deposit was held', rules.account.citation);
+    }
+    if (account.held === 'unknown') {
+      notes.push(`Ask where the deposit was held - ${rules.account.description} (${rules.account.citation})`);
+    }
+  }
+
+  // Each deduction on its merits
+  const deductions = claimed.map(deduction => (
+    forfeited
+      ? { ...deduction, lawful: false, reason: 'Forfeited', citation: violations.find(v => v.id === 'deductions_forfeited').citation }
+      : judgeDeduction(deduction, claimed, caseData, pack)
+  ));
+
+  for (const [id, reason] of [
+    ['wear_and_tear_deduction', 'Normal wear and tear'],
+    ['repair_duty_deduction', 'Condition the landlord was obliged to repair'],
+    ['no_move_in_list', 'No move-in list'],
+    ['missing_receipts', 'No invoice or receipt'],
+  ]) {
+    const flagged = deductions.filter(d => d.reason?.startsWith(reason));
+    if (flagged.length > 0) {
+      violation(id, `${reason}: ${flagged.map(d => `${d.description} ($${d.amount.toLocaleString()})`).join(', ')}`, flagged[0].citation);
+    }
+  }
+
+  const reviewed = deductions.filter(d => d.review);
+  if (reviewed.length > 0) {
+    const wearCitation = rules.wearAndTear?.citation || rules.citation;
+    notes.push(`Ask whether ${reviewed.map(d => `${d.description} ($${d.amount.toLocaleString()})`).join(', ')} `
+      + `repaired damage beyond normal wear and tear - paint, scuffs and fading from ordinary use can't be deducted (${wearCitation})`);
+  }
+
+  const undocumented = deductions.filter(d => d.lawful && d.documented === undefined && ['repairs', 'cleaning', 'damage'].includes(d.category));
+  if (rules.receipts && undocumented.length > 0) {
+    notes.push(`Ask for the invoices or receipts behind ${undocumented.map(d => d.description).join(', ')} (${rules.receipts.citation})`);
+  }
+
+  // Kept beyond the lawful deductions, including anything never itemized
+  const lawfulDeductions = Math.min(sum(deductions.filter(d => d.lawful)), withheld);
+  const wrongfullyWithheld = status === 'due' ? Math.max(withheld - lawfulDeductions, 0) : 0;
+  if (status === 'due' && withheld > sum(claimed) && !forfeited && statementReceived) {
+    violation('unitemized_withholding', `$${(withheld - sum(claimed)).toLocaleString()} kept without any itemized deduction`);
+  }
+  if (status === 'pending' && deadline) {
+    notes.push(`Landlord has until ${deadline} to refund or itemize (${deadlineRule})`);
+  }
+
+  const penalties = wrongfullyWithheld > 0
+    ? pack.statutoryDamages
+      .filter(rule => DEPOSIT_BASES.includes(rule.measure.basis))
+      .map(rule => measureAward(
+        rule,
+        rule.measure.basis === 'deposit_withheld' ? wrongfullyWithheld : deposit,
+        rule.measure.includesDeposit ? wrongfullyWithheld : 0,
+      ))
+    : [];
+
+  return {
+    status,
+    deposit,
+    refunded,
+    withheld,
+    moveOutDate: moveOut.date,
+    deadline,
+    deadlineRule,
+    statementReceived,
+    deductions,
+    lawfulDeductions,
+    wrongfullyWithheld,
+    forfeited,
+    violations,
+    unreadableDates,
+    penalties,
+    notes,
+  };
+}
+
+/**
+ * Legal analysis with a security_deposit violation added when the accounting
+ * found money wrongfully withheld, so deposit fee statutes apply
+ */
+export function withDepositViolation(legalAnalysis, accounting) {
+  if (!accounting?.wrongfullyWithheld) return legalAnalysis;
+
+  return {
+    ...legalAnalysis,
+    violations: [
+      ...(legalAnalysis?.violations || []),
+      { category: 'security_deposit', violated: true, description: 'Deposit wrongfully withheld (move-out accounting)' },
+    ],
+  };
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function judgeDeduction(deduction, claimed, caseData, pack) {
+  const rules = pack.securityDeposit;
+  const text = deduction.description;
+  const wearCitation = rules.wearAndTear?.citation || rules.citation;
+
+  if (deduction.category === 'wear_and_tear' || WEAR_AND_TEAR.test(text)) {
+    return { ...deduction, lawful: false, reason: 'Normal wear and tear', citation: wearCitation };
+  }
+
+  const reported = (caseData.issues || []).find(issue => ISSUE_TERMS[issue.category]?.test(text));
+  if (reported) {
+    return {
+      ...deduction,
+      lawful: false,
+      reason: `Condition the landlord was obliged to repair (${reported.category.replace(/_/g, ' ')} reported during the tenancy)`,
+      citation: pack.repairCosts.citation,
+    };
+  }
+
+  const forDamage = ['damage', 'repairs'].includes(deduction.category);
+  if (forDamage && rules.moveInInspection && caseData.moveOut.moveInChecklist === false) {
+    return { ...deduction, lawful: false, reason: 'No move-in list of existing damage', citation: rules.moveInInspection.citation };
+  }
+
+  if (rules.receipts && deduction.documented === false && ['repairs', 'cleaning', 'damage'].includes(deduction.category)) {
+    const total = sum(claimed.filter(d => ['repairs', 'cleaning', 'damage'].includes(d.category)));
+    if (total >= rules.receipts.over) {
+      return { ...deduction, lawful: false, reason: 'No invoice or receipt', citation: rules.receipts.citation };
+    }
+  }
+
+  return {
+    ...deduction,
+    lawful: true,
+    ...(POSSIBLE_WEAR_AND_TEAR.test(text) ? { review: 'Possible normal wear and tear' } : {}),
+  };
+}
+
+function addDays(day, days) {
+  return new Date(Date.parse(day) + days * DAY_MS).toISOString().substring(0, 10);
+}
+
+/**
+ * YYYY-MM-DD day of an ISO date or timestamp, or null when it isn't one
+ * (free text like "end of March", or a day that doesn't exist)
+ */
+function toDay(value) {
+  const day = String(value).match(/^\d{4}-\d{2}-\d{2}(?=$|T)/)?.[0];
+  const time = day ? Date.parse(day) : NaN;
+  return Number.isNaN(time) || new Date(time).toISOString().substring(0, 10) !== day ? null : day;
+}
+
+function sum(deductions) {
+  return deductions.reduce((total, d) => total + d.amount, 0);
+}
+
+export default accountDeposit;
@@ -0,0 +1,188 @@
+/**
+ * WHAT-IF OVERRIDES AND SENSITIVITY INPUTS
+ *
+ * Changed facts and excluded categories for DamagesCalculator.whatIf(), and
+ * the inputs its tornado report swings:
+ *
+ *   { path: 'caseData.issues.0.firstOccurred', shiftDays: -30 }    // mold started a month earlier
+ *   { path: 'caseData.lease.monthlyRent', scale: 0.9 }             // rent 10% lower
+ *   { path: 'legalAnalysis.legalTheories', value: [] }             // no theories survive
+ *   { exclude: 'emotionalDistress' }                               // judge rejects distress
+ *
+ * Paths start at caseData, legalAnalysis or healthAnalysis.
+ */
+
+import { z } from 'zod';
+
+// Damages categories a scenario can drop from the totals
+export const EXCLUDABLE_CATEGORIES = [
+  'rentAbatement',
+  'prejudgmentInterest',
+  'securityDeposit',
+  'repairCosts',
+  'relocationCosts',
+  'lossOfUse',
+  'medicalCosts',
+  'emotionalDistress',
+  'statutoryDamages',
+  'punitiveRange',
+];
+
+const ROOTS = ['caseData', 'legalAnalysis', 'healthAnalysis'];
+const SEVERITIES = ['minor', 'major', 'severe', 'uninhabitable'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const WhatIfOverrideSchema = z.union([
+  z.object({ exclude: z.enum(EXCLUDABLE_CATEGORIES), label: z.string().optional() }),
+  z.object({
+    path: z.string().refine(path => ROOTS.includes(path.split('.')[0]), {
+      message: `Path must start with ${ROOTS.join(', ')}`,
+    }),
+    value: z.any().optional(),
+    shiftDays: z.number().optional(), // move an ISO date
+    scale: z.number().optional(), // multiply a number
+    label: z.string().optional(),
+  }).refine(o => [o.value !== undefined, o.shiftDays !== undefined, o.scale !== undefined].filter(Boolean).length === 1, {
+    message: 'Set exactly one of value, shiftDays or scale',
+  }),
+]);
+
+/**
+ * Apply overrides to copies of the calculator inputs
+ * @param {{ caseData: object, legalAnalysis?: object, healthAnalysis?: object }} inputs
+ * @param {object[]} overrides - WhatIfOverrideSchema entries
+ * @returns {{ inputs: object, exclude: string[], applied: string[] }}
+ */
+export function applyOverrides(inputs, overrides = []) {
+  const next = structuredClone(inputs);
+  const exclude = [];
+  const applied = [];
+
+  for (const [i, raw] of overrides.entries()) {
+    const parsed = WhatIfOverrideSchema.safeParse(raw);
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map(issue => issue.message).join('; ');
+      throw new Error(`Invalid what-if override ${i + 1} (${JSON.stringify(raw)}): ${issues}`);
+    }
+    const override = parsed.data;
+
+    if (override.exclude) {
+      exclude.push(override.exclude);
+      applied.push(override.label || `Exclude ${override.exclude}`);
+      continue;
+    }
+
+    const keys = override.path.split('.');
+    const leaf = keys.pop();
+    const parent = keys.reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), next);
+    if (!parent || typeof parent !== 'object') {
+      throw new Error(`What-if path not found in the case: ${override.path}`);
+    }
+
+    const current = parent[leaf];
+    let value = override.value;
+    if (override.shiftDays !== undefined) {
+      if (typeof current !== 'string' || isNaN(Date.parse(current))) {
+        throw new Error(`What-if shiftDays needs a date at ${override.path}`);
+      }
+      value = new Date(Date.parse(current.substring(0, 10)) + override.shiftDays * DAY_MS).toISOString().substring(0, 10);
+    } else if (override.scale !== undefined) {
+      if (typeof current !== 'number') {
+        throw new Error(`What-if scale needs a number at ${override.path}`);
+      }
+      value = Math.round(current * override.scale * 100) / 100;
+    }
+
+    parent[leaf] = value;
+    applied.push(override.label || `${override.path}: ${JSON.stringify(current)} → ${JSON.stringify(value)}`);
+  }
+
+  return { inputs: next, exclude: [...new Set(exclude)], applied };
+}
+
+/**
+ * Inputs worth swinging for this case, each with a low and a high scenario
+ * @returns {{ input: string, low: object[], high: object[] }[]}
+ */
+export function defaultSensitivityInputs(caseData, legalAnalysis) {
+  const inputs = [];
+
+  if (caseData.lease?.monthlyRent) {
+    inputs.push({
+      input: 'Monthly rent ±10%',
+      low: [{ path: 'caseData.lease.monthlyRent', scale: 0.9 }],
+      high: [{ path: 'caseData.lease.monthlyRent', scale: 1.1 }],
+    });
+  }
+
+  (caseData.issues || []).forEach((issue, i) => {
+    const name = `Issue ${i + 1} (${issue.category})`;
+
+    if (issue.firstOccurred) {
+      inputs.push({
+        input: `${name} start date ±30 days`,
+        low: [{ path: `caseData.issues.${i}.firstOccurred`, shiftDays: 30 }],
+        high: [{ path: `caseData.issues.${i}.firstOccurred`, shiftDays: -30 }],
+      });
+    }
+
+    if (issue.resolvedDate) {
+      inputs.push({
+        input: `${name} repair date ±30 days`,
+        low: [{ path: `caseData.issues.${i}.resolvedDate`, shiftDays: -30 }],
+        high: [{ path: `caseData.issues.${i}.resolvedDate`, shiftDays: 30 }],
+      });
+    }
+
+    const level = SEVERITIES.indexOf(issue.severity);
+    inputs.push({
+      input: `${name} severity one step down/up`,
+      low: [{ path: `caseData.issues.${i}.severity`, value: SEVERITIES[Math.max(level - 1, 0)] }],
+      high: [{ path: `caseData.issues.${i}.severity`, value: SEVERITIES[Math.min(level + 1, SEVERITIES.length - 1)] }],
+    });
+  });
+
+  if (caseData.timeline?.durationDays) {
+    inputs.push({
+      input: 'Duration ±30 days',
+      low: [{ path: 'caseData.timeline.durationDays', value: Math.max(caseData.timeline.durationDays - 30, 0) }],
+      high: [{ path: 'caseData.timeline.durationDays', value: caseData.timeline.durationDays + 30 }],
+    });
+  }
+
+  if (legalAnalysis) {
+    const theories = legalAnalysis.legalTheories || [];
+    inputs.push({
+      input: 'Bad faith found / not found',
+      low: [{ path: 'legalAnalysis.legalTheories', value: theories.filter(t => t.theory !== 'bad_faith') }],
+      high: [{ path: 'legalAnalysis.legalTheories', value: [...theories.filter(t => t.theory !== 'bad_faith'), { theory: 'bad_faith' }] }],
+    });
+  }
+
+  for (const category of EXCLUDABLE_CATEGORIES) {
+    inputs.push({ input: `${category} rejected`, low: [{ exclude: category }], high: [] });
+  }
+
+  return inputs;
+}
+
+/**
+ * Rank scenario results by how far they move the recommended demand
+ * @param {number} baseline - Baseline recommended demand
+ * @param {{ input: string, low: number, high: number }[]} results
+ */
+export function rankBySwing(baseline, results) {
+  return results
+    .map(({ input, low, high }) => ({
+      input,
+      low,
+      high,
+      lowDelta: low - baseline,
+      highDelta: high - baseline,
+      swing: Math.abs(high - low),
+    }))
+    .filter(entry => entry.lowDelta !== 0 || entry.highDelta !== 0)
+    .sort((a, b) => b.swing - a.swing);
+}
+
+export default applyOverrides;
@@ -11,7 +11,12 @@ import LandlordDataService from './landlord-data-service.js';
 import { matchScenariosToCase, getScenario } from './rental-scenarios.js';
 
 export class DataIntegrationOrchestrator {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {(message: string) => void} [options.log] - Progress lines (default console.log)
+   */
+  constructor(options = {}) {
+    this.log = options.log || console.log;
     this.hudService = new HUDDataService();
     this.evictionService = new EvictionDataService();
     this.landlordService = new LandlordDataService();
@@ -25,7 +30,7 @@ export class DataIntegrationOrchestrator {
    * @returns {Object} Complete data context with all overlays
    */
   async generateCompleteContext(caseData) {
-    console.log('🔍 Data Integration: Generating complete context...');
+    this.log('🔍 Data Integration: Generating complete context...');
     
     const context = {
       caseId: caseData.id || null,
@@ -48,7 +53,7 @@ export class DataIntegrationOrchestrator {
 
     // Match case to scenarios
     context.scenarios = matchScenariosToCase(caseData);
-    console.log(`   Matched ${context.scenarios.length} potential scenarios`);
+    this.log(`   Matched ${context.scenarios.length} potential scenarios`);
 
     // Run all data services in parallel
     const dataPromises = [];
@@ -126,7 +131,7 @@ export class DataIntegrationOrchestrator {
     // Generate map layers
     context.mapLayers = this.generateMapLayers(context);
 
-    console.log(`✅ Data Integration: Complete (${context.dataQuality.completenessScore}% data coverage)`);
+    this.log(`✅ Data Integration: Complete (${context.dataQuality.completenessScore}% data coverage)`);
     
     return context;
   }
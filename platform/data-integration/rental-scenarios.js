@@ -5,6 +5,9 @@
  * Each scenario = bundle of legal issues, fact patterns, evidence types, and data overlays
  */
 
+import { getRulePack } from '../damages/rule-pack-registry.js';
+import { accountDeposit } from '../damages/security-deposit.js';
+
 export const RENTAL_SCENARIOS = {
   // ========================================
   // 1. VOUCHER / SECTION 8 SCENARIOS
@@ -788,7 +791,9 @@ export function getCategories() {
 /**
  * Match case facts to likely scenarios
  * @param {Object} caseData - Case facts
- * @returns {Array} Ranked array of matching scenarios
+ * @returns {Array} Ranked array of matching scenarios; SECURITY_DEPOSIT carries
+ *   the move-out deposit accounting as `findings` when the tenant has moved out
+ *   ({ status: 'undetermined', error } when the accounting failed)
  */
 export function matchScenariosToCase(caseData) {
   const matches = [];
@@ -820,11 +825,25 @@ export function matchScenariosToCase(caseData) {
       score += 20;
     }
     
+    // Deadlines and deductions checked against the state's deposit statute
+    let findings = null;
+    if (id === 'SECURITY_DEPOSIT') {
+      try {
+        findings = accountDeposit(caseData, getRulePack(caseData.property?.state).pack, new Date().toISOString().substring(0, 10));
+      } catch (error) {
+        // Move-out facts the accounting can't handle don't sink the other scenarios
+        findings = { status: 'undetermined', error: error.message };
+      }
+      if (findings || caseData.desiredOutcome?.securityDepositReturn) score += 15;
+      if (findings?.wrongfullyWithheld > 0) score += 10;
+    }
+    
     if (score > 0) {
       matches.push({
         scenario: scenario,
         score: score,
-        id: id
+        id: id,
+        ...(findings ? { findings } : {})
       });
     }
   }
@@ -0,0 +1,126 @@
+/**
+ * CASE PACKAGE EXPORTER
+ *
+ * Renders MasterOrchestrator results for attorneys and clients:
+ * - json:  the raw results
+ * - pdf:   paginated report (summary, violations, damages, strategy, QC)
+ * - docx:  the same report as an editable Word document
+ * - zip:   raw JSON + PDF + DOCX + every drafted document as its own .docx,
+ *          with a manifest giving each file's SHA-256
+ */
+
+import { createHash } from 'crypto';
+import PizZip from 'pizzip';
+import { buildCasePackageModel, buildDraftedDocumentModel } from './case-package-model.js';
+import PdfRenderer from './pdf-renderer.js';
+import DocxRenderer from './docx-renderer.js';
+import { FlaggedCitationError, FLAGGED_STATUSES } from '../legal-intelligence/citation-verifier.js';
+
+export const EXPORT_FORMATS = ['json', 'pdf', 'docx', 'zip'];
+
+function toFileName(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^a-zA-Z0-9-]+/g, '-')
+    .toLowerCase();
+}
+
+function assertCitationsVerified(documents) {
+  const flagged = Object.values(documents || {})
+    .map(document => ({
+      title: document.title,
+      citations: (document.citationCheck?.citations || []).filter(c => FLAGGED_STATUSES.includes(c.status)),
+    }))
+    .filter(document => document.citations.length > 0);
+
+  if (flagged.length > 0) throw new FlaggedCitationError(flagged);
+}
+
+// ============================================================================
+// EXPORTER CLASS
+// ============================================================================
+
+export class CasePackageExporter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.docxTemplatePath] - Custom Word template (see docx-renderer.js)
+   * @param {string} [options.footerText] - PDF footer text
+   * @param {boolean} [options.allowFlaggedCitations] - Package drafted documents
+   *   whose citations failed verification
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Export results in the given format
+   * @param {object} results
+   * @param {string} [format]
+   * @param {{ allowFlaggedCitations?: boolean }} [options] - Overrides the constructor option
+   * @returns {Promise<string|Buffer>} JSON string, or file bytes for pdf/docx/zip
+   * @throws {FlaggedCitationError} For zip, when a drafted document has
+   *   flagged citations (unless allowFlaggedCitations)
+   */
+  async export(results, format = 'json', options = {}) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(results, null, 2);
+      case 'pdf':
+        return this.renderPDF(results);
+      case 'docx':
+        return this.renderDOCX(results);
+      case 'zip':
+        // The zip carries the drafted documents out as ready-to-send files
+        if (!(options.allowFlaggedCitations ?? this.options.allowFlaggedCitations)) {
+          assertCitationsVerified(results.documents);
+        }
+        return this.renderZIP(results);
+      default:
+        throw new Error(`Unknown export format "${format}" (expected one of: ${EXPORT_FORMATS.join(', ')})`);
+    }
+  }
+
+  async renderPDF(results) {
+    return new PdfRenderer({ footerText: this.options.footerText })
+      .render(buildCasePackageModel(results));
+  }
+
+  async renderDOCX(results) {
+    return new DocxRenderer({ templatePath: this.options.docxTemplatePath })
+      .render(buildCasePackageModel(results));
+  }
+
+  async renderZIP(results) {
+    const zip = new PizZip();
+    const files = [];
+    const sha256 = {};
+
+    const add = (name, content) => {
+      zip.file(name, content);
+      files.push(name);
+      sha256[name] = createHash('sha256').update(content).digest('hex');
+    };
+
+    add('case-package.json', JSON.stringify(results, null, 2));
+    add('case-package.pdf', await this.renderPDF(results));
+    add('case-package.docx', await this.renderDOCX(results));
+
+    // Drafted documents always use the built-in template - a firm's report
+    // template won't fit a demand letter
+    const documentRenderer = new DocxRenderer();
+    for (const [key, document] of Object.entries(results.documents || {})) {
+      add(`documents/${toFileName(key)}.docx`, await documentRenderer.render(buildDraftedDocumentModel(document)));
+    }
+
+    zip.file('manifest.json', JSON.stringify({
+      caseId: results.metadata?.caseId || null,
+      exportedAt: new Date().toISOString(),
+      files,
+      sha256,
+    }, null, 2));
+
+    return zip.generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+}
+
+export default CasePackageExporter;
@@ -0,0 +1,357 @@
+/**
+ * CASE PACKAGE MODEL
+ *
+ * Turns MasterOrchestrator results into a renderer-neutral document model, so
+ * the PDF and DOCX exports always contain the same content:
+ *
+ *   { title, subtitle, meta: [{ label, value }],
+ *     sections: [{ heading, blocks: [
+ *       { type: 'paragraph', text } | { type: 'bullets', items } |
+ *       { type: 'table', headers, rows, widths? } | { type: 'preformatted', text }
+ *     ] }] }
+ */
+
+import { migrateDamages } from '../damages/damages-schema.js';
+import { FLAGGED_STATUSES } from '../legal-intelligence/citation-verifier.js';
+
+export function formatMoney(amount) {
+  if (typeof amount !== 'number' || Number.isNaN(amount)) return '—';
+  return `$${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+/**
+ * Build the case package model from pipeline results
+ */
+export function buildCasePackageModel(results) {
+  const { caseData = {}, metadata = {} } = results;
+
+  const sections = [
+    summarySection(results),
+    violationsSection(results.legalAnalysis),
+    damagesSection(migrateDamages(results.damages)),
+    netRecoverySection(results.netRecovery),
+    strategySection(results.strategy),
+    qualitySection(results.qualityCheck),
+    documentsSection(results.documents),
+  ].filter(Boolean);
+
+  return {
+    title: 'Tenant Justice Platform - Case Package',
+    subtitle: caseData.property?.address || 'Case analysis',
+    meta: [
+      { label: 'Tenant', value: caseData.tenant?.name || 'Unknown' },
+      { label: 'Landlord', value: caseData.landlord?.name || 'Unknown' },
+      { label: 'Monthly Rent', value: formatMoney(caseData.lease?.monthlyRent) },
+      { label: 'Case ID', value: metadata.caseId || 'n/a' },
+      { label: 'Generated', value: new Date().toLocaleString('en-US') },
+    ],
+    sections,
+  };
+}
+
+/**
+ * Model for one drafted document (demand letter, complaint, ...)
+ */
+export function buildDraftedDocumentModel(document) {
+  const paragraphs = String(document.content || '')
+    .split(/\n\s*\n/)
+    .map(text => text.trim())
+    .filter(Boolean)
+    .map(text => ({ type: 'paragraph', text }));
+
+  const sections = [{ heading: null, blocks: paragraphs }];
+
+  if (document.legalCitations?.length) {
+    sections.push({ heading: 'Citations', blocks: [{ type: 'bullets', items: document.legalCitations }] });
+  }
+
+  if (document.formatInstructions) {
+    sections.push({ heading: 'Filing Notes', blocks: [{ type: 'paragraph', text: document.formatInstructions }] });
+  }
+
+  return { title: document.title, subtitle: null, meta: [], sections };
+}
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+function summarySection(results) {
+  if (!results.executiveSummary) return null;
+
+  return {
+    heading: 'Executive Summary',
+    blocks: [{ type: 'preformatted', text: results.executiveSummary }],
+  };
+}
+
+function violationsSection(legal) {
+  if (!legal) return null;
+
+  const blocks = [
+    { type: 'paragraph', text: `Case strength: ${legal.caseStrength}/10 across ${legal.violations.length} statute violation(s).` },
+  ];
+
+  if (legal.violations.length > 0) {
+    blocks.push({
+      type: 'table',
+      headers: ['Statute', 'Violation', 'Strength', 'Remedy'],
+      widths: [0.22, 0.3, 0.12, 0.36],
+      rows: legal.violations.map(v => [v.statute, v.title, `${v.strength}/10`, v.remedy || '']),
+    });
+  }
+
+  if (legal.legalTheories?.length > 0) {
+    blocks.push({ type: 'paragraph', text: 'Legal theories:' });
+    blocks.push({
+      type: 'bullets',
+      items: legal.legalTheories.map(t => `${t.theory} (strength ${t.strength}/10): ${t.description}`),
+    });
+  }
+
+  return { heading: 'Statute Violations & Legal Theories', blocks };
+}
+
+function damagesSection(damages) {
+  if (!damages) return null;
+
+  const blocks = [];
+  const { recommended } = damages;
+
+  if (recommended) {
+    blocks.push({ type: 'paragraph', text: `Recommended demand: ${formatMoney(recommended.demandAmount)}` });
+    blocks.push({
+      type: 'paragraph',
+      text: `Settlement range: ${formatMoney(recommended.settlementRange?.low)} - ${formatMoney(recommended.settlementRange?.high)}`,
+    });
+    if (recommended.rationale) blocks.push({ type: 'paragraph', text: recommended.rationale });
+  }
+
+  for (const [label, estimate] of [['Conservative estimate', damages.conservative], ['Aggressive estimate', damages.aggressive]]) {
+    if (!estimate) continue;
+
+    blocks.push({ type: 'paragraph', text: `${label}: ${formatMoney(estimate.total)}` });
+    blocks.push({
+      type: 'table',
+      headers: ['Category', 'Amount', 'Calculation', 'Authority'],
+      widths: [0.22, 0.14, 0.38, 0.26],
+      rows: [
+        ...estimate.breakdown.map(line => [line.category, formatMoney(line.amount), line.calculation, line.rule?.citation || '']),
+        ['Total', formatMoney(estimate.total), '', ''],
+      ],
+    });
+  }
+
+  const ledger = damages.categories?.rentAbatement?.ledger;
+  if (ledger?.months?.length) {
+    blocks.push({ type: 'paragraph', text: `Rent abatement ledger (${ledger.from} to ${ledger.to}):` });
+    blocks.push({
+      type: 'table',
+      headers: ['Month', 'Days', 'Avg. lost use', 'Conservative', 'Aggressive'],
+      widths: [0.2, 0.12, 0.2, 0.24, 0.24],
+      rows: ledger.months.map(month => [
+        month.month,
+        String(month.days),
+        `${Math.round(month.averageLostUse * 100)}%`,
+        formatMoney(month.conservative),
+        formatMoney(month.aggressive),
+      ]),
+    });
+  }
+
+  const payments = damages.categories?.rentPayments;
+  if (payments?.source === 'ledger' && payments.months.length > 0) {
+    blocks.push({ type: 'paragraph', text: 'Rent payments vs. abated rent value:' });
+    blocks.push({
+      type: 'table',
+      headers: ['Month', 'Rent due', 'Paid', 'Overpaid', 'Unpaid'],
+      widths: [0.2, 0.2, 0.2, 0.2, 0.2],
+      rows: payments.months.map(month => [
+        month.month,
+        formatMoney(month.rentDue),
+        formatMoney(month.paid),
+        formatMoney(month.overpaid.aggressive),
+        formatMoney(month.unpaid.aggressive),
+      ]),
+    });
+  }
+
+  const repairs = damages.categories?.repairCosts;
+  if (repairs?.items?.length) {
+    blocks.push({ type: 'paragraph', text: 'Repair costs:' });
+    blocks.push({
+      type: 'table',
+      headers: ['Item', 'Cost', 'Range', 'Source'],
+      widths: [0.26, 0.14, 0.2, 0.4],
+      rows: repairs.items.map(item => [
+        item.item,
+        formatMoney(item.estimatedCost),
+        item.low === item.high ? '' : `${formatMoney(item.low)} - ${formatMoney(item.high)}`,
+        item.source === 'cost_index' ? `Cost index: ${item.sourceDetail}` : item.sourceDetail,
+      ]),
+    });
+  }
+
+  const relocation = damages.categories?.relocationCosts;
+  if (relocation?.items?.length) {
+    blocks.push({
+      type: 'paragraph',
+      text: `Relocation costs: ${formatMoney(relocation.documented)} documented, ${formatMoney(relocation.estimated)} estimated`,
+    });
+    blocks.push({
+      type: 'table',
+      headers: ['Item', 'Amount', 'Basis'],
+      widths: [0.3, 0.18, 0.52],
+      rows: relocation.items.map(item => [
+        item.description,
+        item.low === item.high || item.basis !== 'quote' ? formatMoney(item.high) : `${formatMoney(item.low)} - ${formatMoney(item.high)}`,
+        item.basis === 'per_diem' ? `Per diem: ${item.calculation}` : item.calculation,
+      ]),
+    });
+  }
+
+  const deposit = damages.categories?.securityDeposit?.accounting;
+  if (deposit) {
+    blocks.push({
+      type: 'paragraph',
+      text: `Security deposit: ${formatMoney(deposit.deposit)} paid, ${formatMoney(deposit.refunded)} refunded, `
+        + `${formatMoney(deposit.wrongfullyWithheld)} wrongfully withheld (deadline ${deposit.deadline || 'not started'})`,
+    });
+    if (deposit.deductions.length > 0) {
+      blocks.push({
+        type: 'table',
+        headers: ['Deduction', 'Amount', 'Allowed', 'Authority'],
+        widths: [0.34, 0.14, 0.28, 0.24],
+        rows: deposit.deductions.map(d => [d.description, formatMoney(d.amount), d.lawful ? 'Yes' : `No - ${d.reason}`, d.citation || '']),
+      });
+    }
+    const findings = [...deposit.violations.map(v => `${v.description} (${v.citation})`), ...deposit.notes];
+    if (findings.length > 0) blocks.push({ type: 'bullets', items: findings });
+  }
+
+  const interest = damages.categories?.prejudgmentInterest;
+  if (interest?.aggressive > 0) {
+    blocks.push({
+      type: 'paragraph',
+      text: `Prejudgment interest accrued to ${interest.asOf}: ${formatMoney(interest.conservative)} - ${formatMoney(interest.aggressive)} (${interest.explanation})`,
+    });
+  }
+
+  if (damages.metadata?.assumptions?.length) {
+    blocks.push({ type: 'paragraph', text: 'Assumptions:' });
+    blocks.push({ type: 'bullets', items: damages.metadata.assumptions });
+  }
+
+  return { heading: 'Damages', blocks };
+}
+
+function netRecoverySection(netRecovery) {
+  if (!netRecovery?.length) return null;
+
+  const blocks = [
+    {
+      type: 'table',
+      headers: ['Settlement', 'Attorney fee', 'Costs', 'Liens', 'Est. tax', 'Net to tenant'],
+      widths: [0.17, 0.17, 0.15, 0.15, 0.15, 0.21],
+      rows: netRecovery.map(({ settlement, totals }) => [
+        formatMoney(settlement),
+        formatMoney(totals.attorneyFee),
+        formatMoney(totals.costs),
+        formatMoney(totals.liens),
+        formatMoney(totals.estimatedTax),
+        formatMoney(totals.netToTenant),
+      ]),
+    },
+  ];
+
+  // Category detail at the top of the settlement range
+  const detail = netRecovery[Math.min(1, netRecovery.length - 1)];
+  blocks.push({ type: 'paragraph', text: `By category at a ${formatMoney(detail.settlement)} settlement:` });
+  blocks.push({
+    type: 'table',
+    headers: ['Category', 'Gross', 'Fees & costs', 'Liens', 'Est. tax', 'Net to tenant'],
+    widths: [0.26, 0.14, 0.15, 0.13, 0.13, 0.19],
+    rows: [
+      ...detail.rows.map(row => [
+        `${row.label}${row.taxable ? '' : ' (not taxable)'}`,
+        formatMoney(row.gross),
+        formatMoney(row.attorneyFee + row.costs),
+        formatMoney(row.liens),
+        formatMoney(row.estimatedTax),
+        formatMoney(row.netToTenant),
+      ]),
+      ['Total', formatMoney(detail.totals.gross), formatMoney(detail.totals.attorneyFee + detail.totals.costs),
+        formatMoney(detail.totals.liens), formatMoney(detail.totals.estimatedTax), formatMoney(detail.totals.netToTenant)],
+    ],
+  });
+
+  const liens = detail.liens.filter(lien => lien.paid !== lien.claimed);
+  blocks.push({
+    type: 'bullets',
+    items: [...liens.map(lien => `${lien.holder}: ${formatMoney(lien.paid)} of ${formatMoney(lien.claimed)} claimed - ${lien.explanation}`), ...detail.notes],
+  });
+
+  return { heading: 'Net Recovery to Tenant', blocks };
+}
+
+function strategySection(strategy) {
+  const optimal = strategy?.optimalStrategy;
+  if (!optimal) return null;
+
+  const rows = [
+    ['Win probability', `${(strategy.simulations.statistics.winRate * 100).toFixed(1)}%`],
+    ['Expected value', formatMoney(strategy.expectedValues?.optimal?.expectedValue)],
+    ['Primary approach', optimal.primaryApproach],
+    ['Initial demand', formatMoney(optimal.demandStrategy?.initialDemand)],
+    ['Target settlement', formatMoney(optimal.demandStrategy?.targetSettlement)],
+    ['Minimum acceptable', formatMoney(optimal.demandStrategy?.minAcceptable)],
+    ['Estimated duration', optimal.timing?.estimatedDuration],
+    ['Estimated cost', optimal.timing?.estimatedCost],
+    ['Optimal settlement timing', optimal.timing?.optimalSettlement],
+  ].filter(([, value]) => value !== undefined && value !== null);
+
+  const blocks = [{ type: 'table', headers: ['Metric', 'Value'], widths: [0.4, 0.6], rows }];
+
+  if (optimal.tactics?.length) {
+    blocks.push({ type: 'paragraph', text: 'Tactics:' });
+    blocks.push({ type: 'bullets', items: optimal.tactics });
+  }
+
+  return { heading: 'Strategy', blocks };
+}
+
+function qualitySection(quality) {
+  if (!quality) return null;
+
+  return {
+    heading: 'Quality Control',
+    blocks: [
+      {
+        type: 'paragraph',
+        text: `Overall score ${quality.score}/100 - evidence strength ${quality.evidenceStrength}/10, legal basis ${quality.legalBasis}/10.`,
+      },
+      { type: 'paragraph', text: `Recommendation: ${quality.recommendation}` },
+      quality.issues.length > 0
+        ? { type: 'bullets', items: quality.issues }
+        : { type: 'paragraph', text: 'No major issues identified.' },
+    ],
+  };
+}
+
+function documentsSection(documents) {
+  const drafted = Object.values(documents || {});
+  if (drafted.length === 0) return null;
+
+  const blocks = [{ type: 'bullets', items: drafted.map(document => document.title) }];
+
+  const flagged = drafted.flatMap(document => (document.citationCheck?.citations || [])
+    .filter(c => FLAGGED_STATUSES.includes(c.status))
+    .map(c => [document.title, c.citation, c.reason || c.status]));
+
+  if (flagged.length > 0) {
+    blocks.push({ type: 'paragraph', text: 'Citations that could not be verified - fix before sending:' });
+    blocks.push({ type: 'table', headers: ['Document', 'Citation', 'Problem'], widths: [0.3, 0.3, 0.4], rows: flagged });
+  }
+
+  return { heading: 'Drafted Documents', blocks };
+}
@@ -0,0 +1,220 @@
+/**
+ * DOCX RENDERER
+ *
+ * Fills a docxtemplater template with a case package model (see
+ * case-package-model.js) to produce an editable Word document.
+ *
+ * The built-in template is generated in code. Firms can supply their own
+ * .docx (letterhead, styles) using the same tags:
+ *
+ *   {title} {subtitle}
+ *   {#meta}{label} {value}{/meta}
+ *   {#sections}{#heading}{heading}{/heading}
+ *     {#blocks}
+ *       {#paragraph}{text}{/paragraph}
+ *       {#bullet}{text}{/bullet}            - one per bullet item
+ *       {#preformatted}{text}{/preformatted}
+ *       {#table}{@xml}{/table}              - a ready-made <w:tbl>
+ *     {/blocks}
+ *   {/sections}
+ */
+
+import fs from 'fs/promises';
+import PizZip from 'pizzip';
+import Docxtemplater from 'docxtemplater';
+
+const TABLE_WIDTH_TWIPS = 9360; // 6.5" between 1" margins
+
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
+}
+
+// ============================================================================
+// RENDERER CLASS
+// ============================================================================
+
+export class DocxRenderer {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.templatePath] - Custom .docx template using the tags above
+   */
+  constructor(options = {}) {
+    this.templatePath = options.templatePath || null;
+  }
+
+  /**
+   * Render a model to .docx bytes
+   */
+  async render(model) {
+    const template = this.templatePath
+      ? await fs.readFile(this.templatePath)
+      : buildDefaultTemplate();
+
+    const doc = new Docxtemplater(new PizZip(template), {
+      paragraphLoop: true,
+      linebreaks: true,
+    });
+
+    doc.render(this.toTemplateData(model));
+    return doc.getZip().generate({ type: 'nodebuffer', compression: 'DEFLATE' });
+  }
+
+  /**
+   * Flatten model blocks into the shape the template loops over
+   */
+  toTemplateData(model) {
+    return {
+      title: model.title,
+      subtitle: model.subtitle || '',
+      meta: model.meta,
+      sections: model.sections.map(section => ({
+        heading: section.heading || '',
+        blocks: section.blocks.flatMap(block => {
+          switch (block.type) {
+            case 'paragraph':
+              return [{ paragraph: { text: block.text } }];
+            case 'bullets':
+              return block.items.map(text => ({ bullet: { text } }));
+            case 'preformatted':
+              return [{ preformatted: { text: block.text } }];
+            case 'table':
+              return [{ table: { xml: buildTableXml(block) } }];
+            default:
+              throw new Error(`Unknown block type "${block.type}"`);
+          }
+        }),
+      })),
+    };
+  }
+}
+
+// ============================================================================
+// XML BUILDERS
+// ============================================================================
+
+function buildTableXml({ headers, rows, widths }) {
+  const fractions = widths || headers.map(() => 1 / headers.length);
+  const columnWidths = fractions.map(f => Math.round(f * TABLE_WIDTH_TWIPS));
+
+  const cell = (text, i, header) => `
+    <w:tc>
+      <w:tcPr><w:tcW w:w="${columnWidths[i]}" w:type="dxa"/>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="E7E6E6"/>' : ''}</w:tcPr>
+      <w:p><w:pPr><w:spacing w:before="40" w:after="40"/></w:pPr><w:r>${header ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>
+    </w:tc>`;
+
+  const row = (cells, header) => `
+    <w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells.map((text, i) => cell(text, i, header)).join('')}</w:tr>`;
+
+  const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="808080"/>`;
+
+  return `<w:tbl>
+    <w:tblPr>
+      <w:tblW w:w="${TABLE_WIDTH_TWIPS}" w:type="dxa"/>
+      <w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>
+      <w:tblLayout w:type="fixed"/>
+    </w:tblPr>
+    <w:tblGrid>${columnWidths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>
+    ${row(headers, true)}
+    ${rows.map(cells => row(cells, false)).join('')}
+  </w:tbl>`;
+}
+
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+
+const paragraph = (content, style) =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${content}</w:p>`;
+
+const run = (text, props = '') =>
+  `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${text}</w:t></w:r>`;
+
+// Loop tags sit alone in their own paragraph so paragraphLoop removes them
+const tagParagraph = (tag) => paragraph(run(tag));
+
+function buildDefaultTemplate() {
+  const body = [
+    paragraph(run('{title}'), 'Title'),
+    paragraph(run('{subtitle}'), 'Subtitle'),
+    tagParagraph('{#meta}'),
+    paragraph(run('{label}: ', '<w:b/>') + run('{value}')),
+    tagParagraph('{/meta}'),
+    tagParagraph('{#sections}'),
+    tagParagraph('{#heading}'),
+    paragraph(run('{heading}'), 'Heading1'),
+    tagParagraph('{/heading}'),
+    tagParagraph('{#blocks}'),
+    tagParagraph('{#paragraph}'),
+    paragraph(run('{text}')),
+    tagParagraph('{/paragraph}'),
+    tagParagraph('{#bullet}'),
+    paragraph(run('•') + '<w:r><w:tab/></w:r>' + run('{text}'), 'ListBullet'),
+    tagParagraph('{/bullet}'),
+    tagParagraph('{#preformatted}'),
+    paragraph(run('{text}'), 'Preformatted'),
+    tagParagraph('{/preformatted}'),
+    tagParagraph('{#table}'),
+    tagParagraph('{@xml}'),
+    tagParagraph('{/table}'),
+    tagParagraph('{/blocks}'),
+    tagParagraph('{/sections}'),
+  ].join('');
+
+  const sectPr = '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>'
+    + '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>';
+
+  const zip = new PizZip();
+
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`);
+
+  zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+
+  zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${W_NS}><w:body>${body}${sectPr}</w:body></w:document>`);
+
+  zip.file('word/styles.xml', buildStylesXml());
+
+  return zip.generate({ type: 'nodebuffer' });
+}
+
+function buildStylesXml() {
+  const style = (id, name, pPr, rPr) => `
+  <w:style w:type="paragraph" w:styleId="${id}">
+    <w:name w:val="${name}"/>${id === 'Normal' ? '' : '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>'}
+    <w:pPr>${pPr}</w:pPr>
+    <w:rPr>${rPr}</w:rPr>
+  </w:style>`;
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${W_NS}>
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="21"/></w:rPr></w:rPrDefault>
+  </w:docDefaults>${[
+    style('Normal', 'Normal', '<w:spacing w:after="120"/>', ''),
+    style('Title', 'Title', '<w:spacing w:after="60"/>', '<w:b/><w:sz w:val="36"/>'),
+    style('Subtitle', 'Subtitle', '<w:spacing w:after="240"/>', '<w:color w:val="595959"/><w:sz w:val="24"/>'),
+    style('Heading1', 'heading 1', '<w:keepNext/><w:spacing w:before="360" w:after="120"/><w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="808080"/></w:pBdr><w:outlineLvl w:val="0"/>', '<w:b/><w:sz w:val="26"/>'),
+    style('ListBullet', 'List Bullet', '<w:tabs><w:tab w:val="left" w:pos="360"/></w:tabs><w:spacing w:after="60"/><w:ind w:left="360" w:hanging="360"/>', ''),
+    style('Preformatted', 'Preformatted', '<w:spacing w:after="0"/>', '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New" w:cs="Courier New"/><w:sz w:val="16"/>'),
+  ].join('')}
+</w:styles>`;
+}
+
+export default DocxRenderer;
@@ -0,0 +1,312 @@
+/**
+ * PDF RENDERER
+ *
+ * Lays out a case package model (see case-package-model.js) on US Letter
+ * pages with pdf-lib: word-wrapped paragraphs, tables that repeat their header
+ * row across page breaks, and "Page X of Y" footers.
+ */
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+const FOOTER_HEIGHT = 24;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const SIZES = { title: 18, subtitle: 12, heading: 13, body: 10, table: 9, preformatted: 7.5, footer: 8 };
+const CELL_PADDING = 4;
+const GREY = rgb(0.45, 0.45, 0.45);
+
+// Standard fonts only encode WinAnsi - map the box drawing and symbols the
+// executive summary uses, drop the rest (emoji)
+const REPLACEMENTS = [
+  [/[═━]/g, '='],
+  [/[─—–]/g, '-'],
+  [/[→⇒]/g, '->'],
+  [/[✓✔✅]/g, '+'],
+  [/[✗✘❌]/g, 'x'],
+  [/[‘’]/g, "'"],
+  [/[“”]/g, '"'],
+];
+
+export function toWinAnsi(text) {
+  let result = String(text ?? '');
+  for (const [pattern, replacement] of REPLACEMENTS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result
+    .replace(/\t/g, '  ')
+    .replace(/[^\n\x20-\x7E\xA0-\xFF•…€]/gu, '')
+    .replace(/ +\n/g, '\n');
+}
+
+// ============================================================================
+// RENDERER CLASS
+// ============================================================================
+
+export class PdfRenderer {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.footerText] - Left-hand footer on every page
+   */
+  constructor(options = {}) {
+    this.footerText = options.footerText || 'Confidential - prepared for settlement and litigation purposes';
+  }
+
+  /**
+   * Render a model to PDF bytes
+   */
+  async render(model) {
+    this.doc = await PDFDocument.create();
+    this.doc.setTitle(toWinAnsi(model.title));
+    this.doc.setCreator('Tenant Justice Platform');
+
+    this.fonts = {
+      regular: await this.doc.embedFont(StandardFonts.Helvetica),
+      bold: await this.doc.embedFont(StandardFonts.HelveticaBold),
+      mono: await this.doc.embedFont(StandardFonts.Courier),
+    };
+
+    this.newPage();
+    this.drawCover(model);
+
+    for (const section of model.sections) {
+      if (section.heading) this.drawHeading(section.heading);
+
+      for (const block of section.blocks) {
+        this.drawBlock(block);
+      }
+    }
+
+    this.drawFooters();
+    return Buffer.from(await this.doc.save());
+  }
+
+  drawCover(model) {
+    this.drawText(model.title, { font: this.fonts.bold, size: SIZES.title, gapAfter: 4 });
+    if (model.subtitle) this.drawText(model.subtitle, { size: SIZES.subtitle, color: GREY, gapAfter: 10 });
+
+    for (const { label, value } of model.meta) {
+      this.drawText(`${label}: ${value}`, { size: SIZES.body, gapAfter: 1 });
+    }
+    this.y -= 8;
+  }
+
+  drawHeading(text) {
+    // Keep a heading with at least a few lines of its content
+    this.ensureSpace(SIZES.heading + SIZES.body * 4);
+    this.y -= 8;
+    this.drawText(text, { font: this.fonts.bold, size: SIZES.heading, gapAfter: 2 });
+
+    this.page.drawLine({
+      start: { x: MARGIN, y: this.y },
+      end: { x: PAGE_WIDTH - MARGIN, y: this.y },
+      thickness: 0.75,
+      color: GREY,
+    });
+    this.y -= 8;
+  }
+
+  drawBlock(block) {
+    switch (block.type) {
+      case 'paragraph':
+        this.drawText(block.text, { size: SIZES.body, gapAfter: 6 });
+        break;
+
+      case 'bullets':
+        for (const item of block.items) {
+          this.drawText(item, { size: SIZES.body, indent: 14, bullet: true, gapAfter: 3 });
+        }
+        this.y -= 3;
+        break;
+
+      case 'preformatted':
+        // Pre-laid-out text: keep line breaks and column alignment
+        for (const line of toWinAnsi(block.text).split('\n')) {
+          this.drawText(line || ' ', { font: this.fonts.mono, size: SIZES.preformatted, lineGap: 1.5, preserveSpaces: true });
+        }
+        this.y -= 6;
+        break;
+
+      case 'table':
+        this.drawTable(block);
+        break;
+
+      default:
+        throw new Error(`Unknown block type "${block.type}"`);
+    }
+  }
+
+  /**
+   * Word-wrapped text, breaking onto new pages as needed
+   */
+  drawText(text, options = {}) {
+    const font = options.font || this.fonts.regular;
+    const size = options.size || SIZES.body;
+    const indent = options.indent || 0;
+    const lineHeight = size + (options.lineGap ?? size * 0.35);
+
+    const lines = options.preserveSpaces
+      ? this.hardWrap(toWinAnsi(text), font, size, CONTENT_WIDTH - indent)
+      : this.wrap(toWinAnsi(text), font, size, CONTENT_WIDTH - indent);
+
+    lines.forEach((line, i) => {
+      this.ensureSpace(lineHeight);
+      this.y -= size;
+
+      if (options.bullet && i === 0) {
+        this.page.drawText('•', { x: MARGIN + indent - 9, y: this.y, size, font });
+      }
+
+      this.page.drawText(line, { x: MARGIN + indent, y: this.y, size, font, color: options.color });
+      this.y -= lineHeight - size;
+    });
+
+    this.y -= options.gapAfter || 0;
+  }
+
+  drawTable({ headers, rows, widths }) {
+    const fractions = widths || headers.map(() => 1 / headers.length);
+    const columnWidths = fractions.map(f => f * CONTENT_WIDTH);
+    const size = SIZES.table;
+    const lineHeight = size * 1.3;
+
+    const layoutRow = (cells, font) => {
+      const wrapped = cells.map((cell, i) =>
+        this.wrap(toWinAnsi(cell), font, size, columnWidths[i] - CELL_PADDING * 2)
+      );
+      const height = Math.max(...wrapped.map(lines => lines.length)) * lineHeight + CELL_PADDING * 2;
+      return { wrapped, height, font };
+    };
+
+    const drawRow = ({ wrapped, height, font }, shaded) => {
+      let x = MARGIN;
+
+      wrapped.forEach((lines, i) => {
+        this.page.drawRectangle({
+          x,
+          y: this.y - height,
+          width: columnWidths[i],
+          height,
+          borderColor: GREY,
+          borderWidth: 0.5,
+          color: shaded ? rgb(0.92, 0.92, 0.92) : undefined,
+        });
+
+        lines.forEach((line, j) => {
+          this.page.drawText(line, {
+            x: x + CELL_PADDING,
+            y: this.y - CELL_PADDING - size - j * lineHeight,
+            size,
+            font,
+          });
+        });
+
+        x += columnWidths[i];
+      });
+
+      this.y -= height;
+    };
+
+    const header = layoutRow(headers, this.fonts.bold);
+    this.ensureSpace(header.height * 2);
+    drawRow(header, true);
+
+    for (const cells of rows) {
+      const row = layoutRow(cells, this.fonts.regular);
+
+      if (this.y - row.height < MARGIN + FOOTER_HEIGHT) {
+        this.newPage();
+        drawRow(header, true);
+      }
+      drawRow(row, false);
+    }
+
+    this.y -= 10;
+  }
+
+  drawFooters() {
+    const pages = this.doc.getPages();
+    const font = this.fonts.regular;
+
+    pages.forEach((page, i) => {
+      const label = `Page ${i + 1} of ${pages.length}`;
+      const y = MARGIN / 2;
+
+      page.drawText(toWinAnsi(this.footerText), { x: MARGIN, y, size: SIZES.footer, font, color: GREY });
+      page.drawText(label, {
+        x: PAGE_WIDTH - MARGIN - font.widthOfTextAtSize(label, SIZES.footer),
+        y,
+        size: SIZES.footer,
+        font,
+        color: GREY,
+      });
+    });
+  }
+
+  // ==========================================================================
+  // LAYOUT UTILITIES
+  // ==========================================================================
+
+  newPage() {
+    this.page = this.doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  ensureSpace(height) {
+    if (this.y - height < MARGIN + FOOTER_HEIGHT) this.newPage();
+  }
+
+  /**
+   * Greedy word wrap; words wider than the line are split by character
+   */
+  wrap(text, font, size, maxWidth) {
+    const lines = [];
+    const fits = (s) => font.widthOfTextAtSize(s, size) <= maxWidth;
+
+    for (const paragraph of text.split('\n')) {
+      let line = '';
+
+      for (const word of paragraph.split(/ +/)) {
+        const candidate = line ? `${line} ${word}` : word;
+
+        if (fits(candidate)) {
+          line = candidate;
+          continue;
+        }
+
+        if (line) lines.push(line);
+        line = word;
+
+        const pieces = this.hardWrap(line, font, size, maxWidth);
+        line = pieces.pop();
+        lines.push(...pieces);
+      }
+
+      lines.push(line);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Break by character, keeping runs of spaces intact
+   */
+  hardWrap(text, font, size, maxWidth) {
+    const lines = [];
+    let rest = text;
+
+    while (font.widthOfTextAtSize(rest, size) > maxWidth) {
+      let cut = rest.length - 1;
+      while (cut > 1 && font.widthOfTextAtSize(rest.substring(0, cut), size) > maxWidth) cut--;
+      lines.push(rest.substring(0, cut));
+      rest = rest.substring(cut);
+    }
+
+    lines.push(rest);
+    return lines;
+  }
+}
+
+export default PdfRenderer;
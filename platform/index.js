@@ -0,0 +1,225 @@
+/**
+ * TENANT JUSTICE PLATFORM
+ *
+ * The package's public API - integration code imports from here rather than
+ * from individual modules:
+ *
+ *   import { MasterOrchestrator, IntakeAgent, createLLMProvider } from 'tenant-justice-platform';
+ *
+ *   const llm = createLLMProvider({ provider: 'local' });
+ *   const intake = new IntakeAgent({ llm });
+ *
+ * Every module is an ES module exporting its classes by name (and its main
+ * class as default). Model-backed agents and engines take an options object
+ * typed by LLMOptions (llm/index.js) - see each constructor's typedef.
+ */
+
+// ============================================================================
+// AGENTS
+// ============================================================================
+
+export { IntakeAgent, CaseDataSchema, CommunicationSchema, CRITICAL_FIELDS, CONFIRMATION_FIELDS } from './agents/agent_intake.js';
+export { TimelineArchitectAgent } from './agents/agent_timeline.js';
+export { LegalMapperAgent, LegalAnalysisSchema } from './agents/agent_legal_mapper.js';
+export { EnhancedLegalMapperAgent } from './agents/agent_legal_mapper_enhanced.js';
+export { HealthImpactAnalyzerAgent } from './agents/agent_health.js';
+export { DamagesCalculator, DamagesSchema } from './agents/agent_damages.js';
+export { DocumentDrafterAgent } from './agents/agent_document_drafter.js';
+export { MasterOrchestrator, PIPELINE_PHASES } from './agents/agent_orchestrator.js';
+export {
+  FieldProvenanceSchema,
+  UnconfirmedFieldError,
+  LOW_CONFIDENCE,
+  REFUSE_CONFIDENCE,
+  buildFieldProvenance,
+  locateSpan,
+  listFieldPaths,
+  recordTenantAnswer,
+  confirmFields,
+  reviewFields,
+} from './agents/field_provenance.js';
+
+// ============================================================================
+// DAMAGES RULES
+// ============================================================================
+
+export {
+  RulePackSchema,
+  ABATEMENT_METHODS,
+  getRulePack,
+  registerRulePack,
+  loadRulePack,
+  listRulePacks,
+  measureAward,
+} from './damages/rule-pack-registry.js';
+export { buildAbatementLedger, AbatementLedgerSchema, unitWideLoss, ROOM_LOSS_BY_SEVERITY } from './damages/abatement-ledger.js';
+export { reconcileRentPayments, RentPaymentSchema, RentReconciliationSchema, RENT_PAYMENT_METHODS } from './damages/rent-payment-ledger.js';
+export {
+  DEFAULT_COST_INDEX,
+  CostIndexSchema,
+  RepairEvidenceSchema,
+  REPAIR_EVIDENCE_TYPES,
+  REPAIR_COST_SOURCES,
+  regionalMultiplier,
+  indexedRepairCost,
+  evidencedRepairCost,
+} from './damages/repair-cost-index.js';
+export { accrueInterest, interestFor, COMPOUNDING_PERIODS } from './damages/interest-engine.js';
+export {
+  applyOverrides,
+  defaultSensitivityInputs,
+  rankBySwing,
+  WhatIfOverrideSchema,
+  EXCLUDABLE_CATEGORIES,
+} from './damages/what-if.js';
+export {
+  DAMAGES_SCHEMA_VERSION,
+  DamagesSchemaError,
+  validateDamages,
+  migrateDamages,
+  loadDamages,
+} from './damages/damages-schema.js';
+export {
+  calculateNetRecovery,
+  netRecoveryAt,
+  NetRecoveryTermsSchema,
+  NetRecoverySchema,
+  TAX_TREATMENTS,
+  LIEN_TYPES,
+} from './damages/net-recovery.js';
+export {
+  AggregateDamagesSchema,
+  SHARED_SYSTEM_CATEGORIES,
+  AGGREGATE_GROUPINGS,
+  buildingKey,
+  landlordKey,
+  resolveGrouping,
+  findSharedRepairs,
+  sumCategories,
+} from './damages/aggregate-damages.js';
+export {
+  accountDeposit,
+  withDepositViolation,
+  MoveOutSchema,
+  DepositDeductionSchema,
+  DepositAccountingSchema,
+  DEDUCTION_CATEGORIES,
+  DEPOSIT_HOLDINGS,
+} from './damages/security-deposit.js';
+export {
+  calculateRelocation,
+  perDiemRates,
+  DEFAULT_PER_DIEM,
+  PerDiemTableSchema,
+  DisplacementSchema,
+  RelocationExpenseSchema,
+  RELOCATION_EXPENSE_KINDS,
+} from './damages/relocation-costs.js';
+
+// ============================================================================
+// LEGAL INTELLIGENCE ENGINES
+// ============================================================================
+
+export { LegalLibrary, EmbeddingError } from './legal-intelligence/legal-library.js';
+export {
+  createLibraryStore,
+  LibraryStore,
+  LibraryStoreError,
+  LocalLibraryStore,
+  BM25Index,
+  tokenize,
+  HashingEmbedder,
+} from './legal-intelligence/library-store/index.js';
+export {
+  searchCorpus,
+  getCorpusPack,
+  registerCorpusPack,
+  loadCorpusPack,
+  listCorpusPacks,
+  getCorpusPacks,
+  entryVersions,
+  caseIssueCategories,
+  CorpusPackSchema,
+  CorpusEntrySchema,
+  CORPUS_FORMAT_VERSION,
+  CORPUS_TOPICS,
+  REMEDY_TOPICS,
+  ISSUE_TOPICS,
+  AUTHORITY_TYPES,
+} from './legal-intelligence/legal-corpus.js';
+export { parseCitations, caseNameKey, STATUTE_CODES, PRIMARY_CODES } from './legal-intelligence/citation-parser.js';
+export {
+  CitationVerifier,
+  CitationCheckSchema,
+  FlaggedCitationError,
+  CITATION_STATUSES,
+  FLAGGED_STATUSES,
+} from './legal-intelligence/citation-verifier.js';
+export {
+  versionInForce,
+  addStatuteVersion,
+  mergeStatuteVersions,
+  diffStatuteText,
+  caseLegalDates,
+  governingDate,
+  StatuteVersionSchema,
+  TOPIC_DATE_BASIS,
+} from './legal-intelligence/statute-versions.js';
+export { StatuteUpdater, AmendmentSchema } from './legal-intelligence/statute-updater.js';
+export {
+  CitationGraph,
+  courtLevel,
+  authorityScore,
+  classifyTreatment,
+  TREATMENTS,
+  GOOD_LAW_STATUSES,
+} from './legal-intelligence/citation-graph.js';
+export { GameTheoryEngine } from './legal-intelligence/game-theory-engine.js';
+export { AdversarialIntelligence } from './legal-intelligence/adversarial-intelligence.js';
+export { AdvancedMLEngine } from './legal-intelligence/advanced-ml-engine.js';
+
+// ============================================================================
+// DATA SERVICES
+// ============================================================================
+
+export { DataIntegrationOrchestrator } from './data-integration/data-integration-orchestrator.js';
+export { HUDDataService } from './data-integration/hud-data-service.js';
+export { EvictionDataService } from './data-integration/eviction-data-service.js';
+export { LandlordDataService } from './data-integration/landlord-data-service.js';
+export {
+  RENTAL_SCENARIOS,
+  getScenario,
+  getScenariosByCategory,
+  getCategories,
+  matchScenariosToCase,
+} from './data-integration/rental-scenarios.js';
+
+// ============================================================================
+// INTAKE & DOCUMENT INGESTION
+// ============================================================================
+
+export { IntakeSession, InvalidAnswerError, parseAnswer, DEFAULT_COMPLETENESS_THRESHOLD } from './intake/intake-session.js';
+export { createIntakeHandler } from './intake/intake-http.js';
+export { DocumentIngestor, DocumentIngestionError, classifyDocument } from './ingestion/document-ingestor.js';
+export { DOCUMENT_FORMATS, detectFormat, parseDocument } from './ingestion/document-parsers.js';
+
+// ============================================================================
+// PIPELINE, EXPORT & MODEL PROVIDERS
+// ============================================================================
+
+export { DAGExecutor, PhaseTimeoutError, PhaseFailedError } from './pipeline/dag-executor.js';
+export { FileCheckpointStore, MemoryCheckpointStore, createCaseId, hashInputs } from './pipeline/checkpoint-store.js';
+export { PIPELINE_EVENTS, TERMINAL_EVENTS, serializeError } from './pipeline/events.js';
+export { ConsoleReporter, JSONLinesReporter } from './pipeline/reporters.js';
+export { CasePackageExporter, EXPORT_FORMATS } from './export/case-package-exporter.js';
+export { PdfRenderer } from './export/pdf-renderer.js';
+export { DocxRenderer } from './export/docx-renderer.js';
+export {
+  createLLMProvider,
+  resolveLLM,
+  LLMProvider,
+  OpenAIProvider,
+  LocalModelProvider,
+  FixtureProvider,
+  FixtureMissingError,
+} from './llm/index.js';
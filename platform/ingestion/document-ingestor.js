@@ -0,0 +1,209 @@
+/**
+ * DOCUMENT INGESTOR
+ *
+ * Reads a bundle of tenant files (lease PDF, SMS backup, email threads,
+ * certified-mail receipts) into documents IntakeAgent can extract from:
+ *
+ *   const bundle = await new DocumentIngestor().ingest(['lease.pdf', 'sms.xml', 'landlord.mbox']);
+ *   await intakeAgent.analyze(story, { documents: bundle.documents });
+ *
+ * Each document keeps its file name so extracted fields and timeline events
+ * can cite it. Files that can't be read are listed in `skipped` rather than
+ * failing the bundle.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { detectFormat, parseDocument } from './document-parsers.js';
+
+const DEFAULT_MAX_FILE_BYTES = 25 * 1024 * 1024;
+
+// Message excerpts kept on each communication (the full text stays in the document)
+const EXCERPT_LENGTH = 280;
+
+const DOCUMENT_KINDS = [
+  [/certified mail|return receipt|usps tracking|ps form 38(00|11)|proof of (mailing|delivery)/i, 'mail_receipt'],
+  [/notice (to|of) (vacate|quit|pay|cure|terminat|entry|enter|rent increase|non-?renewal|eviction)|dispossessory|eviction notice|lease violation/i, 'notice'],
+  [/(residential )?lease agreement|rental agreement|tenancy agreement|residential lease/i, 'lease'],
+];
+
+const NOTICE_PATTERN = /\bnotice\b|vacate|evict|dispossessory|terminat|late fee|rent increase|enter the (unit|property|premises)/i;
+const REPAIR_PATTERN = /repair|fix|leak|mold|mould|broken|not working|no (heat|hot water|water|ac|a\/c)|pest|roach|rats?\b|ceiling|plumb|toilet|sewage|smell/i;
+
+/**
+ * A file that couldn't be ingested
+ */
+export class DocumentIngestionError extends Error {
+  constructor(file, reason) {
+    super(`${file}: ${reason}`);
+    this.name = 'DocumentIngestionError';
+    this.file = file;
+    this.reason = reason;
+  }
+}
+
+export class DocumentIngestor {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxFileBytes] - Larger files are skipped (default 25 MB)
+   * @param {string[]} [options.tenantAddresses] - Tenant's emails/phone numbers, so
+   *   email direction (from/to the tenant) can be told apart
+   */
+  constructor(options = {}) {
+    this.maxFileBytes = options.maxFileBytes ?? DEFAULT_MAX_FILE_BYTES;
+    this.tenantAddresses = (options.tenantAddresses || []).map(normalizeAddress).filter(Boolean);
+  }
+
+  /**
+   * @param {Array<string|{ name: string, data: Buffer|string, encoding?: string }>} files -
+   *   Paths, or in-memory files (`data` as a Buffer, or a string in `encoding`,
+   *   e.g. 'base64' from an upload)
+   * @returns {Promise<{ documents: object[], skipped: object[] }>}
+   */
+  async ingest(files = []) {
+    const documents = [];
+    const skipped = [];
+
+    for (const file of files) {
+      try {
+        documents.push(await this.ingestFile(file));
+      } catch (error) {
+        skipped.push({ file: error.file || fileName(file), reason: error.reason || error.message });
+      }
+    }
+
+    return { documents, skipped };
+  }
+
+  /**
+   * @returns {Promise<object>} { file, format, kind, text, messages }
+   * @throws {DocumentIngestionError}
+   */
+  async ingestFile(file) {
+    const name = fileName(file);
+    const buffer = await readFile(file);
+
+    if (buffer.length > this.maxFileBytes) {
+      throw new DocumentIngestionError(name, `larger than ${Math.round(this.maxFileBytes / 1024 / 1024)} MB`);
+    }
+
+    const format = detectFormat(name, buffer);
+    if (!format) {
+      throw new DocumentIngestionError(name, 'unsupported file type (expected PDF, DOCX, EML, MBOX, SMS backup XML/CSV or text)');
+    }
+
+    let parsed;
+    try {
+      parsed = await parseDocument(buffer, format);
+    } catch (error) {
+      throw new DocumentIngestionError(name, `could not read ${format}: ${error.message}`);
+    }
+
+    if (!parsed.text.trim()) {
+      throw new DocumentIngestionError(name, format === 'pdf'
+        ? 'no text layer (scanned PDF - OCR is not supported)'
+        : 'no text found');
+    }
+
+    const messages = parsed.messages.map((message, index) => this.toCommunication(name, message, index));
+
+    return {
+      file: name,
+      format,
+      kind: messages.length > 0 ? 'communications' : classifyDocument(parsed.text),
+      text: parsed.text,
+      messages,
+    };
+  }
+
+  /**
+   * Parsed message -> communication record citing its file and offsets
+   */
+  toCommunication(file, message, index) {
+    const direction = message.direction || this.emailDirection(message);
+    const content = `${message.subject} ${message.body}`;
+
+    let kind = 'message';
+    if (direction !== 'from_tenant' && NOTICE_PATTERN.test(content)) kind = 'landlord_notice';
+    else if (direction !== 'to_tenant' && REPAIR_PATTERN.test(content)) kind = 'repair_request';
+
+    return {
+      date: message.date,
+      channel: message.channel,
+      direction,
+      from: message.from,
+      to: message.to,
+      subject: message.subject || undefined,
+      excerpt: message.body.length > EXCERPT_LENGTH
+        ? `${message.body.substring(0, EXCERPT_LENGTH - 1)}…`
+        : message.body,
+      attachments: message.attachments,
+      kind,
+      source: { file, index, start: message.span.start, end: message.span.end },
+    };
+  }
+
+  emailDirection(message) {
+    if (this.tenantAddresses.length === 0) return 'unknown';
+
+    const fromTenant = this.tenantAddresses.some(address => normalizeAddress(message.from).includes(address));
+    const toTenant = this.tenantAddresses.some(address => normalizeAddress(message.to).includes(address));
+
+    if (fromTenant && !toTenant) return 'from_tenant';
+    if (toTenant && !fromTenant) return 'to_tenant';
+    return 'unknown';
+  }
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * lease | notice | mail_receipt | other, from the document's wording. The
+ * earliest match wins - titles come first, and leases mention notices (and
+ * notices leases) further down.
+ */
+export function classifyDocument(text) {
+  const head = text.substring(0, 4000);
+  let best = { kind: 'other', index: Infinity };
+
+  for (const [pattern, kind] of DOCUMENT_KINDS) {
+    const index = head.search(pattern);
+    if (index !== -1 && index < best.index) best = { kind, index };
+  }
+
+  return best.kind;
+}
+
+function fileName(file) {
+  return typeof file === 'string' ? path.basename(file) : String(file?.name || 'unnamed');
+}
+
+async function readFile(file) {
+  if (typeof file === 'string') {
+    try {
+      return await fs.readFile(file);
+    } catch (error) {
+      throw new DocumentIngestionError(fileName(file), error.code === 'ENOENT' ? 'file not found' : error.message);
+    }
+  }
+
+  if (Buffer.isBuffer(file?.data)) return file.data;
+  if (file?.data instanceof Uint8Array) return Buffer.from(file.data);
+  if (typeof file?.data === 'string') return Buffer.from(file.data, file.encoding || 'utf8');
+
+  throw new DocumentIngestionError(fileName(file), 'expected a path or { name, data }');
+}
+
+// Emails lowercased; phone numbers reduced to their last 10 digits
+function normalizeAddress(value) {
+  const text = String(value || '').toLowerCase();
+  const email = text.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/)?.[0];
+  if (email) return email;
+
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : text.trim();
+}
+
+export default DocumentIngestor;
@@ -0,0 +1,466 @@
+/**
+ * DOCUMENT PARSERS
+ *
+ * Turn the files a tenant actually has into plain text for intake:
+ *
+ * - Signed lease / notices / certified-mail receipts: PDF (text layer) or DOCX
+ * - Email threads: single .eml messages or .mbox mailboxes
+ * - Text messages: Android "SMS Backup & Restore" XML, or CSV exports
+ *   (iMessage exporters, Android apps)
+ *
+ * Every parser returns { text, messages }. For email and SMS, `text` is a
+ * transcript with one block per message and each message's `span` gives its
+ * character offsets in that transcript - so extracted facts can cite them.
+ */
+
+import mammoth from 'mammoth';
+import * as cheerio from 'cheerio';
+
+export const DOCUMENT_FORMATS = ['pdf', 'docx', 'eml', 'mbox', 'sms_xml', 'sms_csv', 'text'];
+
+const EXTENSION_FORMATS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.eml': 'eml',
+  '.mbox': 'mbox',
+  '.xml': 'sms_xml',
+  '.csv': 'sms_csv',
+  '.txt': 'text',
+};
+
+/**
+ * Format from the file extension, falling back to the content
+ * @returns {string|null} One of DOCUMENT_FORMATS, or null if unsupported
+ */
+export function detectFormat(name, buffer) {
+  const extension = (String(name).match(/\.[a-z0-9]+$/i)?.[0] || '').toLowerCase();
+  if (EXTENSION_FORMATS[extension]) return EXTENSION_FORMATS[extension];
+
+  const head = buffer.subarray(0, 512).toString('latin1');
+  if (head.startsWith('%PDF-')) return 'pdf';
+  if (head.startsWith('PK')) return 'docx';
+  if (/^From \S+/.test(head)) return 'mbox';
+  if (/^(Received|Return-Path|From|Date|Message-ID|Subject|MIME-Version):/im.test(head) && /\r?\n\r?\n/.test(head)) return 'eml';
+  if (/<smses[\s>]/.test(head)) return 'sms_xml';
+  return null;
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {string} format - One of DOCUMENT_FORMATS
+ * @returns {Promise<{ text: string, messages: object[] }>}
+ */
+export async function parseDocument(buffer, format) {
+  switch (format) {
+    case 'pdf': return { text: await parsePdf(buffer), messages: [] };
+    case 'docx': return { text: await parseDocx(buffer), messages: [] };
+    case 'eml': return buildTranscript([parseEmail(buffer.toString('latin1'))].filter(Boolean));
+    case 'mbox': return buildTranscript(parseMbox(buffer.toString('latin1')));
+    case 'sms_xml': return buildTranscript(parseSmsXml(buffer.toString('utf8')));
+    case 'sms_csv': return buildTranscript(parseSmsCsv(buffer.toString('utf8')));
+    case 'text': return { text: buffer.toString('utf8'), messages: [] };
+    default: throw new Error(`Unsupported document format "${format}"`);
+  }
+}
+
+// ============================================================================
+// PDF / DOCX
+// ============================================================================
+
+export async function parsePdf(buffer) {
+  // Loaded on first use - pdf.js is large and warns about canvas polyfills on import
+  const { getDocument, VerbosityLevel } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    verbosity: VerbosityLevel.ERRORS,
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const { items } = await page.getTextContent();
+      pages.push(items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+    }
+    return normalizeText(pages.join('\n\n'));
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+export async function parseDocx(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return normalizeText(value);
+}
+
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// ============================================================================
+// EMAIL (.eml / .mbox)
+// ============================================================================
+
+/**
+ * One RFC 822 message -> { date, from, to, subject, body, attachments }
+ * @param {string} raw - Message source, read as latin1 so bytes survive
+ *   until each part's charset is known
+ */
+export function parseEmail(raw) {
+  const { headers, body } = splitMessage(raw);
+  if (Object.keys(headers).length === 0) return null;
+
+  const content = extractContent(headers, body);
+  const date = parseDate(headers.date);
+
+  return {
+    channel: 'email',
+    date,
+    from: decodeWords(headers.from || ''),
+    to: decodeWords(headers.to || ''),
+    subject: decodeWords(headers.subject || ''),
+    body: stripQuotedReply(content.text),
+    attachments: content.attachments,
+  };
+}
+
+/**
+ * Mailbox -> messages, split on the "From " separator lines
+ */
+export function parseMbox(raw) {
+  return raw
+    .replace(/\r\n/g, '\n')
+    .split(/^From .*$/m)
+    .map(chunk => chunk.replace(/^>(>*From )/gm, '$1').trim())
+    .filter(Boolean)
+    .map(parseEmail)
+    .filter(Boolean);
+}
+
+function splitMessage(raw) {
+  const normalized = raw.replace(/\r\n/g, '\n');
+  const boundary = normalized.indexOf('\n\n');
+  const head = boundary === -1 ? normalized : normalized.substring(0, boundary);
+  const body = boundary === -1 ? '' : normalized.substring(boundary + 2);
+
+  const headers = {};
+  for (const line of head.replace(/\n[ \t]+/g, ' ').split('\n')) {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (match) {
+      const name = match[1].toLowerCase();
+      headers[name] = headers[name] ?? match[2].trim(); // first occurrence wins
+    }
+  }
+
+  return { headers, body };
+}
+
+function extractContent(headers, body) {
+  const contentType = headers['content-type'] || 'text/plain';
+  const disposition = headers['content-disposition'] || '';
+  const filename = headerParam(disposition, 'filename') || headerParam(contentType, 'name');
+
+  if (/^multipart\//i.test(contentType)) {
+    const boundary = headerParam(contentType, 'boundary');
+    if (!boundary) return { text: body, attachments: [] };
+
+    const parts = body
+      .split(`--${boundary}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => {
+        const { headers: partHeaders, body: partBody } = splitMessage(part.replace(/^\n/, ''));
+        return extractContent(partHeaders, partBody);
+      });
+
+    // multipart/alternative carries the same text twice - keep the plainest
+    const texts = parts.filter(part => part.text);
+    const chosen = /alternative/i.test(contentType)
+      ? [texts.find(part => !part.html) || texts[0]].filter(Boolean)
+      : texts;
+
+    return {
+      text: chosen.map(part => part.text).join('\n\n'),
+      attachments: parts.flatMap(part => part.attachments),
+    };
+  }
+
+  if (/attachment/i.test(disposition) || (filename && !/^text\//i.test(contentType))) {
+    return { text: '', attachments: filename ? [decodeWords(filename)] : [] };
+  }
+
+  if (!/^text\/(plain|html)/i.test(contentType)) {
+    return { text: '', attachments: [] };
+  }
+
+  const bytes = decodeTransferEncoding(body, headers['content-transfer-encoding']);
+  const text = decodeCharset(bytes, headerParam(contentType, 'charset'));
+  const html = /^text\/html/i.test(contentType);
+
+  return { text: html ? htmlToText(text) : text, html, attachments: [] };
+}
+
+function headerParam(header, name) {
+  const match = String(header).match(new RegExp(`${name}\\*?=\\s*(?:"([^"]*)"|([^;\\s]*))`, 'i'));
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+function decodeTransferEncoding(body, encoding = '') {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body.replace(/=\n/g, ''));
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) {
+    const hex = text[i] === '=' && text.substring(i + 1, i + 3);
+    if (hex && /^[0-9A-F]{2}$/i.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(text.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function decodeCharset(bytes, charset = 'utf-8') {
+  const label = String(charset || 'utf-8').toLowerCase();
+  try {
+    return new TextDecoder(label).decode(bytes);
+  } catch {
+    return bytes.toString('utf8');
+  }
+}
+
+// RFC 2047 encoded words: =?utf-8?B?...?= / =?iso-8859-1?Q?...?=
+function decodeWords(value) {
+  // Raw 8-bit headers are almost always UTF-8
+  const raw = /[\x80-\xff]/.test(value) ? Buffer.from(value, 'latin1').toString('utf8') : value;
+
+  return raw
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    })
+    .trim();
+}
+
+function htmlToText(html) {
+  const $ = cheerio.load(html.replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div|tr|li|h\d)>/gi, '$&\n'));
+  $('script, style').remove();
+  return $.root().text();
+}
+
+// Earlier messages in a thread are ingested on their own
+function stripQuotedReply(text) {
+  const lines = normalizeText(text).split('\n');
+  const replyHeader = lines.findIndex(line => /^On .+wrote:$/.test(line.trim()) || /^-+\s*Original Message\s*-+$/i.test(line.trim()));
+  return (replyHeader === -1 ? lines : lines.slice(0, replyHeader))
+    .filter(line => !line.startsWith('>'))
+    .join('\n')
+    .trim();
+}
+
+// ============================================================================
+// SMS (backup XML / CSV exports)
+// ============================================================================
+
+/**
+ * Android "SMS Backup & Restore" XML: <sms type="1|2"> and <mms msg_box="1|2">
+ * (1 = received, 2 = sent). The backup is the tenant's phone, so sent
+ * messages are from the tenant.
+ */
+export function parseSmsXml(xml) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const messages = [];
+
+  $('sms').each((_, element) => {
+    const sms = $(element);
+    messages.push(smsMessage({
+      date: sms.attr('date'),
+      sent: sms.attr('type') === '2',
+      contact: sms.attr('contact_name'),
+      address: sms.attr('address'),
+      body: sms.attr('body'),
+    }));
+  });
+
+  $('mms').each((_, element) => {
+    const mms = $(element);
+    const body = mms.find('part[ct="text/plain"]').map((__, part) => $(part).attr('text')).get().join('\n');
+    const attachments = mms.find('part').map((__, part) => $(part).attr('cl') || $(part).attr('name')).get()
+      .filter(name => name && name !== 'null' && !/^text/i.test(name));
+
+    messages.push({
+      ...smsMessage({
+        date: mms.attr('date'),
+        sent: mms.attr('msg_box') === '2',
+        contact: mms.attr('contact_name'),
+        address: mms.attr('address'),
+        body,
+      }),
+      attachments,
+    });
+  });
+
+  return messages.filter(message => message.body || message.attachments.length > 0);
+}
+
+// CSV column names seen in common exporters, most specific first
+const CSV_COLUMNS = {
+  date: [/^message date$/i, /^date ?sent$/i, /^(date|timestamp|time|sent at|date\/time)$/i, /date/i],
+  body: [/^(text|body|message|message body|content)$/i],
+  direction: [/^(type|direction|is_from_me|is from me|from me|sent\/received)$/i],
+  contact: [/^(sender name|contact name|contact|name|chat session)$/i],
+  address: [/^(sender id|sender|address|phone|phone number|number|from)$/i],
+};
+
+/**
+ * CSV export with a header row. Columns are matched by name (date, text,
+ * direction, contact) so iMessage and Android exporters both work.
+ */
+export function parseSmsCsv(csv) {
+  const [header = [], ...rows] = parseCsvRows(csv);
+  const columns = {};
+
+  for (const [field, patterns] of Object.entries(CSV_COLUMNS)) {
+    for (const pattern of patterns) {
+      const index = header.findIndex((name, i) => pattern.test(name.trim()) && !Object.values(columns).includes(i));
+      if (index !== -1) { columns[field] = index; break; }
+    }
+  }
+
+  if (columns.date === undefined || columns.body === undefined) {
+    throw new Error('CSV needs a date column and a message text column');
+  }
+
+  // is_from_me style columns are flags; type/direction columns name the box
+  const fromMeColumn = columns.direction !== undefined && /from.?me/i.test(header[columns.direction]);
+
+  return rows
+    .filter(row => row.some(cell => cell.trim()))
+    .map(row => {
+      const direction = String(row[columns.direction] ?? '').trim();
+      const sent = fromMeColumn
+        ? /^(1|true|yes)$/i.test(direction)
+        : /^(2|sent|outgoing|out)$/i.test(direction) || (/^(1|received|incoming|in|inbox)$/i.test(direction) ? false : null);
+
+      return smsMessage({
+        date: row[columns.date],
+        sent,
+        contact: row[columns.contact],
+        address: row[columns.address],
+        body: row[columns.body],
+      });
+    })
+    .filter(message => message.body);
+}
+
+/**
+ * @param {object} fields
+ * @param {boolean|null} fields.sent - true: tenant sent it; null: unknown
+ */
+function smsMessage({ date, sent, contact, address, body }) {
+  const other = [contact, address].filter(value => value && value !== 'null' && value !== '(Unknown)').join(' ') || 'unknown';
+
+  return {
+    channel: 'sms',
+    date: parseDate(date),
+    from: sent ? 'tenant' : other,
+    to: sent ? other : (sent === false ? 'tenant' : 'unknown'),
+    subject: '',
+    body: String(body || '').trim(),
+    attachments: [],
+    direction: sent ? 'from_tenant' : (sent === false ? 'to_tenant' : 'unknown'),
+  };
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and newlines
+function parseCsvRows(csv) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const text = csv.replace(/^﻿/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (char === '"') quoted = false;
+      else cell += char;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell); cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+// ============================================================================
+// TRANSCRIPTS
+// ============================================================================
+
+/**
+ * Epoch milliseconds (SMS backups) or any Date-parsable string -> ISO timestamp
+ * @returns {string|null}
+ */
+export function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  const date = /^\d{11,13}$/.test(text) ? new Date(Number(text)) : new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Messages in date order, rendered one block each; `span` is the block's
+ * offsets in the returned text
+ */
+function buildTranscript(messages) {
+  const sorted = [...messages].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  let text = '';
+
+  const withSpans = sorted.map(message => {
+    const lines = [
+      `[${message.date || 'undated'}] ${message.channel.toUpperCase()} from ${message.from || 'unknown'} to ${message.to || 'unknown'}`,
+      message.subject ? `Subject: ${message.subject}` : null,
+      message.body,
+      message.attachments.length > 0 ? `Attachments: ${message.attachments.join(', ')}` : null,
+    ].filter(Boolean);
+
+    const start = text.length;
+    text += lines.join('\n');
+    const span = { start, end: text.length };
+    text += '\n\n';
+
+    return { ...message, span };
+  });
+
+  return { text: text.trimEnd(), messages: withSpans };
+}
@@ -0,0 +1,189 @@
+/**
+ * INTAKE HTTP ENDPOINT
+ *
+ * JSON API over IntakeSession as a plain (req, res) handler - mount it on
+ * http.createServer, Express or a Next.js API route:
+ *
+ *   POST /intake/sessions                 { story?, files?, caseData?, threshold? }
+ *   GET  /intake/sessions/:id
+ *   POST /intake/sessions/:id/answers     { answer } | { skip: true }
+ *   POST /intake/sessions/:id/confirmations   { fields: ['lease.monthlyRent', ...] }
+ *
+ * `files` are the tenant's documents as [{ name, data, encoding: 'base64' }]
+ * (lease PDF, SMS backup, .eml/.mbox - see ingestion/). Files that can't be
+ * read are reported back in `skippedFiles`.
+ *
+ * Every response carries the session status, the case data (with per-field
+ * provenance) and the next `question` (null once intake is complete).
+ */
+
+import IntakeSession from './intake-session.js';
+import DocumentIngestor from '../ingestion/document-ingestor.js';
+
+// Room for a few base64-encoded documents
+const MAX_BODY_BYTES = 32 * 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.sessions] - Store with get(id)/set(id, json), sync
+ *   or async (default: in-memory Map)
+ * @param {string} [options.basePath] - Default /intake/sessions
+ * @param {object} [options.sessionOptions] - Passed to every IntakeSession (agent, llm, threshold)
+ * @param {object} [options.ingestion] - DocumentIngestor options for uploaded files
+ */
+export function createIntakeHandler(options = {}) {
+  const sessions = options.sessions || new Map();
+  const basePath = (options.basePath || '/intake/sessions').replace(/\/$/, '');
+  const sessionOptions = options.sessionOptions || {};
+  const ingestor = new DocumentIngestor(options.ingestion);
+
+  const load = async (sessionId) => {
+    const saved = await sessions.get(sessionId);
+    if (!saved) throw new HttpError(404, `Unknown intake session "${sessionId}"`);
+    return IntakeSession.fromJSON(saved, sessionOptions);
+  };
+
+  const save = async (session) => {
+    await sessions.set(session.sessionId, session.toJSON());
+  };
+
+  return async function handleIntakeRequest(req, res) {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== basePath && !pathname.startsWith(`${basePath}/`)) {
+        throw new HttpError(404, 'Not found');
+      }
+
+      const [sessionId, action, ...rest] = pathname.substring(basePath.length).split('/').filter(Boolean);
+      if (rest.length > 0 || (action && !['answers', 'confirmations'].includes(action))) {
+        throw new HttpError(404, 'Not found');
+      }
+
+      // POST /intake/sessions
+      if (!sessionId) {
+        if (req.method !== 'POST') throw new HttpError(405, 'Use POST to start a session');
+
+        const body = await readBody(req);
+        const settings = { ...sessionOptions, ...(body.threshold !== undefined ? { threshold: body.threshold } : {}) };
+
+        if (body.files !== undefined && !Array.isArray(body.files)) {
+          throw new HttpError(400, '"files" must be an array of { name, data, encoding }');
+        }
+        const { documents, skipped } = await ingestor.ingest(body.files || []);
+
+        if (body.files?.length > 0 && documents.length === 0 && !body.story) {
+          throw new HttpError(422, `None of the files could be read: ${skipped.map(s => `${s.file} (${s.reason})`).join(', ')}`);
+        }
+
+        const session = body.story || documents.length > 0
+          ? await IntakeSession.fromStory(body.story || '', { ...settings, documents })
+          : new IntakeSession({ ...settings, caseData: body.caseData });
+
+        await session.nextQuestion();
+        await save(session);
+        return send(res, 201, { ...view(session), ...(skipped.length > 0 ? { skippedFiles: skipped } : {}) });
+      }
+
+      // GET /intake/sessions/:id
+      if (!action) {
+        if (req.method !== 'GET') throw new HttpError(405, 'Use GET to read a session');
+        return send(res, 200, view(await load(sessionId)));
+      }
+
+      if (req.method !== 'POST') throw new HttpError(405, `Use POST for ${action}`);
+
+      const body = await readBody(req);
+      const session = await load(sessionId);
+      let result;
+
+      // POST /intake/sessions/:id/confirmations
+      if (action === 'confirmations') {
+        if (!Array.isArray(body.fields)) throw new HttpError(400, 'Body must include "fields": [...]');
+
+        result = { confirmed: session.confirm(body.fields) };
+        if (!session.current) await session.nextQuestion();
+
+      // POST /intake/sessions/:id/answers
+      } else if (body.skip) {
+        await session.skip();
+        result = { accepted: true, skipped: true };
+      } else {
+        if (body.answer === undefined) throw new HttpError(400, 'Body must include "answer" or "skip": true');
+        if (!session.current && session.isComplete()) throw new HttpError(409, 'Intake is already complete');
+
+        const { accepted, error, field, value } = await session.answer(body.answer);
+        result = { accepted, field, ...(error ? { error } : {}), ...(value !== undefined ? { value } : {}) };
+      }
+
+      await save(session);
+      return send(res, 200, { ...result, ...view(session) });
+
+    } catch (error) {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) console.error('Intake endpoint error:', error);
+      return send(res, statusCode, { error: error.message });
+    }
+  };
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function view(session) {
+  return {
+    sessionId: session.sessionId,
+    status: session.status(),
+    question: session.current,
+    caseData: session.caseData, // includes per-field provenance
+  };
+}
+
+/**
+ * JSON object body - already parsed by Express/Next, otherwise read from the
+ * stream. `null`, arrays and other JSON values are a 400.
+ */
+async function readBody(req) {
+  if (req.body !== undefined && typeof req.body !== 'string') return asObject(req.body);
+
+  let raw = typeof req.body === 'string' ? req.body : '';
+  if (req.body === undefined) {
+    for await (const chunk of req) {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+    }
+  }
+
+  if (!raw.trim()) return {};
+
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'Request body must be JSON');
+  }
+  return asObject(body);
+}
+
+function asObject(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+function send(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+export default createIntakeHandler;
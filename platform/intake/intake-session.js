@@ -0,0 +1,437 @@
+/**
+ * INTAKE SESSION
+ *
+ * Multi-turn intake built on IntakeAgent.clarify: keeps the evolving case
+ * data, asks the highest-value missing question next (or asks the tenant to
+ * confirm an uncertain extracted value), merges each answer into the case's
+ * field provenance and re-scores completeness until the target threshold is
+ * reached.
+ *
+ * Transport-agnostic - driven by the CLI REPL (scripts/intake-session.js)
+ * and the HTTP endpoint (intake/intake-http.js). Sessions serialize with
+ * toJSON()/fromJSON() so either can persist them between turns.
+ */
+
+import { randomUUID } from 'crypto';
+import { IntakeAgent } from '../agents/agent_intake.js';
+import { recordTenantAnswer, confirmFields } from '../agents/field_provenance.js';
+
+export const DEFAULT_COMPLETENESS_THRESHOLD = 100;
+
+export class InvalidAnswerError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'InvalidAnswerError';
+    this.field = field;
+  }
+}
+
+// ============================================================================
+// ANSWER PARSING
+// ============================================================================
+
+// How answers to each field are parsed (anything else is kept as text)
+const FIELD_TYPES = {
+  'property.state': 'state',
+  'lease.moveInDate': 'date',
+  'lease.monthlyRent': 'money',
+  'lease.securityDeposit': 'money',
+  'timeline.firstIssueDate': 'date',
+  'timeline.firstNotificationToLandlord': 'date',
+  'timeline.landlordResponseDate': 'date',
+  'tenant.hasChildren': 'boolean',
+  'tenant.childrenAges': 'numbers',
+  'healthImpact.hasHealthIssues': 'boolean',
+  'issues.length > 0': 'issues',
+};
+
+const US_STATES = {
+  AL: 'alabama', AK: 'alaska', AZ: 'arizona', AR: 'arkansas', CA: 'california',
+  CO: 'colorado', CT: 'connecticut', DE: 'delaware', DC: 'district of columbia',
+  FL: 'florida', GA: 'georgia', HI: 'hawaii', ID: 'idaho', IL: 'illinois',
+  IN: 'indiana', IA: 'iowa', KS: 'kansas', KY: 'kentucky', LA: 'louisiana',
+  ME: 'maine', MD: 'maryland', MA: 'massachusetts', MI: 'michigan', MN: 'minnesota',
+  MS: 'mississippi', MO: 'missouri', MT: 'montana', NE: 'nebraska', NV: 'nevada',
+  NH: 'new hampshire', NJ: 'new jersey', NM: 'new mexico', NY: 'new york',
+  NC: 'north carolina', ND: 'north dakota', OH: 'ohio', OK: 'oklahoma', OR: 'oregon',
+  PA: 'pennsylvania', RI: 'rhode island', SC: 'south carolina', SD: 'south dakota',
+  TN: 'tennessee', TX: 'texas', UT: 'utah', VT: 'vermont', VA: 'virginia',
+  WA: 'washington', WV: 'west virginia', WI: 'wisconsin', WY: 'wyoming',
+};
+
+// First match wins per category; one answer can describe several problems
+const ISSUE_KEYWORDS = [
+  [/mold|mildew/i, 'mold'],
+  [/roof/i, 'roof_leak'],
+  [/leak|water damage|drip/i, 'water_leak'],
+  [/sewage|sewer|backs? up/i, 'sewage_backup'],
+  [/no heat|heater|furnace|heating/i, 'no_heat'],
+  [/\bac\b|a\/c|air condition|cooling/i, 'no_ac'],
+  [/hot water|water heater/i, 'no_hot_water'],
+  [/no water|water (is |was )?(shut|cut) off/i, 'no_water'],
+  [/toilet|plumb|pipe|drain|sink/i, 'plumbing_failure'],
+  [/roach|\brats?\b|mice|mouse|pest|bed ?bugs?|termite/i, 'pest_infestation'],
+  [/outlet|wiring|electric|spark/i, 'electrical_hazard'],
+  [/collaps|foundation|structur|rotting|sagging/i, 'structural_damage'],
+  [/window/i, 'windows_broken'],
+  [/door|lock/i, 'doors_broken'],
+  [/carbon monoxide/i, 'carbon_monoxide'],
+  [/\blead\b/i, 'lead_paint'],
+  [/asbestos/i, 'asbestos'],
+  [/fire|smoke detector/i, 'fire_hazard'],
+  [/appliance|stove|oven|fridge|refrigerator|dishwasher|washer|dryer/i, 'broken_appliances'],
+  [/harass|threat/i, 'harassment'],
+  [/entered|entry|came in without/i, 'illegal_entry'],
+  [/retaliat|evict/i, 'retaliation'],
+];
+
+const YES = /^(y|yes|yeah|yep|true|correct|right)\b/i;
+const NO = /^(n|no|nope|none|false)\b/i;
+
+function toISODate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Convert a free-text answer into the value stored at `field`
+ * @throws {InvalidAnswerError} When the answer can't be understood
+ */
+export function parseAnswer(field, answer) {
+  const text = String(answer ?? '').trim();
+  if (!text) throw new InvalidAnswerError(field, 'Please enter an answer (or skip the question)');
+
+  switch (FIELD_TYPES[field] || 'text') {
+    case 'date': {
+      // Date-only ISO strings parse as UTC; everything else as local time
+      const iso = /^\d{4}-\d{2}-\d{2}$/.test(text);
+      const date = new Date(iso ? `${text}T00:00:00` : text);
+
+      if (Number.isNaN(date.getTime())) {
+        throw new InvalidAnswerError(field, 'Please give a date, e.g. 2024-06-15 or "June 2024"');
+      }
+      if (date > new Date()) {
+        throw new InvalidAnswerError(field, 'That date is in the future');
+      }
+      return toISODate(date);
+    }
+
+    case 'money': {
+      const match = text.replace(/,/g, '').match(/\d+(\.\d+)?/);
+      if (!match || Number(match[0]) <= 0) {
+        throw new InvalidAnswerError(field, 'Please give a dollar amount, e.g. $1,850');
+      }
+      return Number(match[0]);
+    }
+
+    case 'boolean':
+      if (YES.test(text)) return true;
+      if (NO.test(text)) return false;
+      throw new InvalidAnswerError(field, 'Please answer yes or no');
+
+    case 'numbers': {
+      const numbers = (text.match(/\d+/g) || []).map(Number);
+      if (numbers.length === 0) throw new InvalidAnswerError(field, 'Please list the ages, e.g. "5 and 7"');
+      return numbers;
+    }
+
+    case 'state': {
+      const code = text.toUpperCase();
+      if (US_STATES[code]) return code;
+
+      const byName = Object.keys(US_STATES).find(key => US_STATES[key] === text.toLowerCase());
+      if (byName) return byName;
+      throw new InvalidAnswerError(field, 'Please give a US state, e.g. GA or Georgia');
+    }
+
+    case 'issues': {
+      const categories = ISSUE_KEYWORDS.filter(([pattern]) => pattern.test(text)).map(([, category]) => category);
+
+      // Severity isn't asked here; 'major' is the conservative default
+      return (categories.length > 0 ? categories : ['other']).map(category => ({
+        category,
+        description: text,
+        severity: 'major',
+        isOngoing: true,
+      }));
+    }
+
+    default:
+      return text;
+  }
+}
+
+// ============================================================================
+// SESSION CLASS
+// ============================================================================
+
+export class IntakeSession {
+  /**
+   * @param {object} options
+   * @param {IntakeAgent} [options.agent] - Defaults to a new IntakeAgent({ llm })
+   * @param {LLMProvider} [options.llm] - Provider for the default agent
+   * @param {object} [options.caseData] - Starting case data (blank if omitted)
+   * @param {number} [options.threshold] - Completeness (0-100) at which intake stops
+   * @param {string} [options.sessionId]
+   */
+  constructor(options = {}) {
+    this.agent = options.agent || new IntakeAgent({ llm: options.llm });
+    this.sessionId = options.sessionId || randomUUID();
+    this.threshold = options.threshold ?? DEFAULT_COMPLETENESS_THRESHOLD;
+    this.caseData = options.caseData ? structuredClone(options.caseData) : createBlankCaseData();
+    this.rawStory = options.rawStory || null;
+
+    this.history = [];           // every turn, including rejected and skipped answers
+    this.skipped = new Set();    // question keys the tenant chose not to answer
+    this.current = null;         // question awaiting an answer
+  }
+
+  /**
+   * Start from a tenant's story: extract with IntakeAgent, then clarify
+   * @param {string} rawStory
+   * @param {object} [options] - Session options, plus `documents`
+   *   (DocumentIngestor.ingest().documents) to extract from alongside the story
+   */
+  static async fromStory(rawStory, options = {}) {
+    const { documents, ...sessionOptions } = options;
+    const agent = options.agent || new IntakeAgent({ llm: options.llm });
+    const extraction = await agent.analyze(rawStory, { documents });
+
+    if (!extraction.success) {
+      throw new Error(`Intake extraction failed: ${extraction.error}`);
+    }
+
+    return new IntakeSession({ ...sessionOptions, agent, rawStory, caseData: extraction.data });
+  }
+
+  /**
+   * Restore a session saved with toJSON()
+   */
+  static fromJSON(data, options = {}) {
+    const session = new IntakeSession({ ...options, ...data });
+    session.history = data.history || [];
+    session.skipped = new Set(data.skipped || []);
+    session.current = data.current || null;
+    return session;
+  }
+
+  toJSON() {
+    return {
+      sessionId: this.sessionId,
+      threshold: this.threshold,
+      rawStory: this.rawStory,
+      caseData: this.caseData,
+      history: this.history,
+      skipped: [...this.skipped],
+      current: this.current,
+    };
+  }
+
+  // ==========================================================================
+  // TURNS
+  // ==========================================================================
+
+  /**
+   * The highest-value unanswered question, or null once the threshold is met
+   * and nothing needs confirming (or nothing is left to ask)
+   */
+  async nextQuestion() {
+    if (this.isComplete()) {
+      this.current = null;
+      return null;
+    }
+
+    const clarification = await this.agent.clarify(this.caseData);
+    const next = clarification.pending.find(pending => !this.skipped.has(questionKey(pending)));
+
+    this.current = next
+      ? { id: randomUUID(), field: next.field, question: next.question, kind: next.kind, value: next.value }
+      : null;
+
+    return this.current;
+  }
+
+  /**
+   * Answer the current question
+   * @returns {Promise<object>} { accepted, error?, field, value?, status, question }
+   *   where `question` is the next one to ask (the same one if rejected)
+   */
+  async answer(answer) {
+    const question = this.current || await this.nextQuestion();
+    if (!question) throw new Error('Intake is complete - there is no question to answer');
+
+    const turn = { questionId: question.id, field: question.field, question: question.question, answer, at: new Date().toISOString() };
+
+    if (!question.field) {
+      this.resolveClarification(question, String(answer).trim(), turn.at);
+      this.history.push({ ...turn, status: 'accepted' });
+      return { accepted: true, field: null, status: this.status(), question: await this.nextQuestion() };
+    }
+
+    if (question.kind === 'confirm' && YES.test(String(answer).trim())) {
+      confirmFields(this.caseData, [question.field]);
+      this.history.push({ ...turn, status: 'confirmed' });
+      return { accepted: true, field: question.field, status: this.status(), question: await this.nextQuestion() };
+    }
+
+    // "No" to a confirmation: ask for the right value
+    if (question.kind === 'confirm' && NO.test(String(answer).trim())) {
+      this.history.push({ ...turn, status: 'rejected', error: 'Tenant says the extracted value is wrong' });
+      this.current = { ...question, id: randomUUID(), kind: 'missing', question: this.agent.generateQuestionFor(question.field) };
+      return { accepted: true, field: question.field, status: this.status(), question: this.current };
+    }
+
+    let value;
+    try {
+      value = parseAnswer(question.field, answer);
+    } catch (error) {
+      if (!(error instanceof InvalidAnswerError)) throw error;
+
+      this.history.push({ ...turn, status: 'rejected', error: error.message });
+      return { accepted: false, error: error.message, field: question.field, status: this.status(), question };
+    }
+
+    this.mergeField(question, value, answer);
+    this.history.push({ ...turn, status: 'accepted', value });
+
+    return { accepted: true, field: question.field, value, status: this.status(), question: await this.nextQuestion() };
+  }
+
+  /**
+   * Tenant confirmed values as shown (e.g. checkboxes in a review screen)
+   * @param {string[]} fields - Paths; a path covers its children ('issues')
+   * @returns {string[]} Field paths now confirmed
+   */
+  confirm(fields) {
+    const confirmed = confirmFields(this.caseData, fields);
+    this.history.push({ fields: confirmed, status: 'confirmed', at: new Date().toISOString() });
+
+    // The pending question may have been one of these
+    if (this.current?.kind === 'confirm' && confirmed.includes(this.current.field)) this.current = null;
+    return confirmed;
+  }
+
+  /**
+   * Tenant doesn't know / won't say - move on without asking again
+   */
+  async skip() {
+    const question = this.current || await this.nextQuestion();
+    if (!question) return null;
+
+    this.skipped.add(questionKey(question));
+    this.history.push({ questionId: question.id, field: question.field, question: question.question, status: 'skipped', at: new Date().toISOString() });
+
+    return this.nextQuestion();
+  }
+
+  status() {
+    const completeness = this.agent.calculateCompleteness(this.caseData);
+
+    return {
+      sessionId: this.sessionId,
+      completeness,
+      threshold: this.threshold,
+      complete: this.isComplete(),
+      answered: this.history.filter(turn => turn.status === 'accepted').length,
+      unconfirmed: this.unconfirmedFields().length,
+      skipped: this.skipped.size,
+    };
+  }
+
+  /**
+   * Threshold met, and no key value left uncertain (unless the tenant skipped it)
+   */
+  isComplete() {
+    return this.agent.calculateCompleteness(this.caseData) >= this.threshold
+      && this.unconfirmedFields().length === 0;
+  }
+
+  unconfirmedFields() {
+    return this.agent.fieldsNeedingConfirmation(this.caseData).filter(field => !this.skipped.has(field));
+  }
+
+  // ==========================================================================
+  // MERGING
+  // ==========================================================================
+
+  mergeField(question, value, answer) {
+    const { field } = question;
+    const metadata = this.caseData.metadata;
+
+    // "issues.length > 0" is a completeness check - answers add issues
+    if (field === 'issues.length > 0') {
+      const start = this.caseData.issues.length;
+      this.caseData.issues.push(...value);
+
+      value.forEach((_, i) => {
+        recordTenantAnswer(this.caseData, `issues.${start + i}`, answer);
+        // Category and severity are our reading of the answer, not the tenant's words
+        for (const key of ['category', 'severity']) {
+          this.caseData.provenance[`issues.${start + i}.${key}`] = { source: 'inferred', span: null, confidence: 0.5, confirmed: false };
+        }
+      });
+    } else {
+      setPath(this.caseData, field, value);
+      recordTenantAnswer(this.caseData, field, answer);
+    }
+
+    metadata.missingInformation = metadata.missingInformation.filter(missing => missing !== field);
+
+    // Follow-ups the answer makes relevant
+    if (field === 'tenant.hasChildren' && value === true && !this.caseData.tenant.childrenAges?.length) {
+      metadata.missingInformation.push('tenant.childrenAges');
+    }
+  }
+
+  resolveClarification(question, answer, answeredAt) {
+    const metadata = this.caseData.metadata;
+
+    metadata.clarificationNeeded = metadata.clarificationNeeded.filter(q => q !== question.question);
+    metadata.clarifications = [...(metadata.clarifications || []), { question: question.question, answer, answeredAt }];
+  }
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function questionKey(question) {
+  return question.field || `clarification:${question.question}`;
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let current = obj;
+
+  for (const key of keys.slice(0, -1)) {
+    if (current[key] === undefined || current[key] === null) current[key] = {};
+    current = current[key];
+  }
+
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Empty case in the shape IntakeAgent extraction produces, for intake that
+ * starts from questions rather than a story
+ */
+function createBlankCaseData() {
+  return {
+    tenant: { name: '' },
+    landlord: { name: '' },
+    property: { address: '', city: '', state: '', zipCode: '' },
+    lease: {},
+    issues: [],
+    timeline: {},
+    healthImpact: {},
+    desiredOutcome: {},
+    provenance: {},
+    metadata: {
+      confidenceScore: 1,
+      missingInformation: ['timeline.firstNotificationToLandlord', 'property.state', 'tenant.hasChildren', 'healthImpact.hasHealthIssues', 'tenant.name'],
+      clarificationNeeded: [],
+    },
+  };
+}
+
+export default IntakeSession;
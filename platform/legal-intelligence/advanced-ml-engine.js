@@ -9,19 +9,29 @@
  * - Evolutionary algorithms for playbook evolution
  */
 
-import * as tf from '@tensorflow/tfjs-node';
-import OpenAI from 'openai';
 import { PrismaClient } from '@prisma/client';
+import { resolveLLM } from '../llm/index.js';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const prisma = new PrismaClient();
+// TensorFlow is an optional native dependency, loaded by the first model
+// that needs it so the platform imports without it
+let tf = null;
 
 // ============================================================================
 // ADVANCED ML ENGINE CLASS
 // ============================================================================
 
+/**
+ * @typedef {import('../llm/index.js').LLMOptions & { prisma?: object }} AdvancedMLEngineOptions
+ */
+
 export class AdvancedMLEngine {
-  constructor() {
+  /**
+   * @param {AdvancedMLEngineOptions} [options]
+   */
+  constructor(options = {}) {
+    this.llm = resolveLLM(options);
+    this.prisma = options.prisma || null;
+
     this.models = {
       strategyRL: null,        // Reinforcement learning for strategy
       legalTransformer: null,  // Transformer for legal reasoning
@@ -48,6 +58,7 @@ export class AdvancedMLEngine {
    */
   async trainStrategyRLAgent() {
     console.log('🤖 Training Reinforcement Learning Strategy Agent...');
+    await loadTensorFlow();
 
     // Define state space: case facts, opponent profile, judge tendencies, current phase
     const stateSize = 50; // Encoded case state
@@ -82,7 +93,7 @@ export class AdvancedMLEngine {
    */
   async loadHistoricalCases() {
     // Load from database - cases with outcomes and strategies used
-    const cases = await prisma.caseOutcome.findMany({
+    const cases = await this.getPrisma().caseOutcome.findMany({
       include: {
         strategies: true,
         opponent: true,
@@ -157,7 +168,8 @@ export class AdvancedMLEngine {
       });
 
       if (epoch % 10 === 0) {
-        console.log(`  Epoch ${epoch}: Loss = ${(await this.models.strategyRL.evaluate(states, targets))[0].dataSync()[0]).toFixed(4)}`);
+        const [loss] = this.models.strategyRL.evaluate(states, targets).dataSync();
+        console.log(`  Epoch ${epoch}: Loss = ${loss.toFixed(4)}`);
       }
 
       // Cleanup
@@ -239,14 +251,14 @@ Provide:
 
 Be ruthlessly strategic and focus on winning.`;
 
-        const response = await openai.chat.completions.create({
+        const response = await this.llm.chat({
           model: 'gpt-4-turbo-preview',
           messages: [{ role: 'user', content: prompt }],
           temperature: 0.3,
-          max_tokens: 2000
+          maxTokens: 2000
         });
 
-        return this.parseLegalReasoning(response.choices[0].message.content);
+        return this.parseLegalReasoning(response.content);
       }
     };
 
@@ -277,6 +289,7 @@ Be ruthlessly strategic and focus on winning.`;
    * Train GAN to generate novel legal strategies
    */
   async trainStrategyGAN() {
+    await loadTensorFlow();
     console.log('🎭 Training Strategy Generation GAN...');
 
     // Generator: Creates new strategy combinations
@@ -330,7 +343,7 @@ Be ruthlessly strategic and focus on winning.`;
    * Train GAN on successful legal strategies
    */
   async trainGANOnStrategies() {
-    const successfulStrategies = await prisma.strategy.findMany({
+    const successfulStrategies = await this.getPrisma().strategy.findMany({
       where: { success: true },
       take: 1000
     });
@@ -565,7 +578,7 @@ Be ruthlessly strategic and focus on winning.`;
     }
 
     // Save learning data
-    await prisma.learningData.create({
+    await this.getPrisma().learningData.create({
       data: {
         caseId: caseData.id,
         outcome,
@@ -606,6 +619,14 @@ Be ruthlessly strategic and focus on winning.`;
   // UTILITY METHODS
   // ==========================================================================
 
+  /**
+   * Database client, built on first use
+   */
+  getPrisma() {
+    this.prisma ??= new PrismaClient();
+    return this.prisma;
+  }
+
   sampleBatch(data, size) {
     const batch = [];
     for (let i = 0; i < size; i++) {
@@ -656,16 +677,25 @@ Case State: ${JSON.stringify(caseState)}
 
 Provide a strategic explanation of why this action maximizes expected value.`;
 
-    const response = await openai.chat.completions.create({
+    const response = await this.llm.chat({
       model: 'gpt-4',
       messages: [{ role: 'user', content: prompt }],
-      max_tokens: 300
+      maxTokens: 300
     });
 
-    return response.choices[0].message.content;
+    return response.content;
   }
 }
 
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+async function loadTensorFlow() {
+  tf ??= await import('@tensorflow/tfjs-node');
+  return tf;
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
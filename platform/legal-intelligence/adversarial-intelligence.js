@@ -6,21 +6,35 @@
  * Generate counter-strategies using AI and game theory
  */
 
-import OpenAI from 'openai';
 import { PrismaClient } from '@prisma/client';
 import axios from 'axios';
 import * as cheerio from 'cheerio';
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const prisma = new PrismaClient();
+import { resolveLLM } from '../llm/index.js';
 
 // ============================================================================
 // ADVERSARIAL INTELLIGENCE CLASS
 // ============================================================================
 
+/**
+ * @typedef {import('../llm/index.js').LLMOptions & { prisma?: object }} AdversarialIntelligenceOptions
+ */
+
 export class AdversarialIntelligence {
-  constructor() {
-    this.llm = openai;
+  /**
+   * @param {AdversarialIntelligenceOptions} [options]
+   */
+  constructor(options = {}) {
+    this.llm = resolveLLM(options);
+    this.log = options.log || console.log;
+    this.prisma = options.prisma || null;
+  }
+
+  /**
+   * Database client, built on first use
+   */
+  getPrisma() {
+    this.prisma ??= new PrismaClient();
+    return this.prisma;
   }
 
   // ==========================================================================
@@ -31,50 +45,50 @@ export class AdversarialIntelligence {
    * Complete profile of opposing counsel
    */
   async profileLawyer(name, firm, options = {}) {
-    console.log(`\n🕵️ Profiling Lawyer: ${name} at ${firm}`);
+    this.log(`\n🕵️ Profiling Lawyer: ${name} at ${firm}`);
 
     // Check if profile exists in database
-    let profile = await prisma.lawyerProfile.findFirst({
+    let profile = await this.getPrisma().lawyerProfile.findFirst({
       where: { name, firm }
     });
 
     // If not found, scrape and create
     if (!profile) {
-      console.log('  → Profile not found, scraping...');
+      this.log('  → Profile not found, scraping...');
       profile = await this.scrapeLawyerProfile(name, firm);
       
       if (profile) {
-        profile = await prisma.lawyerProfile.create({ data: profile });
-        console.log('  ✓ Profile created');
+        profile = await this.getPrisma().lawyerProfile.create({ data: profile });
+        this.log('  ✓ Profile created');
       } else {
-        console.log('  ✗ Could not find lawyer data');
+        this.log('  ✗ Could not find lawyer data');
         return null;
       }
     } else {
-      console.log('  ✓ Profile found in database');
+      this.log('  ✓ Profile found in database');
     }
 
     // Analyze case history
-    console.log('  → Analyzing case history...');
+    this.log('  → Analyzing case history...');
     const caseAnalysis = await this.analyzeCaseHistory(profile);
 
     // Identify strategy patterns
-    console.log('  → Identifying patterns...');
+    this.log('  → Identifying patterns...');
     const patterns = await this.identifyStrategyPatterns(profile);
 
     // Find weaknesses
-    console.log('  → Finding weaknesses...');
+    this.log('  → Finding weaknesses...');
     const weaknesses = await this.identifyWeaknesses(profile, patterns);
 
     // Generate counter-strategy
-    console.log('  → Generating counter-strategy...');
+    this.log('  → Generating counter-strategy...');
     const counterStrategy = await this.generateCounterStrategy({
       profile,
       patterns,
       weaknesses
     });
 
-    console.log('✅ Lawyer profile complete\n');
+    this.log('✅ Lawyer profile complete\n');
 
     return {
       profile,
@@ -98,7 +112,7 @@ export class AdversarialIntelligence {
       const avvoData = await this.scrapeAvvo(name);
       sources.push(avvoData);
     } catch (error) {
-      console.log('  ⚠️ Avvo scraping failed');
+      this.log('  ⚠️ Avvo scraping failed');
     }
 
     // Try Martindale-Hubbell
@@ -106,7 +120,7 @@ export class AdversarialIntelligence {
       const martindaleData = await this.scrapeMartindale(name, firm);
       sources.push(martindaleData);
     } catch (error) {
-      console.log('  ⚠️ Martindale scraping failed');
+      this.log('  ⚠️ Martindale scraping failed');
     }
 
     // Try State Bar
@@ -114,7 +128,7 @@ export class AdversarialIntelligence {
       const barData = await this.scrapeStateBar(name);
       sources.push(barData);
     } catch (error) {
-      console.log('  ⚠️ State Bar scraping failed');
+      this.log('  ⚠️ State Bar scraping failed');
     }
 
     if (sources.length === 0) return null;
@@ -342,14 +356,14 @@ Based on this data, identify:
 Be specific and actionable.`;
 
     try {
-      const response = await this.llm.chat.completions.create({
+      const response = await this.llm.chat({
         model: 'gpt-4-turbo-preview',
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.3,
-        max_tokens: 1500
+        maxTokens: 1500
       });
 
-      const aiAnalysis = response.choices[0].message.content;
+      const aiAnalysis = response.content;
 
       // Parse AI response into structured data
       return {
@@ -410,15 +424,15 @@ ${JSON.stringify(patterns, null, 2)}
 Find specific, actionable weaknesses we can exploit to win the case. Be ruthless but ethical.`;
 
     try {
-      const response = await this.llm.chat.completions.create({
+      const response = await this.llm.chat({
         model: 'gpt-4-turbo-preview',
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.4,
-        max_tokens: 2000
+        maxTokens: 2000
       });
 
       // Parse AI-identified weaknesses
-      const aiWeaknesses = this.parseWeaknesses(response.choices[0].message.content);
+      const aiWeaknesses = this.parseWeaknesses(response.content);
       weaknesses.push(...aiWeaknesses);
 
     } catch (error) {
@@ -499,14 +513,14 @@ Generate a detailed counter-strategy covering:
 Be specific, tactical, and ruthless (but ethical). This is chess, not checkers.`;
 
     try {
-      const response = await this.llm.chat.completions.create({
+      const response = await this.llm.chat({
         model: 'gpt-4-turbo-preview',
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.4,
-        max_tokens: 4000
+        maxTokens: 4000
       });
 
-      return response.choices[0].message.content;
+      return response.content;
     } catch (error) {
       console.error('Counter-strategy generation failed:', error.message);
       return 'Counter-strategy generation failed. Manual strategy required.';
@@ -521,38 +535,38 @@ Be specific, tactical, and ruthless (but ethical). This is chess, not checkers.`
    * Profile judge assigned to case
    */
   async profileJudge(name, court, options = {}) {
-    console.log(`\n⚖️ Profiling Judge: ${name} at ${court}`);
+    this.log(`\n⚖️ Profiling Judge: ${name} at ${court}`);
 
     // Check database
-    let profile = await prisma.judgeProfile.findFirst({
+    let profile = await this.getPrisma().judgeProfile.findFirst({
       where: { name, court }
     });
 
     if (!profile) {
-      console.log('  → Profile not found, scraping...');
+      this.log('  → Profile not found, scraping...');
       profile = await this.scrapeJudgeProfile(name, court);
       
       if (profile) {
-        profile = await prisma.judgeProfile.create({ data: profile });
-        console.log('  ✓ Profile created');
+        profile = await this.getPrisma().judgeProfile.create({ data: profile });
+        this.log('  ✓ Profile created');
       }
     } else {
-      console.log('  ✓ Profile found');
+      this.log('  ✓ Profile found');
     }
 
     // Analyze rulings
-    console.log('  → Analyzing ruling patterns...');
+    this.log('  → Analyzing ruling patterns...');
     const rulingAnalysis = await this.analyzeJudgeRulings(profile);
 
     // Predict behavior
-    console.log('  → Predicting behavior...');
+    this.log('  → Predicting behavior...');
     const predictions = this.predictJudgeBehavior(profile, rulingAnalysis);
 
     // Generate appearance strategy
-    console.log('  → Generating court strategy...');
+    this.log('  → Generating court strategy...');
     const strategy = await this.generateCourtStrategy(profile, predictions);
 
-    console.log('✅ Judge profile complete\n');
+    this.log('✅ Judge profile complete\n');
 
     return {
       profile,
@@ -686,14 +700,14 @@ Provide:
 5. Settlement conference approach`;
 
     try {
-      const response = await this.llm.chat.completions.create({
+      const response = await this.llm.chat({
         model: 'gpt-4-turbo-preview',
         messages: [{ role: 'user', content: prompt }],
         temperature: 0.3,
-        max_tokens: 2000
+        maxTokens: 2000
       });
 
-      return response.choices[0].message.content;
+      return response.content;
     } catch (error) {
       return 'Strategy generation failed. Use general best practices.';
     }
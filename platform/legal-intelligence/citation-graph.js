@@ -0,0 +1,246 @@
+/**
+ * CITATION GRAPH
+ *
+ * Which cases in the legal library cite which, and how. Every full case
+ * citation in an opinion becomes an edge to the case it names, with the
+ * treatment read from the sentence around it:
+ *
+ * - positive       followed, relied on, or cited as authority
+ * - distinguished  distinguished, found inapposite, or declined to extend
+ * - overruled      overruled, abrogated or disapproved
+ *
+ * From the edges come citation counts and "good law" status. Only a court
+ * at the same level or above in the cited case's jurisdiction can overrule it
+ * (or the U.S. Supreme Court); anything else calls the case into question.
+ */
+
+import { parseCitations } from './citation-parser.js';
+
+export const TREATMENTS = ['positive', 'distinguished', 'overruled'];
+export const GOOD_LAW_STATUSES = ['good', 'questioned', 'overruled'];
+
+// Above every state's court of last resort (3)
+const US_SUPREME_COURT_LEVEL = 4;
+
+// First match wins. New York's Supreme Court is a trial court and its Court
+// of Appeals the highest, so its names come before the generic patterns.
+// Short ids are CourtListener's ("ga", "gactapp", "nyappdiv").
+const COURT_LEVELS = [
+  { pattern: /supreme court of the united states|u\.s\. supreme court|^scotus$/i, level: US_SUPREME_COURT_LEVEL },
+  { pattern: /appellate division|appellate term|^nyappdiv/i, level: 2 },
+  { pattern: /new york court of appeals|court of appeals of new york|^ny$/i, level: 3 },
+  { pattern: /supreme court of new york|new york supreme court|^nysupct|civil court|housing court|district court(?! of appeal)|superior court|county court|municipal court|justice court|magistrate/i, level: 1 },
+  { pattern: /supreme|judicial court|^[a-z]{2,4}$/i, level: 3 },
+  { pattern: /appeal|appellate|app$/i, level: 2 },
+];
+
+const OVERRULED = /\boverrul(?:e|ed|es|ing)\b|\babrogat\w*|\bdisapprov\w*|\bno longer good law\b/i;
+const OTHER_GROUNDS = /on other grounds/i;
+const DISTINGUISHED = /\bdistinguish\w*|\binapposite\b|\binapplicable\b|\bunlike\b|\bbut see\b|\bcontra\b|\bdeclin\w* to (?:follow|extend|apply)\b/i;
+
+// ============================================================================
+// GRAPH CLASS
+// ============================================================================
+
+export class CitationGraph {
+  /**
+   * @param {object[]} cases - Case law records (id, citation, court, year,
+   *   jurisdiction, opinion)
+   */
+  constructor(cases = []) {
+    this.cases = new Map(cases.map(c => [c.id, c]));
+    this.edges = [];
+    this.incoming = new Map(); // cited id → edges
+    this.outgoing = new Map(); // citing id → edges
+
+    const byKey = new Map();
+    const byName = new Map(); // name key → [{ record, parsed }]
+    for (const record of cases) {
+      for (const parsed of parseCitations(record.citation || '').filter(c => c.type === 'case')) {
+        byKey.set(parsed.key, record);
+        if (!byName.has(parsed.nameKey)) byName.set(parsed.nameKey, []);
+        byName.get(parsed.nameKey).push({ record, parsed });
+      }
+    }
+
+    // A cite with the wrong page still names the case, but a name alone
+    // ("Smith v. Jones") is too common to link on
+    const byNameAndCite = citation => (byName.get(citation.nameKey) || [])
+      .find(({ record, parsed }) => corroborates(citation, parsed, record))?.record;
+
+    for (const citing of cases) {
+      const text = citing.opinion || '';
+      const seen = new Map(); // cited id → edge, one per pair
+
+      for (const citation of parseCitations(text).filter(c => c.type === 'case')) {
+        const cited = byKey.get(citation.key) || byNameAndCite(citation);
+        if (!cited || cited.id === citing.id) continue;
+
+        const treatment = classifyTreatment(sentenceAround(text, citation.index, citation.raw.length));
+        const existing = seen.get(cited.id);
+        // A case that distinguishes and then overrules another has overruled it
+        if (existing && TREATMENTS.indexOf(existing.treatment) >= TREATMENTS.indexOf(treatment)) continue;
+
+        seen.set(cited.id, { from: citing.id, to: cited.id, treatment, citation: citation.normalized });
+      }
+
+      for (const edge of seen.values()) this.addEdge(edge);
+    }
+  }
+
+  addEdge(edge) {
+    this.edges.push(edge);
+    if (!this.incoming.has(edge.to)) this.incoming.set(edge.to, []);
+    if (!this.outgoing.has(edge.from)) this.outgoing.set(edge.from, []);
+    this.incoming.get(edge.to).push(edge);
+    this.outgoing.get(edge.from).push(edge);
+  }
+
+  /**
+   * Cases citing this one, with their treatment of it
+   */
+  citedBy(id) {
+    return this.incoming.get(id) || [];
+  }
+
+  /**
+   * Cases this one cites
+   */
+  cites(id) {
+    return this.outgoing.get(id) || [];
+  }
+
+  citeCount(id) {
+    return this.citedBy(id).length;
+  }
+
+  /**
+   * How the library's cases have treated this one
+   * @returns {{ citeCount: number, positive: number, distinguished: number, overruled: number,
+   *   goodLaw: 'good'|'questioned'|'overruled', overruledBy: string|null,
+   *   citingCases: Array<{ citation: string, court: string, year: number, treatment: string }> }}
+   */
+  treatment(id) {
+    const record = this.cases.get(id);
+    const edges = this.citedBy(id);
+    const counts = Object.fromEntries(TREATMENTS.map(t => [t, edges.filter(e => e.treatment === t).length]));
+
+    const overruling = edges
+      .filter(e => e.treatment === 'overruled')
+      .map(e => this.cases.get(e.from))
+      .filter(citing => canOverrule(citing, record))
+      .sort((a, b) => (a.year || 0) - (b.year || 0));
+
+    let goodLaw = 'good';
+    if (overruling.length > 0) goodLaw = 'overruled';
+    else if (counts.overruled > 0 || counts.distinguished > counts.positive) goodLaw = 'questioned';
+
+    return {
+      citeCount: edges.length,
+      ...counts,
+      goodLaw,
+      overruledBy: overruling[0]?.citation || null,
+      citingCases: edges.map((e) => {
+        const citing = this.cases.get(e.from);
+        return { citation: citing.citation, court: citing.court, year: citing.year, treatment: e.treatment };
+      }),
+    };
+  }
+
+  toJSON() {
+    return { cases: this.cases.size, edges: this.edges };
+  }
+}
+
+// ============================================================================
+// COURT HIERARCHY & AUTHORITY
+// ============================================================================
+
+/**
+ * Level of a court in its jurisdiction's hierarchy: 1 trial, 2 intermediate
+ * appellate, 3 court of last resort, 4 U.S. Supreme Court. Unknown courts
+ * count as trial courts.
+ * @param {string} court - Court name or CourtListener id
+ */
+export function courtLevel(court) {
+  const name = String(court || '').trim();
+  return COURT_LEVELS.find(({ pattern }) => pattern.test(name))?.level || 1;
+}
+
+/**
+ * Weight of a case as authority for a jurisdiction, 0-1: where its court
+ * sits (courts of other states are only persuasive), how often the library's
+ * cases cite it, how recent it is, and whether it's still good law
+ * @param {object} record - Case law record (with citeCount / goodLaw from the graph)
+ * @param {string} [jurisdiction] - Where the case is being argued
+ * @param {{ maxCiteCount?: number, year?: number }} [context]
+ */
+export function authorityScore(record, jurisdiction, { maxCiteCount = 0, year = new Date().getFullYear() } = {}) {
+  const level = courtLevel(record.court);
+  const binding = level === US_SUPREME_COURT_LEVEL || !jurisdiction
+    || String(record.jurisdiction || '').toUpperCase() === String(jurisdiction).toUpperCase();
+
+  const hierarchy = (Math.min(level, 3) / 3) * (binding ? 1 : 0.5);
+  const citations = maxCiteCount > 0 ? Math.log1p(record.citeCount || 0) / Math.log1p(maxCiteCount) : 0;
+  const recency = record.year ? 1 / (1 + Math.max(0, year - record.year) / 20) : 0;
+  const standing = { good: 1, questioned: 0.6, overruled: 0 }[record.goodLaw || 'good'];
+
+  return Math.round((0.5 * hierarchy + 0.3 * citations + 0.2 * recency) * standing * 1000) / 1000;
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * Treatment a citing sentence gives the case it cites
+ */
+export function classifyTreatment(sentence) {
+  if (OVERRULED.test(sentence) && !OTHER_GROUNDS.test(sentence)) return 'overruled';
+  if (DISTINGUISHED.test(sentence) || OTHER_GROUNDS.test(sentence)) return 'distinguished';
+  return 'positive';
+}
+
+function canOverrule(citing, cited) {
+  if (!citing || !cited) return false;
+
+  const level = courtLevel(citing.court);
+  if (level === US_SUPREME_COURT_LEVEL) return true;
+
+  const sameJurisdiction = String(citing.jurisdiction || '').toUpperCase() === String(cited.jurisdiction || '').toUpperCase();
+  return sameJurisdiction && level >= courtLevel(cited.court) && (citing.year || 0) >= (cited.year || 0);
+}
+
+/**
+ * Whether a citation matched to a case by name agrees with the case's own
+ * citation on the reporter, volume or year
+ */
+function corroborates(citation, parsed, record) {
+  const reporter = r => String(r || '').replace(/\s+/g, '').toLowerCase();
+  const year = parsed.year || record.year;
+
+  return reporter(citation.reporter) === reporter(parsed.reporter)
+    || citation.volume === parsed.volume
+    || Boolean(citation.year && citation.year === year);
+}
+
+// The sentence a citation sits in, so "We overrule X" reaches X and not
+// every case the opinion cites. A period only ends a sentence after a word
+// or a closing parenthesis - not after "v." or a reporter ("Ga. App.")
+const SENTENCE_END = /(?<=[a-z]{3}|\))[.!?]\s+(?=[A-Z(])/g;
+
+function sentenceAround(text, index, length) {
+  let start = 0;
+  let end = text.length;
+  for (const match of text.matchAll(SENTENCE_END)) {
+    if (match.index < index) {
+      start = match.index + match[0].length;
+    } else if (match.index >= index + length - 1) {
+      end = match.index + 1;
+      break;
+    }
+  }
+  return text.slice(start, end);
+}
+
+export default CitationGraph;
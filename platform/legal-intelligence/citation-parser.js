@@ -0,0 +1,330 @@
+/**
+ * CITATION PARSER
+ *
+ * Finds statute, regulation and case citations in free text (drafted
+ * letters, scraped statute listings, model output) and normalizes them, so
+ * "O.C.G.A. §44-7-13(a)", "OCGA § 44-7-13" and "Ga. Code Ann. § 44-7-13"
+ * are the same authority.
+ *
+ * Recognized:
+ * - O.C.G.A., U.S.C., C.F.R. and the state codes the corpus packs cite
+ *   (Cal. Civ. Code, Fla. Stat., Tex. Prop. Code, N.Y. RPL/RPAPL/GOL/MDL,
+ *   N.Y.C. and S.F. Admin. Code) - with jurisdiction and section checks
+ * - Any other "<Code> § <section>" (jurisdiction unknown)
+ * - Bluebook case citations: "Name v. Name, 265 Ga. 905, 907 (1995)", and
+ *   Westlaw ones: "Name v. Name, 2019 WL 1234567 (Ga. Ct. App. 2019)"
+ *
+ * Short forms ("Id.", "Colquitt, 265 Ga. at 907") are not parsed.
+ */
+
+// ============================================================================
+// CODES & REPORTERS
+// ============================================================================
+
+/**
+ * Codes with a known jurisdiction. `pattern` matches every spelling of the
+ * code name; `titled` codes are cited with a leading title number; `section`
+ * is the shape a real section number has.
+ */
+export const STATUTE_CODES = [
+  { code: 'U.S.C.', jurisdiction: 'US', titled: true, pattern: String.raw`U\.?\s?S\.?\s?C\.?(?:\s?A\.?)?`, section: /^\d+[a-z]*(?:-\d+[a-z]*)?$/i },
+  { code: 'C.F.R.', jurisdiction: 'US', titled: true, type: 'regulation', pattern: String.raw`C\.?\s?F\.?\s?R\.?`, section: /^\d+\.\d+[a-z]*$/i },
+  { code: 'O.C.G.A.', jurisdiction: 'GA', pattern: String.raw`O\.?C\.?G\.?A\.?|Ga\.\s?Code\s+Ann\.`, section: /^\d+-\d+-\d+(?:\.\d+)?$/ },
+  { code: 'Cal. Civ. Code', jurisdiction: 'CA', pattern: String.raw`Cal(?:\.|ifornia)\s+Civ(?:\.|il)\s+Code`, section: /^\d+(?:\.\d+)?$/ },
+  { code: 'Cal. Civ. Proc. Code', jurisdiction: 'CA', pattern: String.raw`Cal\.\s+(?:Civ\.\s+Proc\.\s+Code|Code\s+Civ\.\s+Proc\.)`, section: /^\d+(?:\.\d+)?$/ },
+  { code: 'Cal. Health & Safety Code', jurisdiction: 'CA', pattern: String.raw`Cal\.\s+Health\s+(?:&|and)\s+Safety\s+Code`, section: /^\d+(?:\.\d+)?$/ },
+  { code: 'S.F. Admin. Code', jurisdiction: 'CA', pattern: String.raw`S\.\s?F\.\s+Admin(?:\.|istrative)\s+Code` },
+  { code: 'Fla. Stat.', jurisdiction: 'FL', pattern: String.raw`Fla\.\s+Stat\.(?:\s+Ann\.)?`, section: /^\d+\.\d+$/ },
+  { code: 'Tex. Prop. Code', jurisdiction: 'TX', pattern: String.raw`Tex\.\s+Prop(?:\.|erty)\s+Code(?:\s+Ann\.)?`, section: /^\d+\.\d+$/ },
+  { code: 'N.Y.C. Admin. Code', jurisdiction: 'NY', pattern: String.raw`N\.Y\.C\.\s+Admin(?:\.|istrative)\s+Code` },
+  { code: 'N.Y. Real Prop. Law', jurisdiction: 'NY', pattern: String.raw`(?:N\.Y\.\s+)?(?:Real\s+Prop(?:\.|erty)\s+Law|RPL)` },
+  { code: 'N.Y. RPAPL', jurisdiction: 'NY', pattern: String.raw`(?:N\.Y\.\s+)?(?:RPAPL|Real\s+Prop(?:\.|erty)\s+Actions?\s+(?:&|and)\s+Proc(?:\.|eedings)\s+Law)` },
+  { code: 'N.Y. Gen. Oblig. Law', jurisdiction: 'NY', pattern: String.raw`(?:N\.Y\.\s+)?(?:Gen(?:\.|eral)\s+Oblig(?:\.|ations)\s+Law|GOL)` },
+  { code: 'N.Y. Mult. Dwell. Law', jurisdiction: 'NY', pattern: String.raw`(?:N\.Y\.\s+)?(?:Mult(?:\.|iple)\s+Dwell(?:\.|ing)\s+Law|MDL)` },
+];
+
+/**
+ * The code a bare "§ 44-7-13" means in a state with one landlord-tenant code
+ */
+export const PRIMARY_CODES = {
+  GA: 'O.C.G.A.',
+  FL: 'Fla. Stat.',
+};
+
+// Reporter (spaces removed, lowercased) → jurisdiction
+const REPORTER_JURISDICTIONS = [
+  [/^ga\./, 'GA'],
+  [/^cal\./, 'CA'],
+  [/^(n\.y\.|a\.d\.|misc\.)/, 'NY'],
+  [/^tex\./, 'TX'],
+  [/^fla\./, 'FL'],
+  [/^(u\.s\.|s\.ct\.|l\.ed\.|f\.)/, 'US'],
+];
+
+// Court parenthetical "(Tex. App. 2004)" → jurisdiction
+const COURT_JURISDICTIONS = {
+  'ga.': 'GA',
+  'cal.': 'CA',
+  'n.y.': 'NY',
+  'tex.': 'TX',
+  'fla.': 'FL',
+};
+
+// Words that introduce a citation rather than belong to it
+const SIGNALS = new Set(['see', 'also', 'cf.', 'accord', 'but', 'in', 'under', 'compare', 'e.g.', 'e.g.,', 'per', 'pursuant', 'violates', 'violated']);
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+const SECTION = String.raw`\d[\dA-Za-z]*(?:[-.][\dA-Za-z]+)*`;
+const PINPOINT = String.raw`(?:\([\dA-Za-z-]{1,6}\))*`;
+const SECTION_MARK = String.raw`(§§?|[Ss]ec(?:tion)?s?\.?)`;
+
+// Separators between the sections of a "§§" list
+const SECTION_SEPARATOR = String.raw`\s*(?:,\s*(?:and\s+)?|\s+and\s+|&\s*|\s+(?:through|to)\s+|\s+[-–]\s+|–\s*)`;
+
+const PARTY_WORD = String.raw`(?:[A-Z][\w'’&.-]*|&|of|the|and|de|del|la|for|ex\s+rel\.)`;
+const PARTY = String.raw`[A-Z][\w'’&.-]*(?:\s+${PARTY_WORD}){0,7}`;
+const ENTITY_SUFFIX = String.raw`(?:,\s+(?:LLC|L\.L\.C\.|Inc\.|Corp\.|Co\.|Ltd\.|L\.P\.|LP|N\.A\.|P\.C\.))?`;
+const REPORTER = String.raw`[A-Z][A-Za-z.]*(?:\s?(?:[A-Z][A-Za-z.]*|\d(?:d|th)))*`;
+
+const CASE_PATTERN = new RegExp(
+  String.raw`(${PARTY})\s+v\.\s+(${PARTY}${ENTITY_SUFFIX}),\s+(\d{1,4})\s+(${REPORTER})\s+(\d{1,7})\b` +
+  String.raw`(?:,\s*(\d{1,5})\b(?:[-–]\d+)?)?(?:\s*\(([^()]*?)\s*(\d{4})\))?`,
+  'g'
+);
+
+const CODE_PATTERNS = STATUTE_CODES.map(family => ({
+  family,
+  regex: family.titled
+    ? new RegExp(String.raw`(?<![\w.])(\d{1,2})\s+(?:${family.pattern})\s*(?:${SECTION_MARK}\s*)?(?=\d)`, 'g')
+    : new RegExp(String.raw`(?<![\w.])(?:${family.pattern})\s*${SECTION_MARK}\s*(?=\d)`, 'g'),
+}));
+
+// Any "§" we have not already claimed - an unknown code, or a bare section
+const ANY_SECTION_PATTERN = new RegExp(String.raw`((?:[A-Z][A-Za-z&']*\.?\s+){0,5})(§§?)\s*(?=\d)`, 'g');
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * @typedef {object} StatuteCitation
+ * @property {'statute'|'regulation'} type
+ * @property {string} raw - Text as written (the whole "§§" list for list members)
+ * @property {number} index - Offset in the text
+ * @property {string|null} code - Canonical code name, null for a bare "§ X"
+ * @property {number|null} title - U.S.C./C.F.R. title
+ * @property {string|null} jurisdiction - USPS code, 'US', or null when unknown
+ * @property {string} section
+ * @property {string|null} pinpoint - "(a)(1)"
+ * @property {boolean} malformed - Section number can't exist in this code
+ * @property {string} normalized - "O.C.G.A. § 44-7-13(a)"
+ * @property {string} key - Authority identity, pinpoint dropped
+ */
+
+/**
+ * @typedef {object} CaseCitation
+ * @property {'case'} type
+ * @property {string} raw
+ * @property {number} index
+ * @property {string} caseName - "Colquitt v. Rowland"
+ * @property {number} volume
+ * @property {string} reporter - "Ga. App."
+ * @property {number} page - First page
+ * @property {number|null} pinpoint - Pin page
+ * @property {string|null} court - "Tex." from "(Tex. 1978)"
+ * @property {number|null} year
+ * @property {string|null} jurisdiction
+ * @property {string} normalized
+ * @property {string} key - "265 ga. 905"
+ * @property {string} nameKey - "colquitt v rowland"
+ */
+
+/**
+ * Every citation in the text, in order of appearance. A "§§" list yields
+ * one citation per section.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.defaultCode] - Code a bare "§ X" belongs to
+ *   (see PRIMARY_CODES)
+ * @returns {Array<StatuteCitation|CaseCitation>}
+ */
+export function parseCitations(text, options = {}) {
+  const source = String(text || '');
+  const citations = [];
+  const claimed = [];
+
+  const claim = (start, end) => claimed.push([start, end]);
+  const isClaimed = index => claimed.some(([start, end]) => index >= start && index < end);
+
+  for (const match of source.matchAll(CASE_PATTERN)) {
+    const citation = parseCaseMatch(match);
+    citations.push(citation);
+    claim(citation.index, match.index + match[0].length);
+  }
+
+  for (const { family, regex } of CODE_PATTERNS) {
+    for (const match of source.matchAll(regex)) {
+      if (isClaimed(match.index)) continue;
+
+      const title = family.titled ? Number(match[1]) : null;
+      const multiple = (family.titled ? match[2] : match[1])?.startsWith('§§') ?? false;
+      const { sections, end } = readSections(source, match.index + match[0].length, multiple);
+
+      const raw = source.slice(match.index, end).trim();
+      for (const { section, pinpoint } of sections) {
+        citations.push(statuteCitation({ family, title, section, pinpoint, raw, index: match.index }));
+      }
+      claim(match.index, end);
+    }
+  }
+
+  const defaultFamily = STATUTE_CODES.find(f => f.code === options.defaultCode) || null;
+
+  for (const match of source.matchAll(ANY_SECTION_PATTERN)) {
+    const markIndex = match.index + match[1].length;
+    if (isClaimed(markIndex)) continue;
+
+    const { text: label, offset } = stripSignals(match[1]);
+    const { sections, end } = readSections(source, match.index + match[0].length, match[2] === '§§');
+    const start = label ? match.index + offset : markIndex;
+    const raw = source.slice(start, end).trim();
+
+    for (const { section, pinpoint } of sections) {
+      citations.push(label
+        ? statuteCitation({ family: { code: label, jurisdiction: null }, title: null, section, pinpoint, raw, index: start })
+        : statuteCitation({ family: defaultFamily, title: null, section, pinpoint, raw, index: markIndex }));
+    }
+    claim(markIndex, end);
+  }
+
+  return citations.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Identity of a case by its parties, for matching a case cited with the
+ * wrong reporter: "Colquitt v. Rowland" → "colquitt v rowland"
+ */
+export function caseNameKey(caseName) {
+  const [first, second = ''] = String(caseName).split(/\s+v\.?\s+/i);
+  return `${partyKey(first)} v ${partyKey(second)}`;
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function readSections(text, start, multiple) {
+  const sectionRegex = new RegExp(String.raw`(${SECTION})(${PINPOINT})`, 'y');
+  const separatorRegex = new RegExp(SECTION_SEPARATOR, 'y');
+  const sections = [];
+  let end = start;
+
+  while (true) {
+    sectionRegex.lastIndex = end;
+    const match = sectionRegex.exec(text);
+    if (!match) break;
+
+    sections.push({ section: match[1], pinpoint: match[2] || null });
+    end = sectionRegex.lastIndex;
+    if (!multiple) break;
+
+    separatorRegex.lastIndex = end;
+    if (!separatorRegex.exec(text)) break;
+
+    // Only continue when a section follows the separator
+    sectionRegex.lastIndex = separatorRegex.lastIndex;
+    if (!sectionRegex.test(text)) break;
+    end = separatorRegex.lastIndex;
+  }
+
+  return { sections, end };
+}
+
+function statuteCitation({ family, title, section, pinpoint, raw, index }) {
+  const code = family?.code || null;
+  const codeName = title ? `${title} ${code}` : code;
+  const normalizedSection = `§ ${section}`;
+
+  return {
+    type: family?.type || 'statute',
+    raw,
+    index,
+    code,
+    title,
+    jurisdiction: family?.jurisdiction || null,
+    section,
+    pinpoint,
+    malformed: Boolean(family?.section && !family.section.test(section)),
+    normalized: `${codeName ? `${codeName} ` : ''}${normalizedSection}${pinpoint || ''}`,
+    key: `${codeName || ''} ${normalizedSection}`.trim().toLowerCase(),
+  };
+}
+
+function parseCaseMatch(match) {
+  const [raw, firstParty, secondParty, volume, reporter, page, pinpoint, court, year] = match;
+  const stripped = stripSignals(firstParty);
+  const [first, offset] = stripped.text ? [stripped.text, stripped.offset] : [firstParty, 0];
+  const caseName = `${first} v. ${secondParty}`;
+  const cleanReporter = reporter.replace(/\s+/g, ' ');
+  const courtName = court?.trim() || null;
+
+  const pin = pinpoint ? `, ${pinpoint}` : '';
+  const parenthetical = year ? ` (${courtName ? `${courtName} ` : ''}${year})` : '';
+
+  return {
+    type: 'case',
+    raw: raw.slice(offset),
+    index: match.index + offset,
+    caseName,
+    volume: Number(volume),
+    reporter: cleanReporter,
+    page: Number(page),
+    pinpoint: pinpoint ? Number(pinpoint) : null,
+    court: courtName,
+    year: year ? Number(year) : null,
+    jurisdiction: caseJurisdiction(cleanReporter, courtName),
+    normalized: `${caseName}, ${volume} ${cleanReporter} ${page}${pin}${parenthetical}`,
+    key: `${volume} ${compactReporter(cleanReporter)} ${page}`,
+    nameKey: caseNameKey(caseName),
+  };
+}
+
+function caseJurisdiction(reporter, court) {
+  if (court) {
+    if (/\bCir\.|\b[NSEWMC]\.D\.|\bD\.\s/.test(court)) return 'US';
+    const state = COURT_JURISDICTIONS[court.split(/\s+/)[0].toLowerCase()];
+    if (state) return state;
+  }
+
+  const compact = compactReporter(reporter);
+  return REPORTER_JURISDICTIONS.find(([pattern]) => pattern.test(compact))?.[1] || null;
+}
+
+function compactReporter(reporter) {
+  return reporter.replace(/\s+/g, '').toLowerCase();
+}
+
+function partyKey(party) {
+  const words = String(party).toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+  return words.find(word => !['the', 'of', 'in', 're', 'a'].includes(word)) || '';
+}
+
+/**
+ * Drop the signal words in front of a citation: "See also Colquitt" →
+ * "Colquitt", "Rent. Under Ohio Rev. Code " → "Ohio Rev. Code"
+ * @returns {{ text: string, offset: number }} What's left and where it starts
+ */
+function stripSignals(words) {
+  const tokens = [...words.matchAll(/\S+/g)];
+  const lastSignal = tokens.map(t => SIGNALS.has(t[0].toLowerCase())).lastIndexOf(true);
+  const kept = tokens.slice(lastSignal + 1);
+
+  return kept.length > 0
+    ? { text: kept.map(t => t[0]).join(' '), offset: kept[0].index }
+    : { text: '', offset: words.length };
+}
+
+export default parseCitations;
@@ -0,0 +1,362 @@
+/**
+ * CITATION VERIFIER
+ *
+ * Checks every citation in a drafted document against the authority we
+ * actually hold - the offline legal corpus, then the LegalLibrary store - so
+ * a model-invented statute or case never goes out under the tenant's name.
+ *
+ * Each citation comes back as one of:
+ * - verified      resolves to a current corpus or library record
+ * - not_found     the code or reporter is one we hold, the authority is not
+ *                 in it (possibly hallucinated), or the section can't exist
+ * - superseded    resolves to repealed or superseded law, or a case the
+ *                 library's citation graph shows was overruled
+ * - mis_pinned    the authority exists but the citation points elsewhere:
+ *                 wrong reporter cite, year, case name or pin
+ * - unverifiable  a code or reporter we hold nothing for, a pin cite
+ *                 into a section whose subsections we don't hold, or a
+ *                 library search that failed
+ *
+ * The first three are "flagged": the drafter lists them in the document's
+ * next steps and the exporter won't package the document until they're fixed.
+ */
+
+import { z } from 'zod';
+import { parseCitations, caseNameKey, PRIMARY_CODES } from './citation-parser.js';
+import { getCorpusPacks, getCorpusPack, CorpusPackSchema, FEDERAL_JURISDICTION } from './legal-corpus.js';
+
+export const CITATION_STATUSES = ['verified', 'not_found', 'superseded', 'mis_pinned', 'unverifiable'];
+export const FLAGGED_STATUSES = ['not_found', 'superseded', 'mis_pinned'];
+
+export const CitationCheckSchema = z.object({
+  checked: z.number(),
+  verified: z.number(),
+  flagged: z.number(),
+  unverifiable: z.number(),
+  citations: z.array(z.object({
+    citation: z.string(), // normalized
+    raw: z.string(),
+    type: z.enum(['statute', 'regulation', 'case']),
+    jurisdiction: z.string().nullable(),
+    status: z.enum(CITATION_STATUSES),
+    reason: z.string().nullable(),
+    authority: z.object({
+      citation: z.string(),
+      source: z.enum(['corpus', 'library']),
+      jurisdiction: z.string().nullable(),
+    }).nullable(),
+    occurrences: z.number(),
+  })),
+});
+
+export class FlaggedCitationError extends Error {
+  /**
+   * @param {Array<{ title: string, citations: object[] }>} documents - Documents with flagged citations
+   */
+  constructor(documents) {
+    super(
+      'Drafted documents cite authority that could not be verified: ' +
+      documents.map(d => `${d.title} (${d.citations.map(c => `${c.citation}: ${c.status}`).join('; ')})`).join(', ') +
+      ' - fix the citations or pass allowFlaggedCitations'
+    );
+    this.name = 'FlaggedCitationError';
+    this.documents = documents;
+    this.retryable = false; // same document fails the same way
+  }
+}
+
+// ============================================================================
+// VERIFIER CLASS
+// ============================================================================
+
+export class CitationVerifier {
+  /**
+   * @param {object} [options]
+   * @param {import('./legal-library.js').LegalLibrary} [options.legalLibrary] - Searched
+   *   for citations the corpus doesn't hold
+   * @param {object[]} [options.corpusPacks] - Packs that win over the registry
+   */
+  constructor(options = {}) {
+    this.legalLibrary = options.legalLibrary || null;
+    this.corpusPacks = new Map((options.corpusPacks || []).map(pack => {
+      const validated = CorpusPackSchema.parse(pack);
+      return [validated.jurisdiction.toUpperCase(), validated];
+    }));
+    this.index = null;
+  }
+
+  /**
+   * Parse and check every citation in a text
+   * @param {string} text
+   * @param {object} [options]
+   * @param {string} [options.jurisdiction] - Case state; a bare "§ 44-7-13"
+   *   is read as that state's code
+   * @returns {Promise<z.infer<typeof CitationCheckSchema>>}
+   */
+  async verifyText(text, options = {}) {
+    const defaultCode = PRIMARY_CODES[String(options.jurisdiction || '').toUpperCase()];
+    return this.verify(parseCitations(text, { defaultCode }));
+  }
+
+  /**
+   * Check parsed citations. Repeats of the same authority are checked once.
+   * @param {object[]} citations - From parseCitations
+   */
+  async verify(citations) {
+    const unique = new Map();
+    for (const citation of citations) {
+      const existing = unique.get(citation.normalized);
+      if (existing) existing.occurrences++;
+      else unique.set(citation.normalized, { citation, occurrences: 1 });
+    }
+
+    const results = [];
+    for (const { citation, occurrences } of unique.values()) {
+      const resolution = citation.type === 'case'
+        ? await this.resolveCase(citation)
+        : await this.resolveStatute(citation);
+
+      results.push({
+        citation: citation.normalized,
+        raw: citation.raw,
+        type: citation.type,
+        jurisdiction: citation.jurisdiction,
+        reason: null,
+        authority: null,
+        ...resolution,
+        occurrences,
+      });
+    }
+
+    const count = statuses => results.filter(r => statuses.includes(r.status)).length;
+
+    return CitationCheckSchema.parse({
+      checked: results.length,
+      verified: count(['verified']),
+      flagged: count(FLAGGED_STATUSES),
+      unverifiable: count(['unverifiable']),
+      citations: results,
+    });
+  }
+
+  // ==========================================================================
+  // RESOLUTION
+  // ==========================================================================
+
+  async resolveStatute(citation) {
+    if (!citation.code) {
+      return { status: 'unverifiable', reason: 'No code named - cite the code with the section' };
+    }
+    if (citation.malformed) {
+      return { status: 'not_found', reason: `"${citation.section}" is not a valid ${citation.code} section number` };
+    }
+
+    const index = this.buildIndex();
+    const authority = index.statutes.get(citation.key) || await this.findInLibrary(citation);
+
+    if (authority?.lookupFailed) return lookupFailed(authority);
+    if (!authority) {
+      return index.codes.has(codeKey(citation))
+        ? { status: 'not_found', reason: 'Not in the legal library - confirm it exists before relying on it' }
+        : { status: 'unverifiable', reason: `No ${codeKey(citation)} sections in the legal library` };
+    }
+
+    if (authority.status !== 'current') return superseded(authority);
+
+    if (citation.pinpoint) {
+      const subsection = citation.pinpoint.match(/^\([^)]+\)/)[0];
+      const exists = pinpointExists(authority.text, subsection);
+
+      if (exists === null) {
+        return {
+          status: 'unverifiable',
+          reason: `${citation.section} exists, but the library doesn't hold its subsections to check ${subsection}`,
+          authority: describe(authority),
+        };
+      }
+      if (!exists) {
+        return { status: 'mis_pinned', reason: `${citation.section} has no subsection ${subsection}`, authority: describe(authority) };
+      }
+    }
+
+    return { status: 'verified', authority: describe(authority) };
+  }
+
+  async resolveCase(citation) {
+    if (citation.year && citation.year > new Date().getFullYear()) {
+      return { status: 'not_found', reason: `Decided in ${citation.year}, which is in the future` };
+    }
+
+    const index = this.buildIndex();
+    const authority = index.cases.get(citation.key)
+      || index.caseNames.get(citation.nameKey)
+      || await this.findInLibrary(citation);
+
+    if (authority?.lookupFailed) return lookupFailed(authority);
+    if (!authority) {
+      return index.caseJurisdictions.has(citation.jurisdiction)
+        ? { status: 'not_found', reason: 'Not in the legal library - confirm the case exists before relying on it' }
+        : { status: 'unverifiable', reason: 'No case law for this reporter in the legal library' };
+    }
+
+    const problem = caseMismatch(citation, authority);
+    if (problem) return { status: 'mis_pinned', reason: problem, authority: describe(authority) };
+    if (authority.status !== 'current') return superseded(authority);
+
+    return { status: 'verified', authority: describe(authority) };
+  }
+
+  /**
+   * Search the library store when the corpus has nothing
+   * @returns {Promise<object|null>} The authority, null when the library
+   *   doesn't hold it, or { lookupFailed } with the error when the search failed
+   */
+  async findInLibrary(citation) {
+    if (!this.legalLibrary) return null;
+
+    try {
+      await this.legalLibrary.initialize();
+
+      if (citation.type === 'case') {
+        const cases = await this.legalLibrary.searchCaseLaw(citation.normalized, citation.jurisdiction, {
+          topK: 5,
+          minYear: 0,
+          minCitations: 0,
+          includeOverruled: true,
+        });
+        const match = cases.find((record) => {
+          const [parsed] = parseCitations(record.citation).filter(c => c.type === 'case');
+          return parsed ? parsed.key === citation.key || parsed.nameKey === citation.nameKey : caseNameKey(record.citation) === citation.nameKey;
+        });
+        return match && libraryAuthority(match, match.citation);
+      }
+
+      const statutes = await this.legalLibrary.searchStatutes(citation.normalized, citation.jurisdiction, { topK: 5 });
+      const match = statutes.find(record => parseCitations(record.code).some(c => c.key === citation.key));
+      return match && libraryAuthority(match, match.code);
+    } catch (error) {
+      return { lookupFailed: error.message };
+    }
+  }
+
+  // ==========================================================================
+  // CORPUS INDEX
+  // ==========================================================================
+
+  buildIndex() {
+    if (this.index) return this.index;
+
+    const packs = new Map(getCorpusPacks().map(pack => [pack.jurisdiction.toUpperCase(), pack]));
+    for (const [key, override] of this.corpusPacks) {
+      packs.set(key, key === FEDERAL_JURISDICTION ? override : getCorpusPack(key, this.corpusPacks));
+    }
+
+    const index = {
+      statutes: new Map(),
+      cases: new Map(),
+      caseNames: new Map(),
+      codes: new Set(),
+      caseJurisdictions: new Set(),
+    };
+
+    for (const pack of packs.values()) {
+      for (const entry of pack.entries) {
+        const authority = {
+          citation: entry.citation,
+          source: 'corpus',
+          jurisdiction: pack.jurisdiction,
+          status: entry.status,
+          supersededBy: entry.supersededBy || null,
+          text: entry.fullText || '',
+          year: entry.year || null,
+        };
+
+        for (const parsed of parseCitations(entry.citation)) {
+          if (parsed.type === 'case') {
+            index.cases.set(parsed.key, { ...authority, parsed });
+            index.caseNames.set(parsed.nameKey, { ...authority, parsed });
+            index.caseJurisdictions.add(parsed.jurisdiction);
+          } else {
+            index.statutes.set(parsed.key, authority);
+            index.codes.add(codeKey(parsed));
+          }
+        }
+      }
+    }
+
+    this.index = index;
+    return index;
+  }
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function codeKey(citation) {
+  return citation.title ? `${citation.title} ${citation.code}` : citation.code;
+}
+
+function libraryAuthority(record, citation) {
+  const [parsed] = parseCitations(citation).filter(c => c.type === 'case');
+  return {
+    citation,
+    source: 'library',
+    jurisdiction: record.jurisdiction || null,
+    status: record.status || (record.goodLaw === 'overruled' ? 'overruled' : 'current'),
+    supersededBy: record.supersededBy || record.treatment?.overruledBy || null,
+    text: record.fullText || record.opinion || '',
+    year: record.year || null,
+    parsed,
+  };
+}
+
+function describe(authority) {
+  return { citation: authority.citation, source: authority.source, jurisdiction: authority.jurisdiction };
+}
+
+function superseded(authority) {
+  const replacement = authority.status === 'overruled' ? ' by ' : ' - cite ';
+  return {
+    status: 'superseded',
+    reason: `${authority.citation} is ${authority.status}${authority.supersededBy ? `${replacement}${authority.supersededBy}` : ''}`,
+    authority: describe(authority),
+  };
+}
+
+// A failed search says nothing about the authority either way
+function lookupFailed(result) {
+  return { status: 'unverifiable', reason: `Legal library lookup failed: ${result.lookupFailed}` };
+}
+
+/**
+ * What's wrong with a case citation that resolved to a known case, if anything
+ */
+function caseMismatch(citation, authority) {
+  const known = authority.parsed;
+
+  if (known && known.key !== citation.key) {
+    return `${citation.caseName} is reported at ${known.volume} ${known.reporter} ${known.page}`;
+  }
+  if (known && known.nameKey !== citation.nameKey) {
+    return `${citation.volume} ${citation.reporter} ${citation.page} is ${known.caseName}`;
+  }
+  if (citation.year && authority.year && citation.year !== authority.year) {
+    return `Decided in ${authority.year}, cited as ${citation.year}`;
+  }
+  if (citation.pinpoint && citation.pinpoint < citation.page) {
+    return `Pin cite ${citation.pinpoint} comes before the first page (${citation.page})`;
+  }
+  return null;
+}
+
+/**
+ * Whether a subsection ("(a)") exists - null when we can't tell, because we
+ * don't hold the text or it isn't divided into lettered or numbered subsections
+ */
+function pinpointExists(text, subsection) {
+  if (!text || !/\((?:a|1)\)/.test(text)) return null;
+  return text.includes(subsection);
+}
+
+export default CitationVerifier;
@@ -0,0 +1,158 @@
+/**
+ * CALIFORNIA LEGAL CORPUS
+ *
+ * Landlord-tenant: Civil Code §§ 1940-1954.06 and § 789.3. Substandard
+ * housing: Health & Safety Code § 17920.3. Local: San Francisco Rent
+ * Ordinance (Admin. Code ch. 37).
+ */
+
+export default {
+  format: 1,
+  jurisdiction: 'CA',
+  name: 'California',
+  version: '2025.1',
+  currentThrough: '2025-07-01',
+
+  entries: [
+    {
+      id: 'civ-1941',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1941',
+      title: 'Landlord\'s duty to make premises fit for occupation',
+      topics: ['habitability', 'repairs'],
+      summary: 'The landlord of a dwelling must put it into a condition fit for occupation and repair all subsequent dilapidations that render it untenantable.',
+    },
+    {
+      id: 'civ-1941-1',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1941.1',
+      title: 'Untenantable dwellings',
+      topics: ['habitability', 'repairs', 'utilities'],
+      issues: ['water_leak', 'roof_leak', 'plumbing_failure', 'no_heat', 'no_hot_water', 'no_water', 'electrical_hazard', 'pest_infestation', 'windows_broken', 'doors_broken', 'mold', 'sewage_backup'],
+      summary: 'A dwelling is untenantable if it substantially lacks weather protection, working plumbing, hot and cold running water, heating, safe electrical wiring, clean premises free of rodents and vermin, or floors, stairways and railings in good repair. Visible mold makes a building substandard under Health & Safety Code § 17920.3.',
+    },
+    {
+      id: 'civ-1942',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1942',
+      title: 'Repair and deduct; abandonment',
+      topics: ['repairs', 'rent-withholding', 'lease-termination'],
+      summary: 'If the landlord does not repair within a reasonable time after notice (30 days is presumed reasonable), the tenant may repair and deduct the cost, up to one month\'s rent and no more than twice in 12 months, or vacate and be discharged from further rent.',
+    },
+    {
+      id: 'civ-1942-4',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1942.4',
+      title: 'Rent demanded for substandard premises',
+      topics: ['habitability', 'rent-withholding', 'damages', 'attorney-fees'],
+      summary: 'A landlord may not demand or collect rent while the dwelling is cited as substandard and the violations go unabated 35 days after notice. The tenant recovers actual damages and special damages of $100 to $5,000, plus attorney\'s fees and costs.',
+    },
+    {
+      id: 'civ-1942-5',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1942.5',
+      title: 'Retaliation',
+      topics: ['retaliation', 'damages', 'attorney-fees'],
+      issues: ['retaliation'],
+      summary: 'Within 180 days of a repair request, complaint to a public agency or inspection, a landlord may not evict, raise rent or reduce services in retaliation. Remedies: actual damages, punitive damages of $100 to $2,000 per retaliatory act for fraud, oppression or malice, and attorney\'s fees.',
+    },
+    {
+      id: 'civ-1940-2',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1940.2',
+      title: 'Harassment to influence a tenant to vacate',
+      topics: ['harassment', 'entry'],
+      issues: ['harassment', 'illegal_entry'],
+      summary: 'A landlord may not use force, threats or menacing conduct, or significant and intentional abuse of the right of entry, to influence a tenant to vacate. Civil penalty of up to $2,000 per violation.',
+    },
+    {
+      id: 'civ-1954',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1954',
+      title: 'Landlord entry',
+      topics: ['entry'],
+      issues: ['illegal_entry'],
+      summary: 'The landlord may enter only for listed purposes, during normal business hours, after 24 hours\' written notice except in an emergency or with the tenant\'s consent, and may not use entry to harass the tenant.',
+    },
+    {
+      id: 'civ-789-3',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 789.3',
+      title: 'Utility shutoffs and lockouts',
+      topics: ['utilities', 'eviction', 'damages', 'attorney-fees'],
+      summary: 'A landlord may not willfully interrupt utilities, change locks or remove doors, windows or belongings to force a tenant out. Actual damages plus $100 a day (at least $250) per violation, and attorney\'s fees.',
+    },
+    {
+      id: 'civ-1950-5',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1950.5',
+      title: 'Security deposits',
+      topics: ['security-deposits', 'damages'],
+      summary: 'Within 21 days after move-out the landlord must return the deposit or an itemized statement, with receipts for repairs or cleaning of $125 or more. No deduction for ordinary wear and tear. Bad-faith retention adds statutory damages of up to twice the deposit.',
+    },
+    {
+      id: 'civ-1946-2',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 1946.2',
+      title: 'Tenant Protection Act - just cause for termination',
+      topics: ['eviction', 'lease-termination'],
+      summary: 'After 12 months of occupancy a covered tenancy may be terminated only for at-fault or no-fault just cause stated in the notice. No-fault terminations require relocation assistance of one month\'s rent.',
+    },
+    {
+      id: 'hsc-17920-3',
+      type: 'statute',
+      citation: 'Cal. Health & Safety Code § 17920.3',
+      title: 'Substandard buildings',
+      topics: ['habitability'],
+      issues: ['mold', 'pest_infestation', 'electrical_hazard', 'fire_hazard', 'structural_damage', 'sewage_backup', 'no_heat'],
+      summary: 'Lists conditions that make a building substandard, including dampness, visible mold, vermin infestation, faulty wiring, inadequate heating, structural hazards and inadequate sanitation.',
+    },
+    {
+      id: 'civ-3294',
+      type: 'statute',
+      citation: 'Cal. Civ. Code § 3294',
+      title: 'Punitive damages',
+      topics: ['damages'],
+      summary: 'Punitive damages are available on clear and convincing proof of oppression, fraud or malice.',
+    },
+    {
+      id: 'sf-admin-37-9',
+      type: 'ordinance',
+      localities: ['San Francisco'],
+      citation: 'S.F. Admin. Code § 37.9',
+      title: 'Rent Ordinance - evictions',
+      topics: ['eviction', 'lease-termination'],
+      summary: 'A landlord may recover possession of a covered unit only for one of the just causes listed in the ordinance, stated in the notice to quit.',
+    },
+    {
+      id: 'sf-admin-37-10b',
+      type: 'ordinance',
+      localities: ['San Francisco'],
+      citation: 'S.F. Admin. Code § 37.10B',
+      title: 'Rent Ordinance - tenant harassment',
+      topics: ['harassment', 'repairs', 'entry', 'damages'],
+      issues: ['harassment', 'illegal_entry'],
+      summary: 'Prohibits bad-faith failure to make repairs, abuse of the right of entry, threats and other harassment of tenants. Actual damages, treble damages and attorney\'s fees are recoverable.',
+    },
+    {
+      id: 'green-v-superior-court',
+      type: 'case',
+      citation: 'Green v. Superior Court, 10 Cal.3d 616 (1974)',
+      court: 'Supreme Court of California',
+      year: 1974,
+      topics: ['habitability', 'rent-withholding', 'eviction'],
+      summary: 'Recognized the implied warranty of habitability in California residential leases.',
+      holding: 'Every residential lease carries an implied warranty of habitability, and the landlord\'s breach may be raised as a defense in an unlawful detainer action for nonpayment of rent.',
+    },
+    {
+      id: 'stoiber-v-honeychuck',
+      type: 'case',
+      citation: 'Stoiber v. Honeychuck, 101 Cal.App.3d 903 (1980)',
+      court: 'California Court of Appeal',
+      year: 1980,
+      topics: ['habitability', 'damages'],
+      summary: 'Tort remedies for uninhabitable housing.',
+      holding: 'A tenant may sue in tort for the landlord\'s failure to repair, including negligence, nuisance and intentional infliction of emotional distress, and may recover emotional distress and punitive damages.',
+    },
+  ],
+};
@@ -0,0 +1,82 @@
+/**
+ * FEDERAL LEGAL CORPUS
+ *
+ * Federal law that applies in every state: the Fair Housing Act, lead-based
+ * paint disclosure, VAWA housing protections and the CARES Act notice rule.
+ * searchCorpus adds these to any state's results.
+ */
+
+export default {
+  format: 1,
+  jurisdiction: 'US',
+  name: 'Federal',
+  version: '2025.1',
+  currentThrough: '2025-07-01',
+
+  entries: [
+    {
+      id: 'fha-3604',
+      type: 'statute',
+      citation: '42 U.S.C. § 3604',
+      title: 'Fair Housing Act - discrimination in sale or rental of housing',
+      topics: ['discrimination'],
+      summary: 'Unlawful to refuse to rent, or to discriminate in the terms, conditions or services of a rental, because of race, color, religion, sex, familial status, national origin or disability, including refusing a reasonable accommodation a disabled tenant needs.',
+    },
+    {
+      id: 'fha-3617',
+      type: 'statute',
+      citation: '42 U.S.C. § 3617',
+      title: 'Fair Housing Act - interference, coercion or intimidation',
+      topics: ['discrimination', 'retaliation', 'harassment'],
+      summary: 'Unlawful to coerce, intimidate, threaten or interfere with anyone for exercising or helping others exercise fair housing rights.',
+    },
+    {
+      id: 'fha-3613',
+      type: 'statute',
+      citation: '42 U.S.C. § 3613(c)',
+      title: 'Fair Housing Act - relief in private actions',
+      topics: ['discrimination', 'damages', 'attorney-fees'],
+      summary: 'A court may award actual and punitive damages, injunctive relief and reasonable attorney\'s fees to a prevailing plaintiff.',
+    },
+    {
+      id: 'lead-disclosure-4852d',
+      type: 'statute',
+      citation: '42 U.S.C. § 4852d',
+      title: 'Lead-based paint disclosure',
+      issues: ['lead_paint'],
+      summary: 'Before leasing pre-1978 housing the landlord must disclose known lead-based paint hazards and give the EPA pamphlet. A knowing violation makes the landlord liable for treble damages.',
+    },
+    {
+      id: 'lead-disclosure-regs',
+      type: 'regulation',
+      citation: '24 C.F.R. §§ 35.88, 35.92; 40 C.F.R. § 745.113',
+      title: 'Lead-based paint disclosure rule',
+      issues: ['lead_paint'],
+      summary: 'The lease for pre-1978 housing must include a Lead Warning Statement, the landlord\'s disclosure of known lead hazards and records, and the tenant\'s acknowledgment of receiving the pamphlet.',
+    },
+    {
+      id: 'hud-reasonable-accommodation',
+      type: 'regulation',
+      citation: '24 C.F.R. § 100.204',
+      title: 'Reasonable accommodations',
+      topics: ['discrimination'],
+      summary: 'Refusing reasonable accommodations in rules, policies, practices or services that a person with a disability needs for equal opportunity to use and enjoy a dwelling is discrimination.',
+    },
+    {
+      id: 'vawa-12491',
+      type: 'statute',
+      citation: '34 U.S.C. § 12491',
+      title: 'VAWA housing protections',
+      topics: ['discrimination', 'eviction'],
+      summary: 'In federally assisted housing a tenant may not be denied tenancy or evicted because the tenant is a victim of domestic violence, dating violence, sexual assault or stalking.',
+    },
+    {
+      id: 'cares-9058',
+      type: 'statute',
+      citation: '15 U.S.C. § 9058(c)',
+      title: 'CARES Act notice to vacate',
+      topics: ['eviction'],
+      summary: 'The landlord of a covered property (federally backed mortgage or federal housing program) must give a tenant 30 days\' notice to vacate before filing for possession.',
+    },
+  ],
+};
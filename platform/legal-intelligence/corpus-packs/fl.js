@@ -0,0 +1,102 @@
+/**
+ * FLORIDA LEGAL CORPUS
+ *
+ * Residential tenancies: Fla. Stat. ch. 83, Part II (§§ 83.40-83.683).
+ */
+
+export default {
+  format: 1,
+  jurisdiction: 'FL',
+  name: 'Florida',
+  version: '2025.1',
+  currentThrough: '2025-07-01',
+
+  entries: [
+    {
+      id: 'fs-83-51',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.51',
+      title: 'Landlord\'s obligation to maintain premises',
+      topics: ['habitability', 'repairs'],
+      issues: ['pest_infestation', 'no_heat', 'no_hot_water', 'no_water', 'plumbing_failure', 'roof_leak', 'windows_broken', 'doors_broken'],
+      summary: 'The landlord must comply with applicable building, housing and health codes or, where none apply, maintain the roof, windows, doors, floors, steps, walls and plumbing in reasonable repair. Unless the lease says otherwise, apartments also require extermination, locks and keys, garbage removal, heat, and running and hot water.',
+    },
+    {
+      id: 'fs-83-56',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.56(1)',
+      title: 'Termination for landlord\'s noncompliance',
+      topics: ['repairs', 'lease-termination'],
+      summary: 'If the landlord materially fails to comply with § 83.51(1) or the lease within seven days after written notice specifying the noncompliance, the tenant may terminate the rental agreement.',
+    },
+    {
+      id: 'fs-83-60',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.60',
+      title: 'Defenses to action for rent or possession',
+      topics: ['rent-withholding', 'eviction', 'habitability'],
+      summary: 'A tenant who gave seven days\' written notice of a material § 83.51(1) noncompliance may withhold rent and raise it as a defense, with rent reduced in proportion to the loss of rental value. The tenant must pay the rent alleged due into the court registry.',
+    },
+    {
+      id: 'fs-83-64',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.64',
+      title: 'Retaliatory conduct',
+      topics: ['retaliation', 'eviction'],
+      issues: ['retaliation'],
+      summary: 'A landlord may not raise rent, reduce services or threaten eviction because the tenant complained to a government agency, organized tenants, complained of a § 83.51 noncompliance or exercised a legal remedy. Retaliation is a defense to eviction.',
+    },
+    {
+      id: 'fs-83-67',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.67',
+      title: 'Prohibited practices',
+      topics: ['utilities', 'eviction', 'damages', 'attorney-fees'],
+      issues: ['no_water', 'no_heat', 'no_hot_water'],
+      summary: 'A landlord may not cut off utilities, change the locks, remove doors, windows or belongings, or otherwise force a tenant out without a court order. The tenant recovers actual and consequential damages or three months\' rent, whichever is greater, plus costs and attorney\'s fees.',
+    },
+    {
+      id: 'fs-83-53',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.53',
+      title: 'Landlord\'s access to dwelling unit',
+      topics: ['entry', 'harassment'],
+      issues: ['illegal_entry', 'harassment'],
+      summary: 'The landlord may enter for inspection or repair on reasonable notice of at least 24 hours, between 7:30 a.m. and 8:00 p.m., and may not abuse the right of access or use it to harass the tenant.',
+    },
+    {
+      id: 'fs-83-49',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.49',
+      title: 'Deposit money or advance rent',
+      topics: ['security-deposits'],
+      summary: 'Deposits are held in a separate account with written notice of where. Within 15 days after the tenant vacates the landlord must return the deposit, or within 30 days give certified-mail notice of any claim; otherwise the landlord forfeits the right to impose a claim.',
+    },
+    {
+      id: 'fs-83-48',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.48',
+      title: 'Attorney fees',
+      topics: ['attorney-fees'],
+      summary: 'In any action to enforce the lease or Part II, the prevailing party recovers reasonable attorney\'s fees and court costs from the non-prevailing party.',
+    },
+    {
+      id: 'fs-83-55',
+      type: 'statute',
+      citation: 'Fla. Stat. § 83.55',
+      title: 'Right of action for damages',
+      topics: ['damages'],
+      summary: 'Either party may recover actual damages caused by the other\'s failure to comply with the rental agreement or Part II.',
+    },
+    {
+      id: 'willis-v-gami',
+      type: 'case',
+      citation: 'Willis v. Gami Golden Glades, LLC, 967 So. 2d 846 (Fla. 2007)',
+      court: 'Supreme Court of Florida',
+      year: 2007,
+      topics: ['damages'],
+      summary: 'Florida\'s impact rule and emotional distress damages.',
+      holding: 'The impact rule does not bar emotional distress damages where the plaintiff suffered any physical contact, however slight, as part of the defendant\'s tortious conduct.',
+    },
+  ],
+};
@@ -0,0 +1,152 @@
+/**
+ * GEORGIA LEGAL CORPUS
+ *
+ * Landlord-tenant: O.C.G.A. Title 44, Chapter 7 (as amended by the Safe at
+ * Home Act, 2024; the text before July 1, 2024 is kept as prior versions).
+ * Bad-faith fees and punitive damages: Titles 13 and 51.
+ */
+
+export default {
+  format: 1,
+  jurisdiction: 'GA',
+  name: 'Georgia',
+  version: '2025.2',
+  currentThrough: '2025-07-01',
+
+  entries: [
+    {
+      id: 'ocga-44-7-13',
+      type: 'statute',
+      citation: 'O.C.G.A. § 44-7-13',
+      title: 'Duties of landlord as to repairs and improvements',
+      topics: ['habitability', 'repairs'],
+      summary: 'The landlord must keep the premises in repair and, since July 1, 2024, fit for human habitation. The duty cannot be waived in the lease (§ 44-7-2(b)).',
+      effectiveFrom: '2024-07-01',
+      sessionLaw: 'Ga. H.B. 404 (2024)',
+      priorVersions: [
+        {
+          effectiveTo: '2024-06-30',
+          summary: 'The landlord must keep the premises in repair and is liable for substantial improvements made with the landlord\'s consent. No express duty to keep the premises fit for human habitation. The duty cannot be waived in the lease (§ 44-7-2(b)).',
+        },
+      ],
+    },
+    {
+      id: 'ocga-44-7-14',
+      type: 'statute',
+      citation: 'O.C.G.A. § 44-7-14',
+      title: 'Liability of landlord for failure to repair',
+      topics: ['repairs', 'damages'],
+      summary: 'A landlord who has parted with possession is still liable for damages from defective construction or from failure to keep the premises in repair. Liability for failure to repair requires notice of the defect and a reasonable time to fix it.',
+    },
+    {
+      id: 'ocga-44-7-2',
+      type: 'statute',
+      citation: 'O.C.G.A. § 44-7-2(b)',
+      title: 'Lease provisions waiving landlord duties void',
+      topics: ['habitability', 'repairs'],
+      summary: 'A residential lease may not waive or assign to the tenant the landlord\'s duties under §§ 44-7-13 and 44-7-14, or the tenant\'s deposit rights. Such provisions are void as against public policy.',
+    },
+    {
+      id: 'ga-hb-404-2024',
+      type: 'statute',
+      citation: 'Ga. H.B. 404 (2024) (Safe at Home Act)',
+      title: 'Safe at Home Act',
+      topics: ['habitability', 'security-deposits', 'eviction'],
+      summary: 'Effective July 1, 2024: adds fitness for human habitation to the landlord\'s duty under § 44-7-13, caps security deposits at two months\' rent, and requires a three-day written notice to vacate before a dispossessory filing for nonpayment.',
+      effectiveFrom: '2024-07-01',
+    },
+    {
+      id: 'ocga-44-7-24',
+      type: 'statute',
+      citation: 'O.C.G.A. § 44-7-24',
+      title: 'Retaliation by landlord prohibited',
+      topics: ['retaliation', 'attorney-fees', 'damages'],
+      issues: ['retaliation'],
+      summary: 'A landlord may not retaliate against a tenant for complaining to a government body about code violations, requesting repairs, or joining a tenant organization. Remedies: one month\'s rent plus $500, reasonable attorney\'s fees and court costs, less any rent the tenant owes.',
+    },
+    {
+      id: 'ocga-44-7-31',
+      type: 'statute',
+      citation: 'O.C.G.A. § 44-7-31',
+      title: 'Security deposits held in escrow',
+      topics: ['security-deposits'],
+      summary: 'The deposit must be kept in an escrow account at a state or federally regulated depository, and the tenant told in writing where it is held.',
+    },
+    {
+      id: 'ocga-44-7-33',
+      type: 'statute',
+      citation: 'O.C.G.A. § 44-7-33',
+      title: 'Move-in and move-out inspection lists',
+      topics: ['security-deposits'],
+      summary: 'Before taking a deposit the landlord must give the tenant a comprehensive list of existing damage to sign. Within three business days after move-out the landlord must inspect and list any damage.',
+    },
+    {
+      id: 'ocga-44-7-34',
+      type: 'statute',
+      citation: 'O.C.G.A. § 44-7-34',
+      title: 'Return of security deposit',
+      topics: ['security-deposits'],
+      summary: 'Within one month after the lease ends the landlord must return the deposit, or send an itemized statement of deductions with any balance. No deduction for normal wear and tear.',
+    },
+    {
+      id: 'ocga-44-7-35',
+      type: 'statute',
+      citation: 'O.C.G.A. § 44-7-35',
+      title: 'Remedies for security deposit violations',
+      topics: ['security-deposits', 'damages', 'attorney-fees'],
+      summary: 'A landlord who fails to give the move-in list or the itemized statement forfeits the right to withhold any part of the deposit. Improper withholding costs three times the sum withheld plus reasonable attorney\'s fees, or the sum alone on proof of a bona fide error.',
+    },
+    {
+      id: 'ocga-44-7-50',
+      type: 'statute',
+      citation: 'O.C.G.A. §§ 44-7-50, 44-7-55',
+      title: 'Dispossessory proceedings',
+      topics: ['eviction'],
+      summary: 'A landlord recovers possession only by demanding it, filing a dispossessory affidavit and obtaining a writ of possession. For nonpayment the demand must be a written notice to vacate at least three days before filing.',
+      effectiveFrom: '2024-07-01',
+      sessionLaw: 'Ga. H.B. 404 (2024)',
+      priorVersions: [
+        {
+          effectiveTo: '2024-06-30',
+          summary: 'A landlord recovers possession only by demanding it, filing a dispossessory affidavit and obtaining a writ of possession. The demand need not be written or made any set time before filing.',
+        },
+      ],
+    },
+    {
+      id: 'ocga-13-6-11',
+      type: 'statute',
+      citation: 'O.C.G.A. § 13-6-11',
+      title: 'Expenses of litigation',
+      topics: ['attorney-fees'],
+      summary: 'The jury may award attorney\'s fees and expenses of litigation where the defendant acted in bad faith in the underlying transaction, was stubbornly litigious, or caused the plaintiff unnecessary trouble and expense.',
+    },
+    {
+      id: 'ocga-51-12-5-1',
+      type: 'statute',
+      citation: 'O.C.G.A. § 51-12-5.1',
+      title: 'Punitive damages',
+      topics: ['damages'],
+      summary: 'Punitive damages require clear and convincing evidence of willful misconduct, malice, wantonness or conscious indifference to consequences, and are capped at $250,000 unless the defendant acted with specific intent to harm.',
+    },
+    {
+      id: 'colquitt-v-rowland',
+      type: 'case',
+      citation: 'Colquitt v. Rowland, 265 Ga. 905 (1995)',
+      court: 'Supreme Court of Georgia',
+      year: 1995,
+      topics: ['repairs', 'damages'],
+      summary: 'Notice is an element of a claim against an out-of-possession landlord for failure to repair.',
+      holding: 'An out-of-possession landlord is liable under § 44-7-14 for failure to repair only where the landlord knew or should have known of the defect and failed to repair it after notice.',
+    },
+    {
+      id: 'steed-v-fnma',
+      type: 'case',
+      citation: 'Steed v. Federal National Mortgage Corp., 301 Ga. App. 801 (2009)',
+      court: 'Court of Appeals of Georgia',
+      year: 2009,
+      topics: ['eviction', 'damages'],
+      summary: 'Self-help eviction is not permitted in Georgia.',
+      holding: 'The statutory dispossessory procedure is the exclusive means of removing a tenant; a landlord who evicts by self-help is liable for wrongful eviction.',
+    },
+  ],
+};
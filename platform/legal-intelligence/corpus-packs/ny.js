@@ -0,0 +1,145 @@
+/**
+ * NEW YORK LEGAL CORPUS
+ *
+ * Landlord-tenant: Real Property Law, RPAPL, Multiple Dwelling Law and
+ * General Obligations Law art. 7. Local: New York City Housing Maintenance
+ * Code (Admin. Code title 27, ch. 2).
+ */
+
+// The boroughs, as intake records the city, and their counties
+const NEW_YORK_CITY = ['New York', 'Manhattan', 'Brooklyn', 'Kings', 'Bronx', 'Queens', 'Staten Island', 'Richmond'];
+
+export default {
+  format: 1,
+  jurisdiction: 'NY',
+  name: 'New York',
+  version: '2025.1',
+  currentThrough: '2025-07-01',
+
+  entries: [
+    {
+      id: 'rpl-235-b',
+      type: 'statute',
+      citation: 'N.Y. Real Prop. Law § 235-b',
+      title: 'Warranty of habitability',
+      topics: ['habitability', 'repairs', 'rent-withholding', 'damages'],
+      summary: 'Every residential lease warrants that the premises are fit for human habitation and free of conditions dangerous, hazardous or detrimental to life, health or safety. The warranty cannot be waived; damages are measured by the reduced value of the premises.',
+    },
+    {
+      id: 'mdl-78',
+      type: 'statute',
+      citation: 'N.Y. Mult. Dwell. Law § 78',
+      title: 'Repairs in multiple dwellings',
+      topics: ['repairs'],
+      summary: 'Every multiple dwelling and every part of it must be kept in good repair, with the owner responsible for compliance.',
+    },
+    {
+      id: 'rpl-223-b',
+      type: 'statute',
+      citation: 'N.Y. Real Prop. Law § 223-b',
+      title: 'Retaliation by landlord',
+      topics: ['retaliation', 'eviction'],
+      issues: ['retaliation'],
+      summary: 'A landlord may not evict, refuse to renew or otherwise retaliate against a tenant for a good-faith complaint to a government agency or the landlord, or for joining a tenants\' organization. A retaliatory motive is presumed for an eviction or non-renewal within one year of the complaint.',
+    },
+    {
+      id: 'rpl-234',
+      type: 'statute',
+      citation: 'N.Y. Real Prop. Law § 234',
+      title: 'Reciprocal attorney\'s fees',
+      topics: ['attorney-fees'],
+      summary: 'Where a residential lease lets the landlord recover attorney\'s fees, the tenant is implied to have the same right when the tenant prevails.',
+    },
+    {
+      id: 'rpapl-768',
+      type: 'statute',
+      citation: 'N.Y. RPAPL § 768',
+      title: 'Unlawful eviction',
+      topics: ['eviction', 'utilities'],
+      summary: 'Removing an occupant of 30 days or more without a court order, by force, lockout, removing belongings or interrupting essential services, is unlawful and carries civil penalties of $1,000 to $10,000 per violation.',
+    },
+    {
+      id: 'rpapl-853',
+      type: 'statute',
+      citation: 'N.Y. RPAPL § 853',
+      title: 'Damages for forcible or unlawful entry',
+      topics: ['eviction', 'damages'],
+      summary: 'A person put out of real property in a forcible or unlawful manner may recover treble damages.',
+    },
+    {
+      id: 'rpl-235',
+      type: 'statute',
+      citation: 'N.Y. Real Prop. Law § 235',
+      title: 'Wilful violations - interruption of services',
+      topics: ['utilities', 'harassment'],
+      issues: ['no_heat', 'no_hot_water', 'no_water'],
+      summary: 'A landlord who wilfully interrupts or interferes with heat, light, power, water or other services the lease requires, with intent to force the tenant out, commits a misdemeanor.',
+    },
+    {
+      id: 'gol-7-108',
+      type: 'statute',
+      citation: 'N.Y. Gen. Oblig. Law § 7-108(1-a)',
+      title: 'Security deposits',
+      topics: ['security-deposits', 'damages'],
+      summary: 'Deposits are capped at one month\'s rent. Within 14 days after the tenant vacates the landlord must return the deposit or give an itemized statement; otherwise the landlord forfeits any right to retain it. Wilful violations allow punitive damages of up to twice the deposit.',
+    },
+    {
+      id: 'gol-7-103',
+      type: 'statute',
+      citation: 'N.Y. Gen. Oblig. Law § 7-103',
+      title: 'Deposits held in trust',
+      topics: ['security-deposits'],
+      summary: 'A deposit remains the tenant\'s money, held in trust and not commingled with the landlord\'s own funds. In buildings of six or more units it must earn interest for the tenant.',
+    },
+    {
+      id: 'nyc-admin-27-2005',
+      type: 'ordinance',
+      localities: NEW_YORK_CITY,
+      citation: 'N.Y.C. Admin. Code § 27-2005',
+      title: 'Housing Maintenance Code - owner\'s duties; harassment',
+      topics: ['repairs', 'harassment'],
+      issues: ['harassment'],
+      summary: 'The owner must keep the premises in good repair, and may not harass a tenant or engage in any act or omission that would constitute harassment under § 27-2004(a)(48).',
+    },
+    {
+      id: 'nyc-admin-27-2017',
+      type: 'ordinance',
+      localities: NEW_YORK_CITY,
+      citation: 'N.Y.C. Admin. Code §§ 27-2017 - 27-2017.9',
+      title: 'Housing Maintenance Code - indoor allergen hazards',
+      topics: ['habitability', 'repairs'],
+      issues: ['mold', 'pest_infestation'],
+      summary: 'Owners must keep dwellings free of mold and pests, investigate annually and on complaint, and correct the underlying defects (such as leaks) using safe work practices.',
+    },
+    {
+      id: 'nyc-admin-27-2029',
+      type: 'ordinance',
+      localities: NEW_YORK_CITY,
+      citation: 'N.Y.C. Admin. Code §§ 27-2029, 27-2031',
+      title: 'Housing Maintenance Code - heat and hot water',
+      topics: ['habitability', 'utilities'],
+      issues: ['no_heat', 'no_hot_water'],
+      summary: 'From October 1 to May 31 the owner must keep indoor temperatures of 68°F by day when it is below 55°F outside, and 62°F at night. Hot water of at least 120°F is required all year.',
+    },
+    {
+      id: 'park-west-v-mitchell',
+      type: 'case',
+      citation: 'Park West Mgt. Corp. v. Mitchell, 47 N.Y.2d 316 (1979)',
+      court: 'New York Court of Appeals',
+      year: 1979,
+      topics: ['habitability', 'rent-withholding', 'damages'],
+      summary: 'Leading case on the statutory warranty of habitability.',
+      holding: 'The warranty of habitability covers conditions that make the premises unfit or dangerous to health and safety, and damages are the difference between the rent reserved and the value of the premises during the breach.',
+    },
+    {
+      id: 'solow-v-wellner',
+      type: 'case',
+      citation: 'Solow v. Wellner, 86 N.Y.2d 582 (1995)',
+      court: 'New York Court of Appeals',
+      year: 1995,
+      topics: ['habitability', 'rent-withholding'],
+      summary: 'Proof of habitability damages.',
+      holding: 'A court may fix the abatement for breach of the warranty of habitability from the evidence of the conditions without expert testimony on the reduced rental value.',
+    },
+  ],
+};
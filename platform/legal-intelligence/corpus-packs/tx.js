@@ -0,0 +1,110 @@
+/**
+ * TEXAS LEGAL CORPUS
+ *
+ * Landlord-tenant: Property Code chapter 92 (repairs in Subchapter B,
+ * deposits in Subchapter C, retaliation in Subchapter H). Subchapter B
+ * displaces the common-law warranty of habitability (§ 92.061).
+ */
+
+export default {
+  format: 1,
+  jurisdiction: 'TX',
+  name: 'Texas',
+  version: '2025.1',
+  currentThrough: '2025-07-01',
+
+  entries: [
+    {
+      id: 'prop-92-052',
+      type: 'statute',
+      citation: 'Tex. Prop. Code § 92.052',
+      title: 'Landlord\'s duty to repair or remedy',
+      topics: ['habitability', 'repairs'],
+      summary: 'The landlord must make a diligent effort to repair any condition that materially affects the physical health or safety of an ordinary tenant, once the tenant gives notice and is current on rent. Conditions the tenant caused are excluded.',
+    },
+    {
+      id: 'prop-92-056',
+      type: 'statute',
+      citation: 'Tex. Prop. Code § 92.056',
+      title: 'Landlord liability and tenant remedies; notice and time for repair',
+      topics: ['repairs', 'lease-termination'],
+      summary: 'Liability requires notice to the person rent is paid to, a reasonable time to repair (seven days is presumed reasonable), a second written notice unless the first was sent by certified mail, and the tenant being current on rent.',
+    },
+    {
+      id: 'prop-92-0561',
+      type: 'statute',
+      citation: 'Tex. Prop. Code § 92.0561',
+      title: 'Tenant\'s repair and deduct remedies',
+      topics: ['repairs', 'rent-withholding'],
+      summary: 'After the § 92.056 notices, the tenant may repair and deduct the cost from rent, up to the greater of one month\'s rent or $500 in any one month.',
+    },
+    {
+      id: 'prop-92-0563',
+      type: 'statute',
+      citation: 'Tex. Prop. Code § 92.0563',
+      title: 'Tenant\'s judicial remedies',
+      topics: ['repairs', 'rent-withholding', 'damages', 'attorney-fees'],
+      summary: 'A court may order repairs, reduce rent in proportion to the reduced rental value, and award a civil penalty of one month\'s rent plus $500, actual damages, and attorney\'s fees and costs.',
+    },
+    {
+      id: 'prop-92-006',
+      type: 'statute',
+      citation: 'Tex. Prop. Code § 92.006',
+      title: 'Waiver of tenant rights',
+      topics: ['repairs'],
+      summary: 'The landlord\'s repair duties and the tenant\'s remedies may be waived only in the narrow written circumstances the section allows; other waivers are void.',
+    },
+    {
+      id: 'prop-92-331',
+      type: 'statute',
+      citation: 'Tex. Prop. Code §§ 92.331, 92.333',
+      title: 'Retaliation by landlord',
+      topics: ['retaliation', 'damages', 'attorney-fees'],
+      issues: ['retaliation'],
+      summary: 'Within six months after a good-faith repair request or complaint, a landlord may not evict, cut services, raise rent or otherwise retaliate. Remedies: a civil penalty of one month\'s rent plus $500, actual damages, court costs and attorney\'s fees.',
+    },
+    {
+      id: 'prop-92-0081',
+      type: 'statute',
+      citation: 'Tex. Prop. Code § 92.0081',
+      title: 'Lockouts',
+      topics: ['eviction', 'damages', 'attorney-fees'],
+      summary: 'A landlord may change locks for unpaid rent only with the required notice and must give a new key on request at any hour. Violations entitle the tenant to actual damages, one month\'s rent plus $1,000, and attorney\'s fees.',
+    },
+    {
+      id: 'prop-92-008',
+      type: 'statute',
+      citation: 'Tex. Prop. Code § 92.008',
+      title: 'Interruption of utilities',
+      topics: ['utilities', 'eviction', 'damages'],
+      issues: ['no_water', 'no_heat', 'no_hot_water'],
+      summary: 'A landlord may not interrupt or cause the interruption of utilities the landlord furnishes, except for bona fide repairs, construction or an emergency. Remedies include actual damages, one month\'s rent plus $1,000, and attorney\'s fees.',
+    },
+    {
+      id: 'prop-92-103',
+      type: 'statute',
+      citation: 'Tex. Prop. Code §§ 92.103, 92.104',
+      title: 'Refund of security deposit; retention',
+      topics: ['security-deposits'],
+      summary: 'The landlord must refund the deposit, with a written description and itemized list of deductions, within 30 days after the tenant surrenders the premises. No deduction for normal wear and tear.',
+    },
+    {
+      id: 'prop-92-109',
+      type: 'statute',
+      citation: 'Tex. Prop. Code § 92.109',
+      title: 'Liability for bad-faith retention of deposit',
+      topics: ['security-deposits', 'damages', 'attorney-fees'],
+      summary: 'A landlord who in bad faith retains a deposit is liable for $100, three times the portion wrongfully withheld, and attorney\'s fees. Failing to refund or itemize within 30 days is presumed bad faith.',
+    },
+    {
+      id: 'kamarath-v-bennett',
+      type: 'case',
+      citation: 'Kamarath v. Bennett, 568 S.W.2d 658 (Tex. 1978)',
+      court: 'Supreme Court of Texas',
+      year: 1978,
+      topics: ['habitability'],
+      summary: 'Recognized an implied warranty of habitability in Texas residential leases; the Legislature later replaced it with Property Code Subchapter B (§ 92.061).',
+      holding: 'A landlord impliedly warrants that residential premises are habitable and will remain so; the tenant\'s obligation to pay rent depends on the landlord\'s performance of that warranty.',
+    },
+  ],
+};
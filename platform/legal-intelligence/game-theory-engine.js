@@ -1,72 +1,53 @@
-t*dd ing CommandEvent*
+/**
  * GAME THEORY ENGINE
  * 
  * Apply game theory, decision trees, and Monte Carlo simulation
  * to optimize legal strategy and predict outcomes
  */
 
-import OpenAI from 'openai';
-import winston from 'winston';
-import { parse } from 'json2csv';
 import fs from 'fs';
+import { resolveLLM } from '../llm/index.js';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  transports: [
-    new winston.transports.Console(),
-    new winston.transports.File({ filename: 'game-theory-engine.log' })
-  ]
-});
+// ============================================================================
+// GAME THEORY ENGINE CLASS
+// ============================================================================
+
+/**
+ * @typedef {import('../llm/index.js').LLMOptions} GameTheoryEngineOptions
+ */
 
 export class GameTheoryEngine {
-  constructor() {
-    this.llm = openai;
+  /**
+   * @param {GameTheoryEngineOptions} [options]
+   */
+  constructor(options = {}) {
+    this.llm = resolveLLM(options);
+    this.log = options.log || console.log;
   }
 
   validateInputs(caseData, legalAnalysis) {
-    if (!caseData || !legalAnalysis || !legalAnalysis.damages) {
-      throw new Error('Invalid input data: caseData and legalAnalysis with damages are required');
+    if (!caseData || !legalAnalysis) {
+      throw new Error('Invalid input data: caseData and legalAnalysis are required');
     }
   }
 
+  /**
+   * Full strategic analysis: decision tree, expected values,
+   * Nash equilibrium and Monte Carlo simulation
+   */
   async analyzeCase(caseData, legalAnalysis, opponentProfile = null) {
     this.validateInputs(caseData, legalAnalysis);
-    logger.info('Running game theory analysis...');
-    
-    // Rest of the code remains unchanged...
-  }
-
-  async runMonteCarloSimulation(caseData, legalAnalysis, opponentProfile, iterations = 10000) {
-    // Simulation logic...
-  }
+    this.log('🎲 Running game theory analysis...');
 
-  exportResultsToCSV(results) {
-    const csv = parse(results);
-    fs.writeFileSync('results.csv', csv);
-  }
+    // Every path below is valued off the same three figures
+    legalAnalysis = { ...legalAnalysis, damages: this.resolveDamages(caseData, legalAnalysis) };
 
-  async getAIRecommendations(caseDetails) {
-    const response = await this.llm.createChatCompletion({
-      messages: [
-        { role: 'user', content: `Given the case details: ${JSON.stringify(caseDetails)}, what strategies should I consider?` }
-      ]
-    });
-    return response.data.choices[0].message.content;
-  }
-
-  // Rest of the class implementation...
-}
-
-// Export default
-export default GameTheoryEngine;
     // Build decision tree of all possible paths
-    console.log('🌳 Building decision tree...');
+    this.log('🌳 Building decision tree...');
     const decisionTree = this.buildDecisionTree(caseData, legalAnalysis);
 
     // Calculate expected values for each path
-    console.log('💰 Calculating expected values...');
+    this.log('💰 Calculating expected values...');
     const expectedValues = this.calculateExpectedValues(
       decisionTree,
       legalAnalysis,
@@ -74,14 +55,14 @@ export default GameTheoryEngine;
     );
 
     // Find Nash equilibrium strategy
-    console.log('⚖️ Finding Nash equilibrium...');
+    this.log('⚖️ Finding Nash equilibrium...');
     const nashEquilibrium = this.findNashEquilibrium(
       expectedValues,
       opponentProfile
     );
 
     // Run Monte Carlo simulation
-    console.log('🎰 Running Monte Carlo simulation (10,000 iterations)...');
+    this.log('🎰 Running Monte Carlo simulation (10,000 iterations)...');
     const simulations = await this.runMonteCarloSimulation(
       caseData,
       legalAnalysis,
@@ -90,7 +71,7 @@ export default GameTheoryEngine;
     );
 
     // Generate optimal strategy
-    console.log('🎯 Generating optimal strategy...');
+    this.log('🎯 Generating optimal strategy...');
     const optimalStrategy = this.generateOptimalStrategy({
       decisionTree,
       expectedValues,
@@ -98,7 +79,7 @@ export default GameTheoryEngine;
       simulations
     });
 
-    console.log('✅ Game theory analysis complete\n');
+    this.log('✅ Game theory analysis complete\n');
 
     return {
       decisionTree,
@@ -110,6 +91,35 @@ export default GameTheoryEngine;
     };
   }
 
+  /**
+   * Conservative, recommended and aggressive damages to value outcomes at.
+   * legalAnalysis.damages may hold the DamagesAgent's result or the three
+   * figures; before damages are calculated, the rent paid while the problem
+   * lasted stands in (a quarter, half, and all of it back).
+   * @returns {{ conservative: number, recommended: number, aggressive: number }}
+   */
+  resolveDamages(caseData, legalAnalysis) {
+    const damages = legalAnalysis.damages;
+
+    if (damages?.recommended?.demandAmount !== undefined) {
+      return {
+        conservative: damages.conservative.total,
+        recommended: damages.recommended.demandAmount,
+        aggressive: damages.aggressive.total,
+      };
+    }
+    if (['conservative', 'recommended', 'aggressive'].every(key => Number.isFinite(damages?.[key]))) {
+      return damages;
+    }
+
+    const rentPaid = (caseData.lease?.monthlyRent || 0) * problemDays(caseData.timeline) / 30;
+    return {
+      conservative: rentPaid * 0.25,
+      recommended: rentPaid * 0.5,
+      aggressive: rentPaid,
+    };
+  }
+
   // ==========================================================================
   // DECISION TREE
   // ==========================================================================
@@ -771,6 +781,43 @@ ${strategy.tactics.map(t => `• ${t}`).join('\n')}
     }
   }
 
+  // ==========================================================================
+  // AI RECOMMENDATIONS & EXPORT
+  // ==========================================================================
+
+  /**
+   * Ask the model for additional strategies to consider
+   */
+  async getAIRecommendations(caseDetails) {
+    const response = await this.llm.chat({
+      model: 'gpt-4-turbo-preview',
+      messages: [
+        { role: 'user', content: `Given the case details: ${JSON.stringify(caseDetails)}, what strategies should I consider?` }
+      ]
+    });
+    return response.content;
+  }
+
+  /**
+   * Export flat result rows (e.g. expectedValues.scenarios) to CSV
+   */
+  exportResultsToCSV(results, filePath = 'results.csv') {
+    const rows = Array.isArray(results) ? results : [results];
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const csv = [
+      columns.join(','),
+      ...rows.map(row => columns.map(col => escape(row[col])).join(','))
+    ].join('\n');
+
+    fs.writeFileSync(filePath, csv);
+    return filePath;
+  }
+
   // ==========================================================================
   // STATISTICAL UTILITIES
   // ==========================================================================
@@ -807,6 +854,19 @@ ${strategy.tactics.map(t => `• ${t}`).join('\n')}
   }
 }
 
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+// Days the problem has lasted, from the intake timeline
+function problemDays(timeline = {}) {
+  if (timeline.durationDays) return timeline.durationDays;
+
+  const start = Date.parse(timeline.firstIssueDate);
+  if (Number.isNaN(start)) return 0;
+  return Math.max(0, Math.round((Date.now() - start) / 86400000));
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -0,0 +1,396 @@
+/**
+ * LEGAL CORPUS
+ *
+ * Offline statutes, regulations, local ordinances and cases the legal
+ * mappers cite from, so an analysis is grounded in known authority even with
+ * no vector database. Every entry is tagged with the topics it governs and
+ * the intake issue categories it speaks to.
+ *
+ * Built-in packs live in corpus-packs/ (GA, CA, NY, TX, FL, plus federal law
+ * that applies everywhere). Add a state, or local ordinances for a city, with
+ * a JS/JSON file:
+ *
+ *   const pack = await loadCorpusPack('./corpus/nc.json');
+ *   registerCorpusPack(pack);
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { z } from 'zod';
+import georgia from './corpus-packs/ga.js';
+import california from './corpus-packs/ca.js';
+import newYork from './corpus-packs/ny.js';
+import texas from './corpus-packs/tx.js';
+import florida from './corpus-packs/fl.js';
+import federal from './corpus-packs/federal.js';
+import { versionInForce, governingDate } from './statute-versions.js';
+
+// Bump when the pack format changes; packs written for a newer format are refused
+export const CORPUS_FORMAT_VERSION = 1;
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+export const AUTHORITY_TYPES = ['statute', 'regulation', 'ordinance', 'case'];
+
+export const CORPUS_TOPICS = [
+  'habitability',
+  'repairs',
+  'security-deposits',
+  'eviction',
+  'retaliation',
+  'discrimination',
+  'harassment',
+  'entry',
+  'utilities',
+  'rent-withholding',
+  'lease-termination',
+  'attorney-fees',
+  'damages',
+];
+
+// Remedies raise an entry that also matches the facts, but never match alone
+// (a deposit statute's fee clause is no help in a leak case)
+export const REMEDY_TOPICS = ['attorney-fees', 'damages'];
+
+// Topics an intake issue category raises, so a water leak finds the duty to
+// repair even when no entry names water leaks
+export const ISSUE_TOPICS = {
+  water_leak: ['habitability', 'repairs'],
+  mold: ['habitability', 'repairs'],
+  no_heat: ['habitability', 'repairs', 'utilities'],
+  no_ac: ['habitability', 'repairs'],
+  no_hot_water: ['habitability', 'repairs', 'utilities'],
+  plumbing_failure: ['habitability', 'repairs'],
+  electrical_hazard: ['habitability', 'repairs'],
+  structural_damage: ['habitability', 'repairs'],
+  pest_infestation: ['habitability', 'repairs'],
+  broken_appliances: ['repairs'],
+  no_water: ['habitability', 'repairs', 'utilities'],
+  sewage_backup: ['habitability', 'repairs'],
+  roof_leak: ['habitability', 'repairs'],
+  windows_broken: ['habitability', 'repairs'],
+  doors_broken: ['habitability', 'repairs'],
+  fire_hazard: ['habitability', 'repairs'],
+  carbon_monoxide: ['habitability', 'repairs'],
+  lead_paint: ['habitability'],
+  asbestos: ['habitability'],
+  harassment: ['harassment'],
+  illegal_entry: ['entry', 'harassment'],
+  retaliation: ['retaliation'],
+  other: [],
+};
+
+const EntrySchema = z.object({
+  id: z.string(), // stable within the pack - later packs replace entries by id
+  citation: z.string(),
+  topics: z.array(z.enum(CORPUS_TOPICS)).default([]),
+  issues: z.array(z.string()).default([]), // intake issue categories it speaks to directly
+  summary: z.string(),
+  fullText: z.string().optional(),
+  url: z.string().optional(),
+  // Kept so citations to old law are caught, not silently unknown
+  status: z.enum(['current', 'superseded', 'repealed']).default('current'),
+  supersededBy: z.string().optional(), // citation of what replaced it
+  // When the current text took effect, and the texts before it, so a case is
+  // judged under the law in force at the time (see statute-versions.js)
+  effectiveFrom: z.string().optional(), // ISO date
+  sessionLaw: z.string().optional(), // act that enacted the current text
+  priorVersions: z.array(z.object({
+    effectiveFrom: z.string().optional(),
+    effectiveTo: z.string(), // last day in force
+    sessionLaw: z.string().optional(),
+    summary: z.string(),
+    fullText: z.string().optional(),
+  })).default([]),
+});
+
+export const CorpusEntrySchema = z.discriminatedUnion('type', [
+  EntrySchema.extend({
+    type: z.enum(['statute', 'regulation']),
+    title: z.string(),
+  }),
+  EntrySchema.extend({
+    type: z.literal('ordinance'),
+    title: z.string(),
+    localities: z.array(z.string()).min(1), // cities or counties the ordinance applies in
+  }),
+  EntrySchema.extend({
+    type: z.literal('case'),
+    court: z.string(),
+    year: z.number().int(),
+    holding: z.string(),
+  }),
+]);
+
+export const CorpusPackSchema = z.object({
+  format: z.number().int().max(CORPUS_FORMAT_VERSION, {
+    message: `Corpus format is newer than this build supports (${CORPUS_FORMAT_VERSION})`,
+  }),
+  jurisdiction: z.string().length(2), // USPS code, or 'US' for federal law
+  name: z.string(),
+  version: z.string(),
+  currentThrough: z.string(), // ISO date the pack was last checked against the sources
+  entries: z.array(CorpusEntrySchema),
+}).superRefine((pack, ctx) => {
+  const seen = new Set();
+  pack.entries.forEach((entry, index) => {
+    if (seen.has(entry.id)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['entries', index, 'id'], message: `Duplicate entry id ${entry.id}` });
+    }
+    if (entry.topics.length === 0 && entry.issues.length === 0) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['entries', index, 'topics'], message: 'Entry needs at least one topic or issue' });
+    }
+    seen.add(entry.id);
+  });
+});
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+export const FEDERAL_JURISDICTION = 'US';
+
+const BUILT_IN_PACKS = [georgia, california, newYork, texas, florida, federal].map(pack => CorpusPackSchema.parse(pack));
+
+const registry = new Map(BUILT_IN_PACKS.map(pack => [pack.jurisdiction, pack]));
+
+/**
+ * Add a state's pack for every mapper. Entries are merged into the state's
+ * existing pack by id (a city's ordinances on top of the built-in statutes)
+ * unless `replace` is set.
+ * @param {object} pack
+ * @param {{ replace?: boolean }} [options]
+ * @returns {object} The pack now registered for the state
+ */
+export function registerCorpusPack(pack, { replace = false } = {}) {
+  const validated = CorpusPackSchema.parse(pack);
+  const key = validated.jurisdiction.toUpperCase();
+  const existing = registry.get(key);
+
+  const registered = existing && !replace ? mergeCorpusPacks(existing, validated) : validated;
+  registry.set(key, registered);
+  return registered;
+}
+
+/**
+ * Read a pack from a .json file or a JS module's default export
+ * @returns {Promise<object>} The validated pack (not registered)
+ */
+export async function loadCorpusPack(file) {
+  const resolved = path.resolve(file);
+  const pack = path.extname(resolved) === '.json'
+    ? JSON.parse(await fs.readFile(resolved, 'utf8'))
+    : (await import(pathToFileURL(resolved).href)).default;
+
+  const result = CorpusPackSchema.safeParse(pack);
+  if (!result.success) {
+    throw new Error(`Invalid legal corpus pack ${path.basename(resolved)}: ${result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; ')}`);
+  }
+  return result.data;
+}
+
+/**
+ * Pack for a state code or name ("GA", "Georgia"); null when the state has
+ * none. Federal law is never returned here - searchCorpus adds it.
+ * @param {string} state
+ * @param {Map<string, object>} [overrides] - Packs that win over the registry
+ * @returns {object|null}
+ */
+export function getCorpusPack(state, overrides = new Map()) {
+  const key = String(state || '').trim().toUpperCase();
+  if (!key || key === FEDERAL_JURISDICTION) return null;
+
+  const matches = p => p.jurisdiction.toUpperCase() === key || p.name.toUpperCase() === key;
+  const override = [...overrides.values()].find(matches);
+  const registered = [...registry.values()].find(matches);
+
+  if (override && registered) return mergeCorpusPacks(registered, override);
+  return override || registered || null;
+}
+
+/**
+ * Every registered pack with its entries, federal law included
+ * @returns {object[]}
+ */
+export function getCorpusPacks() {
+  return [...registry.values()];
+}
+
+export function listCorpusPacks() {
+  return [...registry.values()].map(({ jurisdiction, name, version, currentThrough, entries }) => ({
+    jurisdiction,
+    name,
+    version,
+    currentThrough,
+    entries: entries.length,
+  }));
+}
+
+// ============================================================================
+// RETRIEVAL
+// ============================================================================
+
+/**
+ * @typedef {object} CorpusQuery
+ * @property {string} state - USPS code or state name
+ * @property {string[]} [issues] - Intake issue categories
+ * @property {string[]} [topics] - CORPUS_TOPICS, in addition to those the issues raise
+ * @property {string[]} [types] - AUTHORITY_TYPES to return (default all)
+ * @property {string[]} [localities] - City and county; ordinances elsewhere are left out
+ * @property {boolean} [includeFederal] - Add federal law (default true)
+ * @property {{ leaseSigned: string|null, firstNotice: string|null }} [dates] - From
+ *   caseLegalDates; statutes come back in the version in force on the date
+ *   that governs them, and law not yet in effect is left out
+ * @property {number} [limit]
+ */
+
+/**
+ * Entries for a state ranked by how directly they address the case: an
+ * entry naming one of the issues outranks one that only shares a topic, and
+ * state law outranks federal law on a tie. With no issues or topics every
+ * entry of the requested types comes back.
+ * @param {CorpusQuery} query
+ * @param {Map<string, object>} [overrides] - Packs that win over the registry
+ * @returns {object[]} Entries with jurisdiction, corpus version and a 0-1 relevanceScore
+ */
+export function searchCorpus(query, overrides = new Map()) {
+  const {
+    state,
+    issues = [],
+    topics = [],
+    types = AUTHORITY_TYPES,
+    localities = [],
+    includeFederal = true,
+    dates = null,
+    limit = 20,
+  } = query;
+
+  const wanted = new Set([...topics, ...issues.flatMap(issue => ISSUE_TOPICS[issue] || [])]);
+  const places = localities.filter(Boolean).map(normalizeLocality);
+  const unfiltered = wanted.size === 0 && issues.length === 0;
+
+  const packs = [getCorpusPack(state, overrides)];
+  if (includeFederal) packs.push(overrides.get(FEDERAL_JURISDICTION) || registry.get(FEDERAL_JURISDICTION));
+
+  const scored = packs.filter(Boolean).flatMap((pack, packIndex) => pack.entries
+    .filter(entry => types.includes(entry.type) && entry.status === 'current')
+    .filter(entry => entry.type !== 'ordinance' || entry.localities.some(place => places.includes(normalizeLocality(place))))
+    .map(entry => (dates && entry.type !== 'case' ? entryAsOf(entry, dates) : entry))
+    .filter(Boolean)
+    .map(entry => ({
+      entry: { ...entry, jurisdiction: pack.jurisdiction, corpusVersion: pack.version },
+      score: unfiltered ? 1 : scoreEntry(entry, issues, wanted),
+      packIndex,
+    })))
+    .filter(result => result.score > 0);
+
+  scored.sort((a, b) => b.score - a.score
+    || a.packIndex - b.packIndex
+    || AUTHORITY_TYPES.indexOf(a.entry.type) - AUTHORITY_TYPES.indexOf(b.entry.type));
+
+  const best = scored[0]?.score || 1;
+  return scored.slice(0, limit).map(({ entry, score }) => ({
+    ...entry,
+    relevanceScore: Math.round((score / best) * 100) / 100,
+  }));
+}
+
+/**
+ * Issue categories reported in a case. Intake records `category`; older
+ * callers used `type`.
+ */
+export function caseIssueCategories(caseData) {
+  return [...new Set((caseData?.issues || []).map(issue => issue.category || issue.type).filter(Boolean))];
+}
+
+/**
+ * An entry's versions, oldest first, in the statute-versions shape
+ */
+export function entryVersions(entry) {
+  const prior = [...entry.priorVersions]
+    .sort((a, b) => a.effectiveTo.localeCompare(b.effectiveTo))
+    .map(version => ({
+      effectiveFrom: version.effectiveFrom || null,
+      effectiveTo: version.effectiveTo,
+      sessionLaw: version.sessionLaw || null,
+      summary: version.summary,
+      fullText: version.fullText || version.summary,
+    }));
+
+  return [...prior, {
+    effectiveFrom: entry.effectiveFrom || null,
+    effectiveTo: null,
+    sessionLaw: entry.sessionLaw || null,
+    summary: entry.summary,
+    fullText: entry.fullText || entry.summary,
+  }];
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+/**
+ * The entry as it read on the date that governs it, with a `version` note;
+ * null when it wasn't yet law
+ */
+function entryAsOf(entry, dates) {
+  const governing = governingDate(entry.topics, dates);
+  if (!governing) return entry;
+
+  const versions = entryVersions(entry);
+  const version = versionInForce(versions, governing.date);
+  if (!version) return null;
+
+  const index = versions.indexOf(version);
+  const current = index === versions.length - 1;
+  const next = versions[index + 1];
+
+  return {
+    ...entry,
+    summary: version.summary,
+    fullText: current ? entry.fullText : entry.priorVersions.find(v => v.effectiveTo === version.effectiveTo)?.fullText,
+    version: {
+      asOf: governing.date,
+      basis: governing.basis,
+      effectiveFrom: version.effectiveFrom,
+      effectiveTo: version.effectiveTo,
+      sessionLaw: version.sessionLaw,
+      current,
+      amendedOn: next?.effectiveFrom || null,
+      amendedBy: next?.sessionLaw || null,
+    },
+  };
+}
+
+function scoreEntry(entry, issues, wanted) {
+  const issueHits = entry.issues.filter(issue => issues.includes(issue)).length;
+  const factTopics = entry.topics.filter(topic => !REMEDY_TOPICS.includes(topic));
+  const factHits = factTopics.filter(topic => wanted.has(topic)).length;
+  const remedyHits = entry.topics.filter(topic => REMEDY_TOPICS.includes(topic) && wanted.has(topic)).length;
+
+  // A pure remedy provision (bad-faith fees, punitive damages) stands on its own
+  if (issueHits === 0 && factHits === 0 && (factTopics.length > 0 || entry.issues.length > 0)) return 0;
+  return issueHits * 3 + factHits * 2 + remedyHits;
+}
+
+function normalizeLocality(place) {
+  return String(place).trim().toLowerCase().replace(/\s+(county|city)$/, '');
+}
+
+function mergeCorpusPacks(base, addition) {
+  const entries = new Map(base.entries.map(entry => [entry.id, entry]));
+  for (const entry of addition.entries) entries.set(entry.id, entry);
+
+  return {
+    ...base,
+    version: addition.version,
+    currentThrough: addition.currentThrough > base.currentThrough ? addition.currentThrough : base.currentThrough,
+    entries: [...entries.values()],
+  };
+}
+
+export default searchCorpus;
@@ -4,39 +4,91 @@
  * Complete implementation of legal library with:
  * - All 50 states tenant laws
  * - Federal regulations
- * - Case law database
+ * - Case law database, with a citation graph of how cases treat each
+ *   other (citation-graph.js) driving citation counts and good-law status
  * - Real-time scraping & updates
- * - Vector embeddings for semantic search
+ * - Statute version history with effective dates (statute-versions.js),
+ *   fed by amendments from a drop folder or feed (statute-updater.js)
+ * - Hybrid keyword + vector search over a pluggable store (local files by
+ *   default, Prisma + Pinecone when configured - see library-store/)
  */
 
-import OpenAI from 'openai';
-import { PrismaClient } from '@prisma/client';
-import { Pinecone } from '@pinecone-database/pinecone';
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { createHash } from 'crypto';
+import { resolveLLM } from '../llm/index.js';
+import { createLibraryStore, LibraryStore, HashingEmbedder } from './library-store/index.js';
+import { getCorpusPacks, entryVersions } from './legal-corpus.js';
+import { parseCitations, PRIMARY_CODES } from './citation-parser.js';
+import { addStatuteVersion, mergeStatuteVersions, versionInForce } from './statute-versions.js';
+import StatuteUpdater from './statute-updater.js';
+import CitationGraph, { authorityScore } from './citation-graph.js';
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-const prisma = new PrismaClient();
-const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+/**
+ * Raised when the embedding model can't produce a vector. A zero vector
+ * would silently match nothing (or everything), so callers get this instead
+ * and the local store falls back to keyword search.
+ */
+export class EmbeddingError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'EmbeddingError';
+    this.cause = cause;
+  }
+}
 
 // ============================================================================
 // LEGAL LIBRARY CLASS
 // ============================================================================
 
+/**
+ * @typedef {import('../llm/index.js').LLMOptions & {
+ *   store?: LibraryStore|'local'|'pinecone',
+ *   storeDir?: string,
+ *   embeddings?: 'llm'|'hashing',
+ *   embedder?: { embed: Function, resolveEmbeddingModel: Function },
+ *   hybridWeight?: number,
+ *   amendmentsDir?: string,
+ *   amendmentsFeed?: string,
+ * }} LegalLibraryOptions
+ *
+ * - store: backend instance or name (default LEGAL_LIBRARY_STORE, then
+ *   'pinecone' with PINECONE_API_KEY, else 'local')
+ * - storeDir: local store directory (default LEGAL_LIBRARY_DIR or ./.legal-library)
+ * - embeddings: 'llm' embeds through the LLM provider; 'hashing' is the
+ *   offline, deterministic embedder (default LEGAL_LIBRARY_EMBEDDINGS, then 'llm')
+ * - hybridWeight: share of the local search score from vectors (default 0.5)
+ * - amendmentsDir / amendmentsFeed: where weeklyUpdate() looks for statute
+ *   amendments (default LEGAL_AMENDMENTS_DIR or ./legal-amendments, and
+ *   LEGAL_AMENDMENTS_FEED)
+ */
+
 export class LegalLibrary {
-  constructor() {
-    this.index = null;
+  /**
+   * @param {LegalLibraryOptions} [options]
+   */
+  constructor(options = {}) {
+    this.llm = resolveLLM(options);
+    this.log = options.log || console.log;
+    this.embedder = options.embedder || (
+      (options.embeddings || process.env.LEGAL_LIBRARY_EMBEDDINGS) === 'hashing' ? new HashingEmbedder() : null
+    );
+    this.storeOptions = options;
+    this.store = null;
+    this.citationGraph = null; // built by updateCitationCounts()
     this.initialized = false;
   }
 
   async initialize() {
     if (this.initialized) return;
 
-    // Connect to Pinecone vector database
-    this.index = pinecone.index(process.env.PINECONE_INDEX_NAME || 'legal-library');
-    
-    console.log('✅ Legal Library initialized');
+    const { store, storeDir, hybridWeight } = this.storeOptions;
+    this.store = store instanceof LibraryStore
+      ? store
+      : await createLibraryStore({ store, dir: storeDir, hybridWeight, log: this.log });
+    await this.store.initialize({ embeddingModel: this.embeddingModel() });
+
+    this.log(`✅ Legal Library initialized (${this.store.name} store)`);
     this.initialized = true;
   }
 
@@ -78,7 +130,7 @@ export class LegalLibrary {
           const statutes = await this.scrapeStateLaw(state, topic);
           
           for (const statute of statutes) {
-            await this.saveStatute(statute);
+            await this.saveStatute(statute, { flush: false });
             totalStatutes++;
           }
 
@@ -90,6 +142,8 @@ export class LegalLibrary {
           console.error(`  ✗ Failed to scrape ${state} ${topic}:`, error.message);
         }
       }
+
+      await this.store.flush();
     }
 
     console.log(`\n✅ Scraped ${totalStatutes} total statutes`);
@@ -149,7 +203,7 @@ export class LegalLibrary {
           statutes.push({
             jurisdiction: state,
             source: 'justia',
-            code: this.extractCode(text),
+            code: this.extractCode(text, state),
             title: text,
             url: `https://law.justia.com${href}`,
             topic
@@ -277,22 +331,13 @@ export class LegalLibrary {
   }
 
   /**
-   * Extract statute code from text
+   * Normalized statute citation from a listing's text ("§ 44-7-13. Landlord's
+   * duties" in Georgia → "O.C.G.A. § 44-7-13")
    */
-  extractCode(text) {
-    // Match patterns like "§ 44-7-13", "Cal. Civ. Code § 1941", etc.
-    const patterns = [
-      /§\s*[\d-]+(?:\.\d+)?/,
-      /\d+\s*U\.?S\.?C\.?\s*§\s*\d+/,
-      /[A-Z][a-z]+\.\s*[A-Z][a-z]+\.\s*Code\s*§\s*\d+/
-    ];
-
-    for (const pattern of patterns) {
-      const match = text.match(pattern);
-      if (match) return match[0];
-    }
-
-    return 'Unknown Code';
+  extractCode(text, state) {
+    const [citation] = parseCitations(text, { defaultCode: PRIMARY_CODES[state] })
+      .filter(c => c.type !== 'case');
+    return citation ? citation.normalized : 'Unknown Code';
   }
 
   /**
@@ -367,15 +412,17 @@ export class LegalLibrary {
           holdingText: await this.extractHolding(caseData),
           outcome: this.categorizeOutcome(caseData),
           citeCount: caseData.citeCount || 0,
+          sourceCiteCount: caseData.citeCount || 0, // CourtListener's count; the graph only sees the library
           url: caseData.absolute_url,
           jurisdiction,
           topic,
           lastUpdated: new Date()
         };
 
-        await this.saveCaseLaw(caseRecord);
+        await this.saveCaseLaw(caseRecord, { flush: false });
         saved.push(caseRecord);
       }
+      await this.store.flush();
 
       console.log(`  ✓ Saved ${saved.length} cases`);
       return saved;
@@ -393,7 +440,7 @@ export class LegalLibrary {
 
     // Use AI to extract the actual legal holding
     try {
-      const response = await openai.chat.completions.create({
+      const response = await this.llm.chat({
         model: 'gpt-4',
         messages: [{
           role: 'system',
@@ -402,11 +449,11 @@ export class LegalLibrary {
           role: 'user',
           content: caseData.snippet
         }],
-        max_tokens: 200,
+        maxTokens: 200,
         temperature: 0.2
       });
 
-      return response.choices[0].message.content;
+      return response.content;
     } catch (error) {
       return caseData.snippet.substring(0, 500);
     }
@@ -436,50 +483,19 @@ export class LegalLibrary {
   // ==========================================================================
 
   /**
-   * Save statute to database with vector embedding
+   * Save statute to the store with its vector embedding
+   * @param {object} statute
+   * @param {{ flush?: boolean }} [options] - Bulk callers pass false and flush once
    */
-  async saveStatute(statute) {
+  async saveStatute(statute, { flush = true } = {}) {
     try {
-      // Generate unique ID
       const id = this.generateId(statute);
 
       // Check if already exists
-      const existing = await prisma.statute.findUnique({ where: { id } });
+      const existing = await this.store.findStatute(id);
       if (existing) return existing;
 
-      // Generate embedding for semantic search
-      const embedding = await this.generateEmbedding(
-        `${statute.title} ${statute.fullText}`.substring(0, 8000)
-      );
-
-      // Save to PostgreSQL
-      const saved = await prisma.statute.create({
-        data: {
-          id,
-          jurisdiction: statute.jurisdiction,
-          code: statute.code,
-          title: statute.title,
-          fullText: statute.fullText || '',
-          url: statute.url || '',
-          topic: statute.topic,
-          source: statute.source || 'unknown',
-          lastUpdated: new Date()
-        }
-      });
-
-      // Save embedding to Pinecone
-      await this.index.upsert([{
-        id: id,
-        values: embedding,
-        metadata: {
-          jurisdiction: statute.jurisdiction,
-          code: statute.code,
-          title: statute.title,
-          topic: statute.topic
-        }
-      }]);
-
-      return saved;
+      return await this.persist('statute', { ...statute, id }, flush);
     } catch (error) {
       console.error(`Error saving statute ${statute.code}:`, error.message);
       return null;
@@ -487,138 +503,260 @@ export class LegalLibrary {
   }
 
   /**
-   * Save case law to database
+   * Save case law to the store
+   * @param {object} caseData
+   * @param {{ flush?: boolean }} [options]
    */
-  async saveCaseLaw(caseData) {
+  async saveCaseLaw(caseData, { flush = true } = {}) {
     try {
       const id = this.generateId(caseData);
 
-      const existing = await prisma.caseLaw.findUnique({ where: { id } });
+      const existing = await this.store.findCaseLaw(id);
       if (existing) return existing;
 
-      const embedding = await this.generateEmbedding(
-        `${caseData.facts} ${caseData.holdingText}`.substring(0, 8000)
-      );
+      return await this.persist('case', { ...caseData, id }, flush);
+    } catch (error) {
+      console.error(`Error saving case ${caseData.citation}:`, error.message);
+      return null;
+    }
+  }
 
-      const saved = await prisma.caseLaw.create({
-        data: {
-          id,
-          court: caseData.court,
-          citation: caseData.citation,
-          year: caseData.year,
-          opinion: caseData.opinion || '',
-          holdingText: caseData.holdingText || '',
-          facts: caseData.facts || '',
-          outcome: caseData.outcome || 'unknown',
-          citeCount: caseData.citeCount || 0,
-          url: caseData.url || '',
-          jurisdiction: caseData.jurisdiction,
-          topic: caseData.topic,
-          lastUpdated: new Date()
-        }
-      });
+  /**
+   * Embed and store a record (no existence check)
+   */
+  async persist(kind, record, flush) {
+    const text = kind === 'case'
+      ? `${record.facts} ${record.holdingText}`
+      : `${record.title} ${record.fullText}`;
 
-      await this.index.upsert([{
-        id: id,
-        values: embedding,
-        metadata: {
-          type: 'case',
-          jurisdiction: caseData.jurisdiction,
-          citation: caseData.citation,
-          year: caseData.year,
-          topic: caseData.topic
+    let embedding = null;
+    try {
+      embedding = await this.generateEmbedding(text);
+    } catch (error) {
+      // A store with keyword search keeps the record and reindex() embeds it later
+      if (!(error instanceof EmbeddingError) || !this.store.supportsKeywordSearch) throw error;
+      this.log(`⚠️ Saved ${record.code || record.citation} without an embedding: ${error.message}`);
+    }
+
+    const saved = kind === 'case'
+      ? await this.store.saveCaseLaw(record, embedding)
+      : await this.store.saveStatute(record, embedding);
+    if (flush) await this.store.flush();
+    return saved;
+  }
+
+  /**
+   * Load the offline legal corpus (every registered pack, federal included)
+   * into the store, so library research works without scraping. Entries
+   * already indexed from the same pack version are skipped.
+   * @returns {Promise<number>} Records added or updated
+   */
+  async indexCorpus() {
+    await this.initialize();
+
+    let indexed = 0;
+    for (const pack of getCorpusPacks()) {
+      for (const entry of pack.entries) {
+        const record = corpusRecord(pack, entry);
+        const kind = entry.type === 'case' ? 'case' : 'statute';
+        const existing = kind === 'case'
+          ? await this.store.findCaseLaw(record.id)
+          : await this.store.findStatute(record.id);
+        if (existing?.corpusVersion === pack.version) continue;
+
+        // Amendments ingested since the last pack survive the new one, and
+        // a case keeps its place in the citation graph
+        let merged = record;
+        if (existing?.versions?.length) merged = withVersions(record, mergeStatuteVersions(record.versions, existing.versions));
+        if (kind === 'case' && existing?.treatment) {
+          merged = { ...merged, citeCount: existing.citeCount, goodLaw: existing.goodLaw, treatment: existing.treatment };
         }
-      }]);
 
-      return saved;
-    } catch (error) {
-      console.error(`Error saving case ${caseData.citation}:`, error.message);
-      return null;
+        await this.persist(kind, merged, false);
+        indexed++;
+      }
+    }
+
+    await this.store.flush();
+    this.log(`✅ Indexed ${indexed} corpus entries`);
+    return indexed;
+  }
+
+  /**
+   * Embed every record the store holds without a vector - saved while the
+   * embedding model was down, or before switching models
+   * @returns {Promise<number>} Records embedded
+   */
+  async reindex() {
+    await this.initialize();
+
+    const missing = await this.store.missingEmbeddings();
+    let embedded = 0;
+
+    for (const { kind, record } of missing) {
+      try {
+        await this.persist(kind, record, false);
+        embedded++;
+      } catch (error) {
+        this.log(`⚠️ Error reindexing ${record.code || record.citation}: ${error.message}`);
+      }
+    }
+
+    await this.store.flush();
+    this.log(`✅ Reindexed ${embedded} of ${missing.length} records`);
+    return embedded;
+  }
+
+  // ==========================================================================
+  // STATUTE VERSIONS
+  // ==========================================================================
+
+  /**
+   * Add a version of a statute (from StatuteUpdater). The statute's history
+   * is diffed against the new text; one we don't hold yet is created.
+   * @param {object} amendment - AmendmentSchema: jurisdiction, citation, effectiveFrom,
+   *   sessionLaw, fullText
+   * @param {{ flush?: boolean }} [options]
+   * @returns {Promise<{ result: 'created'|'added'|'corrected'|'unchanged', statute: object,
+   *   changes?: { added: string[], removed: string[] } }>}
+   */
+  async applyStatuteVersion(amendment, { flush = true } = {}) {
+    await this.initialize();
+
+    const version = {
+      effectiveFrom: amendment.effectiveFrom,
+      effectiveTo: amendment.effectiveTo || null,
+      sessionLaw: amendment.sessionLaw,
+      fullText: amendment.fullText,
+      summary: amendment.summary,
+    };
+    const existing = await this.findStatuteByCitation(amendment.citation, amendment.jurisdiction);
+
+    if (!existing) {
+      const code = this.extractCode(amendment.citation, amendment.jurisdiction);
+      const { versions, changes } = addStatuteVersion([], version);
+      const statute = withVersions({
+        id: this.generateId({ jurisdiction: amendment.jurisdiction, code }),
+        jurisdiction: amendment.jurisdiction,
+        source: 'amendment',
+        code: code === 'Unknown Code' ? amendment.citation : code,
+        title: amendment.title || amendment.citation,
+        url: amendment.url || '',
+        topic: amendment.topic || 'landlord-tenant',
+      }, versions);
+
+      return { result: 'created', statute: await this.persist('statute', statute, flush), changes };
     }
+
+    // A statute saved before versions were tracked: its text is the baseline
+    const history = existing.versions?.length
+      ? existing.versions
+      : [{ effectiveFrom: null, fullText: existing.fullText || '' }];
+    const { versions, result, changes } = addStatuteVersion(history, version);
+    if (result === 'unchanged') return { result, statute: existing };
+
+    const statute = withVersions({
+      ...existing,
+      title: amendment.title || existing.title,
+      url: amendment.url || existing.url,
+    }, versions);
+    return { result, statute: await this.persist('statute', statute, flush), changes };
+  }
+
+  /**
+   * Stored statute a citation refers to, matched on the parsed section
+   * ("O.C.G.A. § 44-7-13(a)" finds "O.C.G.A. § 44-7-13")
+   */
+  async findStatuteByCitation(citation, jurisdiction) {
+    const defaultCode = PRIMARY_CODES[String(jurisdiction || '').toUpperCase()];
+    const keys = new Set(parseCitations(citation, { defaultCode }).map(c => c.key));
+
+    const statutes = await this.store.listStatutes({ jurisdiction });
+    return statutes.find(s => s.code === citation)
+      || statutes.find(s => parseCitations(s.code || '', { defaultCode }).some(c => keys.has(c.key)))
+      || null;
+  }
+
+  /**
+   * Run the statute updater over the configured drop folder and feed
+   */
+  async updateStatutes() {
+    const { amendmentsDir, amendmentsFeed } = this.storeOptions;
+    const updater = new StatuteUpdater({ legalLibrary: this, dropDir: amendmentsDir, feedUrl: amendmentsFeed });
+    return updater.run();
   }
 
   // ==========================================================================
-  // VECTOR SEARCH
+  // SEARCH
   // ==========================================================================
 
   /**
-   * Search for relevant statutes using semantic search
+   * Search for relevant statutes - hybrid keyword + semantic search on the
+   * local store, semantic on Pinecone. With `asOf` (ISO date) each statute
+   * reads as it did that day, and statutes not yet in force are left out.
    */
   async searchStatutes(query, jurisdiction, options = {}) {
     const {
       topK = 20,
-      includeFullText = true
+      includeFullText = true,
+      asOf = null
     } = options;
 
-    // Generate query embedding
-    const queryEmbedding = await this.generateEmbedding(query);
-
-    // Search Pinecone
-    const results = await this.index.query({
-      vector: queryEmbedding,
-      topK,
-      filter: {
-        jurisdiction: { $eq: jurisdiction }
-      },
-      includeMetadata: true
+    const found = await this.store.searchStatutes({
+      text: query,
+      vector: await this.queryEmbedding(query),
+      jurisdiction,
+      topK
     });
+    const statutes = asOf ? found.map(s => statuteAsOf(s, asOf)).filter(Boolean) : found;
 
-    // Fetch full data from PostgreSQL
-    const statutes = await Promise.all(
-      results.matches.map(async (match) => {
-        const statute = await prisma.statute.findUnique({
-          where: { id: match.id }
-        });
-
-        return {
-          ...statute,
-          relevanceScore: match.score
-        };
-      })
-    );
-
-    return statutes.filter(s => s !== null);
+    return includeFullText ? statutes : statutes.map(({ fullText, ...statute }) => statute);
   }
 
   /**
-   * Search case law
+   * Search case law. Matches are ranked half on relevance, half on authority
+   * in the jurisdiction (court level, citations, recency, good-law status -
+   * see authorityScore); overruled cases are left out unless asked for.
    */
   async searchCaseLaw(query, jurisdiction, options = {}) {
     const {
       topK = 50,
       minYear = 2000,
-      minCitations = 5
+      minCitations = 5,
+      includeOverruled = false
     } = options;
 
-    const queryEmbedding = await this.generateEmbedding(query);
-
-    const results = await this.index.query({
-      vector: queryEmbedding,
-      topK,
-      filter: {
-        type: { $eq: 'case' },
-        jurisdiction: { $eq: jurisdiction },
-        year: { $gte: minYear }
-      },
-      includeMetadata: true
+    const cases = await this.store.searchCaseLaw({
+      text: query,
+      vector: await this.queryEmbedding(query),
+      jurisdiction,
+      minYear,
+      topK
     });
 
-    const cases = await Promise.all(
-      results.matches.map(async (match) => {
-        const caseData = await prisma.caseLaw.findUnique({
-          where: { id: match.id }
-        });
-
-        return {
-          ...caseData,
-          relevanceScore: match.score
-        };
+    const maxCiteCount = Math.max(0, ...cases.map(c => c.citeCount || 0));
+    return cases
+      .filter(c => (c.citeCount || 0) >= minCitations)
+      .filter(c => includeOverruled || c.goodLaw !== 'overruled')
+      .map((c) => {
+        const authority = authorityScore(c, jurisdiction, { maxCiteCount });
+        return { ...c, authorityScore: authority, rankScore: 0.5 * c.relevanceScore + 0.5 * authority };
       })
-    );
+      .sort((a, b) => b.rankScore - a.rankScore);
+  }
 
-    return cases
-      .filter(c => c !== null && c.citeCount >= minCitations)
-      .sort((a, b) => b.citeCount - a.citeCount);
+  /**
+   * Query vector, or null (keyword-only search) when the model is down and
+   * the store can search without one
+   */
+  async queryEmbedding(query) {
+    try {
+      return await this.generateEmbedding(query);
+    } catch (error) {
+      if (!(error instanceof EmbeddingError) || !this.store.supportsKeywordSearch) throw error;
+      this.log(`⚠️ ${error.message} - falling back to keyword search`);
+      return null;
+    }
   }
 
   // ==========================================================================
@@ -626,28 +764,38 @@ export class LegalLibrary {
   // ==========================================================================
 
   /**
-   * Generate embedding using OpenAI
+   * Generate embedding through the configured embedder or LLM provider
+   * @throws {EmbeddingError}
    */
   async generateEmbedding(text) {
     try {
-      const response = await openai.embeddings.create({
-        model: 'text-embedding-3-large',
-        input: text.substring(0, 8000)
-      });
+      const embedding = this.embedder
+        ? await this.embedder.embed(text.substring(0, 8000))
+        : await this.llm.embed(text.substring(0, 8000), { model: 'text-embedding-3-large' });
 
-      return response.data[0].embedding;
+      if (!embedding?.length) throw new Error('empty embedding');
+      return embedding;
     } catch (error) {
-      console.error('Embedding generation failed:', error.message);
-      // Return zero vector as fallback
-      return new Array(3072).fill(0);
+      throw new EmbeddingError(`Embedding generation failed: ${error.message}`, error);
     }
   }
 
   /**
-   * Generate unique ID for records
+   * Name of the embedding model, so a store knows when its vectors are stale
+   */
+  embeddingModel() {
+    return this.embedder
+      ? this.embedder.resolveEmbeddingModel()
+      : `${this.llm.name}:${this.llm.resolveEmbeddingModel('text-embedding-3-large')}`;
+  }
+
+  /**
+   * Generate unique ID for records. lastUpdated is left out so re-scraping
+   * the same statute finds the saved record instead of duplicating it.
    */
   generateId(data) {
-    const str = JSON.stringify(data);
+    const { lastUpdated, ...identity } = data;
+    const str = JSON.stringify(identity);
     return createHash('sha256').update(str).digest('hex').substring(0, 24);
   }
 
@@ -664,6 +812,9 @@ export class LegalLibrary {
 
   /**
    * Weekly update: scrape new cases and statute changes
+   * @returns {Promise<{ newCases: number, citations: object, amendments: object }>}
+   *   `citations` is the updateCitationCounts() summary, `amendments` the
+   *   StatuteUpdater report - what changed and what failed
    */
   async weeklyUpdate() {
     console.log('\n🔄 Starting weekly legal library update...\n');
@@ -684,30 +835,116 @@ export class LegalLibrary {
 
     // 2. Update citation counts
     console.log('📊 Updating citation counts...');
-    await this.updateCitationCounts();
+    const citations = await this.updateCitationCounts();
     console.log('✅ Citation counts updated\n');
 
-    // 3. Check for statute amendments (would need legislative tracking API)
+    // 3. Statute amendments from the drop folder and feed
     console.log('📝 Checking for statute amendments...');
-    console.log('⚠️ Legislative tracking not yet implemented\n');
+    const amendments = await this.updateStatutes();
 
     console.log('✅ Weekly update complete\n');
+    return { newCases, citations, amendments };
   }
 
   /**
-   * Update citation counts for all cases
+   * Rebuild the citation graph from every opinion in the library and store
+   * each case's citation count, treatment and good-law status. A case keeps
+   * the source's count (CourtListener) when that is higher - it sees courts
+   * the library doesn't hold.
+   * @returns {Promise<{ cases: number, edges: number, overruled: number, questioned: number }>}
    */
   async updateCitationCounts() {
-    // This would require:
-    // 1. Query all cases
-    // 2. For each case, search how many times it's cited
-    // 3. Update citation count
-    
-    // Placeholder for now
-    console.log('  Citation count update would run here');
+    await this.initialize();
+
+    const cases = await this.store.listCaseLaw();
+    const graph = new CitationGraph(cases);
+    const summary = { cases: cases.length, edges: graph.edges.length, overruled: 0, questioned: 0 };
+
+    for (const record of cases) {
+      const { citeCount, goodLaw, ...treatment } = graph.treatment(record.id);
+      if (goodLaw !== 'good') summary[goodLaw]++;
+
+      await this.store.updateCaseLaw(record.id, {
+        citeCount: Math.max(citeCount, record.sourceCiteCount || 0),
+        goodLaw,
+        treatment,
+      });
+    }
+
+    await this.store.flush();
+    this.citationGraph = graph;
+    return summary;
   }
 }
 
+/**
+ * Store record for a corpus entry. Ids come from the pack, so a newer pack
+ * version updates the record instead of adding a second one.
+ */
+function corpusRecord(pack, entry) {
+  const shared = {
+    id: `corpus-${pack.jurisdiction}-${entry.id}`.toLowerCase(),
+    jurisdiction: pack.jurisdiction,
+    url: entry.url || '',
+    topic: entry.topics[0] || entry.issues[0] || 'landlord-tenant',
+    source: 'corpus',
+    corpusVersion: pack.version,
+    status: entry.status,
+    supersededBy: entry.supersededBy,
+  };
+
+  if (entry.type === 'case') {
+    return {
+      ...shared,
+      court: entry.court,
+      citation: entry.citation,
+      year: entry.year,
+      opinion: entry.fullText || '',
+      facts: entry.summary,
+      holdingText: entry.holding,
+      outcome: 'unknown',
+      citeCount: 0,
+    };
+  }
+
+  return withVersions({
+    ...shared,
+    code: entry.citation,
+    title: entry.title,
+  }, entryVersions(entry));
+}
+
+/**
+ * Statute record with a version history; fullText is the text in force today
+ */
+function withVersions(statute, versions) {
+  const current = versionInForce(versions) || versions[versions.length - 1];
+  return { ...statute, versions, fullText: current.fullText };
+}
+
+/**
+ * A stored statute as it read on a date, or null when it wasn't yet law.
+ * Records without a history read the same on every date.
+ */
+function statuteAsOf(statute, date) {
+  if (!statute.versions?.length) return statute;
+
+  const version = versionInForce(statute.versions, date);
+  if (!version) return null;
+
+  return {
+    ...statute,
+    fullText: version.fullText,
+    version: {
+      asOf: date,
+      effectiveFrom: version.effectiveFrom,
+      effectiveTo: version.effectiveTo,
+      sessionLaw: version.sessionLaw,
+      current: version === versionInForce(statute.versions),
+    },
+  };
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
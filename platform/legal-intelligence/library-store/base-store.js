@@ -0,0 +1,92 @@
+/**
+ * LEGAL LIBRARY STORE - Base Interface
+ *
+ * Where LegalLibrary keeps statutes and cases and how it finds them again.
+ * LegalLibrary owns scraping and embedding; a store only persists records
+ * with their vectors and answers searches. Backends implement:
+ *
+ * - initialize({ embeddingModel })
+ * - findStatute(id) / findCaseLaw(id)         → record | null
+ * - listStatutes({ jurisdiction })            → every statute in a jurisdiction
+ * - listCaseLaw({ jurisdiction })             → every case (all with no jurisdiction)
+ * - updateCaseLaw(id, changes)                citation counts and treatment,
+ *                                             keeping the record's vector
+ * - saveStatute(record, embedding)            embedding may be null when
+ * - saveCaseLaw(record, embedding)            the store can search keywords
+ * - searchStatutes({ text, vector, jurisdiction, topK })
+ * - searchCaseLaw({ text, vector, jurisdiction, minYear, topK })
+ *     → records with relevanceScore, scores { vector, keyword } and
+ *       retrieval ('hybrid' | 'vector' | 'keyword')
+ * - flush()                                   persist buffered writes
+ */
+
+export class LibraryStoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LibraryStoreError';
+    this.retryable = false;
+  }
+}
+
+// ============================================================================
+// BASE STORE CLASS
+// ============================================================================
+
+export class LibraryStore {
+  constructor() {
+    this.name = 'base';
+    // Can search without a query vector (BM25) and keep records with none
+    this.supportsKeywordSearch = false;
+  }
+
+  async initialize(options = {}) {}
+
+  async findStatute(id) {
+    throw new Error(`${this.constructor.name} does not implement findStatute()`);
+  }
+
+  async findCaseLaw(id) {
+    throw new Error(`${this.constructor.name} does not implement findCaseLaw()`);
+  }
+
+  async listStatutes(query) {
+    throw new Error(`${this.constructor.name} does not implement listStatutes()`);
+  }
+
+  async saveStatute(record, embedding) {
+    throw new Error(`${this.constructor.name} does not implement saveStatute()`);
+  }
+
+  async saveCaseLaw(record, embedding) {
+    throw new Error(`${this.constructor.name} does not implement saveCaseLaw()`);
+  }
+
+  async listCaseLaw(query) {
+    throw new Error(`${this.constructor.name} does not implement listCaseLaw()`);
+  }
+
+  async updateCaseLaw(id, changes) {
+    throw new Error(`${this.constructor.name} does not implement updateCaseLaw()`);
+  }
+
+  async searchStatutes(query) {
+    throw new Error(`${this.constructor.name} does not implement searchStatutes()`);
+  }
+
+  async searchCaseLaw(query) {
+    throw new Error(`${this.constructor.name} does not implement searchCaseLaw()`);
+  }
+
+  /**
+   * Records saved without a vector (or embedded with another model), for
+   * LegalLibrary.reindex()
+   * @returns {Promise<Array<{ kind: 'statute'|'case', record: object }>>}
+   */
+  async missingEmbeddings() {
+    return [];
+  }
+
+  async flush() {}
+}
+
+export default LibraryStore;
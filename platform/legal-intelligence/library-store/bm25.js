@@ -0,0 +1,107 @@
+/**
+ * BM25 KEYWORD INDEX
+ *
+ * In-memory Okapi BM25 over statute and case text. Rebuilt from the stored
+ * records on load, so it never drifts from them. Section numbers such as
+ * "44-7-13" or "1950.5" stay single tokens, which is what makes a keyword
+ * search for a citation land on it.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'with',
+]);
+
+/**
+ * Lowercased terms with stopwords dropped and plurals folded ("leaks" → "leak")
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z0-9]+(?:[-.][a-z0-9]+)*/g) || [];
+  return words
+    .filter(word => !STOPWORDS.has(word))
+    .map(word => (/^[a-z]{4,}s$/.test(word) && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// ============================================================================
+// BM25 INDEX CLASS
+// ============================================================================
+
+export class BM25Index {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Length normalization
+   */
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.documents = new Map(); // id → { length, terms: Map<term, count> }
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(id, text) {
+    this.remove(id);
+
+    const terms = new Map();
+    const tokens = tokenize(text);
+    for (const token of tokens) terms.set(token, (terms.get(token) || 0) + 1);
+    for (const term of terms.keys()) this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+
+    this.documents.set(id, { length: tokens.length, terms });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    for (const term of document.terms.keys()) {
+      const remaining = this.documentFrequency.get(term) - 1;
+      if (remaining > 0) this.documentFrequency.set(term, remaining);
+      else this.documentFrequency.delete(term);
+    }
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+  }
+
+  /**
+   * Score every document containing a query term
+   * @param {string} query
+   * @param {Set<string>} [ids] - Only score these documents
+   * @returns {Map<string, number>} id → BM25 score
+   */
+  score(query, ids = null) {
+    const scores = new Map();
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.documents.size === 0) return scores;
+
+    const averageLength = this.totalLength / this.documents.size || 1;
+
+    for (const [id, document] of this.documents) {
+      if (ids && !ids.has(id)) continue;
+
+      let score = 0;
+      for (const term of terms) {
+        const frequency = document.terms.get(term);
+        if (!frequency) continue;
+
+        const df = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (this.documents.size - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (this.k1 + 1))
+          / (frequency + this.k1 * (1 - this.b + this.b * (document.length / averageLength)));
+      }
+      if (score > 0) scores.set(id, score);
+    }
+
+    return scores;
+  }
+}
+
+export default BM25Index;
@@ -0,0 +1,56 @@
+/**
+ * HASHING EMBEDDER
+ *
+ * Model-free embeddings: terms and adjacent term pairs are hashed into a
+ * fixed number of signed buckets and the vector is L2-normalized. Weaker
+ * than a trained model, but it needs no network, no model download, and the
+ * same text always produces the same vector - so a research run can be
+ * reproduced exactly. Same embed() shape as an LLM provider.
+ */
+
+import { tokenize } from './bm25.js';
+
+// ============================================================================
+// HASHING EMBEDDER CLASS
+// ============================================================================
+
+export class HashingEmbedder {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.dimensions]
+   */
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || 512;
+    this.name = 'hashing';
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = tokenize(text);
+    const features = [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+
+    for (const feature of features) {
+      const hash = fnv1a(feature);
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+
+    const norm = Math.hypot(...vector);
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  resolveEmbeddingModel() {
+    return `hashing-${this.dimensions}`;
+  }
+}
+
+// 32-bit FNV-1a - fast, stable across platforms and Node versions
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export default HashingEmbedder;
@@ -0,0 +1,50 @@
+/**
+ * LEGAL LIBRARY STORAGE LAYER
+ *
+ * Backends LegalLibrary can keep its statutes and cases in. When none is
+ * given, one is picked from the environment:
+ *
+ *   LEGAL_LIBRARY_STORE=local     (default without PINECONE_API_KEY) records and
+ *                                 vectors under LEGAL_LIBRARY_DIR, hybrid search
+ *   LEGAL_LIBRARY_STORE=pinecone  (default with PINECONE_API_KEY) Prisma + Pinecone
+ */
+
+import LibraryStore, { LibraryStoreError } from './base-store.js';
+import LocalLibraryStore from './local-store.js';
+import BM25Index, { tokenize } from './bm25.js';
+import HashingEmbedder from './hashing-embedder.js';
+
+/**
+ * Build a store by name
+ * @param {object} [options] - { store, ...backend options }
+ * @returns {Promise<LibraryStore>}
+ */
+export async function createLibraryStore(options = {}) {
+  const {
+    store = process.env.LEGAL_LIBRARY_STORE || (process.env.PINECONE_API_KEY ? 'pinecone' : 'local'),
+    ...rest
+  } = options;
+
+  switch (store) {
+    case 'local':
+      return new LocalLibraryStore(rest);
+    case 'pinecone': {
+      // Imported on demand: Prisma and Pinecone are only needed for this backend
+      const { default: PineconeLibraryStore } = await import('./pinecone-store.js');
+      return new PineconeLibraryStore(rest);
+    }
+    default:
+      throw new Error(`Unknown legal library store "${store}"`);
+  }
+}
+
+export {
+  LibraryStore,
+  LibraryStoreError,
+  LocalLibraryStore,
+  BM25Index,
+  tokenize,
+  HashingEmbedder,
+};
+
+export default createLibraryStore;
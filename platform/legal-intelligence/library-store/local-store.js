@@ -0,0 +1,281 @@
+/**
+ * LOCAL LIBRARY STORE
+ *
+ * Embedded backend for offline, reproducible research. No server and no API
+ * keys: records live in a JSON file, vectors in a flat Float32 file, and a
+ * search scores every record in the jurisdiction (exact cosine, no
+ * approximate index - a tenant-law library is a few thousand records).
+ *
+ * Search is hybrid: cosine similarity blended with a BM25 keyword score, so
+ * an exact citation ("44-7-13") ranks even when the embedding misses it, and
+ * records saved without a vector are still found by keyword.
+ *
+ * Layout on disk:
+ *   <dir>/records.json   - { format, embeddingModel, dimensions, statutes, cases, vectorIds }
+ *   <dir>/vectors.f32    - one Float32 row per vectorIds entry
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import LibraryStore, { LibraryStoreError } from './base-store.js';
+import BM25Index from './bm25.js';
+
+export const LOCAL_STORE_FORMAT = 1;
+
+// ============================================================================
+// LOCAL STORE CLASS
+// ============================================================================
+
+export class LocalLibraryStore extends LibraryStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - Defaults to LEGAL_LIBRARY_DIR or ./.legal-library
+   * @param {number} [options.hybridWeight] - Share of the score from the vector side (0-1, default 0.5)
+   * @param {(message: string) => void} [options.log] - Where warnings go (default console.log)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'local';
+    this.supportsKeywordSearch = true;
+    this.dir = options.dir || process.env.LEGAL_LIBRARY_DIR || path.resolve('.legal-library');
+    this.hybridWeight = options.hybridWeight ?? 0.5;
+    this.log = options.log || console.log;
+
+    this.statutes = new Map();
+    this.cases = new Map();
+    this.vectors = new Map(); // id → Float32Array
+    this.keywords = { statute: new BM25Index(), case: new BM25Index() };
+    this.embeddingModel = null;
+    this.dimensions = null;
+    this.dirty = false;
+    this.loaded = false;
+  }
+
+  /**
+   * Load the library from disk. When it was embedded with a different model
+   * than `embeddingModel`, its vectors are dropped - run LegalLibrary.reindex().
+   * @param {{ embeddingModel?: string }} [options]
+   */
+  async initialize({ embeddingModel = null } = {}) {
+    if (!this.loaded) {
+      await this.load();
+      this.loaded = true;
+    }
+
+    if (embeddingModel && this.embeddingModel && this.embeddingModel !== embeddingModel && this.vectors.size > 0) {
+      this.log(`⚠️ Legal library was embedded with ${this.embeddingModel}, now using ${embeddingModel} - dropped ${this.vectors.size} vectors, run reindex() to rebuild them`);
+      this.vectors.clear();
+      this.dimensions = null;
+      this.dirty = true;
+    }
+    if (embeddingModel) this.embeddingModel = embeddingModel;
+  }
+
+  async findStatute(id) {
+    return this.statutes.get(id) || null;
+  }
+
+  async findCaseLaw(id) {
+    return this.cases.get(id) || null;
+  }
+
+  async listStatutes({ jurisdiction } = {}) {
+    return [...this.statutes.values()].filter(s => sameJurisdiction(s, jurisdiction));
+  }
+
+  async saveStatute(statute, embedding) {
+    return this.put('statute', statute, embedding);
+  }
+
+  async saveCaseLaw(caseData, embedding) {
+    return this.put('case', caseData, embedding);
+  }
+
+  async listCaseLaw({ jurisdiction } = {}) {
+    return [...this.cases.values()].filter(c => sameJurisdiction(c, jurisdiction));
+  }
+
+  async updateCaseLaw(id, changes) {
+    const record = this.cases.get(id);
+    if (!record) throw new LibraryStoreError(`No case ${id} in the legal library`);
+
+    const updated = { ...record, ...changes };
+    this.cases.set(id, updated);
+    this.dirty = true;
+    return updated;
+  }
+
+  async searchStatutes({ text, vector, jurisdiction, topK = 20 }) {
+    const candidates = [...this.statutes.values()].filter(s => sameJurisdiction(s, jurisdiction));
+    return this.rank('statute', candidates, text, vector, topK);
+  }
+
+  async searchCaseLaw({ text, vector, jurisdiction, minYear = 0, topK = 50 }) {
+    const candidates = [...this.cases.values()]
+      .filter(c => sameJurisdiction(c, jurisdiction) && (c.year || 0) >= minYear);
+    return this.rank('case', candidates, text, vector, topK);
+  }
+
+  async missingEmbeddings() {
+    return [
+      ...[...this.statutes.values()].filter(s => !this.vectors.has(s.id)).map(record => ({ kind: 'statute', record })),
+      ...[...this.cases.values()].filter(c => !this.vectors.has(c.id)).map(record => ({ kind: 'case', record })),
+    ];
+  }
+
+  async flush() {
+    if (!this.dirty) return;
+
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const vectorIds = [...this.vectors.keys()].sort();
+    const rows = new Float32Array(vectorIds.length * (this.dimensions || 0));
+    vectorIds.forEach((id, i) => rows.set(this.vectors.get(id), i * this.dimensions));
+
+    // Vectors first: records.json is what a reader trusts, so it lands last
+    await writeAtomic(this.file('vectors.f32'), Buffer.from(rows.buffer));
+    await writeAtomic(this.file('records.json'), JSON.stringify({
+      format: LOCAL_STORE_FORMAT,
+      embeddingModel: this.embeddingModel,
+      dimensions: this.dimensions,
+      statutes: [...this.statutes.values()],
+      cases: [...this.cases.values()],
+      vectorIds,
+    }, null, 2));
+
+    this.dirty = false;
+  }
+
+  // ==========================================================================
+  // SEARCH
+  // ==========================================================================
+
+  rank(kind, candidates, text, vector, topK) {
+    if (candidates.length === 0) return [];
+    if (vector) this.checkDimensions(vector, 'query');
+
+    const keywordScores = text
+      ? this.keywords[kind].score(text, new Set(candidates.map(c => c.id)))
+      : new Map();
+    const maxKeyword = Math.max(0, ...keywordScores.values());
+    const weight = vector ? this.hybridWeight : 0;
+
+    return candidates
+      .map((record) => {
+        const stored = vector && this.vectors.get(record.id);
+        const vectorScore = stored ? Math.max(0, cosine(vector, stored)) : 0;
+        const keywordScore = maxKeyword > 0 ? (keywordScores.get(record.id) || 0) / maxKeyword : 0;
+
+        return {
+          ...record,
+          relevanceScore: weight * vectorScore + (1 - weight) * keywordScore,
+          scores: { vector: vector ? vectorScore : null, keyword: keywordScore },
+          retrieval: vector ? 'hybrid' : 'keyword',
+        };
+      })
+      .filter(r => r.relevanceScore > 0)
+      .sort((a, b) => b.relevanceScore - a.relevanceScore || a.id.localeCompare(b.id))
+      .slice(0, topK);
+  }
+
+  // ==========================================================================
+  // UTILITIES
+  // ==========================================================================
+
+  put(kind, record, embedding) {
+    const records = kind === 'case' ? this.cases : this.statutes;
+    const saved = { ...record, lastUpdated: new Date().toISOString() };
+
+    if (embedding) {
+      this.checkDimensions(embedding, kind === 'case' ? record.citation : record.code);
+      this.dimensions ??= embedding.length;
+      this.vectors.set(record.id, Float32Array.from(embedding));
+    } else {
+      this.vectors.delete(record.id);
+    }
+
+    records.set(record.id, saved);
+    this.keywords[kind].add(record.id, keywordText(kind, saved));
+    this.dirty = true;
+    return saved;
+  }
+
+  checkDimensions(vector, what) {
+    if (this.dimensions && vector.length !== this.dimensions) {
+      throw new LibraryStoreError(`Embedding for ${what} has ${vector.length} dimensions, the legal library uses ${this.dimensions} - reindex() after changing embedding models`);
+    }
+  }
+
+  async load() {
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.file('records.json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (data.format > LOCAL_STORE_FORMAT) {
+      throw new LibraryStoreError(`Legal library in ${this.dir} is format ${data.format}, newer than this version supports (${LOCAL_STORE_FORMAT})`);
+    }
+
+    this.embeddingModel = data.embeddingModel || null;
+    this.dimensions = data.dimensions || null;
+
+    for (const statute of data.statutes || []) {
+      this.statutes.set(statute.id, statute);
+      this.keywords.statute.add(statute.id, keywordText('statute', statute));
+    }
+    for (const caseData of data.cases || []) {
+      this.cases.set(caseData.id, caseData);
+      this.keywords.case.add(caseData.id, keywordText('case', caseData));
+    }
+
+    const vectorIds = data.vectorIds || [];
+    if (vectorIds.length === 0) return;
+
+    const buffer = await fs.readFile(this.file('vectors.f32'));
+    if (buffer.length !== vectorIds.length * this.dimensions * Float32Array.BYTES_PER_ELEMENT) {
+      throw new LibraryStoreError(`vectors.f32 in ${this.dir} does not match records.json - rebuild the library with reindex()`);
+    }
+
+    // Copy out of the pooled Buffer so the Float32Array is aligned and owned
+    const rows = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+    vectorIds.forEach((id, i) => this.vectors.set(id, rows.subarray(i * this.dimensions, (i + 1) * this.dimensions)));
+  }
+
+  file(name) {
+    return path.join(this.dir, name);
+  }
+}
+
+function keywordText(kind, record) {
+  return kind === 'case'
+    ? [record.citation, record.court, record.facts, record.holdingText].join(' ')
+    : [record.code, record.title, record.fullText].join(' ');
+}
+
+function sameJurisdiction(record, jurisdiction) {
+  return !jurisdiction || String(record.jurisdiction).toUpperCase() === String(jurisdiction).toUpperCase();
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Write-then-rename so a crash never leaves a half-written library
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, data);
+  await fs.rename(tmp, file);
+}
+
+export default LocalLibraryStore;
@@ -0,0 +1,191 @@
+/**
+ * PINECONE LIBRARY STORE
+ *
+ * Hosted backend: records in PostgreSQL through Prisma, vectors in a Pinecone
+ * index. Vector search only - every record needs an embedding. Loaded on
+ * demand by createLibraryStore, so the local store works without Prisma or
+ * Pinecone installed.
+ */
+
+import { PrismaClient } from '@prisma/client';
+import { Pinecone } from '@pinecone-database/pinecone';
+import LibraryStore, { LibraryStoreError } from './base-store.js';
+
+// ============================================================================
+// PINECONE STORE CLASS
+// ============================================================================
+
+export class PineconeLibraryStore extends LibraryStore {
+  /**
+   * @param {object} [options]
+   * @param {PrismaClient} [options.prisma]
+   * @param {string} [options.apiKey] - Defaults to PINECONE_API_KEY
+   * @param {string} [options.indexName] - Defaults to PINECONE_INDEX_NAME or 'legal-library'
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'pinecone';
+    this.prisma = options.prisma || new PrismaClient();
+    this.pinecone = new Pinecone({ apiKey: options.apiKey || process.env.PINECONE_API_KEY });
+    this.indexName = options.indexName || process.env.PINECONE_INDEX_NAME || 'legal-library';
+    this.index = null;
+  }
+
+  async initialize() {
+    this.index ??= this.pinecone.index(this.indexName);
+  }
+
+  async findStatute(id) {
+    return this.prisma.statute.findUnique({ where: { id } });
+  }
+
+  async findCaseLaw(id) {
+    return this.prisma.caseLaw.findUnique({ where: { id } });
+  }
+
+  async listStatutes({ jurisdiction } = {}) {
+    return this.prisma.statute.findMany({ where: jurisdiction ? { jurisdiction } : {} });
+  }
+
+  async saveStatute(statute, embedding) {
+    this.requireEmbedding(embedding, statute.code);
+
+    const data = {
+      id: statute.id,
+      jurisdiction: statute.jurisdiction,
+      code: statute.code,
+      title: statute.title,
+      fullText: statute.fullText || '',
+      url: statute.url || '',
+      topic: statute.topic,
+      source: statute.source || 'unknown',
+      versions: statute.versions || [], // JSON column - see statute-versions.js
+      lastUpdated: new Date()
+    };
+
+    // Upsert: a newer corpus pack or reindex() rewrites an existing record
+    const saved = await this.prisma.statute.upsert({ where: { id: data.id }, create: data, update: data });
+
+    await this.index.upsert([{
+      id: statute.id,
+      values: embedding,
+      metadata: {
+        jurisdiction: statute.jurisdiction,
+        code: statute.code,
+        title: statute.title,
+        topic: statute.topic
+      }
+    }]);
+
+    return saved;
+  }
+
+  async saveCaseLaw(caseData, embedding) {
+    this.requireEmbedding(embedding, caseData.citation);
+
+    const data = {
+      id: caseData.id,
+      court: caseData.court,
+      citation: caseData.citation,
+      year: caseData.year,
+      opinion: caseData.opinion || '',
+      holdingText: caseData.holdingText || '',
+      facts: caseData.facts || '',
+      outcome: caseData.outcome || 'unknown',
+      citeCount: caseData.citeCount || 0,
+      goodLaw: caseData.goodLaw || 'good',
+      treatment: caseData.treatment || {},
+      url: caseData.url || '',
+      jurisdiction: caseData.jurisdiction,
+      topic: caseData.topic,
+      lastUpdated: new Date()
+    };
+
+    // Upsert: a newer corpus pack or reindex() rewrites an existing record
+    const saved = await this.prisma.caseLaw.upsert({ where: { id: data.id }, create: data, update: data });
+
+    await this.index.upsert([{
+      id: caseData.id,
+      values: embedding,
+      metadata: {
+        type: 'case',
+        jurisdiction: caseData.jurisdiction,
+        citation: caseData.citation,
+        year: caseData.year,
+        topic: caseData.topic
+      }
+    }]);
+
+    return saved;
+  }
+
+  async listCaseLaw({ jurisdiction } = {}) {
+    return this.prisma.caseLaw.findMany({ where: jurisdiction ? { jurisdiction } : {} });
+  }
+
+  async updateCaseLaw(id, { citeCount, goodLaw, treatment }) {
+    // Vector and Pinecone metadata are unchanged
+    return this.prisma.caseLaw.update({
+      where: { id },
+      data: { citeCount, goodLaw, treatment, lastUpdated: new Date() } // treatment is a JSON column
+    });
+  }
+
+  async searchStatutes({ vector, jurisdiction, topK }) {
+    this.requireEmbedding(vector, 'statute search');
+
+    const results = await this.index.query({
+      vector,
+      topK,
+      filter: {
+        jurisdiction: { $eq: jurisdiction }
+      },
+      includeMetadata: true
+    });
+
+    return this.hydrate(results.matches, id => this.findStatute(id));
+  }
+
+  async searchCaseLaw({ vector, jurisdiction, minYear, topK }) {
+    this.requireEmbedding(vector, 'case law search');
+
+    const results = await this.index.query({
+      vector,
+      topK,
+      filter: {
+        type: { $eq: 'case' },
+        jurisdiction: { $eq: jurisdiction },
+        year: { $gte: minYear }
+      },
+      includeMetadata: true
+    });
+
+    return this.hydrate(results.matches, id => this.findCaseLaw(id));
+  }
+
+  // ==========================================================================
+  // UTILITIES
+  // ==========================================================================
+
+  async hydrate(matches, find) {
+    const records = await Promise.all(matches.map(async (match) => {
+      const record = await find(match.id);
+      return record && {
+        ...record,
+      relevanceScore: match.score,
+      scores: { vector: match.score, keyword: null },
+      retrieval: 'vector',
+      };
+    }));
+
+    return records.filter(Boolean);
+  }
+
+  requireEmbedding(embedding, what) {
+    if (!embedding) {
+      throw new LibraryStoreError(`Pinecone store needs an embedding for ${what} - use the local store for keyword-only search`);
+    }
+  }
+}
+
+export default PineconeLibraryStore;
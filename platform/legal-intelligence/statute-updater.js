@@ -0,0 +1,158 @@
+/**
+ * STATUTE UPDATER
+ *
+ * Brings statute amendments into the LegalLibrary. New versions arrive as
+ * JSON - from a local drop folder (one amendment or an array per .json file,
+ * one amendment per line in .jsonl) or from a feed URL serving an array:
+ *
+ *   {
+ *     "jurisdiction": "GA",
+ *     "citation": "O.C.G.A. § 44-7-13",
+ *     "effectiveFrom": "2024-07-01",
+ *     "sessionLaw": "Ga. H.B. 404 (2024)",
+ *     "fullText": "..."
+ *   }
+ *
+ * Each is diffed against the statute's history: text we already hold is
+ * skipped, so the folder can be left in place and read every week.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import { z } from 'zod';
+
+export const AmendmentSchema = z.object({
+  jurisdiction: z.string().length(2),
+  citation: z.string(),
+  title: z.string().optional(),
+  effectiveFrom: z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'Expected an ISO date'),
+  effectiveTo: z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'Expected an ISO date').optional(),
+  sessionLaw: z.string(),
+  fullText: z.string().min(1),
+  summary: z.string().optional(),
+  url: z.string().optional(),
+  topic: z.string().optional(),
+});
+
+// ============================================================================
+// UPDATER CLASS
+// ============================================================================
+
+export class StatuteUpdater {
+  /**
+   * @param {object} options
+   * @param {import('./legal-library.js').LegalLibrary} options.legalLibrary
+   * @param {string} [options.dropDir] - Defaults to LEGAL_AMENDMENTS_DIR or ./legal-amendments
+   * @param {string} [options.feedUrl] - Defaults to LEGAL_AMENDMENTS_FEED; none when unset
+   */
+  constructor(options = {}) {
+    if (!options.legalLibrary) throw new Error('StatuteUpdater needs a legalLibrary');
+
+    this.legalLibrary = options.legalLibrary;
+    this.dropDir = options.dropDir || process.env.LEGAL_AMENDMENTS_DIR || path.resolve('legal-amendments');
+    this.feedUrl = options.feedUrl || process.env.LEGAL_AMENDMENTS_FEED || null;
+  }
+
+  /**
+   * Read every source and apply what's new. A bad file or amendment is
+   * reported and skipped; the rest still go in.
+   * @returns {Promise<{ checked: number, created: number, added: number, corrected: number,
+   *   unchanged: number, changes: object[], errors: Array<{ source: string, message: string }> }>}
+   */
+  async run() {
+    await this.legalLibrary.initialize();
+
+    const errors = [];
+    const amendments = [
+      ...await this.readDropFolder(errors),
+      ...await this.readFeed(errors),
+    ].sort((a, b) => a.amendment.effectiveFrom.localeCompare(b.amendment.effectiveFrom));
+
+    const report = { checked: amendments.length, created: 0, added: 0, corrected: 0, unchanged: 0, changes: [], errors };
+
+    for (const { amendment, source } of amendments) {
+      try {
+        const outcome = await this.legalLibrary.applyStatuteVersion(amendment, { flush: false });
+        report[outcome.result]++;
+
+        if (outcome.result !== 'unchanged') {
+          report.changes.push({
+            citation: outcome.statute.code,
+            jurisdiction: amendment.jurisdiction,
+            effectiveFrom: amendment.effectiveFrom,
+            sessionLaw: amendment.sessionLaw,
+            result: outcome.result,
+            added: outcome.changes?.added || [],
+            removed: outcome.changes?.removed || [],
+          });
+        }
+      } catch (error) {
+        errors.push({ source: `${source} (${amendment.citation})`, message: error.message });
+      }
+    }
+
+    await this.legalLibrary.store.flush();
+    return report;
+  }
+
+  // ==========================================================================
+  // SOURCES
+  // ==========================================================================
+
+  async readDropFolder(errors) {
+    let files;
+    try {
+      files = (await fs.readdir(this.dropDir)).filter(f => ['.json', '.jsonl'].includes(path.extname(f))).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const amendments = [];
+    for (const file of files) {
+      try {
+        const text = await fs.readFile(path.join(this.dropDir, file), 'utf8');
+        const records = path.extname(file) === '.jsonl'
+          ? text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+          : [JSON.parse(text)].flat();
+        amendments.push(...validate(records, file, errors));
+      } catch (error) {
+        errors.push({ source: file, message: error.message });
+      }
+    }
+    return amendments;
+  }
+
+  async readFeed(errors) {
+    if (!this.feedUrl) return [];
+
+    try {
+      const response = await axios.get(this.feedUrl, { timeout: 15000 });
+      const records = Array.isArray(response.data) ? response.data : response.data?.amendments || [];
+      return validate(records, this.feedUrl, errors);
+    } catch (error) {
+      errors.push({ source: this.feedUrl, message: error.message });
+      return [];
+    }
+  }
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function validate(records, source, errors) {
+  return records.flatMap((record, index) => {
+    const result = AmendmentSchema.safeParse(record);
+    if (result.success) return [{ amendment: result.data, source }];
+
+    errors.push({
+      source: `${source}#${index}`,
+      message: result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; '),
+    });
+    return [];
+  });
+}
+
+export default StatuteUpdater;
@@ -0,0 +1,212 @@
+/**
+ * STATUTE VERSIONS
+ *
+ * Statutes change under a case: Georgia's Safe at Home Act added fitness for
+ * human habitation to O.C.G.A. § 44-7-13 on July 1, 2024, so a leak reported
+ * in March 2024 is judged under the old text. Each statute keeps its
+ * versions - effective dates, the session law that made the change and what
+ * changed - and analysis picks the one in force on the date that governs.
+ *
+ * Dates are ISO strings (YYYY-MM-DD). A version with no effectiveFrom was in
+ * force for as long as we know of; effectiveTo is its last day in force.
+ */
+
+import { z } from 'zod';
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'Expected an ISO date').transform(d => d.slice(0, 10));
+
+export const StatuteVersionSchema = z.object({
+  effectiveFrom: isoDate.nullable().default(null),
+  effectiveTo: isoDate.nullable().default(null),
+  sessionLaw: z.string().nullable().default(null), // act that enacted this text ("Ga. H.B. 404 (2024)")
+  fullText: z.string(),
+  summary: z.string().optional(),
+  changes: z.object({ // against the version before it
+    added: z.array(z.string()),
+    removed: z.array(z.string()),
+  }).optional(),
+});
+
+// Which case date decides the law for a topic: deposit and lease terms are
+// fixed when the lease is signed, a duty is breached once the landlord knows.
+// Remedies (null) follow the duty they enforce.
+export const TOPIC_DATE_BASIS = {
+  'security-deposits': 'leaseSigned',
+  'lease-termination': 'leaseSigned',
+  'attorney-fees': null,
+  'damages': null,
+};
+
+// ============================================================================
+// VERSION HISTORY
+// ============================================================================
+
+/**
+ * Version in force on a date; null when the statute wasn't yet (or no
+ * longer) law. With no date, the version in force today.
+ * @param {object[]} versions
+ * @param {string} [date] - ISO date
+ */
+export function versionInForce(versions, date) {
+  const day = (date || today()).slice(0, 10);
+  return versions.find(v => (!v.effectiveFrom || v.effectiveFrom <= day) && (!v.effectiveTo || v.effectiveTo >= day)) || null;
+}
+
+/**
+ * Add a version to a statute's history, closing the version it replaces the
+ * day before it takes effect. Re-ingesting a version we hold is a no-op, so a
+ * drop folder can be read again safely; new text for a version we hold (same
+ * effective date) corrects it.
+ * @param {object[]} versions - Current history, oldest first
+ * @param {object} version
+ * @returns {{ versions: object[], result: 'added'|'corrected'|'unchanged', changes?: { added: string[], removed: string[] } }}
+ */
+export function addStatuteVersion(versions, version) {
+  const incoming = StatuteVersionSchema.parse(version);
+  const history = versions.map(v => StatuteVersionSchema.parse(v));
+
+  const same = history.find(v => v.effectiveFrom === incoming.effectiveFrom);
+  if (same && canonicalText(same.fullText) === canonicalText(incoming.fullText)) {
+    return { versions: history, result: 'unchanged' };
+  }
+
+  const before = history.filter(v => v !== same && (!v.effectiveFrom || (incoming.effectiveFrom && v.effectiveFrom < incoming.effectiveFrom)));
+  const after = history.filter(v => v !== same && !before.includes(v));
+  const previous = before[before.length - 1];
+
+  // An amendment whose text matches the law already in force changes nothing
+  if (!same && previous && canonicalText(previous.fullText) === canonicalText(incoming.fullText)) {
+    return { versions: history, result: 'unchanged' };
+  }
+
+  const changes = diffStatuteText(previous?.fullText || '', incoming.fullText);
+  const added = {
+    ...incoming,
+    effectiveTo: incoming.effectiveTo || (after[0]?.effectiveFrom ? dayBefore(after[0].effectiveFrom) : null),
+    changes,
+  };
+  if (previous && incoming.effectiveFrom) {
+    before[before.length - 1] = { ...previous, effectiveTo: dayBefore(incoming.effectiveFrom) };
+  }
+  if (after[0]) after[0] = { ...after[0], changes: diffStatuteText(incoming.fullText, after[0].fullText) };
+
+  return { versions: [...before, added, ...after], result: same ? 'corrected' : 'added', changes };
+}
+
+/**
+ * Fold versions from another history into this one. Where both hold a
+ * version with the same effective date, this history's text wins.
+ */
+export function mergeStatuteVersions(versions, others) {
+  let merged = versions;
+  for (const other of others) {
+    if (merged.some(v => v.effectiveFrom === (other.effectiveFrom || null))) continue;
+    merged = addStatuteVersion(merged, other).versions;
+  }
+  return merged;
+}
+
+/**
+ * Sentences added and removed between two texts of a statute
+ * @returns {{ added: string[], removed: string[] }}
+ */
+export function diffStatuteText(before, after) {
+  const a = sentences(before);
+  const b = sentences(after);
+
+  // Longest common subsequence of sentences; what's left over changed
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = normalize(a[i]) === normalize(b[j]) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const added = [];
+  const removed = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (normalize(a[i]) === normalize(b[j])) {
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      removed.push(a[i++]);
+    } else {
+      added.push(b[j++]);
+    }
+  }
+
+  return { added: [...added, ...b.slice(j)], removed: [...removed, ...a.slice(i)] };
+}
+
+// ============================================================================
+// CASE DATES
+// ============================================================================
+
+/**
+ * Dates in a case that can decide which version of a law applies
+ * @param {object} caseData - Intake case data
+ * @returns {{ leaseSigned: string|null, firstNotice: string|null }}
+ */
+export function caseLegalDates(caseData) {
+  const lease = caseData?.lease || {};
+  const timeline = caseData?.timeline || {};
+
+  return {
+    leaseSigned: isoDay(lease.signedDate || lease.moveInDate || lease.startDate),
+    firstNotice: isoDay(timeline.firstNotificationToLandlord || timeline.firstIssueDate),
+  };
+}
+
+/**
+ * The date whose law governs an authority on these topics. An authority
+ * reaching past lease terms (the Safe at Home Act covers deposits and
+ * habitability) goes by the first notice.
+ * @param {string[]} topics - CORPUS_TOPICS
+ * @param {{ leaseSigned: string|null, firstNotice: string|null }} dates
+ * @returns {{ date: string, basis: string }|null} Null when the case has neither date
+ */
+export function governingDate(topics, dates) {
+  const bases = topics.map(topic => (topic in TOPIC_DATE_BASIS ? TOPIC_DATE_BASIS[topic] : 'firstNotice')).filter(Boolean);
+  const preferred = bases.length > 0 && bases.every(b => b === 'leaseSigned') ? 'leaseSigned' : 'firstNotice';
+  const basis = dates[preferred] ? preferred : ['firstNotice', 'leaseSigned'].find(b => dates[b]);
+  return basis ? { date: dates[basis], basis } : null;
+}
+
+// ============================================================================
+// UTILITIES
+// ============================================================================
+
+function sentences(text) {
+  return String(text || '')
+    .split(/(?<=[.;:])\s+|\n+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function normalize(sentence) {
+  return sentence.toLowerCase().replace(/\s+/g, ' ');
+}
+
+function canonicalText(text) {
+  return sentences(text).map(normalize).join(' ');
+}
+
+function dayBefore(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - 1);
+  return day.toISOString().slice(0, 10);
+}
+
+function isoDay(value) {
+  if (!value) return null;
+  const day = String(value).slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+export default versionInForce;
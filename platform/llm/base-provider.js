@@ -0,0 +1,77 @@
+/**
+ * LLM PROVIDER - Base Interface
+ *
+ * Every agent talks to a language model through this interface instead of
+ * constructing its own OpenAI client. Adapters implement two methods:
+ *
+ * - chat({ messages, model, temperature, maxTokens, responseFormat })
+ *     → { content, model, usage }
+ * - embed(text, { model })
+ *     → number[]
+ */
+
+// ============================================================================
+// BASE PROVIDER CLASS
+// ============================================================================
+
+export class LLMProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.model] - Forces every chat call onto this model
+   * @param {string} [options.embeddingModel] - Forces every embed call onto this model
+   */
+  constructor(options = {}) {
+    this.name = 'base';
+    this.model = options.model || null;
+    this.embeddingModel = options.embeddingModel || null;
+  }
+
+  /**
+   * Chat completion
+   * @param {object} request
+   * @param {Array<{role: string, content: string}>} request.messages
+   * @param {string} [request.model] - Model the agent asked for
+   * @param {number} [request.temperature]
+   * @param {number} [request.maxTokens]
+   * @param {object} [request.responseFormat] - e.g. { type: 'json_object' }
+   * @returns {Promise<{content: string, model: string, usage: object|null}>}
+   */
+  async chat(request) {
+    throw new Error(`${this.constructor.name} does not implement chat()`);
+  }
+
+  /**
+   * Text embedding
+   * @param {string} text
+   * @param {object} [options] - { model }
+   * @returns {Promise<number[]>}
+   */
+  async embed(text, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement embed()`);
+  }
+
+  /**
+   * Convenience wrapper for JSON-mode chat calls
+   */
+  async chatJSON(request) {
+    const response = await this.chat({
+      ...request,
+      responseFormat: { type: 'json_object' },
+    });
+
+    return JSON.parse(response.content);
+  }
+
+  /**
+   * Pick the model actually sent to the backend
+   */
+  resolveModel(requested) {
+    return this.model || requested;
+  }
+
+  resolveEmbeddingModel(requested) {
+    return this.embeddingModel || requested;
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,128 @@
+/**
+ * FIXTURE PROVIDER - Record / Replay
+ *
+ * Deterministic stand-in for a real model. In "record" mode every request is
+ * forwarded to an upstream provider and the response is written to disk; in
+ * "replay" mode the saved response is returned without touching the network.
+ * This lets the full MasterOrchestrator pipeline run in tests and offline.
+ *
+ * Modes:
+ * - replay: serve from fixtures, throw FixtureMissingError on a miss
+ * - record: always call upstream and overwrite the fixture
+ * - auto:   serve from fixtures, call upstream (and save) on a miss
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import LLMProvider from './base-provider.js';
+
+// Timestamps the agents stamp into case data would otherwise change every key
+const VOLATILE_PATTERNS = [
+  /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})/g,
+];
+
+export class FixtureMissingError extends Error {
+  constructor(key, request) {
+    super(`No LLM fixture recorded for request ${key} (model: ${request.model || 'default'})`);
+    this.name = 'FixtureMissingError';
+    this.key = key;
+    this.retryable = false;
+  }
+}
+
+// ============================================================================
+// FIXTURE PROVIDER CLASS
+// ============================================================================
+
+export class FixtureProvider extends LLMProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.fixturesDir] - Defaults to LLM_FIXTURES_DIR
+   * @param {string} [options.mode] - 'replay' | 'record' | 'auto'
+   * @param {LLMProvider} [options.upstream] - Required for record/auto
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'fixture';
+    this.fixturesDir = options.fixturesDir || process.env.LLM_FIXTURES_DIR || path.resolve('fixtures/llm');
+    this.mode = options.mode || process.env.LLM_FIXTURE_MODE || 'replay';
+    this.upstream = options.upstream || null;
+
+    if (!['replay', 'record', 'auto'].includes(this.mode)) {
+      throw new Error(`Unknown fixture mode "${this.mode}"`);
+    }
+
+    if (this.mode !== 'replay' && !this.upstream) {
+      throw new Error(`Fixture mode "${this.mode}" requires an upstream provider`);
+    }
+  }
+
+  async chat(request) {
+    const normalized = {
+      kind: 'chat',
+      model: request.model || null,
+      messages: request.messages.map(m => ({ role: m.role, content: this.normalize(m.content) })),
+      temperature: request.temperature ?? null,
+      responseFormat: request.responseFormat || null,
+    };
+
+    return this.lookup(normalized, () => this.upstream.chat(request));
+  }
+
+  async embed(text, options = {}) {
+    const normalized = {
+      kind: 'embed',
+      model: options.model || null,
+      input: this.normalize(text),
+    };
+
+    return this.lookup(normalized, () => this.upstream.embed(text, options));
+  }
+
+  // ==========================================================================
+  // STORAGE
+  // ==========================================================================
+
+  async lookup(normalized, callUpstream) {
+    const key = this.keyFor(normalized);
+    const file = path.join(this.fixturesDir, `${key}.json`);
+
+    if (this.mode !== 'record' && fs.existsSync(file)) {
+      const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return fixture.response;
+    }
+
+    if (this.mode === 'replay') {
+      throw new FixtureMissingError(key, normalized);
+    }
+
+    const response = await callUpstream();
+
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      key,
+      recordedAt: new Date().toISOString(),
+      request: normalized,
+      response,
+    }, null, 2));
+
+    return response;
+  }
+
+  keyFor(normalized) {
+    return createHash('sha256')
+      .update(JSON.stringify(normalized))
+      .digest('hex')
+      .substring(0, 24);
+  }
+
+  normalize(text) {
+    return VOLATILE_PATTERNS.reduce(
+      (result, pattern) => result.replace(pattern, '<timestamp>'),
+      String(text)
+    );
+  }
+}
+
+export default FixtureProvider;
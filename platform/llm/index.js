@@ -0,0 +1,86 @@
+/**
+ * LLM PROVIDER LAYER
+ *
+ * Shared entry point for every agent's model access. Agents receive a provider
+ * through their constructor; when none is given, one is built from the
+ * environment:
+ *
+ *   LLM_PROVIDER=openai   (default) hosted OpenAI, uses OPENAI_API_KEY
+ *   LLM_PROVIDER=local    OpenAI-compatible server at LLM_BASE_URL / LLM_MODEL
+ *   LLM_PROVIDER=fixture  record/replay from LLM_FIXTURES_DIR (LLM_FIXTURE_MODE)
+ */
+
+import LLMProvider from './base-provider.js';
+import OpenAIProvider from './openai-provider.js';
+import LocalModelProvider from './local-provider.js';
+import FixtureProvider, { FixtureMissingError } from './fixture-provider.js';
+
+/**
+ * Build a provider by name
+ * @param {object} options - { provider, ...adapter options }
+ * @returns {LLMProvider}
+ */
+export function createLLMProvider(options = {}) {
+  const { provider = process.env.LLM_PROVIDER || 'openai', ...rest } = options;
+
+  switch (provider) {
+    case 'openai':
+      return new OpenAIProvider(rest);
+    case 'local':
+      return new LocalModelProvider(rest);
+    case 'fixture': {
+      const mode = rest.mode || process.env.LLM_FIXTURE_MODE || 'replay';
+      const upstream = rest.upstream || (mode === 'replay'
+        ? null
+        : createLLMProvider({ provider: process.env.LLM_FIXTURE_UPSTREAM || 'openai' }));
+      return new FixtureProvider({ ...rest, mode, upstream });
+    }
+    default:
+      throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+}
+
+/**
+ * Model access options accepted by every model-backed agent and engine
+ * @typedef {object} LLMOptions
+ * @property {LLMProvider} [llm] - Provider to use (share one across agents)
+ * @property {'openai'|'local'|'fixture'} [provider] - Otherwise build one
+ *   (default LLM_PROVIDER, then 'openai')
+ * @property {string} [apiKey] - OpenAI API key (default OPENAI_API_KEY)
+ * @property {string} [baseURL] - OpenAI-compatible endpoint
+ * @property {string} [model] - Local provider model (default LLM_MODEL)
+ * @property {(message: string) => void} [log] - Where progress lines go
+ *   (default console.log; the orchestrator turns them into progress events)
+ */
+
+/**
+ * Normalize an agent constructor argument into a provider.
+ *
+ * Accepts an LLMProvider, an options object ({ llm } or provider options),
+ * or a bare API key string (the agents' original constructor signature).
+ * @param {LLMProvider|LLMOptions|string} [options]
+ * @returns {LLMProvider}
+ */
+export function resolveLLM(options = {}) {
+  if (options instanceof LLMProvider) return options;
+  if (typeof options === 'string') return createLLMProvider({ apiKey: options });
+  if (options.llm) return options.llm;
+
+  const { provider, apiKey, baseURL, model } = options;
+  if (provider || apiKey || baseURL || model) {
+    return createLLMProvider(Object.fromEntries(
+      Object.entries({ provider, apiKey, baseURL, model }).filter(([, value]) => value !== undefined)
+    ));
+  }
+  return createLLMProvider();
+}
+
+export {
+  LLMProvider,
+  OpenAIProvider,
+  LocalModelProvider,
+  FixtureProvider,
+  FixtureMissingError,
+};
+
+export default createLLMProvider;
@@ -0,0 +1,65 @@
+/**
+ * LOCAL MODEL PROVIDER
+ *
+ * Adapter for OpenAI-compatible servers running on the same machine
+ * (Ollama, llama.cpp server, vLLM, LM Studio). No API key or internet needed,
+ * which is what legal-aid laptops without network access require.
+ */
+
+import OpenAIProvider from './openai-provider.js';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1:8b';
+
+// ============================================================================
+// LOCAL PROVIDER CLASS
+// ============================================================================
+
+export class LocalModelProvider extends OpenAIProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.baseURL] - Defaults to LLM_BASE_URL or Ollama's port
+   * @param {string} [options.model] - Every agent request is routed to this model
+   * @param {string} [options.embeddingModel]
+   * @param {boolean} [options.supportsJSONMode] - Set false for servers that reject response_format
+   */
+  constructor(options = {}) {
+    super({
+      ...options,
+      apiKey: options.apiKey || 'local',
+      baseURL: options.baseURL || process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+      model: options.model || process.env.LLM_MODEL || DEFAULT_MODEL,
+      embeddingModel: options.embeddingModel || process.env.LLM_EMBEDDING_MODEL || 'nomic-embed-text',
+    });
+    this.name = 'local';
+    this.supportsJSONMode = options.supportsJSONMode !== false;
+  }
+
+  async chat(request) {
+    const wantsJSON = request.responseFormat?.type === 'json_object';
+
+    if (!wantsJSON || this.supportsJSONMode) {
+      const response = await super.chat(request);
+      return wantsJSON ? { ...response, content: this.stripCodeFence(response.content) } : response;
+    }
+
+    // Server has no JSON mode - ask for it in the prompt instead
+    const messages = [
+      ...request.messages,
+      { role: 'system', content: 'Respond with a single valid JSON object and nothing else.' },
+    ];
+
+    const response = await super.chat({ ...request, messages, responseFormat: undefined });
+    return { ...response, content: this.stripCodeFence(response.content) };
+  }
+
+  /**
+   * Small models often wrap JSON in ```json fences
+   */
+  stripCodeFence(content) {
+    const match = content.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+    return match ? match[1] : content;
+  }
+}
+
+export default LocalModelProvider;
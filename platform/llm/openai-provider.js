@@ -0,0 +1,61 @@
+/**
+ * OPENAI PROVIDER
+ *
+ * Adapter for the hosted OpenAI API (and any client with the same shape)
+ */
+
+import OpenAI from 'openai';
+import LLMProvider from './base-provider.js';
+
+// ============================================================================
+// OPENAI PROVIDER CLASS
+// ============================================================================
+
+export class OpenAIProvider extends LLMProvider {
+  /**
+   * @param {object} options
+   * @param {string} [options.apiKey] - Defaults to OPENAI_API_KEY
+   * @param {string} [options.baseURL] - Override the API endpoint
+   * @param {object} [options.client] - Pre-built OpenAI client (skips construction)
+   * @param {string} [options.model]
+   * @param {string} [options.embeddingModel]
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'openai';
+    this.client = options.client || new OpenAI({
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      ...(options.baseURL ? { baseURL: options.baseURL } : {}),
+    });
+  }
+
+  async chat({ messages, model, temperature, maxTokens, responseFormat }) {
+    const params = {
+      model: this.resolveModel(model),
+      messages,
+    };
+
+    if (temperature !== undefined) params.temperature = temperature;
+    if (maxTokens !== undefined) params.max_tokens = maxTokens;
+    if (responseFormat) params.response_format = responseFormat;
+
+    const response = await this.client.chat.completions.create(params);
+
+    return {
+      content: response.choices[0].message.content,
+      model: response.model || params.model,
+      usage: response.usage || null,
+    };
+  }
+
+  async embed(text, options = {}) {
+    const response = await this.client.embeddings.create({
+      model: this.resolveEmbeddingModel(options.model || 'text-embedding-3-large'),
+      input: text,
+    });
+
+    return response.data[0].embedding;
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,211 @@
+/**
+ * CHECKPOINT STORE
+ *
+ * Persists the output of every orchestrator phase per case, so a failed or
+ * interrupted run can resume without repeating earlier phases (and their
+ * LLM spend).
+ *
+ * Layout on disk:
+ *   <dir>/<caseId>/run.json          - raw story + options of the last run
+ *   <dir>/<caseId>/<phase>.json      - { phase, inputHash, completedAt, durationMs, output }
+ */
+
+import { createHash } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Stable hash of a phase's inputs (key order independent)
+ */
+export function hashInputs(value) {
+  return createHash('sha256')
+    .update(stableStringify(value))
+    .digest('hex')
+    .substring(0, 24);
+}
+
+function stableStringify(value) {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+
+  const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+  return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+}
+
+/**
+ * Raised for a case id that can't name a checkpoint directory: "." or
+ * anything containing ".." would resolve outside the store
+ */
+export class InvalidCaseIdError extends Error {
+  constructor(caseId) {
+    super(`Invalid case id "${caseId}" - case ids can't be empty, all dots or contain ".."`);
+    this.name = 'InvalidCaseIdError';
+    this.caseId = caseId;
+    this.retryable = false; // same id fails the same way
+  }
+}
+
+/**
+ * Whether a case id is safe to use as a directory name
+ */
+export function isValidCaseId(caseId) {
+  const id = String(caseId ?? '');
+  return id.length > 0 && !id.includes('..') && !/^\.+$/.test(id);
+}
+
+/**
+ * Derive a case id from the story when the caller doesn't supply one
+ */
+export function createCaseId(rawStory) {
+  return `case-${hashInputs(rawStory).substring(0, 12)}`;
+}
+
+// ============================================================================
+// FILE STORE
+// ============================================================================
+
+export class FileCheckpointStore {
+  /**
+   * @param {object} options
+   * @param {string} [options.dir] - Defaults to CHECKPOINT_DIR or ./.checkpoints
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.CHECKPOINT_DIR || path.resolve('.checkpoints');
+  }
+
+  async saveRun(caseId, run) {
+    await this.writeJSON(caseId, 'run', { caseId, savedAt: new Date().toISOString(), ...run });
+  }
+
+  async loadRun(caseId) {
+    return this.readJSON(caseId, 'run');
+  }
+
+  async save(caseId, phase, checkpoint) {
+    await this.writeJSON(caseId, phase, { phase, ...checkpoint });
+  }
+
+  async load(caseId, phase) {
+    return this.readJSON(caseId, phase);
+  }
+
+  async list(caseId) {
+    try {
+      const files = await fs.readdir(this.caseDir(caseId));
+      return files
+        .filter(f => f.endsWith('.json') && f !== 'run.json')
+        .map(f => f.replace(/\.json$/, ''));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async clear(caseId, phases = null) {
+    if (!phases) {
+      await fs.rm(this.inside(this.caseDir(caseId)), { recursive: true, force: true });
+      return;
+    }
+
+    for (const phase of phases) {
+      await fs.rm(this.inside(this.filePath(caseId, phase)), { force: true });
+    }
+  }
+
+  // ==========================================================================
+  // UTILITIES
+  // ==========================================================================
+
+  caseDir(caseId) {
+    if (!isValidCaseId(caseId)) throw new InvalidCaseIdError(caseId);
+
+    // Case ids become directory names - keep them filesystem safe
+    const safe = String(caseId).replace(/[^a-zA-Z0-9._-]/g, '_');
+    return path.join(this.dir, safe);
+  }
+
+  /**
+   * The path, once it is confirmed to sit below the store's directory -
+   * checked before anything is deleted
+   */
+  inside(target) {
+    const relative = path.relative(path.resolve(this.dir), path.resolve(target));
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Refusing to delete ${target}: outside the checkpoint directory ${this.dir}`);
+    }
+    return target;
+  }
+
+  filePath(caseId, name) {
+    return path.join(this.caseDir(caseId), `${name}.json`);
+  }
+
+  async writeJSON(caseId, name, data) {
+    await fs.mkdir(this.caseDir(caseId), { recursive: true });
+
+    // Write-then-rename so a crash never leaves a half-written checkpoint
+    const file = this.filePath(caseId, name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+    await fs.rename(tmp, file);
+  }
+
+  async readJSON(caseId, name) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(caseId, name), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// ============================================================================
+// MEMORY STORE (tests, short-lived processes)
+// ============================================================================
+
+export class MemoryCheckpointStore {
+  constructor() {
+    this.cases = new Map();
+  }
+
+  async saveRun(caseId, run) {
+    this.bucket(caseId).set('run', structuredClone({ caseId, savedAt: new Date().toISOString(), ...run }));
+  }
+
+  async loadRun(caseId) {
+    return structuredClone(this.cases.get(caseId)?.get('run') || null);
+  }
+
+  async save(caseId, phase, checkpoint) {
+    this.bucket(caseId).set(phase, structuredClone({ phase, ...checkpoint }));
+  }
+
+  async load(caseId, phase) {
+    return structuredClone(this.cases.get(caseId)?.get(phase) || null);
+  }
+
+  async list(caseId) {
+    return [...(this.cases.get(caseId)?.keys() || [])].filter(k => k !== 'run');
+  }
+
+  async clear(caseId, phases = null) {
+    if (!phases) {
+      this.cases.delete(caseId);
+      return;
+    }
+
+    for (const phase of phases) {
+      this.cases.get(caseId)?.delete(phase);
+    }
+  }
+
+  bucket(caseId) {
+    if (!this.cases.has(caseId)) this.cases.set(caseId, new Map());
+    return this.cases.get(caseId);
+  }
+}
+
+export default FileCheckpointStore;
@@ -0,0 +1,225 @@
+/**
+ * DAG EXECUTOR
+ *
+ * Runs a set of nodes declared with `dependsOn` edges, starting every node as
+ * soon as its dependencies finish, so independent work (opponent profiling,
+ * judge profiling, data context, timeline) overlaps instead of queuing.
+ *
+ * Each node gets a timeout and a retry budget. After the run the executor
+ * reports per-node timings and the critical path - the chain of dependent
+ * nodes that determined total wall-clock time.
+ */
+
+export class PhaseTimeoutError extends Error {
+  constructor(name, timeoutMs) {
+    super(`Phase "${name}" timed out after ${timeoutMs}ms`);
+    this.name = 'PhaseTimeoutError';
+    this.phase = name;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+export class PhaseFailedError extends Error {
+  constructor(name, attempts, cause) {
+    super(`Phase "${name}" failed after ${attempts} attempt(s): ${cause.message}`);
+    this.name = 'PhaseFailedError';
+    this.phase = name;
+    this.attempts = attempts;
+    this.cause = cause;
+  }
+}
+
+// ============================================================================
+// EXECUTOR CLASS
+// ============================================================================
+
+export class DAGExecutor {
+  /**
+   * @param {object} options
+   * @param {number} [options.timeoutMs] - Default per-node timeout (0 = none)
+   * @param {number} [options.retries] - Default extra attempts after a failure
+   *   (errors flagged `retryable = false` are never retried)
+   * @param {number} [options.retryDelayMs] - Base backoff, doubled per attempt
+   * @param {number} [options.concurrency] - Max nodes running at once
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? 0;
+    this.retries = options.retries ?? 0;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    this.concurrency = options.concurrency ?? Infinity;
+  }
+
+  /**
+   * Execute every node once its dependencies have completed
+   *
+   * @param {Array<{name, dependsOn, timeoutMs?, retries?}>} nodes
+   * @param {Function} execute - async (node, { attempt, signal }) => status string | undefined.
+   *   `signal` aborts when the attempt times out; a late attempt must not
+   *   publish its result once it has.
+   * @param {object} [hooks]
+   * @param {Function} [hooks.onRetry] - (node, attempt, error) before each retry
+   * @returns {Promise<object>} Timing report (see buildTimingReport)
+   */
+  async run(nodes, execute, hooks = {}) {
+    this.validate(nodes);
+
+    const runStart = Date.now();
+    const timings = new Map();
+    const pending = new Set(nodes.map(node => node.name));
+    const running = new Map(); // name -> promise
+    let failure = null;
+
+    const ready = () => nodes.filter(node =>
+      pending.has(node.name) &&
+      node.dependsOn.every(dependency => timings.get(dependency)?.finishedAt !== undefined)
+    );
+
+    while (pending.size > 0 || running.size > 0) {
+      // Stop scheduling once something failed; let in-flight nodes settle
+      if (!failure) {
+        for (const node of ready()) {
+          if (running.size >= this.concurrency) break;
+
+          pending.delete(node.name);
+          const timing = { startedAt: Date.now() - runStart, attempts: 0, status: 'running' };
+          timings.set(node.name, timing);
+
+          const promise = this.runNode(node, execute, timing, hooks)
+            .then(status => {
+              timing.finishedAt = Date.now() - runStart;
+              timing.status = status || 'executed';
+            })
+            .catch(error => {
+              timing.status = 'failed';
+              failure = failure || error;
+            })
+            .finally(() => running.delete(node.name));
+
+          running.set(node.name, promise);
+        }
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
+    }
+
+    if (failure) throw failure;
+
+    if (pending.size > 0) {
+      throw new Error(`Circular phase dependency among: ${[...pending].join(', ')}`);
+    }
+
+    return this.buildTimingReport(nodes, timings, Date.now() - runStart);
+  }
+
+  async runNode(node, execute, timing, hooks) {
+    const timeoutMs = node.timeoutMs ?? this.timeoutMs;
+    const retries = node.retries ?? this.retries;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      timing.attempts = attempt;
+      const controller = new AbortController();
+
+      try {
+        return await this.withTimeout(execute(node, { attempt, signal: controller.signal }), node.name, timeoutMs, controller);
+      } catch (error) {
+        lastError = error;
+
+        // Errors that will fail the same way again (bad input, missing fixture)
+        if (error.retryable === false) break;
+
+        if (attempt <= retries) {
+          hooks.onRetry?.(node, attempt, error);
+          await new Promise(resolve => setTimeout(resolve, this.retryDelayMs * 2 ** (attempt - 1)));
+        }
+      }
+    }
+
+    throw new PhaseFailedError(node.name, timing.attempts, lastError);
+  }
+
+  /**
+   * Reject if the node runs too long, aborting the attempt's signal. Agents
+   * don't take abort signals, so the call itself runs on - execute() checks
+   * the signal before it saves or merges anything.
+   */
+  withTimeout(promise, name, timeoutMs, controller) {
+    if (!timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new PhaseTimeoutError(name, timeoutMs);
+        controller?.abort(error);
+        reject(error);
+      }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  validate(nodes) {
+    const names = new Set(nodes.map(node => node.name));
+
+    for (const node of nodes) {
+      for (const dependency of node.dependsOn) {
+        if (!names.has(dependency)) {
+          throw new Error(`Phase "${node.name}" depends on unknown phase "${dependency}"`);
+        }
+      }
+    }
+  }
+
+  // ==========================================================================
+  // TIMING REPORT
+  // ==========================================================================
+
+  /**
+   * Per-node timings plus the critical path: walk back from the last node to
+   * finish, each time following the dependency that finished latest.
+   */
+  buildTimingReport(nodes, timings, totalMs) {
+    const byName = new Map(nodes.map(node => [node.name, node]));
+    const phases = {};
+    let sumMs = 0;
+
+    for (const node of nodes) {
+      const timing = timings.get(node.name);
+      const durationMs = timing.finishedAt - timing.startedAt;
+      sumMs += durationMs;
+
+      phases[node.name] = {
+        status: timing.status,
+        attempts: timing.attempts,
+        startMs: timing.startedAt,
+        endMs: timing.finishedAt,
+        durationMs,
+      };
+    }
+
+    const latest = (names) => names.reduce(
+      (best, name) => (!best || phases[name].endMs > phases[best].endMs ? name : best),
+      null
+    );
+
+    const criticalPath = [];
+    let current = latest(nodes.map(node => node.name));
+
+    while (current) {
+      criticalPath.unshift({ phase: current, durationMs: phases[current].durationMs });
+      current = latest(byName.get(current).dependsOn);
+    }
+
+    return {
+      totalMs,
+      sequentialMs: sumMs,
+      savedByParallelismMs: Math.max(0, sumMs - totalMs),
+      criticalPath,
+      criticalPathMs: criticalPath.reduce((sum, step) => sum + step.durationMs, 0),
+      phases,
+    };
+  }
+}
+
+export default DAGExecutor;
@@ -0,0 +1,49 @@
+/**
+ * PIPELINE EVENTS
+ *
+ * Event types emitted by MasterOrchestrator. Every event is also re-emitted
+ * as 'event' (with its `type`), which is what the reporters and the
+ * analyzeCaseStream() async iterator subscribe to.
+ *
+ * Payloads (all carry type, runId, caseId, timestamp):
+ *   initialize-start / initialize-complete  {}
+ *   pipeline-start     { phases: [{ name, title, dependsOn }] }
+ *   phase-start        { phase, title, attempt }
+ *   phase-complete     { phase, title, status: executed|restored|skipped, durationMs, highlights, completedAt? }
+ *   partial-result     { phase, output }   - fields the phase merged into results
+ *   warning            { phase, message }
+ *   progress           { phase, message }   - an agent's running commentary
+ *     (phase is null outside a phase, e.g. while initializing)
+ *   pipeline-complete  { durationMs, timing, results }
+ *   pipeline-error     { error: { name, message, stack, phase? } }
+ */
+
+export const PIPELINE_EVENTS = {
+  INITIALIZE_START: 'initialize-start',
+  INITIALIZE_COMPLETE: 'initialize-complete',
+  PIPELINE_START: 'pipeline-start',
+  PHASE_START: 'phase-start',
+  PHASE_COMPLETE: 'phase-complete',
+  PARTIAL_RESULT: 'partial-result',
+  WARNING: 'warning',
+  PROGRESS: 'progress',
+  PIPELINE_COMPLETE: 'pipeline-complete',
+  PIPELINE_ERROR: 'pipeline-error',
+};
+
+// Events after which a run produces nothing more
+export const TERMINAL_EVENTS = [PIPELINE_EVENTS.PIPELINE_COMPLETE, PIPELINE_EVENTS.PIPELINE_ERROR];
+
+/**
+ * Plain-object form of an error (events must survive JSON serialization)
+ */
+export function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    ...(error.phase ? { phase: error.phase } : {}),
+  };
+}
+
+export default PIPELINE_EVENTS;
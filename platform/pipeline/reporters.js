@@ -0,0 +1,162 @@
+/**
+ * PIPELINE REPORTERS
+ *
+ * Subscribers for MasterOrchestrator's event stream:
+ * - ConsoleReporter:    the human-readable emoji progress output
+ * - JSONLinesReporter:  one JSON object per event (log shipping, CI)
+ */
+
+import { PIPELINE_EVENTS } from './events.js';
+
+// ============================================================================
+// CONSOLE REPORTER
+// ============================================================================
+
+export class ConsoleReporter {
+  /**
+   * @param {object} options
+   * @param {boolean} [options.printSummary] - Print the executive summary at the end
+   * @param {boolean} [options.verbose] - Print agents' progress lines (default true)
+   */
+  constructor(options = {}) {
+    this.printSummary = options.printSummary !== false;
+    this.verbose = options.verbose !== false;
+    this.pendingWarnings = new Map(); // phase -> messages, printed with its block
+    this.handler = (event) => this.handle(event);
+  }
+
+  attach(emitter) {
+    emitter.on('event', this.handler);
+    return this;
+  }
+
+  detach(emitter) {
+    emitter.off('event', this.handler);
+    return this;
+  }
+
+  handle(event) {
+    switch (event.type) {
+      case PIPELINE_EVENTS.INITIALIZE_START:
+        console.log('🚀 Initializing Tenant Justice Platform...\n');
+        console.log('📚 Loading legal library...');
+        break;
+
+      case PIPELINE_EVENTS.INITIALIZE_COMPLETE:
+        console.log('  ✓ Legal library ready\n');
+        console.log('✅ Platform initialized and ready\n');
+        break;
+
+      case PIPELINE_EVENTS.PIPELINE_START:
+        console.log('\n' + '='.repeat(80));
+        console.log('🎯 TENANT JUSTICE PLATFORM - FULL CASE ANALYSIS');
+        console.log('='.repeat(80) + '\n');
+        break;
+
+      // Phases run concurrently, so each phase prints as one block on completion
+      case PIPELINE_EVENTS.PHASE_START:
+        console.log(`⏳ ${event.title}${event.attempt > 1 ? ` (attempt ${event.attempt})` : ''}...`);
+        break;
+
+      case PIPELINE_EVENTS.PHASE_COMPLETE:
+        if (event.status === 'restored') {
+          console.log(`♻️  ${event.title} (restored from checkpoint ${event.completedAt})\n`);
+        } else if (event.status === 'executed') {
+          console.log(`\n${event.title}\n`);
+          event.highlights.forEach(line => console.log(`  ✓ ${line}`));
+          (this.pendingWarnings.get(event.phase) || []).forEach(line => console.log(`  ⚠️  ${line}`));
+          console.log();
+        }
+        this.pendingWarnings.delete(event.phase);
+        break;
+
+      // Agent commentary prints as it happens, prefixed by phase when phases interleave
+      case PIPELINE_EVENTS.PROGRESS:
+        if (this.verbose) console.log(event.phase ? `  [${event.phase}] ${event.message}` : `  ${event.message}`);
+        break;
+
+      case PIPELINE_EVENTS.WARNING:
+        if (event.phase) {
+          const warnings = this.pendingWarnings.get(event.phase) || [];
+          this.pendingWarnings.set(event.phase, [...warnings, event.message]);
+        } else {
+          console.log(`  ⚠️  ${event.message}`);
+        }
+        break;
+
+      case PIPELINE_EVENTS.PIPELINE_COMPLETE:
+        this.printCompletion(event);
+        break;
+
+      case PIPELINE_EVENTS.PIPELINE_ERROR:
+        console.error('\n❌ Analysis failed:', event.error.message);
+        console.error(event.error.stack);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  printCompletion({ durationMs, timing, results }) {
+    console.log('='.repeat(80));
+    console.log(`✅ ANALYSIS COMPLETE (${(durationMs / 1000).toFixed(1)}s)`);
+    console.log('='.repeat(80));
+    console.log();
+    console.log(`⏱️  Critical path (${(timing.criticalPathMs / 1000).toFixed(1)}s): ${timing.criticalPath.map(step => step.phase).join(' → ')}`);
+    console.log(`   Parallel phases saved ${(timing.savedByParallelismMs / 1000).toFixed(1)}s`);
+    console.log();
+
+    if (this.printSummary) {
+      console.log('📊 EXECUTIVE SUMMARY:');
+      console.log(results.executiveSummary);
+      console.log();
+    }
+  }
+}
+
+// ============================================================================
+// JSON LINES REPORTER
+// ============================================================================
+
+export class JSONLinesReporter {
+  /**
+   * @param {object} options
+   * @param {object} [options.stream] - Writable stream (default stdout; agents
+   *   report through progress events, so nothing else writes to it mid-run)
+   * @param {boolean} [options.includeResults] - Include phase outputs and final
+   *   results (large, and contain tenant data) instead of just their keys
+   */
+  constructor(options = {}) {
+    this.stream = options.stream || process.stdout;
+    this.includeResults = options.includeResults || false;
+    this.handler = (event) => this.handle(event);
+  }
+
+  attach(emitter) {
+    emitter.on('event', this.handler);
+    return this;
+  }
+
+  detach(emitter) {
+    emitter.off('event', this.handler);
+    return this;
+  }
+
+  handle(event) {
+    let line = event;
+
+    if (!this.includeResults) {
+      const { output, results, ...rest } = event;
+      line = {
+        ...rest,
+        ...(output ? { outputKeys: Object.keys(output) } : {}),
+        ...(results ? { resultKeys: Object.keys(results) } : {}),
+      };
+    }
+
+    this.stream.write(JSON.stringify(line) + '\n');
+  }
+}
+
+export default ConsoleReporter;
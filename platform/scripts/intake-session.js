@@ -0,0 +1,149 @@
+/**
+ * INTERACTIVE INTAKE
+ *
+ * Asks the tenant follow-up questions until the case data is complete enough.
+ *
+ *   node scripts/intake-session.js [story.txt] [--doc lease.pdf --doc texts.xml ...] [--threshold 100] [--out case.json]
+ *   node scripts/intake-session.js --serve [--port 3001]
+ *
+ * --doc (repeatable) adds the tenant's files: lease PDF/DOCX, SMS backup
+ * XML/CSV, .eml/.mbox email. In the REPL, answer each question or type:
+ * skip, status, show, quit
+ */
+
+import http from 'http';
+import fs from 'fs/promises';
+import readline from 'readline';
+import IntakeSession from '../intake/intake-session.js';
+import { createIntakeHandler } from '../intake/intake-http.js';
+import DocumentIngestor from '../ingestion/document-ingestor.js';
+
+function parseArgs(argv) {
+  const args = { storyFile: null, docs: [], threshold: undefined, out: null, serve: false, port: 3001 };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--threshold': args.threshold = Number(argv[++i]); break;
+      case '--doc': args.docs.push(argv[++i]); break;
+      case '--out': args.out = argv[++i]; break;
+      case '--serve': args.serve = true; break;
+      case '--port': args.port = Number(argv[++i]); break;
+      default: args.storyFile = argv[i];
+    }
+  }
+
+  return args;
+}
+
+// ============================================================================
+// HTTP SERVER
+// ============================================================================
+
+function serve(args) {
+  const handler = createIntakeHandler({
+    sessionOptions: args.threshold !== undefined ? { threshold: args.threshold } : {},
+  });
+
+  http.createServer(handler).listen(args.port, () => {
+    console.log(`🌐 Intake endpoint listening on http://localhost:${args.port}/intake/sessions\n`);
+  });
+}
+
+// ============================================================================
+// REPL
+// ============================================================================
+
+async function repl(args) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const settings = args.threshold !== undefined ? { threshold: args.threshold } : {};
+
+  // Read lines through the iterator so piped input isn't dropped between prompts
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (prompt) => {
+    process.stdout.write(prompt);
+    const { value, done } = await lines.next();
+    return done ? 'quit' : value.trim();
+  };
+
+  try {
+    let session;
+    let documents = [];
+
+    if (args.docs.length > 0) {
+      const bundle = await new DocumentIngestor().ingest(args.docs);
+      documents = bundle.documents;
+
+      for (const document of documents) {
+        console.log(`📄 ${document.file}: ${document.kind}${document.messages.length > 0 ? `, ${document.messages.length} messages` : ''}`);
+      }
+      for (const { file, reason } of bundle.skipped) {
+        console.log(`⚠️  Skipped ${file}: ${reason}`);
+      }
+      console.log('');
+    }
+
+    if (args.storyFile || documents.length > 0) {
+      const sources = [args.storyFile && 'story', documents.length > 0 && 'documents'].filter(Boolean).join(' and ');
+      console.log(`📥 Extracting case details from ${sources}...\n`);
+      const story = args.storyFile ? await fs.readFile(args.storyFile, 'utf8') : '';
+      session = await IntakeSession.fromStory(story, { ...settings, documents });
+    } else {
+      const story = await ask('Tell us what is going on with your home (or press Enter to answer questions):\n> ');
+      session = story && story !== 'quit'
+        ? await IntakeSession.fromStory(story, settings)
+        : new IntakeSession(settings);
+    }
+
+    const printStatus = () => {
+      const status = session.status();
+      console.log(`\n📊 Completeness: ${status.completeness}% (target ${status.threshold}%) - ${status.answered} answered, ${status.unconfirmed} to confirm, ${status.skipped} skipped\n`);
+    };
+
+    printStatus();
+    let question = await session.nextQuestion();
+
+    while (question) {
+      const input = await ask(`❓ ${question.question}\n> `);
+
+      if (input === 'quit') break;
+      if (input === 'status') { printStatus(); continue; }
+      if (input === 'show') { console.log(JSON.stringify(session.caseData, null, 2)); continue; }
+      if (input === 'skip') { question = await session.skip(); continue; }
+
+      const result = await session.answer(input);
+      if (!result.accepted) {
+        console.log(`  ⚠️  ${result.error}\n`);
+      } else {
+        console.log(`  ✓ Completeness ${result.status.completeness}%\n`);
+      }
+      question = result.question;
+    }
+
+    printStatus();
+    console.log(session.isComplete() ? '✅ Intake complete\n' : '⚠️  Intake stopped before reaching the target\n');
+
+    if (args.out) {
+      await fs.writeFile(args.out, JSON.stringify(session.caseData, null, 2));
+      console.log(`💾 Saved case data to ${args.out}\n`);
+    } else {
+      console.log(JSON.stringify(session.caseData, null, 2));
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.serve) {
+  serve(args);
+} else {
+  repl(args).catch(error => {
+    console.error('❌ Intake failed:', error.message);
+    process.exit(1);
+  });
+}
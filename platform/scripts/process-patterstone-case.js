@@ -7,11 +7,13 @@
  * Run: node scripts/process-patterstone-case.js
  */
 
-const { IntakeAgent } = require('../agents/agent_intake');
-const { LegalMapperAgent } = require('../agents/agent_legal_mapper');
-const { DamagesCalculator } = require('../agents/agent_damages');
-const fs = require('fs');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { IntakeAgent, LegalMapperAgent, DamagesCalculator } from '../index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 // Patterstone Case Raw Story
 const PATTERSTONE_STORY = `
@@ -70,7 +72,7 @@ EVIDENCE I HAVE:
 - Handyman's statement ("too big for me")
 `;
 
-async function main() {
+export async function main() {
   console.log('🚀 PROCESSING PATTERSTONE CASE THROUGH TENANT JUSTICE PLATFORM\n');
   console.log('=' .repeat(80));
   
@@ -140,7 +142,8 @@ async function main() {
     console.log('\n💰 STEP 3: DAMAGES CALCULATOR - Calculating Money Owed...\n');
     
     const damagesCalc = new DamagesCalculator();
-    const damagesResult = damagesCalc.calculate(caseData, legalAnalysis);
+    // A one-shot script has no tenant to confirm low-confidence fields with
+    const damagesResult = damagesCalc.calculate(caseData, legalAnalysis, { allowUnconfirmed: true });
     
     if (!damagesResult.success) {
       throw new Error(`Damages calculation failed: ${damagesResult.error}`);
@@ -151,13 +154,13 @@ async function main() {
     console.log(`\n   CONSERVATIVE ESTIMATE: $${damages.conservative.total.toLocaleString()}`);
     console.log('   Breakdown:');
     damages.conservative.breakdown.forEach(item => {
-      console.log(`      - ${item.category}: $${item.amount.toLocaleString()}`);
+      console.log(`      - ${item.category}: $${item.amount.toLocaleString()} (${item.rule.citation})`);
     });
     
     console.log(`\n   AGGRESSIVE ESTIMATE: $${damages.aggressive.total.toLocaleString()}`);
     console.log('   Breakdown:');
     damages.aggressive.breakdown.forEach(item => {
-      console.log(`      - ${item.category}: $${item.amount.toLocaleString()}`);
+      console.log(`      - ${item.category}: $${item.amount.toLocaleString()} (${item.rule.citation})`);
     });
     
     console.log(`\n   💡 RECOMMENDED DEMAND: $${damages.recommended.demandAmount.toLocaleString()}`);
@@ -204,8 +207,6 @@ if (!fs.existsSync(outputDir)) {
 }
 
 // Run if called directly
-if (require.main === module) {
+if (process.argv[1] === __filename) {
   main();
 }
-
-module.exports = { main };
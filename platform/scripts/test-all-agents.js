@@ -5,14 +5,15 @@
  * Uses the Patterstone case as test data
  */
 
-import IntakeAgent from '../agents/agent_intake.js';
-import TimelineArchitectAgent from '../agents/agent_timeline.js';
-import EnhancedLegalMapperAgent from '../agents/agent_legal_mapper_enhanced.js';
-import DamagesCalculatorAgent from '../agents/agent_damages.js';
-import HealthImpactAnalyzerAgent from '../agents/agent_health.js';
-import DocumentDrafterAgent from '../agents/agent_document_drafter.js';
-import MasterOrchestrator from '../agents/agent_orchestrator.js';
-import LegalLibrary from '../legal-intelligence/legal-library.js';
+import {
+  IntakeAgent,
+  TimelineArchitectAgent,
+  EnhancedLegalMapperAgent,
+  DamagesCalculator,
+  HealthImpactAnalyzerAgent,
+  DocumentDrafterAgent,
+  MasterOrchestrator,
+} from '../index.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -131,12 +132,14 @@ async function runIndividualTests() {
   
   const intakeAgent = new IntakeAgent();
   const startIntake = Date.now();
-  results.intake = await intakeAgent.processStory(PATTERSTONE_STORY);
+  const intake = await intakeAgent.analyze(PATTERSTONE_STORY);
+  if (!intake.success) throw new Error(`Intake failed: ${intake.error}`);
+  results.intake = intake.data;
   const intakeTime = Date.now() - startIntake;
   
   console.log(`✅ Intake complete in ${intakeTime}ms`);
-  console.log(`   - Confidence: ${results.intake.confidence}`);
-  console.log(`   - Completeness: ${results.intake.completeness}/10`);
+  console.log(`   - Confidence: ${results.intake.metadata.confidenceScore}`);
+  console.log(`   - Completeness: ${intakeAgent.calculateCompleteness(results.intake)}%`);
   console.log(`   - Facts extracted: ${Object.keys(results.intake).length}`);
   console.log(`   - Evidence items: ${results.intake.evidence?.length || 0}\n`);
 
@@ -177,16 +180,18 @@ async function runIndividualTests() {
   console.log('TEST 4: DAMAGES CALCULATOR');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
   
-  const damagesCalc = new DamagesCalculatorAgent();
+  const damagesCalc = new DamagesCalculator();
   const startDamages = Date.now();
-  results.damages = await damagesCalc.calculateDamages(results.intake, results.legal);
+  const damages = damagesCalc.calculate(results.intake, results.legal, { allowUnconfirmed: true });
+  if (!damages.success) throw new Error(`Damages failed: ${damages.error}`);
+  results.damages = damages.data;
   const damagesTime = Date.now() - startDamages;
   
   console.log(`✅ Damages calculated in ${damagesTime}ms`);
-  console.log(`   - Conservative: $${results.damages.totalDamages.conservative.toLocaleString()}`);
-  console.log(`   - Recommended: $${results.damages.totalDamages.recommended.toLocaleString()}`);
-  console.log(`   - Aggressive: $${results.damages.totalDamages.aggressive.toLocaleString()}`);
-  console.log(`   - Categories: ${results.damages.damageCategories.length}\n`);
+  console.log(`   - Conservative: $${results.damages.conservative.total.toLocaleString()}`);
+  console.log(`   - Recommended: $${results.damages.recommended.demandAmount.toLocaleString()}`);
+  console.log(`   - Aggressive: $${results.damages.aggressive.total.toLocaleString()}`);
+  console.log(`   - Categories: ${Object.keys(results.damages.categories).length}\n`);
 
   // Test 5: Health Impact Analyzer
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -219,7 +224,7 @@ async function runIndividualTests() {
     results.intake,
     results.legal,
     results.damages,
-    { tone: 'professional', deadline: 14 }
+    { tone: 'professional', deadline: 14, allowUnconfirmed: true }
   );
   
   const evidenceIndex = await docDrafter.createEvidenceIndex(
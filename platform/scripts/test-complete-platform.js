@@ -138,9 +138,9 @@ async function runCompleteTest() {
 
     console.log('4️⃣  DAMAGES CALCULATION:');
     console.log(`   ✓ Conservative: $${results.damages.conservative.total.toLocaleString()}`);
-    console.log(`   ✓ Recommended: $${results.damages.recommended.total.toLocaleString()}`);
+    console.log(`   ✓ Recommended: $${results.damages.recommended.demandAmount.toLocaleString()}`);
     console.log(`   ✓ Aggressive: $${results.damages.aggressive.total.toLocaleString()}`);
-    console.log(`   ✓ Settlement range: $${results.damages.settlementRange.min.toLocaleString()} - $${results.damages.settlementRange.max.toLocaleString()}\n`);
+    console.log(`   ✓ Settlement range: $${results.damages.recommended.settlementRange.low.toLocaleString()} - $${results.damages.recommended.settlementRange.high.toLocaleString()}\n`);
 
     if (results.strategy) {
       console.log('5️⃣  GAME THEORY ANALYSIS:');
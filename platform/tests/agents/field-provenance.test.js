@@ -0,0 +1,138 @@
+import {
+  buildFieldProvenance,
+  locateSpan,
+  reviewFields,
+  LOW_CONFIDENCE,
+} from '../../agents/field_provenance.js';
+
+const STORY = 'I moved in on March 1, 2023 and pay $1,800/month.\nMy landlord is   Peachtree\nRentals LLC.';
+const LEASE = { file: 'lease.pdf', text: 'RESIDENTIAL LEASE\nMonthly rent: $1,800\nSecurity deposit: $1,800\n' };
+
+describe('locateSpan', () => {
+  test('returns exact offsets for an exact quote', () => {
+    expect(locateSpan(STORY, '$1,800/month')).toEqual({ start: 36, end: 48, text: '$1,800/month' });
+  });
+
+  test('falls back to a case-insensitive match', () => {
+    expect(locateSpan(STORY, 'i MOVED in')).toEqual({ start: 0, end: 10, text: 'I moved in' });
+  });
+
+  test('matches across whitespace differences and reports the text as written', () => {
+    const span = locateSpan(STORY, 'landlord is Peachtree Rentals LLC');
+
+    expect(span).toEqual({ start: 53, end: 88, text: 'landlord is   Peachtree\nRentals LLC' });
+    expect(STORY.slice(span.start, span.end)).toBe(span.text);
+  });
+
+  test('returns null for text that is not there, or an empty quote', () => {
+    expect(locateSpan(STORY, '$2,000/month')).toBeNull();
+    expect(locateSpan(STORY, '   ')).toBeNull();
+    expect(locateSpan('', 'rent')).toBeNull();
+  });
+});
+
+describe('buildFieldProvenance', () => {
+  const caseData = {
+    lease: { moveInDate: '2023-03-01', monthlyRent: 1800, securityDeposit: 1800 },
+    landlord: { name: 'Peachtree Rentals LLC' },
+    timeline: { durationDays: 300 },
+    metadata: { confidenceScore: 0.9 },
+  };
+
+  test('records story spans with exact offsets', () => {
+    const provenance = buildFieldProvenance(caseData, STORY, {
+      'lease.moveInDate': { quote: 'March 1, 2023', confidence: 0.95 },
+    });
+
+    expect(provenance['lease.moveInDate']).toEqual({
+      source: 'story',
+      span: { start: 14, end: 27, text: 'March 1, 2023' },
+      confidence: 0.95,
+      confirmed: false,
+    });
+  });
+
+  test('records document spans with the file and offsets in its text', () => {
+    const provenance = buildFieldProvenance(caseData, STORY, {
+      'lease.securityDeposit': { quote: 'Security deposit: $1,800', file: 'lease.pdf', confidence: 0.9 },
+    }, [LEASE]);
+
+    expect(provenance['lease.securityDeposit']).toMatchObject({
+      source: 'document',
+      file: 'lease.pdf',
+      span: { start: 39, end: 63, text: 'Security deposit: $1,800' },
+    });
+  });
+
+  test('prefers the named file, and finds quotes attributed to the wrong one', () => {
+    const provenance = buildFieldProvenance(caseData, STORY, {
+      'lease.monthlyRent': { quote: '$1,800', file: 'lease.pdf', confidence: 0.9 },
+      'landlord.name': { quote: 'Peachtree Rentals LLC', file: 'lease.pdf', confidence: 0.9 },
+    }, [LEASE]);
+
+    expect(provenance['lease.monthlyRent']).toMatchObject({ source: 'document', file: 'lease.pdf', span: { start: 32, end: 38 } });
+    expect(provenance['landlord.name']).toMatchObject({ source: 'story', span: { start: 67, end: 88, text: 'Peachtree\nRentals LLC' } });
+  });
+
+  test('ignores offsets the model reports and locates the quote itself', () => {
+    const provenance = buildFieldProvenance(caseData, STORY, {
+      'lease.monthlyRent': { quote: '$1,800/month', start: 3, end: 9, confidence: 0.9 },
+    });
+
+    expect(provenance['lease.monthlyRent'].span).toEqual({ start: 36, end: 48, text: '$1,800/month' });
+  });
+
+  test('treats uncited values as inferred and caps misquoted ones', () => {
+    const provenance = buildFieldProvenance(caseData, STORY, {
+      'landlord.name': { quote: 'Peachtree Property Group', confidence: 0.95 },
+    });
+
+    expect(provenance['landlord.name']).toEqual({ source: 'inferred', span: null, confidence: 0.5, confirmed: false });
+    expect(provenance['timeline.durationDays']).toEqual({ source: 'inferred', span: null, confidence: 0.3, confirmed: false });
+    expect(provenance).not.toHaveProperty('metadata.confidenceScore');
+  });
+
+  test('falls back to inferred provenance when the report is malformed', () => {
+    const provenance = buildFieldProvenance(caseData, STORY, { 'lease.monthlyRent': { quote: 1800 } });
+
+    expect(Object.values(provenance).every(entry => entry.source === 'inferred')).toBe(true);
+  });
+});
+
+describe('reviewFields', () => {
+  const caseData = {
+    provenance: {
+      'lease.monthlyRent': { source: 'inferred', span: null, confidence: 0.3, confirmed: false },
+      'lease.moveInDate': { source: 'story', span: null, confidence: 0.6, confirmed: false },
+      'landlord.name': { source: 'story', span: null, confidence: 0.2, confirmed: true },
+      'issues.0.category': { source: 'inferred', span: null, confidence: 0.5, confirmed: false },
+      'issues.0.description': { source: 'story', span: null, confidence: LOW_CONFIDENCE, confirmed: false },
+    },
+  };
+
+  test('flags unconfirmed low-confidence fields that are used', () => {
+    const review = reviewFields(caseData, ['lease.monthlyRent', 'issues', 'landlord.name']);
+
+    expect(review.flagged).toEqual([
+      { field: 'lease.monthlyRent', confidence: 0.3, source: 'inferred' },
+      { field: 'issues.0.category', confidence: 0.5, source: 'inferred' },
+    ]);
+    expect(review.refused).toEqual([]);
+    expect(review.warnings).toEqual([
+      'Unconfirmed inferred value for lease.monthlyRent (confidence 0.30)',
+      'Unconfirmed inferred value for issues.0.category (confidence 0.50)',
+    ]);
+  });
+
+  test('refuses required fields below the refusal confidence only', () => {
+    const review = reviewFields(caseData, ['lease'], { required: ['lease'] });
+
+    expect(review.flagged.map(f => f.field)).toEqual(['lease.monthlyRent', 'lease.moveInDate']);
+    expect(review.refused.map(f => f.field)).toEqual(['lease.monthlyRent']);
+    expect(review.warnings[1]).toBe('Unconfirmed extracted value for lease.moveInDate (confidence 0.60)');
+  });
+
+  test('passes case data without provenance unchecked', () => {
+    expect(reviewFields({}, ['lease'], { required: ['lease'] })).toEqual({ flagged: [], refused: [], warnings: [] });
+  });
+});
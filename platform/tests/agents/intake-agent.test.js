@@ -0,0 +1,68 @@
+import { IntakeAgent } from '../../agents/agent_intake.js';
+import { LLMProvider } from '../../llm/index.js';
+
+const EXTRACTION = {
+  tenant: { name: 'Maria Lopez', hasChildren: false },
+  landlord: { name: 'Peachtree Rentals LLC' },
+  property: { address: '123 Main St', city: 'Atlanta', state: 'GA', zipCode: '30303', propertyType: 'apartment' },
+  lease: { moveInDate: '2023-01-01', leaseType: 'fixed_term', monthlyRent: 1800 },
+  issues: [{ category: 'water_leak', description: 'Bathroom ceiling leak', severity: 'major', isOngoing: true }],
+  timeline: { firstIssueDate: '2024-03-04' },
+  healthImpact: { hasHealthIssues: false },
+  desiredOutcome: {
+    repairCompleted: true, rentRefund: true, breakLease: false,
+    monetaryDamages: true, exposeLandlord: false, securityDepositReturn: false,
+  },
+  metadata: { confidenceScore: 0.9, missingInformation: [], clarificationNeeded: [] },
+  provenance: { 'lease.monthlyRent': { quote: 'Rent: $1,800', file: 'lease.txt', confidence: 0.95 } },
+};
+
+// Answers every chat with the same extraction
+class ExtractionProvider extends LLMProvider {
+  async chat() {
+    return { content: JSON.stringify(EXTRACTION), model: 'extraction', usage: null };
+  }
+}
+
+function textMessages(file, count) {
+  const messages = Array.from({ length: count }, (_, i) => ({
+    date: new Date(Date.UTC(2024, 0, 1) + i * 60000).toISOString(),
+    channel: 'sms',
+    direction: 'from_tenant',
+    from: 'tenant',
+    to: 'Landlord',
+    excerpt: `Message ${i}`,
+    attachments: [],
+    kind: 'message',
+    source: { file, index: i, start: i * 10, end: i * 10 + 9 },
+  }));
+
+  return { file, format: 'sms_csv', kind: 'communications', text: '', messages };
+}
+
+describe('IntakeAgent documents', () => {
+  test('records source documents and cites quotes found in them', async () => {
+    const lease = { file: 'lease.txt', format: 'text', kind: 'lease', text: 'RESIDENTIAL LEASE\nRent: $1,800', messages: [] };
+    const agent = new IntakeAgent({ llm: new ExtractionProvider(), log: () => {} });
+
+    const { data } = await agent.analyze('', { documents: [lease, textMessages('texts.csv', 2)] });
+
+    expect(data.sourceDocuments).toEqual([
+      { file: 'lease.txt', format: 'text', kind: 'lease', messageCount: 0 },
+      { file: 'texts.csv', format: 'sms_csv', kind: 'communications', messageCount: 2 },
+    ]);
+    expect(data.communications.map(message => message.excerpt)).toEqual(['Message 0', 'Message 1']);
+    expect(data.provenance['lease.monthlyRent']).toMatchObject({ source: 'document', file: 'lease.txt', span: { start: 18, end: 30 } });
+  });
+
+  test('keeps the earliest 500 messages and reports the rest through its log', async () => {
+    const logged = [];
+    const agent = new IntakeAgent({ llm: new ExtractionProvider(), log: (message) => logged.push(message) });
+
+    const { data } = await agent.analyze('', { documents: [textMessages('texts.csv', 502)] });
+
+    expect(data.communications).toHaveLength(500);
+    expect(data.communications.at(-1).excerpt).toBe('Message 499');
+    expect(logged).toEqual([expect.stringContaining('keeping the first 500 of 502 messages')]);
+  });
+});
@@ -0,0 +1,79 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MasterOrchestrator } from '../../agents/agent_orchestrator.js';
+import { FileCheckpointStore, MemoryCheckpointStore, InvalidCaseIdError } from '../../pipeline/checkpoint-store.js';
+import { FixtureProvider } from '../../llm/index.js';
+import { PhaseTimeoutError } from '../../pipeline/dag-executor.js';
+
+function createOrchestrator() {
+  return new MasterOrchestrator({
+    llm: new FixtureProvider({ mode: 'replay' }),
+    checkpoints: new MemoryCheckpointStore(),
+    logToConsole: false,
+  });
+}
+
+describe('MasterOrchestrator phases', () => {
+  test('values the strategy after damages are calculated', () => {
+    const phases = createOrchestrator().definePhases('story', { generateDocuments: true });
+    const strategy = phases.find(phase => phase.name === 'strategy');
+
+    expect(strategy.dependsOn).toContain('damages');
+    expect(phases.findIndex(phase => phase.name === 'damages')).toBeLessThan(phases.indexOf(strategy));
+  });
+
+  test('a timed-out attempt publishes no checkpoint, results or events', async () => {
+    const orchestrator = createOrchestrator();
+    const events = [];
+    orchestrator.on('event', event => events.push(event.type));
+
+    const controller = new AbortController();
+    const phase = {
+      name: 'legal',
+      inputs: () => ({}),
+      run: async (results, report) => {
+        controller.abort(new PhaseTimeoutError('legal', 10));
+        report.warn('late warning');
+        return { legalAnalysis: { caseStrength: 7 } };
+      },
+    };
+    const results = {};
+
+    await expect(orchestrator.executePhase(phase, {
+      run: { runId: 'r1', caseId: 'smith-2024' },
+      results,
+      pinned: new Set(),
+      attempt: 1,
+      signal: controller.signal,
+    })).rejects.toBeInstanceOf(PhaseTimeoutError);
+
+    expect(results).toEqual({});
+    expect(await orchestrator.checkpoints.list('smith-2024')).toEqual([]);
+    expect(events).toEqual(['phase-start']);
+  });
+});
+
+describe('MasterOrchestrator case ids', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'orchestrator-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('refuses a case id that would leave the checkpoint directory', async () => {
+    const orchestrator = new MasterOrchestrator({
+      llm: new FixtureProvider({ mode: 'replay' }),
+      checkpoints: new FileCheckpointStore({ dir: path.join(root, 'checkpoints') }),
+      logToConsole: false,
+    });
+
+    await expect(orchestrator.analyzeCase('My ceiling leaks', { caseId: '..' })).rejects.toBeInstanceOf(InvalidCaseIdError);
+    await expect(orchestrator.analyzeCase('..', { resume: true })).rejects.toBeInstanceOf(InvalidCaseIdError);
+    expect(fs.readdirSync(root)).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+import { buildAbatementLedger, unitWideLoss } from '../../damages/abatement-ledger.js';
+import DamagesCalculator from '../../agents/agent_damages.js';
+import { getRulePack } from '../../damages/rule-pack-registry.js';
+
+// $3,100 rent = $100 a day in March. The timeline's stale duration is far
+// longer than the 30 days the leak actually lasted.
+function caseWith(issue, extra = {}) {
+  return {
+    tenant: { name: 'Tenant', hasChildren: false },
+    lease: { monthlyRent: 3100 },
+    property: { squareFeet: 1000 },
+    timeline: { firstIssueDate: '2024-03-01', durationDays: 400 },
+    issues: [{ category: 'water_leak', severity: 'severe', description: 'Ceiling leak', ...issue }],
+    ...extra,
+  };
+}
+
+const MARCH_LEAK = { firstOccurred: '2024-03-01', resolvedDate: '2024-03-31' };
+
+describe('buildAbatementLedger', () => {
+  test('prices each affected day at the share of the unit out of use', () => {
+    const ledger = buildAbatementLedger(caseWith(MARCH_LEAK), { asOf: '2024-06-01' });
+
+    expect(ledger).toMatchObject({ from: '2024-03-01', to: '2024-03-30' });
+    expect(ledger.totals).toEqual({ days: 30, conservative: 600, aggressive: 900, rentForPeriod: 3000, peakLostUse: 0.3 });
+    expect(ledger.months).toEqual([expect.objectContaining({ month: '2024-03', days: 30, averageLostUse: 0.3 })]);
+  });
+
+  test('weights a room by its share of the square footage', () => {
+    const ledger = buildAbatementLedger(caseWith({ ...MARCH_LEAK, affectedAreas: [{ room: 'bathroom', squareFeet: 100 }] }), { asOf: '2024-06-01' });
+
+    expect(ledger.days[0]).toMatchObject({ lostUse: 0.075, aggressive: 7.5, areas: ['bathroom (water_leak)'] });
+  });
+
+  test('runs an ongoing issue through the as-of day', () => {
+    const ledger = buildAbatementLedger(caseWith({ firstOccurred: '2024-03-01', isOngoing: true }), { asOf: '2024-03-10' });
+
+    expect(ledger.totals.days).toBe(10);
+    expect(ledger.to).toBe('2024-03-10');
+  });
+
+  test('abates the whole day while a unit-wide issue is uninhabitable', () => {
+    const ledger = buildAbatementLedger(caseWith({ ...MARCH_LEAK, severity: 'uninhabitable' }), {
+      asOf: '2024-06-01',
+      fullAbatementWhenUninhabitable: true,
+    });
+
+    expect(ledger.totals.aggressive).toBe(3000);
+  });
+
+  test('counts back from the timeline when an issue has no start date', () => {
+    const data = caseWith({ resolvedDate: '2024-03-31' }, { timeline: { durationDays: 10 } });
+    const ledger = buildAbatementLedger(data, { asOf: '2024-06-01' });
+
+    expect(ledger.totals.days).toBe(10);
+    expect(ledger.assumptions).toEqual(expect.arrayContaining([expect.stringContaining('counted back 10 days')]));
+  });
+
+  test('values unit-wide losses by category and severity', () => {
+    expect(unitWideLoss({ category: 'no_heat', severity: 'severe' })).toBe(0.3);
+    expect(unitWideLoss({ category: 'cosmetic', severity: 'minor' })).toBe(0);
+  });
+});
+
+describe('DamagesCalculator durations', () => {
+  const calculator = new DamagesCalculator();
+  const { pack } = getRulePack('GA');
+  const ledger = buildAbatementLedger(caseWith(MARCH_LEAK), { asOf: '2024-06-01' });
+
+  test('charges loss of use for the ledger\'s affected days, not the timeline duration', () => {
+    expect(calculator.calculateLossOfUse(ledger)).toMatchObject({ conservative: 200, aggressive: 500 });
+  });
+
+  test('only counts an extended duration when the ledger runs past three months', () => {
+    const badFaith = { legalTheories: [{ theory: 'bad_faith' }] };
+    const short = calculator.calculateEmotionalDistress(caseWith(MARCH_LEAK), badFaith, pack, ledger);
+
+    const longCase = caseWith({ firstOccurred: '2024-01-01', resolvedDate: '2024-05-01' });
+    const long = calculator.calculateEmotionalDistress(longCase, badFaith, pack, buildAbatementLedger(longCase, { asOf: '2024-06-01' }));
+
+    expect(short.factors).not.toContain('Extended duration of unsafe living conditions');
+    expect(long.factors).toContain('Extended duration of unsafe living conditions');
+  });
+});
@@ -0,0 +1,88 @@
+import DamagesCalculator from '../../agents/agent_damages.js';
+import { buildingKey, landlordKey, resolveGrouping } from '../../damages/aggregate-damages.js';
+import { damagesCase, LEGAL_ANALYSIS, AS_OF } from '../fixtures/damages-case.js';
+
+const NO_HEAT = { category: 'no_heat', description: 'Boiler out', severity: 'severe', firstOccurred: '2024-12-01', isOngoing: true };
+const BOILER_INVOICE = { type: 'invoice', amount: 6000, vendor: 'Peach Boilers', file: 'boiler.pdf' };
+
+function household(name, unit, issues) {
+  return {
+    caseData: damagesCase({
+      tenant: { name, hasChildren: false },
+      property: { address: `412 Oak Street Apt ${unit}`, unit, city: 'Atlanta', state: 'GA', zipCode: '30310' },
+      issues,
+    }),
+  };
+}
+
+describe('grouping', () => {
+  test('keys a building by street and ZIP, without the unit', () => {
+    expect(buildingKey({ address: '412 Oak Street, Apt 3B', zipCode: '30310-1234' })).toBe('412 oak street|30310');
+    expect(buildingKey({ address: '412 Oak Street #2', zipCode: '30310' })).toBe('412 oak street|30310');
+    expect(landlordKey({ name: 'Peachtree Rentals, LLC' })).toBe('peachtree rentals llc');
+  });
+
+  test('groups by building when every household shares one, else by landlord', () => {
+    const a = household('A', '1', [NO_HEAT]);
+    const b = household('B', '2', [NO_HEAT]);
+    const elsewhere = { caseData: { ...b.caseData, property: { address: '9 Elm St', zipCode: '30311' } } };
+
+    expect(resolveGrouping([a, b])).toBe('building');
+    expect(resolveGrouping([a, elsewhere])).toBe('landlord');
+    expect(() => resolveGrouping([a, elsewhere], 'building')).toThrow(/needs one building; got 2/);
+  });
+
+  test('refuses households with neither in common', () => {
+    const a = household('A', '1', [NO_HEAT]);
+    const other = { caseData: { ...a.caseData, property: { address: '9 Elm St' }, landlord: { name: 'Other LLC' } } };
+
+    expect(() => resolveGrouping([a, other])).toThrow(/sharing a building or landlord; got 2 landlords/);
+  });
+});
+
+describe('DamagesCalculator.calculateAggregate', () => {
+  const calculator = new DamagesCalculator();
+
+  test('counts a building system repair once across households', () => {
+    const result = calculator.calculateAggregate(
+      [household('A', '1', [NO_HEAT]), household('B', '2', [NO_HEAT]), household('C', '3', [NO_HEAT])],
+      { legalAnalysis: LEGAL_ANALYSIS, asOf: AS_OF },
+    );
+    const { data } = result;
+    const [shared] = data.sharedRepairs;
+    const perHousehold = data.households[0].damages.categories.repairCosts.items[0];
+
+    expect(result.success).toBe(true);
+    expect(data.groupBy).toBe('building');
+    expect(shared).toMatchObject({ basis: 'building_system', category: 'no_heat', households: ['A (1)', 'B (2)', 'C (3)'] });
+    expect(shared.removed.aggressive).toBe(2 * perHousehold.high);
+    expect(data.totals.aggressive).toBe(data.households.reduce((sum, h) => sum + h.aggressive, 0) - shared.removed.aggressive);
+    // Each household keeps a third of the one repair
+    expect(data.households[0].sharedRepairCredit.aggressive).toBe(Math.round(perHousehold.high * 2 / 3));
+  });
+
+  test('counts the same invoice attached by several households once', () => {
+    const withInvoice = { ...NO_HEAT, category: 'water_leak', costEvidence: [BOILER_INVOICE] };
+    const { data } = calculator.calculateAggregate(
+      [household('A', '1', [withInvoice]), household('B', '2', [withInvoice])],
+      { legalAnalysis: LEGAL_ANALYSIS, asOf: AS_OF },
+    );
+
+    expect(data.sharedRepairs).toEqual([expect.objectContaining({ basis: 'evidence', removed: { conservative: 6000, aggressive: 6000 } })]);
+    expect(data.totals.duplicateRepairCosts).toEqual({ conservative: 6000, aggressive: 6000 });
+  });
+
+  test('reports households that fail and rolls up the rest', () => {
+    const broken = household('B', '2', [NO_HEAT]);
+    delete broken.caseData.lease.monthlyRent;
+
+    const { data } = calculator.calculateAggregate([household('A', '1', [NO_HEAT]), broken], { legalAnalysis: LEGAL_ANALYSIS, asOf: AS_OF });
+
+    expect(data.households.map(h => h.id)).toEqual(['A (1)']);
+    expect(data.failures).toEqual([expect.objectContaining({ id: 'B (2)' })]);
+  });
+
+  test('fails without households', () => {
+    expect(calculator.calculateAggregate([])).toMatchObject({ success: false, error: 'Aggregate damages need at least one household' });
+  });
+});
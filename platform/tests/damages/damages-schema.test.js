@@ -0,0 +1,77 @@
+import DamagesCalculator from '../../agents/agent_damages.js';
+import { loadDamages, migrateDamages, validateDamages, DamagesSchemaError, DAMAGES_SCHEMA_VERSION } from '../../damages/damages-schema.js';
+import { damagesCase, LEGAL_ANALYSIS, AS_OF } from '../fixtures/damages-case.js';
+
+const CURRENT = new DamagesCalculator().calculate(damagesCase(), LEGAL_ANALYSIS, { asOf: AS_OF }).data;
+const current = () => structuredClone(CURRENT);
+
+// The same result as an unversioned build wrote it
+function asVersion1(damages) {
+  const { demandAmount, settlementRange, rationale } = damages.recommended;
+  damages.recommended = { total: demandAmount, rationale };
+  damages.settlementRange = { min: settlementRange.low, max: settlementRange.high };
+
+  for (const line of [...damages.conservative.breakdown, ...damages.aggressive.breakdown]) delete line.rule;
+  delete damages.categories.rentAbatement.method;
+  delete damages.categories.statutoryDamages;
+  delete damages.categories.attorneyFees.calculation;
+  damages.categories.repairCosts.items = damages.categories.repairCosts.items.map(({ item, estimatedCost }) => ({ item, estimatedCost, source: 'Market rate' }));
+  damages.categories.relocationCosts = { moving: 1500, storageFees: 0, temporaryHousing: 2000, total: 3500 };
+  delete damages.metadata.rulePack;
+  delete damages.metadata.schemaVersion;
+  return damages;
+}
+
+describe('damages schema', () => {
+  test('stamps new results with the current version', () => {
+    expect(current().metadata.schemaVersion).toBe(DAMAGES_SCHEMA_VERSION);
+    expect(loadDamages(current())).toEqual(current());
+  });
+
+  test('migrates an unversioned result to the current shape', () => {
+    const loaded = loadDamages(asVersion1(current()));
+
+    expect(loaded.metadata.schemaVersion).toBe(DAMAGES_SCHEMA_VERSION);
+    expect(loaded.recommended.settlementRange).toEqual(current().recommended.settlementRange);
+    expect(loaded.conservative.breakdown[0].rule).toEqual({ citation: '', description: 'Not recorded (saved before rule packs)' });
+    expect(loaded.categories.repairCosts.items[0]).toMatchObject({ source: 'cost_index', sourceDetail: 'Market rate (saved before repair evidence)' });
+    expect(loaded.categories.relocationCosts).toMatchObject({
+      conservative: 3500,
+      aggressive: 3500,
+      items: [expect.objectContaining({ kind: 'moving', high: 1500 }), expect.objectContaining({ kind: 'hotel', high: 2000 })],
+    });
+  });
+
+  test('migrates without touching the saved object', () => {
+    const saved = asVersion1(current());
+    const copy = structuredClone(saved);
+
+    migrateDamages(saved);
+
+    expect(saved).toEqual(copy);
+  });
+
+  test('refuses results from a newer build', () => {
+    const newer = current();
+    newer.metadata.schemaVersion = DAMAGES_SCHEMA_VERSION + 1;
+
+    expect(() => loadDamages(newer)).toThrow(`this build reads up to ${DAMAGES_SCHEMA_VERSION}`);
+  });
+
+  test('names the category a broken result fails in', () => {
+    const broken = current();
+    delete broken.categories.repairCosts.aggressive;
+
+    expect(() => validateDamages(broken)).toThrow(DamagesSchemaError);
+    try {
+      validateDamages(broken);
+    } catch (error) {
+      expect(error).toMatchObject({ category: 'repairCosts', retryable: false });
+      expect(error.fields).toEqual([expect.objectContaining({ path: 'categories.repairCosts.aggressive' })]);
+    }
+  });
+
+  test('rejects a missing result', () => {
+    expect(() => loadDamages(null)).toThrow('No damages result');
+  });
+});
@@ -0,0 +1,98 @@
+import { calculateNetRecovery, netRecoveryAt } from '../../damages/net-recovery.js';
+
+const DAMAGES = {
+  aggressive: {
+    breakdown: [
+      { category: 'Rent Abatement', amount: 4000 },
+      { category: 'Medical Costs', amount: 2000 },
+      { category: 'Emotional Distress', amount: 4000 },
+    ],
+  },
+  conservative: {
+    breakdown: [{ category: 'Rent Abatement', amount: 3000 }, { category: 'Rent Withheld (offset)', amount: -5000 }],
+  },
+};
+
+const TERMS = { contingencyFee: { rate: 0.3 }, costs: [{ label: 'Filing fee', amount: 1000 }], taxRate: 0.2 };
+
+const row = (recovery, treatment) => recovery.rows.find(r => r.treatment === treatment);
+
+describe('calculateNetRecovery', () => {
+  test('allocates the settlement in proportion to the breakdown', () => {
+    const recovery = calculateNetRecovery(DAMAGES, 10000, TERMS);
+
+    expect(recovery.rows.map(r => [r.treatment, r.gross])).toEqual([
+      ['rent_refund', 4000], ['physical_injury', 2000], ['emotional_distress', 4000],
+    ]);
+    expect(row(recovery, 'rent_refund')).toMatchObject({ attorneyFee: 1200, costs: 400, taxable: false, estimatedTax: 0, netToTenant: 2400 });
+    // Commissioner v. Banks: tax on the gross, fee included
+    expect(row(recovery, 'emotional_distress')).toMatchObject({ taxableAmount: 4000, estimatedTax: 800, netToTenant: 1600 });
+    expect(recovery.totals).toMatchObject({ gross: 10000, attorneyFee: 3000, costs: 1000, estimatedTax: 800, netToTenant: 5200 });
+  });
+
+  test('limits a Medicaid lien to the medical share and pays it from medical first', () => {
+    const recovery = calculateNetRecovery(DAMAGES, 10000, {
+      ...TERMS,
+      liens: [{ holder: 'Georgia Medicaid', type: 'medicaid', amount: 3000 }],
+    });
+
+    expect(recovery.liens[0]).toMatchObject({ claimed: 3000, paid: 2000, explanation: expect.stringContaining('Ahlborn') });
+    // Medical keeps $1,200 after fee and costs; the other $800 comes from the rest pro rata
+    expect(row(recovery, 'physical_injury')).toMatchObject({ liens: 1200, netToTenant: 0 });
+    expect(row(recovery, 'rent_refund').liens).toBe(400);
+    expect(recovery.totals).toMatchObject({ liens: 2000, netToTenant: 3200 });
+  });
+
+  test('pays a negotiated lien amount', () => {
+    const recovery = calculateNetRecovery(DAMAGES, 10000, {
+      ...TERMS,
+      liens: [{ holder: 'Grady Hospital', type: 'medical_provider', amount: 1500, negotiatedAmount: 1000 }],
+    });
+
+    expect(recovery.liens[0]).toMatchObject({ paid: 1000, explanation: 'Negotiated from $1,500' });
+  });
+
+  test('taxes distress from a physical injury as excluded', () => {
+    const recovery = calculateNetRecovery(DAMAGES, 10000, { ...TERMS, physicalInjury: true });
+
+    expect(row(recovery, 'physical_injury').gross).toBe(6000);
+    expect(recovery.totals.estimatedTax).toBe(0);
+  });
+
+  test('uses an allocation written into the agreement', () => {
+    const recovery = calculateNetRecovery(DAMAGES, 10000, { ...TERMS, allocation: { rent_refund: 9000, punitive: 1000 } });
+
+    expect(recovery.rows.map(r => [r.treatment, r.gross])).toEqual([['rent_refund', 9000], ['punitive', 1000]]);
+    expect(() => calculateNetRecovery(DAMAGES, 10000, { allocation: { rent_refund: 5000 } })).toThrow(/not the \$10,000 settlement/);
+  });
+
+  test('takes the fee after costs when the agreement says so', () => {
+    const recovery = calculateNetRecovery(DAMAGES, 10000, { ...TERMS, contingencyFee: { rate: 0.3, basis: 'net_of_costs' } });
+
+    expect(recovery.totals.attorneyFee).toBe(2700);
+  });
+
+  test('treats a settlement with nothing positive to allocate over as taxable', () => {
+    const recovery = calculateNetRecovery(
+      { conservative: { breakdown: [{ category: 'Rent Withheld (offset)', amount: -500 }] } },
+      2000,
+      { estimate: 'conservative' },
+    );
+
+    expect(recovery.rows.map(r => r.treatment)).toEqual(['economic_loss']);
+    expect(recovery.notes).toContain('No positive damages to allocate over - settlement treated as taxable');
+  });
+
+  test('rejects invalid terms', () => {
+    expect(() => calculateNetRecovery(DAMAGES, 10000, { taxRate: 2 })).toThrow(/Invalid net recovery terms: taxRate/);
+  });
+});
+
+describe('netRecoveryAt', () => {
+  test('computes one table per settlement figure', () => {
+    const tables = netRecoveryAt(DAMAGES, [5000, 10000], TERMS);
+
+    expect(tables.map(table => table.settlement)).toEqual([5000, 10000]);
+    expect(tables[1].totals.netToTenant).toBeGreaterThan(tables[0].totals.netToTenant);
+  });
+});
@@ -0,0 +1,60 @@
+import DamagesCalculator from '../../agents/agent_damages.js';
+import { getRulePack } from '../../damages/rule-pack-registry.js';
+
+const BAD_FAITH = { legalTheories: [{ theory: 'bad_faith' }] };
+
+// Compensatory categories totalling $10,000 conservative / $20,000 aggressive
+const COMPENSATORY = {
+  rentAbatement: { conservative: 10000, aggressive: 15000 },
+  securityDeposit: { amount: 0, returnable: false },
+  repairCosts: { conservative: 0, aggressive: 0 },
+  emotionalDistress: { conservative: 0, aggressive: 5000 },
+};
+
+function withCap(cap) {
+  const { pack } = getRulePack('GA');
+  return { ...pack, punitive: { ...pack.punitive, cap } };
+}
+
+describe('DamagesCalculator.calculatePunitiveDamages', () => {
+  const calculator = new DamagesCalculator();
+
+  test('caps each bound by the cap its own compensatories set', () => {
+    const range = calculator.calculatePunitiveDamages({}, BAD_FAITH, withCap({ compensatoryMultiple: 0.25 }), COMPENSATORY);
+
+    expect(range).toMatchObject({ available: true, min: 2500, max: 5000, minCap: 2500, cap: 5000 });
+  });
+
+  test('reports a fixed cap for both bounds', () => {
+    const range = calculator.calculatePunitiveDamages({}, BAD_FAITH, getRulePack('GA').pack, COMPENSATORY);
+
+    expect(range).toMatchObject({ min: 5000, max: 40000, minCap: 250000, cap: 250000 });
+  });
+
+  test('applies the greater of a fixed and an economic cap', () => {
+    const pack = withCap({ rule: 'greater_of', fixed: 1000, economicMultiple: 1, noneconomicLimit: 2000 });
+    const range = calculator.calculatePunitiveDamages({}, BAD_FAITH, pack, COMPENSATORY);
+
+    // low: max(1000, 10000) / high: max(1000, 15000 + 2000)
+    expect(range).toMatchObject({ min: 5000, max: 17000, minCap: 10000, cap: 17000 });
+  });
+
+  test('has no caps where the state sets none', () => {
+    const range = calculator.calculatePunitiveDamages({}, BAD_FAITH, withCap(undefined), COMPENSATORY);
+
+    expect(range).toMatchObject({ min: 5000, max: 40000, minCap: null, cap: null });
+  });
+
+  test('is unavailable without bad faith', () => {
+    const range = calculator.calculatePunitiveDamages({}, {}, getRulePack('GA').pack, COMPENSATORY);
+
+    expect(range).toMatchObject({ available: false, min: 0, max: 0, cap: null, minCap: null });
+  });
+});
+
+describe('rule packs', () => {
+  test('fall back to the common-law pack for other states', () => {
+    expect(getRulePack('Georgia')).toMatchObject({ matched: true, pack: { jurisdiction: 'GA' } });
+    expect(getRulePack('WY')).toMatchObject({ matched: false, pack: { jurisdiction: 'US' } });
+  });
+});
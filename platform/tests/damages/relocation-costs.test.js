@@ -0,0 +1,97 @@
+import { calculateRelocation, perDiemRates } from '../../damages/relocation-costs.js';
+
+const ATLANTA = { zipCode: '30310', state: 'GA' };
+const AS_OF = '2025-03-01';
+
+// Monday to Friday: four nights away
+const WEEK_AWAY = { from: '2025-01-06', to: '2025-01-10', reason: 'Ceiling collapse' };
+
+function relocate(displacement, extra = {}) {
+  return calculateRelocation({ property: ATLANTA, displacement, ...extra }, { asOf: AS_OF });
+}
+
+const byBasis = (result, basis) => result.items.filter(item => item.basis === basis);
+
+describe('perDiemRates', () => {
+  test('uses the locality for the ZIP, else the standard rate', () => {
+    expect(perDiemRates(ATLANTA)).toEqual({ locality: 'Atlanta', lodging: 170, meals: 80, mileage: 0.7 });
+    expect(perDiemRates({ zipCode: '59801' })).toEqual({ locality: 'Standard CONUS rate', lodging: 110, meals: 68, mileage: 0.7 });
+  });
+});
+
+describe('calculateRelocation', () => {
+  test('is undefined when the tenant was never displaced', () => {
+    expect(calculateRelocation({ property: ATLANTA }, { asOf: AS_OF })).toBeUndefined();
+  });
+
+  test('estimates what the receipts leave uncovered from per diem', () => {
+    const result = relocate({
+      periods: [WEEK_AWAY],
+      expenses: [{ kind: 'hotel', type: 'receipt', amount: 340, nights: 2, date: '2025-01-06', vendor: 'Inn Express', file: 'folio.pdf' }],
+      commute: { extraMilesPerDay: 10 },
+      household: 2,
+    });
+
+    expect(byBasis(result, 'receipt')).toEqual([expect.objectContaining({ kind: 'hotel', high: 340, documents: ['folio.pdf'] })]);
+    expect(byBasis(result, 'per_diem').map(item => [item.kind, item.high])).toEqual([
+      ['hotel', 2 * 170],
+      // 2 people × 5 days, the first and last at 75%
+      ['meals', 2 * 80 * (3 + 2 * 0.75)],
+      // Monday-Thursday commutes
+      ['mileage', 4 * 10 * 0.7],
+    ]);
+    expect(result).toMatchObject({ documented: 340, estimated: 1088, conservative: 340, aggressive: 1428 });
+  });
+
+  test('runs an ongoing displacement to the as-of date', () => {
+    const result = relocate({ periods: [{ from: '2025-02-27' }], household: 1 });
+
+    expect(result.periods[0]).toMatchObject({ to: AS_OF, ongoing: true, nights: 2 });
+  });
+
+  test('estimates no lodging or meals for a partial displacement', () => {
+    const result = relocate({ periods: [{ ...WEEK_AWAY, scope: 'partial' }] });
+
+    expect(result.items).toEqual([]);
+    expect(result.explanation).toBe('Displaced 2025-01-06 to 2025-01-10 (partial: Ceiling collapse)');
+  });
+
+  test('ranges quotes, and lets a receipt for the same thing supersede them', () => {
+    const quoted = relocate({
+      expenses: [
+        { kind: 'moving', type: 'quote', amount: 1200 },
+        { kind: 'moving', type: 'quote', amount: 1800, file: 'movers.pdf' },
+      ],
+    });
+    const paid = relocate({
+      expenses: [
+        { kind: 'moving', type: 'quote', amount: 1200 },
+        { kind: 'moving', type: 'receipt', amount: 1450 },
+      ],
+    });
+
+    expect(quoted.items).toEqual([expect.objectContaining({ basis: 'quote', low: 1200, high: 1800, documents: ['movers.pdf'] })]);
+    expect(quoted).toMatchObject({ conservative: 1200, aggressive: 1800 });
+    expect(paid.items.map(item => item.basis)).toEqual(['receipt']);
+  });
+
+  test('prices a mileage log at the IRS rate', () => {
+    const result = relocate({ expenses: [{ kind: 'mileage', type: 'log', miles: 100 }] });
+
+    expect(result.items[0]).toMatchObject({ basis: 'log', high: 70, calculation: '100 miles × $0.70' });
+  });
+
+  test('adds the standard move when breaking the lease with nothing documented', () => {
+    const result = calculateRelocation({
+      property: ATLANTA,
+      desiredOutcome: { breakLease: true },
+      displacement: { expenses: [{ kind: 'moving', type: 'receipt', amount: 900 }] },
+    }, { asOf: AS_OF });
+
+    expect(result.items.map(item => [item.kind, item.basis, item.high])).toEqual([
+      ['moving', 'receipt', 900],
+      ['storage', 'standard', 500],
+    ]);
+    expect(result).toMatchObject({ conservative: 900, aggressive: 1400 });
+  });
+});
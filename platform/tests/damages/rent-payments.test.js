@@ -0,0 +1,105 @@
+import { reconcileRentPayments } from '../../damages/rent-payment-ledger.js';
+import { accrueInterest, interestFor } from '../../damages/interest-engine.js';
+import DamagesCalculator from '../../agents/agent_damages.js';
+import { getRulePack } from '../../damages/rule-pack-registry.js';
+
+// Two months of a $1,000 lease, abated $200/$300 and $400/$500
+const ABATEMENT = {
+  months: [
+    { month: '2024-03', days: 31, averageLostUse: 0.25, conservative: 200, aggressive: 300 },
+    { month: '2024-04', days: 30, averageLostUse: 0.45, conservative: 400, aggressive: 500 },
+  ],
+};
+
+const LEASE = { lease: { monthlyRent: 1000 } };
+
+describe('reconcileRentPayments', () => {
+  test('assumes full rent paid on the 1st without a payment ledger', () => {
+    const reconciliation = reconcileRentPayments(LEASE, ABATEMENT);
+
+    expect(reconciliation.source).toBe('assumed');
+    expect(reconciliation.months.map(m => m.paidOn)).toEqual(['2024-03-01', '2024-04-01']);
+    expect(reconciliation.totals).toEqual({
+      rentDue: 2000,
+      paid: 2000,
+      overpaid: { conservative: 600, aggressive: 800 },
+      unpaid: { conservative: 0, aggressive: 0 },
+    });
+  });
+
+  test('reconciles recorded payments month by month', () => {
+    const reconciliation = reconcileRentPayments({
+      ...LEASE,
+      rentPayments: [
+        { date: '2024-03-03', amount: 1000, method: 'check' },
+        { date: '2024-04-02', amount: 500, method: 'cash' },
+      ],
+    }, ABATEMENT);
+
+    expect(reconciliation.source).toBe('ledger');
+    expect(reconciliation.months[0]).toMatchObject({ paid: 1000, paidOn: '2024-03-03', overpaid: { conservative: 200, aggressive: 300 } });
+    // $500 paid against a fair rent of $600/$500
+    expect(reconciliation.months[1]).toMatchObject({ paid: 500, overpaid: { conservative: 0, aggressive: 0 }, unpaid: { conservative: 100, aggressive: 0 } });
+  });
+
+  test('applies a payment to the period it covers', () => {
+    const reconciliation = reconcileRentPayments({
+      ...LEASE,
+      rentPayments: [{ date: '2024-05-01', amount: 1000, method: 'check', period: '2024-04' }],
+    }, ABATEMENT);
+
+    expect(reconciliation.months[1].paid).toBe(1000);
+    expect(reconciliation.assumptions).toEqual(['No rent payment recorded for 2024-03']);
+  });
+
+  test('leaves payments outside the abatement period unreconciled', () => {
+    const outside = { date: '2023-12-01', amount: 1000, method: 'bank_transfer' };
+    const reconciliation = reconcileRentPayments({ ...LEASE, rentPayments: [outside, { date: '2024-03-01', amount: 1000, method: 'check' }] }, ABATEMENT);
+
+    expect(reconciliation.unmatchedPayments).toEqual([outside]);
+    expect(reconciliation.assumptions).toContain('1 rent payment(s) outside the abatement period not reconciled');
+  });
+});
+
+describe('interest engine', () => {
+  test('accrues simple interest by the day', () => {
+    expect(interestFor(1000, 365, { rate: 0.07, compounding: 'simple' })).toBeCloseTo(70);
+    expect(interestFor(1000, 730, { rate: 0.07, compounding: 'simple' })).toBeCloseTo(140);
+  });
+
+  test('compounds by period', () => {
+    expect(interestFor(1000, 730, { rate: 0.1, compounding: 'annual' })).toBeCloseTo(210);
+    expect(interestFor(1000, 365, { rate: 0.12, compounding: 'monthly' })).toBeCloseTo(126.83, 2);
+  });
+
+  test('accrues nothing on non-positive principal, days or rate', () => {
+    expect(interestFor(0, 365, { rate: 0.07, compounding: 'simple' })).toBe(0);
+    expect(interestFor(1000, -1, { rate: 0.07, compounding: 'simple' })).toBe(0);
+    expect(interestFor(1000, 365, { rate: 0, compounding: 'daily' })).toBe(0);
+  });
+
+  test('runs each item from its own date to the as-of date', () => {
+    const accrued = accrueInterest([
+      { date: '2024-01-01', amount: 365, label: 'Jan' },
+      { date: '2024-12-31', amount: 365, label: 'Dec' },
+    ], { rate: 0.1, compounding: 'simple', asOf: '2025-01-01' });
+
+    expect(accrued.items.map(item => item.days)).toEqual([366, 1]);
+    expect(accrued.items.map(item => item.interest)).toEqual([36.6, 0.1]);
+    expect(accrued.total).toBe(36.7);
+  });
+});
+
+describe('DamagesCalculator.calculatePrejudgmentInterest', () => {
+  const calculator = new DamagesCalculator();
+
+  test('charges the pack\'s rate on each month\'s overpayment', () => {
+    const { pack } = getRulePack('GA');
+    const interest = calculator.calculatePrejudgmentInterest(reconcileRentPayments(LEASE, ABATEMENT), pack, '2025-03-01');
+
+    expect(interest).toMatchObject({ rate: 0.07, compounding: 'simple', asOf: '2025-03-01' });
+    expect(interest.items.map(item => item.from)).toEqual(['2024-03-01', '2024-04-01']);
+    // 7% a year on $300 for 365 days and $500 for 334 days
+    expect(interest.aggressive).toBe(Math.round(300 * 0.07 + 500 * 0.07 * 334 / 365));
+  });
+});
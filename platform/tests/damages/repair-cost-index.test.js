@@ -0,0 +1,87 @@
+import { regionalMultiplier, indexedRepairCost, evidencedRepairCost, DEFAULT_COST_INDEX } from '../../damages/repair-cost-index.js';
+import DamagesCalculator from '../../agents/agent_damages.js';
+
+describe('regionalMultiplier', () => {
+  test('prefers the metro area from the ZIP prefix', () => {
+    expect(regionalMultiplier({ zipCode: '30310', state: 'GA' })).toEqual({ multiplier: 0.93, region: 'Atlanta metro', basis: 'zip' });
+  });
+
+  test('falls back to the state, by code or name', () => {
+    expect(regionalMultiplier({ zipCode: '31701', state: 'GA' })).toMatchObject({ multiplier: 0.86, basis: 'state' });
+    expect(regionalMultiplier({ state: 'georgia' })).toMatchObject({ multiplier: 0.86, basis: 'state' });
+  });
+
+  test('uses the national average when nothing matches', () => {
+    expect(regionalMultiplier({ zipCode: 'n/a', state: 'ZZ' })).toEqual({ multiplier: 1, region: 'national average', basis: 'national' });
+  });
+});
+
+describe('indexedRepairCost', () => {
+  test('scales the national base by severity and region, with a ±20% range', () => {
+    const cost = indexedRepairCost({ category: 'mold', severity: 'severe' }, { zipCode: '10001' });
+
+    // 5000 × 1.3 × 1.32
+    expect(cost).toMatchObject({ estimatedCost: 8580, low: 6864, high: 10296, source: 'cost_index' });
+    expect(cost.sourceDetail).toContain('New York City metro');
+  });
+
+  test('uses the fallback item for unknown categories', () => {
+    expect(indexedRepairCost({ category: 'broken_window', severity: 'minor' }, {})).toMatchObject({ item: 'Repair costs', estimatedCost: 1000 });
+  });
+});
+
+describe('evidencedRepairCost', () => {
+  test('is null without evidence', () => {
+    expect(evidencedRepairCost({ category: 'mold' })).toBeNull();
+  });
+
+  test('ranges competing quotes around their median', () => {
+    const cost = evidencedRepairCost({
+      category: 'mold',
+      costEvidence: [
+        { type: 'quote', amount: 4200, vendor: 'Dry Right LLC', file: 'dry-right.pdf' },
+        { type: 'quote', amount: 3000 },
+        { type: 'quote', amount: 6000, file: 'other.pdf' },
+      ],
+    });
+
+    expect(cost).toMatchObject({ estimatedCost: 4200, low: 3000, high: 6000, source: 'quote', documents: ['dry-right.pdf', 'other.pdf'] });
+    expect(cost.sourceDetail).toContain('quote from Dry Right LLC $4,200 (dry-right.pdf)');
+  });
+
+  test('lets money billed or paid supersede quotes', () => {
+    const cost = evidencedRepairCost({
+      category: 'water_leak',
+      costEvidence: [
+        { type: 'quote', amount: 9000 },
+        { type: 'receipt', amount: 1200.5, description: 'Roof patch' },
+        { type: 'invoice', amount: 800 },
+      ],
+    });
+
+    expect(cost).toMatchObject({ item: 'Roof patch', estimatedCost: 2000.5, low: 2000.5, high: 2000.5, source: 'invoice' });
+    expect(cost.sourceDetail).toContain('1 quote(s) superseded');
+  });
+
+  test('counts all-receipt items as paid', () => {
+    expect(evidencedRepairCost({ category: 'mold', costEvidence: [{ type: 'receipt', amount: 500 }] }).source).toBe('receipt');
+  });
+});
+
+describe('DamagesCalculator.calculateRepairCosts', () => {
+  test('takes evidence over the index and a supplied index over the default', () => {
+    const costIndex = { ...DEFAULT_COST_INDEX, version: 'local', base: { mold: { item: 'Mold', cost: 2000 } }, regions: [], states: [] };
+    const calculator = new DamagesCalculator({ costIndex });
+
+    const costs = calculator.calculateRepairCosts({
+      property: { state: 'GA' },
+      issues: [
+        { category: 'mold', severity: 'minor' },
+        { category: 'water_leak', severity: 'major', costEvidence: [{ type: 'receipt', amount: 750 }] },
+      ],
+    });
+
+    expect(costs.items.map(item => item.source)).toEqual(['cost_index', 'receipt']);
+    expect(costs).toMatchObject({ conservative: 1600 + 750, aggressive: 2400 + 750 });
+  });
+});
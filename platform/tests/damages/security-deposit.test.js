@@ -0,0 +1,172 @@
+import DamagesCalculator from '../../agents/agent_damages.js';
+import { accountDeposit, withDepositViolation } from '../../damages/security-deposit.js';
+import { getRulePack } from '../../damages/rule-pack-registry.js';
+import { matchScenariosToCase } from '../../data-integration/rental-scenarios.js';
+import { damagesCase, LEGAL_ANALYSIS, AS_OF } from '../fixtures/damages-case.js';
+
+const { pack: GEORGIA } = getRulePack('GA');
+
+// $1,800 deposit, $400 back, keys returned January 1 (Georgia: 30 days to itemize)
+function caseWith(moveOut, issues = []) {
+  return {
+    lease: { securityDeposit: 1800 },
+    issues,
+    moveOut: { date: '2025-01-01', refund: 400, ...moveOut },
+  };
+}
+
+const ids = accounting => accounting.violations.map(v => v.id);
+
+describe('accountDeposit', () => {
+  test('is null without move-out facts', () => {
+    expect(accountDeposit({ lease: { securityDeposit: 1800 } }, GEORGIA, '2025-03-01')).toBeNull();
+  });
+
+  test('waits for the landlord\'s deadline', () => {
+    const accounting = accountDeposit(caseWith({}), GEORGIA, '2025-01-15');
+
+    expect(accounting).toMatchObject({ status: 'pending', deadline: '2025-01-31', withheld: 1400, wrongfullyWithheld: 0 });
+    expect(accounting.notes).toContain('Landlord has until 2025-01-31 to refund or itemize (30 days from move-out (O.C.G.A. § 44-7-34))');
+  });
+
+  test('forfeits every deduction without a statement in time, with treble damages', () => {
+    const accounting = accountDeposit(caseWith({ deductions: [{ description: 'Carpet replacement', amount: 1400, category: 'damage' }] }), GEORGIA, '2025-03-01');
+
+    expect(accounting).toMatchObject({ status: 'due', forfeited: true, wrongfullyWithheld: 1400 });
+    expect(ids(accounting)).toEqual(['no_itemization', 'deductions_forfeited']);
+    // Treble, less the $1,400 already counted as the deposit itself
+    expect(accounting.penalties).toEqual([expect.objectContaining({ id: 'deposit_withholding', aggressive: 1400 * 3 - 1400 })]);
+  });
+
+  test('disallows deductions charged as wear and tear or for conditions the landlord had to repair', () => {
+    const accounting = accountDeposit(caseWith({
+      statementReceived: '2025-01-20',
+      deductions: [
+        { description: 'Normal wear and tear', amount: 200 },
+        { description: 'Carpet', amount: 300, category: 'wear_and_tear' },
+        { description: 'Mold remediation in bathroom', amount: 500, category: 'repairs' },
+        { description: 'Broken window', amount: 400, category: 'damage', documented: true },
+      ],
+    }, [{ category: 'mold' }]), GEORGIA, '2025-03-01');
+
+    expect(accounting.deductions.map(d => d.lawful)).toEqual([false, false, false, true]);
+    expect(accounting.deductions[2].reason).toMatch(/^Condition the landlord was obliged to repair \(mold/);
+    expect(accounting).toMatchObject({ lawfulDeductions: 400, wrongfullyWithheld: 1000 });
+    expect(ids(accounting)).toEqual(['wear_and_tear_deduction', 'repair_duty_deduction']);
+  });
+
+  test('flags paint, scuffs and fading for review instead of disallowing them', () => {
+    const accounting = accountDeposit(caseWith({
+      statementReceived: '2025-01-20',
+      deductions: [
+        { description: 'Repaint living room', amount: 600 },
+        { description: 'Scuffed and faded doors', amount: 300, category: 'damage', documented: true },
+        { description: 'Unpaid rent', amount: 500, category: 'unpaid_rent' },
+      ],
+    }), GEORGIA, '2025-03-01');
+
+    expect(accounting.deductions.map(d => [d.lawful, d.review])).toEqual([
+      [true, 'Possible normal wear and tear'],
+      [true, 'Possible normal wear and tear'],
+      [true, undefined],
+    ]);
+    expect(accounting.wrongfullyWithheld).toBe(0);
+    expect(ids(accounting)).not.toContain('wear_and_tear_deduction');
+    expect(accounting.notes).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^Ask whether Repaint living room \(\$600\), Scuffed and faded doors \(\$300\) repaired damage beyond normal wear and tear/),
+    ]));
+  });
+
+  test('still applies the other rules to paint work', () => {
+    const accounting = accountDeposit(caseWith({
+      statementReceived: '2025-01-20',
+      moveInChecklist: false,
+      deductions: [{ description: 'Repaint bedroom', amount: 1400, category: 'damage' }],
+    }), GEORGIA, '2025-03-01');
+
+    expect(accounting.deductions[0]).toMatchObject({ lawful: false, reason: 'No move-in list of existing damage' });
+  });
+
+  test('reports a commingled, undisclosed deposit account', () => {
+    const accounting = accountDeposit(caseWith({
+      statementReceived: '2025-01-20',
+      deductions: [{ description: 'Unpaid rent', amount: 1400, category: 'unpaid_rent' }],
+      depositAccount: { held: 'commingled', disclosed: false },
+    }), GEORGIA, '2025-03-01');
+
+    expect(ids(accounting)).toEqual(['commingled', 'account_not_disclosed']);
+  });
+
+  test('skips the deadline for a move-out date it can\'t read, and says so', () => {
+    const accounting = accountDeposit(caseWith({ date: 'end of March 2025' }), GEORGIA, '2025-06-01');
+
+    expect(accounting).toMatchObject({ status: 'pending', deadline: null, wrongfullyWithheld: 0, violations: [] });
+    expect(accounting.unreadableDates).toEqual(['move-out date "end of March 2025"']);
+    expect(accounting.notes).toEqual([
+      'Can\'t read the move-out date "end of March 2025" as a date (YYYY-MM-DD) - deadlines that depend on it were not checked',
+    ]);
+  });
+
+  test('treats days that don\'t exist as unreadable', () => {
+    expect(accountDeposit(caseWith({ date: '2025-02-30' }), GEORGIA, '2025-06-01').deadline).toBeNull();
+  });
+
+  test('doesn\'t judge a statement or refund by a date it can\'t read', () => {
+    const accounting = accountDeposit(caseWith({
+      statementReceived: 'mid February',
+      refundReceived: '02/20/2025',
+      deductions: [{ description: 'Unpaid rent', amount: 1400, category: 'unpaid_rent' }],
+    }), GEORGIA, '2025-03-01');
+
+    expect(accounting).toMatchObject({ status: 'due', deadline: '2025-01-31', forfeited: false });
+    expect(ids(accounting)).toEqual([]);
+    expect(accounting.unreadableDates).toEqual(['statement date "mid February"', 'refund date "02/20/2025"']);
+  });
+
+  test('compares timestamps by their day', () => {
+    const accounting = accountDeposit(caseWith({
+      date: '2025-01-01T17:30:00Z',
+      statementReceived: '2025-01-31T23:00:00Z',
+      deductions: [{ description: 'Unpaid rent', amount: 1400, category: 'unpaid_rent' }],
+    }), GEORGIA, '2025-03-01T09:00:00Z');
+
+    expect(accounting).toMatchObject({ deadline: '2025-01-31', unreadableDates: [] });
+    expect(ids(accounting)).toEqual([]);
+  });
+});
+
+describe('unreadable move-out dates downstream', () => {
+  const caseData = damagesCase({ moveOut: { date: 'end of March 2025', refund: 0 } });
+
+  test('damages explain the unchecked deadline instead of failing', () => {
+    const result = new DamagesCalculator().calculate(caseData, LEGAL_ANALYSIS, { asOf: AS_OF });
+
+    expect(result.success).toBe(true);
+    expect(result.data.categories.securityDeposit).toMatchObject({
+      returnable: false,
+      explanation: 'Deadline not checked - can\'t read the move-out date "end of March 2025" as a date.',
+    });
+  });
+
+  test('scenario matching reports the deposit accounting', () => {
+    const deposit = matchScenariosToCase(caseData).find(match => match.id === 'SECURITY_DEPOSIT');
+
+    expect(deposit.findings).toMatchObject({ status: 'pending', deadline: null });
+  });
+
+  test('scenario matching reports the deposit as undetermined when the accounting fails (a deduction with no amount)', () => {
+    const broken = damagesCase({ moveOut: { date: '2025-01-01', statementReceived: '2025-01-10', deductions: [{ description: 'Wear and tear' }] } });
+    const deposit = matchScenariosToCase(broken).find(match => match.id === 'SECURITY_DEPOSIT');
+
+    expect(deposit.findings).toEqual({ status: 'undetermined', error: expect.any(String) });
+  });
+});
+
+describe('withDepositViolation', () => {
+  test('adds a security deposit violation only when money was wrongfully withheld', () => {
+    const analysis = { violations: [{ category: 'repairs', violated: true }] };
+
+    expect(withDepositViolation(analysis, { wrongfullyWithheld: 0 })).toBe(analysis);
+    expect(withDepositViolation(analysis, { wrongfullyWithheld: 100 }).violations.map(v => v.category)).toEqual(['repairs', 'security_deposit']);
+  });
+});
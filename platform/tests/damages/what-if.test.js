@@ -0,0 +1,93 @@
+import DamagesCalculator from '../../agents/agent_damages.js';
+import { applyOverrides, defaultSensitivityInputs, rankBySwing, EXCLUDABLE_CATEGORIES } from '../../damages/what-if.js';
+import { damagesCase, LEGAL_ANALYSIS, AS_OF } from '../fixtures/damages-case.js';
+
+describe('applyOverrides', () => {
+  const inputs = { caseData: damagesCase(), legalAnalysis: LEGAL_ANALYSIS };
+
+  test('sets, shifts and scales values on copies of the inputs', () => {
+    const { inputs: next, applied } = applyOverrides(inputs, [
+      { path: 'caseData.issues.0.firstOccurred', shiftDays: -30 },
+      { path: 'caseData.lease.monthlyRent', scale: 0.9 },
+      { path: 'legalAnalysis.legalTheories', value: [], label: 'No theories survive' },
+    ]);
+
+    expect(next.caseData.issues[0].firstOccurred).toBe('2024-01-31');
+    expect(next.caseData.lease.monthlyRent).toBe(1620);
+    expect(next.legalAnalysis.legalTheories).toEqual([]);
+    expect(applied).toEqual(['caseData.issues.0.firstOccurred: "2024-03-01" → "2024-01-31"', 'caseData.lease.monthlyRent: 1800 → 1620', 'No theories survive']);
+    expect(inputs.caseData.lease.monthlyRent).toBe(1800);
+  });
+
+  test('collects excluded categories once', () => {
+    const { exclude } = applyOverrides(inputs, [{ exclude: 'lossOfUse' }, { exclude: 'lossOfUse' }]);
+
+    expect(exclude).toEqual(['lossOfUse']);
+  });
+
+  test.each([
+    [{ path: 'tenant.name', value: 'x' }, /Path must start with/],
+    [{ path: 'caseData.lease.monthlyRent', value: 1, scale: 2 }, /exactly one of value, shiftDays or scale/],
+    [{ path: 'caseData.lease.monthlyRent', shiftDays: 3 }, /needs a date/],
+    [{ path: 'caseData.tenant.name', scale: 2 }, /needs a number/],
+    [{ path: 'caseData.nothing.here', value: 1 }, /path not found/],
+    [{ exclude: 'attorneyFees' }, /Invalid what-if override 1/],
+  ])('rejects %j', (override, message) => {
+    expect(() => applyOverrides(inputs, [override])).toThrow(message);
+  });
+});
+
+describe('defaultSensitivityInputs', () => {
+  test('swings rent, each issue, duration, bad faith and every category', () => {
+    const names = defaultSensitivityInputs(damagesCase(), LEGAL_ANALYSIS).map(entry => entry.input);
+
+    expect(names).toEqual(expect.arrayContaining([
+      'Monthly rent ±10%',
+      'Issue 1 (water_leak) start date ±30 days',
+      'Issue 1 (water_leak) repair date ±30 days',
+      'Issue 2 (mold) severity one step down/up',
+      'Duration ±30 days',
+      'Bad faith found / not found',
+    ]));
+    expect(names.filter(name => name.endsWith(' rejected'))).toHaveLength(EXCLUDABLE_CATEGORIES.length);
+  });
+});
+
+describe('rankBySwing', () => {
+  test('drops inputs that move nothing and sorts by swing', () => {
+    expect(rankBySwing(100, [
+      { input: 'flat', low: 100, high: 100 },
+      { input: 'small', low: 90, high: 110 },
+      { input: 'large', low: 50, high: 200 },
+    ]).map(entry => [entry.input, entry.swing])).toEqual([['large', 150], ['small', 20]]);
+  });
+});
+
+describe('DamagesCalculator scenarios', () => {
+  const calculator = new DamagesCalculator();
+
+  test('reports how a scenario changes the totals', () => {
+    const result = calculator.whatIf(damagesCase(), LEGAL_ANALYSIS, [{ exclude: 'repairCosts' }], { asOf: AS_OF });
+    const baseline = calculator.calculate(damagesCase(), LEGAL_ANALYSIS, { asOf: AS_OF }).data;
+
+    expect(result.success).toBe(true);
+    expect(result.data.applied).toEqual(['Exclude repairCosts']);
+    expect(result.data.scenario.categories.repairCosts).toMatchObject({ conservative: 0, aggressive: 0 });
+    expect(result.data.change.aggressive).toBe(-baseline.categories.repairCosts.aggressive);
+  });
+
+  test('returns an invalid override as a failure', () => {
+    const result = calculator.whatIf(damagesCase(), LEGAL_ANALYSIS, [{ path: 'caseData.lease.monthlyRent', shiftDays: 1 }], { asOf: AS_OF });
+
+    expect(result).toMatchObject({ success: false, data: null });
+  });
+
+  test('ranks inputs by how far they move the demand', () => {
+    const result = calculator.sensitivity(damagesCase(), LEGAL_ANALYSIS, { asOf: AS_OF });
+    const swings = result.data.inputs.map(entry => entry.swing);
+
+    expect(result.data.baseline.demandAmount).toBeGreaterThan(0);
+    expect(swings).toEqual([...swings].sort((a, b) => b - a));
+    expect(result.data.inputs.find(entry => entry.input === 'Monthly rent ±10%').lowDelta).toBeLessThan(0);
+  });
+});
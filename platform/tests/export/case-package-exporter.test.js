@@ -0,0 +1,89 @@
+import { createHash } from 'crypto';
+import PizZip from 'pizzip';
+import CasePackageExporter from '../../export/case-package-exporter.js';
+import { FlaggedCitationError } from '../../legal-intelligence/citation-verifier.js';
+import { parsePdf, parseDocx } from '../../ingestion/document-parsers.js';
+import DamagesCalculator from '../../agents/agent_damages.js';
+import { damagesCase, LEGAL_ANALYSIS, AS_OF } from '../fixtures/damages-case.js';
+
+const caseData = damagesCase();
+
+function caseResults(documents = {}) {
+  return {
+    caseData,
+    executiveSummary: 'Maria Alvarez v. Peachtree Rentals LLC - leak and mold, landlord notified March 2, 2024.',
+    legalAnalysis: {
+      ...LEGAL_ANALYSIS,
+      violations: [{ statute: 'O.C.G.A. § 44-7-13', title: 'Duty to repair', strength: 8, remedy: 'Rent abatement' }],
+      legalTheories: [],
+    },
+    damages: new DamagesCalculator().calculate(caseData, LEGAL_ANALYSIS, { asOf: AS_OF }).data,
+    qualityCheck: { score: 82, evidenceStrength: 7, legalBasis: 8, recommendation: 'Send the demand letter', issues: [] },
+    documents,
+    metadata: { caseId: 'alvarez-2024' },
+  };
+}
+
+const DEMAND_LETTER = {
+  title: 'Demand Letter',
+  content: 'Dear Peachtree Rentals LLC,\n\nO.C.G.A. § 44-7-13 requires you to keep 412 Oak Street in repair.',
+  citationCheck: { citations: [{ citation: 'O.C.G.A. § 44-7-13', status: 'verified' }] },
+};
+
+const sha256 = content => createHash('sha256').update(content).digest('hex');
+
+describe('CasePackageExporter', () => {
+  const exporter = new CasePackageExporter();
+
+  test('renders a PDF report with the case text', async () => {
+    const pdf = await exporter.export(caseResults(), 'pdf');
+
+    expect(pdf.subarray(0, 5).toString('latin1')).toBe('%PDF-');
+    const text = await parsePdf(pdf);
+    expect(text).toContain('412 Oak Street');
+    expect(text).toContain('Statute Violations & Legal Theories');
+    expect(text).toMatch(/Page 1 of \d+/);
+  });
+
+  test('renders the same report as a Word document', async () => {
+    const docx = await exporter.export(caseResults(), 'docx');
+
+    expect(docx.subarray(0, 2).toString('latin1')).toBe('PK');
+    const text = await parseDocx(docx);
+    expect(text).toContain('Tenant Justice Platform - Case Package');
+    expect(text).toContain('O.C.G.A. § 44-7-13');
+    expect(text).toContain('Send the demand letter');
+  });
+
+  test('bundles the JSON, reports and drafted documents with a hashed manifest', async () => {
+    const results = caseResults({ demandLetter: DEMAND_LETTER });
+    const zip = new PizZip(await exporter.export(results, 'zip'));
+    const files = ['case-package.json', 'case-package.pdf', 'case-package.docx', 'documents/demand-letter.docx'];
+
+    expect(Object.keys(zip.files).sort()).toEqual([...files, 'manifest.json'].sort());
+
+    const manifest = JSON.parse(zip.file('manifest.json').asText());
+    expect(manifest).toMatchObject({ caseId: 'alvarez-2024', files });
+    for (const name of files) {
+      expect(manifest.sha256[name]).toBe(sha256(zip.file(name).asNodeBuffer()));
+    }
+
+    expect(JSON.parse(zip.file('case-package.json').asText())).toEqual(results);
+    expect(await parseDocx(zip.file('documents/demand-letter.docx').asNodeBuffer())).toContain('keep 412 Oak Street in repair');
+  });
+
+  test('refuses to bundle documents with flagged citations unless allowed', async () => {
+    const flagged = {
+      ...DEMAND_LETTER,
+      citationCheck: { citations: [{ citation: 'O.C.G.A. § 44-7-99', status: 'not_found' }] },
+    };
+    const results = caseResults({ demandLetter: flagged });
+
+    await expect(exporter.export(results, 'zip')).rejects.toBeInstanceOf(FlaggedCitationError);
+    await expect(exporter.export(results, 'zip', { allowFlaggedCitations: true })).resolves.toBeInstanceOf(Buffer);
+  });
+
+  test('rejects an unknown format', async () => {
+    await expect(exporter.export(caseResults(), 'rtf')).rejects.toThrow('Unknown export format "rtf"');
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * A Georgia leak-and-mold case for the damages tests: $1,800 rent, the leak
+ * running March through June 2024, mold ongoing. Field values count as
+ * confirmed by the tenant.
+ */
+export function damagesCase(overrides = {}) {
+  return {
+    tenant: { name: 'Maria Alvarez', hasChildren: true, childrenAges: [4] },
+    landlord: { name: 'Peachtree Rentals LLC' },
+    property: { address: '412 Oak Street', city: 'Atlanta', state: 'GA', zipCode: '30310', bedrooms: 2, bathrooms: 1, squareFeet: 1000 },
+    lease: { moveInDate: '2023-08-01', monthlyRent: 1800, securityDeposit: 1800 },
+    issues: [
+      { category: 'water_leak', description: 'Bathroom ceiling leak', severity: 'major', firstOccurred: '2024-03-01', resolvedDate: '2024-07-01' },
+      { category: 'mold', description: 'Black mold in the bathroom', severity: 'severe', firstOccurred: '2024-04-15', isOngoing: true,
+        affectedAreas: [{ room: 'bathroom', squareFeet: 80 }] },
+    ],
+    timeline: { firstIssueDate: '2024-03-01', firstNotificationToLandlord: '2024-03-02', durationDays: 320 },
+    healthImpact: { hasHealthIssues: true, conditions: ['asthma'], medicalDocumentation: true },
+    metadata: { confidenceScore: 0.95, missingInformation: [], clarificationNeeded: [] },
+    ...overrides,
+  };
+}
+
+export const LEGAL_ANALYSIS = {
+  violations: [{ statute: 'O.C.G.A. § 44-7-13', category: 'repairs', violated: true, strength: 8 }],
+  legalTheories: [{ theory: 'breach_of_warranty_of_habitability', strength: 8 }],
+  caseStrength: 8,
+  attorneyFeesAvailable: { available: false },
+};
+
+// Damages accrue through this date in every test
+export const AS_OF = '2025-01-15';
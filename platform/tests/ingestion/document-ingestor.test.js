@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DocumentIngestor, classifyDocument } from '../../ingestion/document-ingestor.js';
+
+const SMS_CSV = [
+  'date,text,is_from_me',
+  '2024-03-04T15:00:00Z,The bathroom ceiling is leaking again,1',
+  '2024-03-05T15:00:00Z,"This is your notice to vacate by April 1",0',
+  '2024-03-06T15:00:00Z,Ok,0',
+].join('\n');
+
+const EMAILS = [
+  'From tenant@example.com Mon Mar  4 10:00:00 2024',
+  'From: Maria <tenant@example.com>',
+  'To: landlord@example.com',
+  'Subject: Mold',
+  'Date: Mon, 04 Mar 2024 10:00:00 +0000',
+  '',
+  'There is mold in the bathroom. Please send someone.',
+  '',
+  'From landlord@example.com Tue Mar  5 10:00:00 2024',
+  'From: landlord@example.com',
+  'To: tenant@example.com',
+  'Subject: Re: Mold',
+  'Date: Tue, 05 Mar 2024 10:00:00 +0000',
+  '',
+  'Someone will come by Friday.',
+  '',
+].join('\n');
+
+describe('classifyDocument', () => {
+  test.each([
+    ['lease', 'RESIDENTIAL LEASE AGREEMENT\n\n12. Notice to vacate must be given 60 days before the lease ends.'],
+    ['notice', 'NOTICE TO VACATE\n\nYour lease agreement ends on April 1, 2024.'],
+    ['mail_receipt', 'USPS Tracking 9400 1000 0000 0000 0000 00\nCertified Mail - delivered'],
+    ['other', 'Invoice #42 for plumbing repairs'],
+  ])('%s', (kind, text) => {
+    expect(classifyDocument(text)).toBe(kind);
+  });
+});
+
+describe('DocumentIngestor', () => {
+  test('turns messages into communications citing their file and transcript offsets', async () => {
+    const { documents, skipped } = await new DocumentIngestor().ingest([{ name: 'texts.csv', data: SMS_CSV }]);
+    const [document] = documents;
+
+    expect(skipped).toEqual([]);
+    expect(document).toMatchObject({ file: 'texts.csv', format: 'sms_csv', kind: 'communications' });
+    expect(document.messages.map(message => [message.direction, message.kind])).toEqual([
+      ['from_tenant', 'repair_request'],
+      ['to_tenant', 'landlord_notice'],
+      ['to_tenant', 'message'],
+    ]);
+
+    document.messages.forEach((message, index) => {
+      expect(message.source).toMatchObject({ file: 'texts.csv', index });
+      expect(document.text.slice(message.source.start, message.source.end)).toContain(message.excerpt);
+    });
+  });
+
+  test('tells email direction apart with the tenant\'s addresses', async () => {
+    const file = { name: 'landlord.mbox', data: EMAILS };
+
+    const unknown = await new DocumentIngestor().ingestFile(file);
+    const known = await new DocumentIngestor({ tenantAddresses: ['Tenant@Example.com'] }).ingestFile(file);
+
+    expect(unknown.messages.map(message => message.direction)).toEqual(['unknown', 'unknown']);
+    expect(known.messages.map(message => [message.direction, message.kind])).toEqual([
+      ['from_tenant', 'repair_request'],
+      ['to_tenant', 'message'],
+    ]);
+  });
+
+  test('classifies text documents and keeps long excerpts short', async () => {
+    const long = `2024-03-04T15:00:00Z,"${'The heater is broken. '.repeat(20)}",1`;
+    const { documents } = await new DocumentIngestor().ingest([
+      { name: 'lease.txt', data: Buffer.from('RESIDENTIAL LEASE AGREEMENT\nRent: $1,800').toString('base64'), encoding: 'base64' },
+      { name: 'long.csv', data: `date,text,is_from_me\n${long}\n` },
+    ]);
+
+    expect(documents[0]).toMatchObject({ format: 'text', kind: 'lease', messages: [] });
+    expect(documents[1].messages[0].excerpt).toHaveLength(280);
+    expect(documents[1].messages[0].excerpt.endsWith('…')).toBe(true);
+  });
+
+  test('skips files it cannot read instead of failing the bundle', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ingestor-'));
+    await fs.writeFile(path.join(dir, 'notice.txt'), 'NOTICE TO VACATE');
+
+    try {
+      const { documents, skipped } = await new DocumentIngestor({ maxFileBytes: 1024 }).ingest([
+        path.join(dir, 'notice.txt'),
+        path.join(dir, 'missing.pdf'),
+        { name: 'photo.heic', data: 'ftypheic' },
+        { name: 'blank.txt', data: '   ' },
+        { name: 'texts.csv', data: 'name,phone\nBob,555\n' },
+        { name: 'huge.txt', data: 'x'.repeat(2048) },
+      ]);
+
+      expect(documents.map(document => [document.file, document.kind])).toEqual([['notice.txt', 'notice']]);
+      expect(skipped).toEqual([
+        { file: 'missing.pdf', reason: 'file not found' },
+        { file: 'photo.heic', reason: expect.stringContaining('unsupported file type') },
+        { file: 'blank.txt', reason: 'no text found' },
+        { file: 'texts.csv', reason: 'could not read sms_csv: CSV needs a date column and a message text column' },
+        { file: 'huge.txt', reason: expect.stringMatching(/^larger than/) },
+      ]);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
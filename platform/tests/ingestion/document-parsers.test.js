@@ -0,0 +1,227 @@
+import {
+  detectFormat,
+  parseDocument,
+  parseEmail,
+  parseMbox,
+  parseSmsCsv,
+  parseSmsXml,
+} from '../../ingestion/document-parsers.js';
+
+const MULTIPART_EMAIL = [
+  'From: =?UTF-8?B?Sm9zw6kgR2FyY8OtYQ==?= <jose@example.com>',
+  'To: tenant@example.com',
+  'Subject: =?ISO-8859-1?Q?Reparaci=F3n_del?=',
+  ' =?ISO-8859-1?Q?_techo?=',
+  'Date: Tue, 05 Mar 2024 15:00:00 +0000',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary="inner"',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'The roof repair is sched=',
+  'uled for Friday =E2=80=93 the caf=C3=A9 crew.',
+  '',
+  'On Mon, Mar 4, 2024 at 9:00 AM Tenant wrote:',
+  '> When will the roof be fixed?',
+  '--inner',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>The roof repair is scheduled for Friday</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: application/pdf; name="invoice.pdf"',
+  'Content-Disposition: attachment; filename="invoice.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  'JVBERi0xLjQK',
+  '--outer--',
+  '',
+].join('\r\n');
+
+const BASE64_EMAIL = [
+  'From: tenant@example.com',
+  'To: landlord@example.com',
+  'Subject: Heater',
+  'Date: Wed, 06 Mar 2024 12:00:00 +0000',
+  'Content-Type: text/plain; charset="utf-8"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  'VGhlIGhlYXRlciBpcyBmaXhlZC4g',
+  'VGhhbmtzIQo=',
+].join('\n');
+
+const MBOX = [
+  'From landlord@example.com Mon Mar  4 10:00:00 2024',
+  'From: landlord@example.com',
+  'To: tenant@example.com',
+  'Subject: Inspection',
+  'Date: Mon, 04 Mar 2024 10:00:00 +0000',
+  '',
+  'I will inspect the unit on Friday.',
+  '>From the office,',
+  '',
+  'From tenant@example.com Tue Mar  5 10:00:00 2024',
+  'From: tenant@example.com',
+  'To: landlord@example.com',
+  'Subject: Re: Inspection',
+  'Date: Tue, 05 Mar 2024 10:00:00 +0000',
+  '',
+  'Friday works.',
+  '',
+].join('\n');
+
+const SMS_XML = `<?xml version='1.0' encoding='UTF-8' standalone='yes' ?>
+<smses count="3">
+  <sms address="+14045550100" date="1709650800000" type="1" body="The plumber comes Monday" contact_name="Landlord" />
+  <sms address="+14045550100" date="1709564400000" type="2" body="The bathroom ceiling is leaking again" contact_name="Landlord" />
+  <mms date="1709737200000" msg_box="2" address="+14045550100" contact_name="Landlord">
+    <parts>
+      <part ct="image/jpeg" cl="ceiling.jpg" />
+      <part ct="text/plain" text="Photo of the ceiling" />
+    </parts>
+  </mms>
+</smses>
+`;
+
+const SMS_CSV = [
+  'Message Date,Type,Sender Name,Sender ID,Text',
+  '2024-03-04T15:00:00Z,Outgoing,,,"The ceiling is leaking, again.',
+  'Please send someone"',
+  '2024-03-05T15:00:00Z,Incoming,Landlord,+14045550100,"He said ""Monday"""',
+  ',,,,',
+  '',
+].join('\r\n');
+
+describe('detectFormat', () => {
+  test('goes by the extension first', () => {
+    expect(detectFormat('Lease.PDF', Buffer.from('anything'))).toBe('pdf');
+    expect(detectFormat('texts.csv', Buffer.from('%PDF-1.4'))).toBe('sms_csv');
+  });
+
+  test.each([
+    ['pdf', '%PDF-1.4\n...'],
+    ['docx', 'PK\u0003\u0004...'],
+    ['mbox', MBOX],
+    ['eml', BASE64_EMAIL],
+    ['sms_xml', SMS_XML],
+  ])('recognizes %s by its content', (format, content) => {
+    expect(detectFormat('upload', Buffer.from(content, 'latin1'))).toBe(format);
+  });
+
+  test('returns null for content it does not know', () => {
+    expect(detectFormat('photo.heic', Buffer.from('ftypheic'))).toBeNull();
+    expect(detectFormat('upload', Buffer.from('just some words'))).toBeNull();
+  });
+});
+
+describe('parseEmail', () => {
+  test('decodes multipart quoted-printable bodies, encoded headers and attachments', () => {
+    const email = parseEmail(MULTIPART_EMAIL);
+
+    expect(email).toEqual({
+      channel: 'email',
+      date: '2024-03-05T15:00:00.000Z',
+      from: 'José García <jose@example.com>',
+      to: 'tenant@example.com',
+      subject: 'Reparación del techo',
+      body: 'The roof repair is scheduled for Friday – the café crew.',
+      attachments: ['invoice.pdf'],
+    });
+  });
+
+  test('decodes base64 bodies', () => {
+    expect(parseEmail(BASE64_EMAIL).body).toBe('The heater is fixed. Thanks!');
+  });
+
+  test('returns null for text without headers', () => {
+    expect(parseEmail('just some words')).toBeNull();
+  });
+});
+
+describe('parseMbox', () => {
+  test('splits on "From " lines and unescapes >From in bodies', () => {
+    const messages = parseMbox(MBOX);
+
+    expect(messages.map(message => message.subject)).toEqual(['Inspection', 'Re: Inspection']);
+    expect(messages[0].body).toBe('I will inspect the unit on Friday.\nFrom the office,');
+    expect(messages[1]).toMatchObject({ from: 'tenant@example.com', body: 'Friday works.' });
+  });
+});
+
+describe('parseSmsXml', () => {
+  test('reads sms and mms messages with their direction and attachments', () => {
+    const messages = parseSmsXml(SMS_XML);
+
+    expect(messages).toEqual([
+      expect.objectContaining({ date: '2024-03-05T15:00:00.000Z', from: 'Landlord +14045550100', to: 'tenant', direction: 'to_tenant', body: 'The plumber comes Monday', attachments: [] }),
+      expect.objectContaining({ date: '2024-03-04T15:00:00.000Z', from: 'tenant', to: 'Landlord +14045550100', direction: 'from_tenant' }),
+      expect.objectContaining({ date: '2024-03-06T15:00:00.000Z', direction: 'from_tenant', body: 'Photo of the ceiling', attachments: ['ceiling.jpg'] }),
+    ]);
+  });
+});
+
+describe('parseSmsCsv', () => {
+  test('maps columns by name and parses quoted fields', () => {
+    const messages = parseSmsCsv(SMS_CSV);
+
+    expect(messages).toEqual([
+      expect.objectContaining({ date: '2024-03-04T15:00:00.000Z', direction: 'from_tenant', to: 'unknown', body: 'The ceiling is leaking, again.\r\nPlease send someone' }),
+      expect.objectContaining({ date: '2024-03-05T15:00:00.000Z', direction: 'to_tenant', from: 'Landlord +14045550100', body: 'He said "Monday"' }),
+    ]);
+  });
+
+  test('reads is_from_me flags and leaves a missing direction unknown', () => {
+    const messages = parseSmsCsv('date,text,is_from_me\n2024-03-04T15:00:00Z,Rent is paid,1\n2024-03-05T15:00:00Z,Got it,0\n');
+    const undirected = parseSmsCsv('timestamp,message\n2024-03-04T15:00:00Z,Hello\n');
+
+    expect(messages.map(message => message.direction)).toEqual(['from_tenant', 'to_tenant']);
+    expect(undirected[0]).toMatchObject({ direction: 'unknown', from: 'unknown', to: 'unknown' });
+  });
+
+  test('requires a date and a text column', () => {
+    expect(() => parseSmsCsv('name,phone\nBob,555\n')).toThrow('CSV needs a date column and a message text column');
+  });
+});
+
+describe('parseDocument transcripts', () => {
+  test.each([
+    ['sms_xml', SMS_XML, 3],
+    ['sms_csv', SMS_CSV, 2],
+    ['mbox', MBOX, 2],
+    ['eml', MULTIPART_EMAIL, 1],
+  ])('%s messages are in date order and their spans cover their block', async (format, content, count) => {
+    const { text, messages } = await parseDocument(Buffer.from(content, format.startsWith('sms') ? 'utf8' : 'latin1'), format);
+
+    expect(messages).toHaveLength(count);
+    expect(messages.map(message => message.date)).toEqual([...messages.map(message => message.date)].sort());
+
+    messages.forEach((message, i) => {
+      const block = text.slice(message.span.start, message.span.end);
+      expect(block.startsWith(`[${message.date}] ${message.channel.toUpperCase()} from `)).toBe(true);
+      expect(block).toContain(message.body);
+      if (i > 0) expect(text.slice(messages[i - 1].span.end, message.span.start)).toBe('\n\n');
+    });
+    expect(messages[count - 1].span.end).toBe(text.length);
+  });
+
+  test('renders subjects and attachments in the block', async () => {
+    const { text, messages } = await parseDocument(Buffer.from(MULTIPART_EMAIL, 'latin1'), 'eml');
+
+    expect(text.slice(messages[0].span.start, messages[0].span.end)).toBe([
+      '[2024-03-05T15:00:00.000Z] EMAIL from José García <jose@example.com> to tenant@example.com',
+      'Subject: Reparación del techo',
+      'The roof repair is scheduled for Friday – the café crew.',
+      'Attachments: invoice.pdf',
+    ].join('\n'));
+  });
+
+  test('keeps plain text as is and rejects unknown formats', async () => {
+    expect(await parseDocument(Buffer.from('Notice to vacate'), 'text')).toEqual({ text: 'Notice to vacate', messages: [] });
+    await expect(parseDocument(Buffer.from(''), 'heic')).rejects.toThrow('Unsupported document format "heic"');
+  });
+});
@@ -0,0 +1,86 @@
+import { Readable } from 'stream';
+import { fileURLToPath } from 'url';
+import { createIntakeHandler } from '../../intake/intake-http.js';
+import { createLLMProvider } from '../../llm/index.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/llm', import.meta.url));
+
+function request(method, url, body) {
+  const req = Readable.from(body === undefined ? [] : [typeof body === 'string' ? body : JSON.stringify(body)]);
+  return Object.assign(req, { method, url });
+}
+
+function response() {
+  return {
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    end(text) { this.body = JSON.parse(text); },
+  };
+}
+
+describe('intake HTTP handler', () => {
+  let handle;
+
+  beforeEach(() => {
+    handle = createIntakeHandler({
+      sessionOptions: { llm: createLLMProvider({ provider: 'fixture', fixturesDir: FIXTURES_DIR }) },
+    });
+  });
+
+  const call = async (method, url, body) => {
+    const res = response();
+    await handle(request(method, url, body), res);
+    return res;
+  };
+
+  test('starts a session from case data and asks the first question', async () => {
+    const res = await call('POST', '/intake/sessions', { caseData: {} });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.sessionId).toEqual(expect.any(String));
+    expect(res.body.question).toMatchObject({ field: expect.any(String), question: expect.any(String) });
+  });
+
+  test.each([
+    ['null', 'null'],
+    ['an array', '[{"answer": "yes"}]'],
+    ['a string', '"yes"'],
+    ['a number', '42'],
+  ])('rejects %s body with a 400', async (_, body) => {
+    const res = await call('POST', '/intake/sessions', body);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Request body must be a JSON object');
+  });
+
+  test('rejects a pre-parsed array body with a 400', async () => {
+    const req = Object.assign(request('POST', '/intake/sessions'), { body: [] });
+    const res = response();
+    await handle(req, res);
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('rejects malformed JSON with a 400', async () => {
+    const res = await call('POST', '/intake/sessions', '{"story":');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Request body must be JSON');
+  });
+
+  test('answers the current question of a session', async () => {
+    const { body: created } = await call('POST', '/intake/sessions', { caseData: {} });
+
+    const res = await call('POST', `/intake/sessions/${created.sessionId}/answers`, { skip: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ accepted: true, skipped: true });
+    expect(res.body.question?.field).not.toBe(created.question.field);
+  });
+
+  test('404s an unknown session', async () => {
+    const res = await call('GET', '/intake/sessions/nope');
+
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,187 @@
+import { IntakeSession, InvalidAnswerError, parseAnswer } from '../../intake/intake-session.js';
+
+// Every critical field filled, nothing left to confirm
+function completeCase(overrides = {}) {
+  return {
+    tenant: { name: 'Maria Lopez' },
+    landlord: { name: 'Peachtree Rentals LLC' },
+    property: { address: '123 Main St', city: 'Atlanta', state: 'GA', zipCode: '30303' },
+    lease: { moveInDate: '2023-01-01', monthlyRent: 1800 },
+    issues: [{ category: 'mold', description: 'Mold in the bathroom', severity: 'major', isOngoing: true }],
+    timeline: { firstIssueDate: '2024-03-01' },
+    healthImpact: {},
+    desiredOutcome: {},
+    provenance: {},
+    metadata: { confidenceScore: 0.9, missingInformation: [], clarificationNeeded: [] },
+    ...overrides,
+  };
+}
+
+describe('parseAnswer', () => {
+  test.each([
+    ['lease.monthlyRent', '$1,850 a month', 1850],
+    ['property.state', 'georgia', 'GA'],
+    ['property.state', 'ga', 'GA'],
+    ['tenant.hasChildren', 'Yes, two', true],
+    ['tenant.hasChildren', 'nope', false],
+    ['tenant.childrenAges', '5 and 7', [5, 7]],
+    ['timeline.firstIssueDate', '2024-03-01', '2024-03-01'],
+    ['landlord.name', '  Peachtree Rentals LLC ', 'Peachtree Rentals LLC'],
+  ])('%s: %j', (field, answer, expected) => {
+    expect(parseAnswer(field, answer)).toEqual(expected);
+  });
+
+  test('reads problem categories out of a description', () => {
+    const issues = parseAnswer('issues.length > 0', 'The roof leaks and there is mold in the bathroom');
+
+    expect(issues.map(issue => issue.category)).toEqual(['mold', 'roof_leak', 'water_leak']);
+    expect(issues[0]).toMatchObject({ severity: 'major', isOngoing: true });
+  });
+
+  test.each([
+    ['lease.monthlyRent', 'not sure'],
+    ['lease.monthlyRent', '$0'],
+    ['property.state', 'Ontario'],
+    ['tenant.hasChildren', 'maybe'],
+    ['tenant.childrenAges', 'young'],
+    ['timeline.firstIssueDate', 'end of spring-ish'],
+    ['timeline.firstIssueDate', '2999-01-01'],
+    ['landlord.name', '   '],
+  ])('%s rejects %j', (field, answer) => {
+    expect(() => parseAnswer(field, answer)).toThrow(InvalidAnswerError);
+  });
+});
+
+describe('IntakeSession', () => {
+  test('asks the most valuable missing questions first', async () => {
+    const session = new IntakeSession();
+    const asked = [];
+
+    for (let question = await session.nextQuestion(); question && asked.length < 8; question = await session.skip()) {
+      asked.push(question.field);
+    }
+
+    expect(asked).toEqual([
+      'issues.length > 0',
+      'property.address',
+      'landlord.name',
+      'lease.monthlyRent',
+      'timeline.firstIssueDate',
+      'lease.moveInDate',
+      'timeline.firstNotificationToLandlord',
+      'property.state',
+    ]);
+  });
+
+  test('keeps asking the same question when an answer is invalid', async () => {
+    const session = new IntakeSession({ caseData: completeCase({ lease: { moveInDate: '2023-01-01' } }) });
+    const question = await session.nextQuestion();
+
+    const result = await session.answer('about a grand?');
+
+    expect(question.field).toBe('lease.monthlyRent');
+    expect(result).toMatchObject({ accepted: false, field: 'lease.monthlyRent', error: expect.stringContaining('dollar amount') });
+    expect(result.question).toBe(question);
+    expect(session.caseData.lease.monthlyRent).toBeUndefined();
+    expect(session.history).toEqual([expect.objectContaining({ status: 'rejected', answer: 'about a grand?' })]);
+  });
+
+  test('records accepted answers with tenant provenance and asks follow-ups', async () => {
+    const caseData = completeCase({ lease: { monthlyRent: 1800 } });
+    caseData.metadata.missingInformation = ['tenant.hasChildren'];
+    const session = new IntakeSession({ caseData });
+
+    // Non-critical questions come up once the tenant passes on the critical ones
+    expect((await session.skip()).field).toBe('tenant.hasChildren');
+    const result = await session.answer('yes');
+
+    expect(result).toMatchObject({ accepted: true, field: 'tenant.hasChildren', value: true });
+    expect(session.caseData.provenance['tenant.hasChildren']).toMatchObject({ source: 'tenant_answer', confirmed: true, answer: 'yes' });
+    expect(result.question.field).toBe('tenant.childrenAges');
+
+    await session.answer('4 and 9');
+    expect(session.caseData.tenant.childrenAges).toEqual([4, 9]);
+  });
+
+  test('confirms an uncertain extracted value, or asks for the right one', async () => {
+    const caseData = completeCase();
+    caseData.provenance['lease.monthlyRent'] = { source: 'story', span: null, confidence: 0.4, confirmed: false };
+
+    const yes = new IntakeSession({ caseData });
+    expect(await yes.nextQuestion()).toMatchObject({ field: 'lease.monthlyRent', kind: 'confirm' });
+    expect(await yes.answer('yes')).toMatchObject({ accepted: true, question: null });
+    expect(yes.caseData.provenance['lease.monthlyRent'].confirmed).toBe(true);
+
+    const no = new IntakeSession({ caseData });
+    await no.nextQuestion();
+    const corrected = await no.answer('no');
+
+    expect(corrected.question).toMatchObject({ field: 'lease.monthlyRent', kind: 'missing', question: 'How much is your monthly rent?' });
+    await no.answer('$1,950');
+    expect(no.caseData.lease.monthlyRent).toBe(1950);
+    expect(no.isComplete()).toBe(true);
+  });
+
+  test('records answers to free-text clarifications', async () => {
+    const caseData = completeCase({ lease: { monthlyRent: 1800 } });
+    caseData.metadata.clarificationNeeded = ['Did the landlord ever reply in writing?'];
+    const session = new IntakeSession({ caseData });
+
+    expect(await session.skip()).toMatchObject({ field: null, kind: 'clarification' });
+    const result = await session.answer('Only by text message');
+
+    expect(result).toMatchObject({ accepted: true, field: null, question: null });
+    expect(session.caseData.metadata.clarificationNeeded).toEqual([]);
+    expect(session.caseData.metadata.clarifications).toEqual([
+      expect.objectContaining({ question: 'Did the landlord ever reply in writing?', answer: 'Only by text message' }),
+    ]);
+  });
+
+  test('resumes from toJSON() with the pending question, skips and history', async () => {
+    const session = new IntakeSession();
+    await session.nextQuestion();
+    await session.answer('Mold in the bathroom');
+    await session.skip();
+    const pending = session.current;
+
+    const restored = IntakeSession.fromJSON(JSON.parse(JSON.stringify(session.toJSON())));
+
+    expect(restored.sessionId).toBe(session.sessionId);
+    expect(restored.current).toEqual(pending);
+    expect(restored.skipped).toEqual(new Set(['property.address']));
+    expect(restored.history).toHaveLength(2);
+    expect(restored.caseData.issues).toEqual([expect.objectContaining({ category: 'mold' })]);
+
+    const result = await restored.answer('Peachtree Rentals LLC');
+    expect(result).toMatchObject({ accepted: true, field: pending.field });
+    expect(restored.caseData.landlord.name).toBe('Peachtree Rentals LLC');
+  });
+
+  test('completes once every critical field is answered', async () => {
+    const session = new IntakeSession();
+    const answers = {
+      'issues.length > 0': 'No heat since November',
+      'property.address': '123 Main St, Atlanta, GA',
+      'landlord.name': 'Peachtree Rentals LLC',
+      'lease.monthlyRent': '1800',
+      'timeline.firstIssueDate': '2024-11-01',
+      'lease.moveInDate': '2023-01-01',
+    };
+
+    let question = await session.nextQuestion();
+    while (question) {
+      ({ question } = await session.answer(answers[question.field]));
+    }
+
+    expect(session.status()).toMatchObject({ completeness: 100, complete: true, answered: 6, unconfirmed: 0 });
+    expect(await session.nextQuestion()).toBeNull();
+    await expect(session.answer('anything')).rejects.toThrow('Intake is complete');
+  });
+
+  test('stops at a lower threshold', async () => {
+    const session = new IntakeSession({ threshold: 50, caseData: completeCase({ lease: {}, timeline: {} }) });
+
+    expect(session.status()).toMatchObject({ completeness: 50, complete: true });
+    expect(await session.nextQuestion()).toBeNull();
+  });
+});
@@ -0,0 +1,20 @@
+import { FixtureProvider } from '../../llm/index.js';
+
+describe('package entry point', () => {
+  test('imports without API keys, a database or TensorFlow', async () => {
+    delete process.env.OPENAI_API_KEY;
+
+    const platform = await import('../../index.js');
+
+    expect(platform.MasterOrchestrator).toBeDefined();
+    expect(platform.AdvancedMLEngine).toBeDefined();
+  });
+
+  test('model-backed engines take a provider instead of building clients', async () => {
+    const { AdvancedMLEngine, AdversarialIntelligence } = await import('../../index.js');
+    const llm = new FixtureProvider({ mode: 'replay' });
+
+    expect(new AdvancedMLEngine({ llm }).llm).toBe(llm);
+    expect(new AdversarialIntelligence({ llm }).llm).toBe(llm);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * PIPELINE REPLAY
+ *
+ * A whole MasterOrchestrator run served from recorded model responses in
+ * tests/fixtures/llm - no network or API key. After changing a prompt,
+ * re-record against a real model:
+ *
+ *   LLM_FIXTURE_MODE=record OPENAI_API_KEY=... npm run test:integration
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLLMProvider } from '../../llm/index.js';
+import { MasterOrchestrator } from '../../agents/agent_orchestrator.js';
+import { MemoryCheckpointStore } from '../../pipeline/checkpoint-store.js';
+import { PIPELINE_EVENTS } from '../../pipeline/events.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/llm', import.meta.url));
+
+const STORY = 'My name is Maria Alvarez. I rent 412 Oak Street in Atlanta from Peachtree Rentals LLC for $1,800 a month and paid a $1,800 deposit. '
+  + 'The bathroom ceiling started leaking on March 1, 2024 and I texted the landlord on March 2, 2024. A handyman patched it in May but it came back, '
+  + 'and now there is black mold in the bathroom. My 4-year-old has had asthma attacks.';
+
+// The fixtures were recorded on this clock with the Monte Carlo runs seeded:
+// damages on ongoing issues run to today, and the simulated predictions are
+// quoted in the drafting prompts
+const RECORDED_AT = new Date('2025-01-15T12:00:00Z');
+const SEED = 42;
+
+// mulberry32
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+describe('MasterOrchestrator replay', () => {
+  let storeDir;
+  let orchestrator;
+  let events;
+  let results;
+  let stdout;
+
+  beforeAll(async () => {
+    jest.useFakeTimers({
+      now: RECORDED_AT,
+      doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate',
+        'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'],
+    });
+    jest.spyOn(Math, 'random').mockImplementation(seededRandom(SEED));
+
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-library-'));
+    orchestrator = new MasterOrchestrator({
+      llm: createLLMProvider({ provider: 'fixture', fixturesDir: FIXTURES_DIR }),
+      checkpoints: new MemoryCheckpointStore(),
+      legalLibrary: { embeddings: 'hashing', storeDir },
+      logToConsole: false,
+    });
+
+    events = [];
+    orchestrator.on('event', event => events.push(event));
+    stdout = jest.spyOn(console, 'log').mockImplementation(() => {});
+    results = await orchestrator.analyzeCase(STORY, { caseId: 'alvarez-replay' });
+    stdout.mockRestore();
+  }, 120000);
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  test('runs every phase except the unrequested profiles', () => {
+    expect(results.metadata.pipeline.skipped.sort()).toEqual(['judge', 'opponent']);
+    expect(results.metadata.pipeline.executed).toEqual(expect.arrayContaining([
+      'intake', 'timeline', 'context', 'legal', 'health', 'damages', 'strategy', 'qc', 'summary', 'documents',
+    ]));
+    expect(events.at(-1).type).toBe(PIPELINE_EVENTS.PIPELINE_COMPLETE);
+  });
+
+  test('reports agent progress as events instead of writing to stdout', () => {
+    const progress = events.filter(event => event.type === PIPELINE_EVENTS.PROGRESS);
+
+    expect(progress.length).toBeGreaterThan(0);
+    const { runId } = events.find(event => event.type === PIPELINE_EVENTS.PIPELINE_START);
+    expect(progress.every(event => event.runId === runId)).toBe(true);
+    expect(new Set(progress.map(event => event.phase))).toEqual(new Set(['timeline', 'context', 'legal', 'health', 'strategy', 'documents']));
+    expect(stdout.mock.calls).toEqual([]);
+  });
+
+  test('structures the story with its intake timeline', () => {
+    expect(results.caseData.tenant.name).toBe('Maria Alvarez');
+    expect(results.caseData.timeline).toMatchObject({ firstIssueDate: '2024-03-01', firstNotificationToLandlord: '2024-03-02' });
+  });
+
+  test('predicts a finite settlement range before damages are calculated', () => {
+    const { predictions } = results.legalAnalysis;
+    const { low, mid, high } = predictions.settlementRange;
+
+    expect(Number.isFinite(predictions.winProbability)).toBe(true);
+    expect([low, mid, high].every(Number.isFinite)).toBe(true);
+    expect(low).toBeLessThanOrEqual(mid);
+    expect(mid).toBeLessThanOrEqual(high);
+  });
+
+  test('values the strategy from the calculated damages', () => {
+    const trial = results.strategy.expectedValues.scenarios.find(scenario => scenario.path === 'Trial Victory');
+
+    expect(results.damages.aggressive.total).toBeGreaterThan(0);
+    expect(trial.value).toBe(results.damages.aggressive.total);
+  });
+
+  test('drafts the case documents', () => {
+    expect(Object.keys(results.documents)).toEqual(expect.arrayContaining(['demandLetter', 'evidenceIndex', 'timeline']));
+    expect(results.documents.demandLetter.content).toContain('Peachtree Rentals LLC');
+  });
+
+  test('resumes from its checkpoints without calling the model', async () => {
+    const llm = jest.spyOn(orchestrator.llm, 'chat');
+
+    const resumed = await orchestrator.analyzeCase('alvarez-replay', { resume: true });
+
+    expect(llm).not.toHaveBeenCalled();
+    expect(resumed.metadata.pipeline.executed).toEqual([]);
+    expect(resumed.metadata.pipeline.restored).toHaveLength(10);
+    expect(resumed.damages.recommended.demandAmount).toBe(results.damages.recommended.demandAmount);
+  });
+});
@@ -0,0 +1,90 @@
+import { CitationGraph, classifyTreatment, courtLevel, authorityScore } from '../../legal-intelligence/citation-graph.js';
+
+const COLQUITT = {
+  id: 'colquitt', citation: 'Colquitt v. Rowland, 265 Ga. 905 (1995)', court: 'Supreme Court of Georgia', year: 1995, jurisdiction: 'GA', opinion: '',
+};
+const SMITH = {
+  id: 'smith', citation: 'Smith v. Jones, 200 Ga. App. 10 (1991)', court: 'Court of Appeals of Georgia', year: 1991, jurisdiction: 'GA', opinion: '',
+};
+
+const opinion = (id, text, extra = {}) => ({
+  id, citation: `${id} v. Landlord, 300 Ga. App. ${id.length} (2010)`, court: 'Court of Appeals of Georgia', year: 2010, jurisdiction: 'GA', opinion: text, ...extra,
+});
+
+describe('CitationGraph', () => {
+  test('links full citations to the cases they name, once per pair', () => {
+    const graph = new CitationGraph([
+      COLQUITT,
+      SMITH,
+      opinion('Alvarez', 'We follow Colquitt v. Rowland, 265 Ga. 905 (1995). Again, Colquitt v. Rowland, 265 Ga. 905, 907 (1995). See Smith v. Jones, 200 Ga. App. 10 (1991).'),
+    ]);
+
+    expect(graph.citeCount('colquitt')).toBe(1);
+    expect(graph.cites('Alvarez').map(edge => [edge.to, edge.treatment])).toEqual([['colquitt', 'positive'], ['smith', 'positive']]);
+  });
+
+  test('links a cite with the wrong page by name when the reporter, volume or year agree', () => {
+    const graph = new CitationGraph([
+      COLQUITT,
+      opinion('Baker', 'See Colquitt v. Rowland, 265 Ga. 950 (1995).'),
+    ]);
+
+    expect(graph.citedBy('colquitt').map(edge => edge.from)).toEqual(['Baker']);
+  });
+
+  test('does not link a different case that shares a name', () => {
+    const graph = new CitationGraph([
+      SMITH,
+      opinion('Baker', 'See Smith v. Jones, 45 F.3d 812 (11th Cir. 2003).'),
+    ]);
+
+    expect(graph.edges).toEqual([]);
+  });
+
+  test('reads the treatment from the citing sentence', () => {
+    const graph = new CitationGraph([
+      COLQUITT,
+      SMITH,
+      opinion('Davis', 'This case is unlike Smith v. Jones, 200 Ga. App. 10 (1991). We rely on Colquitt v. Rowland, 265 Ga. 905 (1995).'),
+    ]);
+
+    expect(graph.cites('Davis').map(edge => [edge.to, edge.treatment])).toEqual([['smith', 'distinguished'], ['colquitt', 'positive']]);
+  });
+
+  test('counts a case as overruled only by a court that can overrule it', () => {
+    const higher = opinion('Evans', 'We overrule Smith v. Jones, 200 Ga. App. 10 (1991).', { court: 'Supreme Court of Georgia', year: 2001 });
+    const lower = opinion('Fox', 'Colquitt v. Rowland, 265 Ga. 905 (1995), is overruled.', { court: 'Fulton County Magistrate Court' });
+    const graph = new CitationGraph([COLQUITT, SMITH, higher, lower]);
+
+    expect(graph.treatment('smith')).toMatchObject({ goodLaw: 'overruled', overruledBy: higher.citation, overruled: 1 });
+    expect(graph.treatment('colquitt')).toMatchObject({ goodLaw: 'questioned', overruledBy: null });
+  });
+});
+
+describe('classifyTreatment', () => {
+  test('reads overruled, distinguished and positive treatment', () => {
+    expect(classifyTreatment('Smith is hereby overruled.')).toBe('overruled');
+    expect(classifyTreatment('Smith, overruled on other grounds, remains persuasive.')).toBe('distinguished');
+    expect(classifyTreatment('We decline to extend Smith.')).toBe('distinguished');
+    expect(classifyTreatment('As Smith held, the duty is nondelegable.')).toBe('positive');
+  });
+});
+
+describe('court hierarchy', () => {
+  test('places courts by name and CourtListener id', () => {
+    expect(courtLevel('Supreme Court of the United States')).toBe(4);
+    expect(courtLevel('ga')).toBe(3);
+    expect(courtLevel('New York Supreme Court')).toBe(1);
+    expect(courtLevel('Appellate Division')).toBe(2);
+    expect(courtLevel('gactapp')).toBe(2);
+  });
+
+  test('weights binding authority above another state\'s, and drops overruled cases to zero', () => {
+    const record = { court: 'Supreme Court of Georgia', jurisdiction: 'GA', year: 2020, citeCount: 4 };
+    const context = { maxCiteCount: 4, year: 2020 };
+
+    expect(authorityScore(record, 'GA', context)).toBe(1);
+    expect(authorityScore(record, 'TX', context)).toBe(0.75);
+    expect(authorityScore({ ...record, goodLaw: 'overruled' }, 'GA', context)).toBe(0);
+  });
+});
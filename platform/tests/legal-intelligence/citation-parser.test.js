@@ -0,0 +1,76 @@
+import { parseCitations, caseNameKey } from '../../legal-intelligence/citation-parser.js';
+
+const only = (text, options) => {
+  const citations = parseCitations(text, options);
+  expect(citations).toHaveLength(1);
+  return citations[0];
+};
+
+describe('parseCitations - statutes', () => {
+  test('normalizes every spelling of a code to one key', () => {
+    const keys = ['O.C.G.A. §44-7-13(a)', 'OCGA § 44-7-13', 'Ga. Code Ann. § 44-7-13'].map(text => only(text).key);
+
+    expect(new Set(keys)).toEqual(new Set(['o.c.g.a. § 44-7-13']));
+  });
+
+  test('keeps the pinpoint out of the key', () => {
+    expect(only('Fla. Stat. § 83.56(1)(a)')).toMatchObject({
+      code: 'Fla. Stat.', jurisdiction: 'FL', section: '83.56', pinpoint: '(1)(a)',
+      normalized: 'Fla. Stat. § 83.56(1)(a)', key: 'fla. stat. § 83.56', malformed: false,
+    });
+  });
+
+  test('reads titled federal codes', () => {
+    expect(only('42 U.S.C. § 3604(b)')).toMatchObject({ code: 'U.S.C.', title: 42, section: '3604', jurisdiction: 'US' });
+    expect(only('24 C.F.R. § 100.204')).toMatchObject({ type: 'regulation', title: 24, section: '100.204' });
+  });
+
+  test('yields one citation per section of a "§§" list', () => {
+    const sections = parseCitations('Tex. Prop. Code §§ 92.331, 92.333 and 92.0561').map(c => c.section);
+
+    expect(sections).toEqual(['92.331', '92.333', '92.0561']);
+  });
+
+  test('flags a section number the code cannot have', () => {
+    expect(only('O.C.G.A. § 44-7').malformed).toBe(true);
+  });
+
+  test('reads a bare section as the case state\'s code, and leaves it unknown otherwise', () => {
+    expect(only('under § 44-7-13', { defaultCode: 'O.C.G.A.' }).key).toBe('o.c.g.a. § 44-7-13');
+    expect(only('under § 44-7-13')).toMatchObject({ code: null, jurisdiction: null });
+  });
+
+  test('keeps an unknown code name without its signal words', () => {
+    expect(only('Rent. Under Ohio Rev. Code § 5321.04')).toMatchObject({ code: 'Ohio Rev. Code', jurisdiction: null });
+  });
+});
+
+describe('parseCitations - cases', () => {
+  test('reads a Bluebook citation', () => {
+    expect(only('See also Colquitt v. Rowland, 265 Ga. 905, 907 (1995).')).toMatchObject({
+      type: 'case',
+      raw: 'Colquitt v. Rowland, 265 Ga. 905, 907 (1995)',
+      caseName: 'Colquitt v. Rowland',
+      volume: 265, reporter: 'Ga.', page: 905, pinpoint: 907, year: 1995,
+      jurisdiction: 'GA', key: '265 ga. 905', nameKey: 'colquitt v rowland',
+    });
+  });
+
+  test('takes the jurisdiction from the court parenthetical', () => {
+    expect(only('Kamarath v. Bennett, 568 S.W.2d 658 (Tex. 1978)')).toMatchObject({ court: 'Tex.', jurisdiction: 'TX' });
+  });
+
+  test('reads a Westlaw cite whole instead of truncating its number', () => {
+    expect(only('Smith v. Jones, 2019 WL 1234567 (Ga. Ct. App. 2019)')).toMatchObject({
+      reporter: 'WL', volume: 2019, page: 1234567, key: '2019 wl 1234567', year: 2019, jurisdiction: 'GA',
+    });
+  });
+
+  test('does not read part of a longer number as the page', () => {
+    expect(parseCitations('Smith v. Jones, 12 Ga. 123456789 (1990)')).toEqual([]);
+  });
+
+  test('matches party names regardless of entity suffixes and articles', () => {
+    expect(caseNameKey('The Peachtree Rentals, LLC v. Alvarez')).toBe('peachtree v alvarez');
+  });
+});
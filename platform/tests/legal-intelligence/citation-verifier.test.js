@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import { CitationVerifier, FlaggedCitationError } from '../../legal-intelligence/citation-verifier.js';
+
+// The built-in Georgia duty-to-repair entry, with its subsections
+const GA_WITH_TEXT = {
+  format: 1,
+  jurisdiction: 'GA',
+  name: 'Georgia',
+  version: 'test',
+  currentThrough: '2025-07-01',
+  entries: [{
+    id: 'ocga-44-7-13',
+    type: 'statute',
+    citation: 'O.C.G.A. § 44-7-13',
+    title: 'Duties of landlord as to repairs and improvements',
+    topics: ['repairs'],
+    summary: 'The landlord must keep the premises in repair.',
+    fullText: '(a) The landlord must keep the premises in repair. (b) The landlord must keep the premises fit for human habitation.',
+  }],
+};
+
+async function check(text, options = {}) {
+  const report = await new CitationVerifier(options).verifyText(text, { jurisdiction: 'GA' });
+  return report.citations.map(({ citation, status, reason }) => ({ citation, status, reason }));
+}
+
+describe('CitationVerifier', () => {
+  test('verifies statutes and cases the corpus holds', async () => {
+    const report = await new CitationVerifier().verifyText(
+      'Under O.C.G.A. § 44-7-13 and § 44-7-14 (see Colquitt v. Rowland, 265 Ga. 905 (1995)), and again O.C.G.A. § 44-7-13.',
+      { jurisdiction: 'GA' }
+    );
+
+    expect(report).toMatchObject({ checked: 3, verified: 3, flagged: 0, unverifiable: 0 });
+    expect(report.citations[0]).toMatchObject({ status: 'verified', occurrences: 2, authority: { source: 'corpus', jurisdiction: 'GA' } });
+  });
+
+  test('flags a section missing from a code we hold, and one that cannot exist', async () => {
+    expect(await check('O.C.G.A. § 44-7-99 and O.C.G.A. § 44-7')).toEqual([
+      expect.objectContaining({ citation: 'O.C.G.A. § 44-7-99', status: 'not_found' }),
+      expect.objectContaining({ citation: 'O.C.G.A. § 44-7', status: 'not_found', reason: '"44-7" is not a valid O.C.G.A. section number' }),
+    ]);
+  });
+
+  test('cannot verify a code we hold nothing for', async () => {
+    expect(await check('Ohio Rev. Code § 5321.04')).toEqual([
+      expect.objectContaining({ status: 'unverifiable', reason: 'No Ohio Rev. Code sections in the legal library' }),
+    ]);
+  });
+
+  test('checks a pin cite against the subsections in the text', async () => {
+    const corpusPacks = [GA_WITH_TEXT];
+
+    expect(await check('O.C.G.A. § 44-7-13(b)', { corpusPacks })).toEqual([
+      expect.objectContaining({ status: 'verified' }),
+    ]);
+    expect(await check('O.C.G.A. § 44-7-13(c)', { corpusPacks })).toEqual([
+      { citation: 'O.C.G.A. § 44-7-13(c)', status: 'mis_pinned', reason: '44-7-13 has no subsection (c)' },
+    ]);
+  });
+
+  test('reports a pin cite as unverifiable when we do not hold the subsections', async () => {
+    expect(await check('O.C.G.A. § 44-7-13(c)')).toEqual([{
+      citation: 'O.C.G.A. § 44-7-13(c)',
+      status: 'unverifiable',
+      reason: '44-7-13 exists, but the library doesn\'t hold its subsections to check (c)',
+    }]);
+  });
+
+  test('catches a case cited with the wrong reporter, year or pin', async () => {
+    expect(await check(
+      'Colquitt v. Rowland, 265 Ga. 950 (1995); Colquitt v. Rowland, 265 Ga. 905 (1996); Colquitt v. Rowland, 265 Ga. 905, 900 (1995)'
+    )).toEqual([
+      expect.objectContaining({ status: 'mis_pinned', reason: 'Colquitt v. Rowland is reported at 265 Ga. 905' }),
+      expect.objectContaining({ status: 'mis_pinned', reason: 'Decided in 1995, cited as 1996' }),
+      expect.objectContaining({ status: 'mis_pinned', reason: 'Pin cite 900 comes before the first page (905)' }),
+    ]);
+  });
+
+  test('flags a case the library shows was overruled', async () => {
+    const legalLibrary = {
+      initialize: jest.fn(async () => {}),
+      searchCaseLaw: jest.fn(async () => [{
+        citation: 'Smith v. Jones, 200 Ga. App. 10 (1991)',
+        jurisdiction: 'GA',
+        goodLaw: 'overruled',
+        treatment: { overruledBy: 'Colquitt v. Rowland, 265 Ga. 905 (1995)' },
+      }]),
+    };
+
+    expect(await check('Smith v. Jones, 200 Ga. App. 10 (1991)', { legalLibrary })).toEqual([{
+      citation: 'Smith v. Jones, 200 Ga. App. 10 (1991)',
+      status: 'superseded',
+      reason: 'Smith v. Jones, 200 Ga. App. 10 (1991) is overruled by Colquitt v. Rowland, 265 Ga. 905 (1995)',
+    }]);
+  });
+
+  test('reports citations as unverifiable, not missing, when the library search fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const legalLibrary = {
+      initialize: jest.fn(async () => {}),
+      searchCaseLaw: jest.fn(async () => { throw new Error('connection refused'); }),
+      searchStatutes: jest.fn(async () => { throw new Error('connection refused'); }),
+    };
+
+    try {
+      expect(await check('O.C.G.A. § 44-7-99 and Smith v. Jones, 200 Ga. App. 10 (1991)', { legalLibrary })).toEqual([
+        { citation: 'O.C.G.A. § 44-7-99', status: 'unverifiable', reason: 'Legal library lookup failed: connection refused' },
+        { citation: 'Smith v. Jones, 200 Ga. App. 10 (1991)', status: 'unverifiable', reason: 'Legal library lookup failed: connection refused' },
+      ]);
+      expect(warn).not.toHaveBeenCalled();
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('FlaggedCitationError', () => {
+  test('names each document and its flagged citations, and is not retried', () => {
+    const error = new FlaggedCitationError([
+      { title: 'Demand Letter', citations: [{ citation: 'O.C.G.A. § 44-7-99', status: 'not_found' }] },
+    ]);
+
+    expect(error.message).toContain('Demand Letter (O.C.G.A. § 44-7-99: not_found)');
+    expect(error.retryable).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { searchCorpus, getCorpusPack, loadCorpusPack, caseIssueCategories, CorpusPackSchema } from '../../legal-intelligence/legal-corpus.js';
+
+const citations = results => results.map(entry => entry.citation);
+
+const ATLANTA_PACK = {
+  format: 1,
+  jurisdiction: 'GA',
+  name: 'Georgia',
+  version: 'atlanta-1',
+  currentThrough: '2026-01-01',
+  entries: [{
+    id: 'atl-housing-code',
+    type: 'ordinance',
+    localities: ['Atlanta'],
+    citation: 'Atlanta Code § 74-31',
+    title: 'Minimum housing standards',
+    topics: ['habitability'],
+    issues: ['mold'],
+    summary: 'Dwellings must be kept free of mold and water intrusion.',
+  }],
+};
+
+describe('searchCorpus', () => {
+  test('ranks entries naming the issue first, state law before federal', () => {
+    const results = searchCorpus({ state: 'Georgia', issues: ['retaliation'] });
+
+    expect(results[0]).toMatchObject({ citation: 'O.C.G.A. § 44-7-24', jurisdiction: 'GA', relevanceScore: 1 });
+    expect(results.every(entry => ['GA', 'US'].includes(entry.jurisdiction))).toBe(true);
+  });
+
+  test('returns nothing for a state with no pack but federal law', () => {
+    const results = searchCorpus({ state: 'OH', issues: ['retaliation'] });
+
+    expect(results.every(entry => entry.jurisdiction === 'US')).toBe(true);
+    expect(searchCorpus({ state: 'OH', issues: ['retaliation'], includeFederal: false })).toEqual([]);
+  });
+
+  test('leaves out ordinances for other localities', () => {
+    const query = { state: 'CA', issues: ['harassment'], types: ['ordinance'] };
+
+    expect(searchCorpus(query)).toEqual([]);
+    expect(citations(searchCorpus({ ...query, localities: ['San Francisco County'] }))).toEqual(['S.F. Admin. Code § 37.10B']);
+  });
+
+  test('reads a statute as of the date that governs the case', () => {
+    const [before] = searchCorpus({ state: 'GA', topics: ['habitability'], types: ['statute'], dates: { leaseSigned: '2023-08-01', firstNotice: '2024-03-02' } })
+      .filter(entry => entry.citation === 'O.C.G.A. § 44-7-13');
+
+    expect(before.version).toMatchObject({ asOf: '2024-03-02', basis: 'firstNotice', current: false, amendedOn: '2024-07-01' });
+    expect(before.summary).toContain('No express duty to keep the premises fit for human habitation');
+  });
+
+  test('merges an override pack into the state\'s entries', () => {
+    const overrides = new Map([['GA', CorpusPackSchema.parse(ATLANTA_PACK)]]);
+    const results = searchCorpus({ state: 'GA', issues: ['mold'], localities: ['Atlanta'] }, overrides);
+
+    expect(citations(results)).toContain('Atlanta Code § 74-31');
+    expect(getCorpusPack('GA', overrides)).toMatchObject({ version: 'atlanta-1', currentThrough: '2026-01-01' });
+    expect(getCorpusPack('GA', overrides).entries.length).toBe(getCorpusPack('GA').entries.length + 1);
+  });
+});
+
+describe('loadCorpusPack', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legal-corpus-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('validates a JSON pack', async () => {
+    const file = path.join(dir, 'atlanta.json');
+    fs.writeFileSync(file, JSON.stringify(ATLANTA_PACK));
+
+    expect((await loadCorpusPack(file)).entries[0]).toMatchObject({ id: 'atl-housing-code', status: 'current', priorVersions: [] });
+  });
+
+  test('names the file and the problems with an invalid pack', async () => {
+    const file = path.join(dir, 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ ...ATLANTA_PACK, format: 99, entries: [ATLANTA_PACK.entries[0], ATLANTA_PACK.entries[0]] }));
+
+    await expect(loadCorpusPack(file)).rejects.toThrow(/^Invalid legal corpus pack bad\.json: format: Corpus format is newer.*entries\.1\.id: Duplicate entry id atl-housing-code/);
+  });
+});
+
+describe('caseIssueCategories', () => {
+  test('reads intake categories and the older type field, once each', () => {
+    expect(caseIssueCategories({ issues: [{ category: 'mold' }, { type: 'water_leak' }, { category: 'mold' }] })).toEqual(['mold', 'water_leak']);
+  });
+});
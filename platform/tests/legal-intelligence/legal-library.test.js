@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { LegalLibrary } from '../../legal-intelligence/legal-library.js';
+import { FixtureProvider } from '../../llm/index.js';
+
+describe('LegalLibrary on the local store', () => {
+  let storeDir;
+  let log;
+  let stdout;
+
+  beforeEach(() => {
+    storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'legal-library-'));
+    log = jest.fn();
+    stdout = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    stdout.mockRestore();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  });
+
+  const library = (options = { embeddings: 'hashing' }) => new LegalLibrary({
+    llm: new FixtureProvider({ fixturesDir: storeDir, mode: 'replay' }),
+    storeDir,
+    log,
+    ...options,
+  });
+
+  test('reports initializing and indexing through its log', async () => {
+    const indexed = await library().indexCorpus();
+
+    expect(indexed).toBeGreaterThan(0);
+    expect(log.mock.calls).toEqual([
+      ['✅ Legal Library initialized (local store)'],
+      [`✅ Indexed ${indexed} corpus entries`],
+    ]);
+    expect(stdout).not.toHaveBeenCalled();
+  });
+
+  test('skips corpus entries already indexed from the same pack version', async () => {
+    await library().indexCorpus();
+
+    const reopened = library();
+    expect(await reopened.indexCorpus()).toBe(0);
+    expect(await reopened.reindex()).toBe(0);
+    expect(log).toHaveBeenLastCalledWith('✅ Reindexed 0 of 0 records');
+  });
+
+  test('finds indexed statutes by keyword and vector', async () => {
+    const lib = library();
+    await lib.indexCorpus();
+
+    const statutes = await lib.searchStatutes('landlord duty to repair', 'GA', { topK: 5 });
+
+    expect(statutes.length).toBeGreaterThan(0);
+    expect(statutes.every(statute => statute.jurisdiction === 'GA' || statute.jurisdiction === 'US')).toBe(true);
+  });
+
+  test('reports a changed embedding model and missing embeddings through its log', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const indexed = await library().indexCorpus();
+    log.mockClear();
+
+    try {
+      // No replay fixtures: every provider embedding fails
+      const reopened = library({});
+      await reopened.initialize();
+      const statutes = await reopened.searchStatutes('landlord duty to repair', 'GA', { topK: 5 });
+      jest.spyOn(reopened.store, 'saveStatute').mockRejectedValueOnce(new Error('disk full'));
+      await reopened.reindex();
+
+      const messages = log.mock.calls.map(([message]) => message);
+      expect(statutes.length).toBeGreaterThan(0);
+      expect(messages).toContainEqual(expect.stringMatching(/^⚠️ Legal library was embedded with hashing.* dropped \d+ vectors, run reindex\(\)/));
+      expect(messages).toContainEqual(expect.stringMatching(/^⚠️ Embedding generation failed: .* - falling back to keyword search$/));
+      expect(messages).toContainEqual(expect.stringMatching(/^⚠️ Error reindexing .*: disk full$/));
+      expect(messages.filter(message => / without an embedding: /.test(message))).toHaveLength(indexed);
+      expect(warn).not.toHaveBeenCalled();
+      expect(error).not.toHaveBeenCalled();
+    } finally {
+      warn.mockRestore();
+      error.mockRestore();
+    }
+  });
+});
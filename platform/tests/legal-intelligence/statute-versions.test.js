@@ -0,0 +1,142 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import {
+  versionInForce, addStatuteVersion, mergeStatuteVersions, diffStatuteText, caseLegalDates, governingDate,
+} from '../../legal-intelligence/statute-versions.js';
+import { LegalLibrary } from '../../legal-intelligence/legal-library.js';
+import { FixtureProvider } from '../../llm/index.js';
+
+const OLD_TEXT = 'The landlord must keep the premises in repair. The landlord is liable for substantial improvements.';
+const NEW_TEXT = 'The landlord must keep the premises in repair. The landlord must keep the premises fit for human habitation.';
+
+const BASELINE = { effectiveFrom: null, fullText: OLD_TEXT };
+const SAFE_AT_HOME = { effectiveFrom: '2024-07-01', sessionLaw: 'Ga. H.B. 404 (2024)', fullText: NEW_TEXT };
+
+describe('statute version history', () => {
+  test('closes the version an amendment replaces the day before it takes effect', () => {
+    const { versions, result, changes } = addStatuteVersion([BASELINE], SAFE_AT_HOME);
+
+    expect(result).toBe('added');
+    expect(versions.map(v => [v.effectiveFrom, v.effectiveTo])).toEqual([[null, '2024-06-30'], ['2024-07-01', null]]);
+    expect(changes).toEqual({
+      added: ['The landlord must keep the premises fit for human habitation.'],
+      removed: ['The landlord is liable for substantial improvements.'],
+    });
+  });
+
+  test('picks the version in force on a date', () => {
+    const { versions } = addStatuteVersion([BASELINE], SAFE_AT_HOME);
+
+    expect(versionInForce(versions, '2024-03-02').fullText).toBe(OLD_TEXT);
+    expect(versionInForce(versions, '2024-07-01').sessionLaw).toBe('Ga. H.B. 404 (2024)');
+  });
+
+  test('is a no-op for text already held, and corrects a version re-issued with new text', () => {
+    const { versions } = addStatuteVersion([BASELINE], SAFE_AT_HOME);
+
+    expect(addStatuteVersion(versions, { ...SAFE_AT_HOME, fullText: NEW_TEXT.replace(/ /g, '  ') }).result).toBe('unchanged');
+    expect(addStatuteVersion(versions, { ...SAFE_AT_HOME, fullText: `${NEW_TEXT} Waivers are void.` }).result).toBe('corrected');
+  });
+
+  test('slots an older amendment in before the later ones', () => {
+    const { versions } = addStatuteVersion([BASELINE], SAFE_AT_HOME);
+    const { versions: history } = addStatuteVersion(versions, { effectiveFrom: '2020-01-01', fullText: `${OLD_TEXT} Notice must be in writing.` });
+
+    expect(history.map(v => [v.effectiveFrom, v.effectiveTo])).toEqual([
+      [null, '2019-12-31'], ['2020-01-01', '2024-06-30'], ['2024-07-01', null],
+    ]);
+  });
+
+  test('keeps its own text when merging a history with the same effective dates', () => {
+    const { versions } = addStatuteVersion([BASELINE], SAFE_AT_HOME);
+    const merged = mergeStatuteVersions(versions, [{ ...SAFE_AT_HOME, fullText: 'Other text.' }, { effectiveFrom: '2026-07-01', fullText: 'Later text.' }]);
+
+    expect(merged.map(v => v.fullText)).toEqual([OLD_TEXT, NEW_TEXT, 'Later text.']);
+  });
+
+  test('diffs by sentence', () => {
+    expect(diffStatuteText('A. B. C.', 'A. C. D.')).toEqual({ added: ['D.'], removed: ['B.'] });
+  });
+});
+
+describe('governing dates', () => {
+  const dates = caseLegalDates({
+    lease: { moveInDate: '2023-08-01T00:00:00Z' },
+    timeline: { firstIssueDate: '2024-03-01', firstNotificationToLandlord: '2024-03-02' },
+  });
+
+  test('reads the lease signing and the first notice from the case', () => {
+    expect(dates).toEqual({ leaseSigned: '2023-08-01', firstNotice: '2024-03-02' });
+  });
+
+  test('judges lease terms at signing, and anything reaching past them at first notice', () => {
+    expect(governingDate(['security-deposits'], dates)).toEqual({ date: '2023-08-01', basis: 'leaseSigned' });
+    expect(governingDate(['security-deposits', 'habitability'], dates)).toEqual({ date: '2024-03-02', basis: 'firstNotice' });
+    expect(governingDate(['damages'], { leaseSigned: '2023-08-01', firstNotice: null })).toEqual({ date: '2023-08-01', basis: 'leaseSigned' });
+    expect(governingDate(['repairs'], { leaseSigned: null, firstNotice: null })).toBeNull();
+  });
+});
+
+describe('weeklyUpdate statute amendments', () => {
+  let dir;
+  let apiKey;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'statute-versions-'));
+    fs.mkdirSync(path.join(dir, 'amendments'));
+    apiKey = process.env.COURTLISTENER_API_KEY;
+    delete process.env.COURTLISTENER_API_KEY;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    if (apiKey !== undefined) process.env.COURTLISTENER_API_KEY = apiKey;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const library = () => new LegalLibrary({
+    llm: new FixtureProvider({ fixturesDir: dir, mode: 'replay' }),
+    embeddings: 'hashing',
+    storeDir: path.join(dir, 'library'),
+    amendmentsDir: path.join(dir, 'amendments'),
+    log: () => {},
+  });
+
+  const drop = (file, content) => fs.writeFileSync(path.join(dir, 'amendments', file), content);
+
+  test('returns the updater report instead of printing each amendment', async () => {
+    drop('ga-2026.jsonl', [
+      JSON.stringify({ jurisdiction: 'GA', citation: 'O.C.G.A. § 44-7-13', effectiveFrom: '2026-07-01', sessionLaw: 'Ga. H.B. 999 (2026)', fullText: NEW_TEXT }),
+      JSON.stringify({ jurisdiction: 'GA', citation: 'O.C.G.A. § 44-7-13' }),
+    ].join('\n'));
+    drop('broken.json', '{ not json');
+
+    const lib = library();
+    await lib.indexCorpus();
+    const { newCases, citations, amendments } = await lib.weeklyUpdate();
+
+    expect(newCases).toBe(0);
+    expect(citations).toMatchObject({ edges: 0, overruled: 0 });
+    expect(amendments).toMatchObject({ checked: 1, added: 1, created: 0 });
+    expect(amendments.changes).toEqual([expect.objectContaining({
+      citation: 'O.C.G.A. § 44-7-13', result: 'added', sessionLaw: 'Ga. H.B. 999 (2026)', effectiveFrom: '2026-07-01',
+    })]);
+    expect(amendments.errors.map(error => error.source)).toEqual(['broken.json', 'ga-2026.jsonl#1']);
+    expect(console.log.mock.calls.flat().join('\n')).not.toContain('Ga. H.B. 999');
+    expect(console.warn.mock.calls.flat().join('\n')).not.toContain('broken.json');
+  });
+
+  test('creates a statute the library does not hold, and skips it when dropped again', async () => {
+    drop('fl.json', JSON.stringify({
+      jurisdiction: 'FL', citation: 'Fla. Stat. § 83.49', effectiveFrom: '2025-07-01', sessionLaw: 'Fla. SB 100 (2025)', fullText: 'Deposits must be held in a Florida bank.',
+    }));
+
+    const lib = library();
+    expect(await lib.updateStatutes()).toMatchObject({ checked: 1, created: 1 });
+    expect(await lib.updateStatutes()).toMatchObject({ checked: 1, unchanged: 1, changes: [] });
+  });
+});
@@ -0,0 +1,163 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  resolveLLM,
+  createLLMProvider,
+  LLMProvider,
+  OpenAIProvider,
+  LocalModelProvider,
+  FixtureProvider,
+  FixtureMissingError,
+} from '../../llm/index.js';
+
+// Upstream that answers every chat with how many calls it has seen
+class CountingProvider extends LLMProvider {
+  constructor() {
+    super();
+    this.calls = 0;
+  }
+
+  async chat() {
+    this.calls++;
+    return { content: `answer ${this.calls}`, model: 'upstream', usage: null };
+  }
+}
+
+// OpenAI client shape, recording the request it was sent
+function fakeClient(content) {
+  const client = {
+    sent: [],
+    chat: {
+      completions: {
+        create: async (params) => {
+          client.sent.push(params);
+          return { model: params.model, choices: [{ message: { content } }], usage: null };
+        },
+      },
+    },
+  };
+  return client;
+}
+
+const request = (content) => ({ model: 'gpt-4', messages: [{ role: 'user', content }] });
+
+describe('FixtureProvider', () => {
+  let fixturesDir;
+
+  beforeEach(() => {
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('replay throws a non-retryable FixtureMissingError on a miss', async () => {
+    const provider = new FixtureProvider({ fixturesDir, mode: 'replay' });
+
+    const error = await provider.chat(request('hello')).catch(e => e);
+
+    expect(error).toBeInstanceOf(FixtureMissingError);
+    expect(error.retryable).toBe(false);
+    expect(error.key).toMatch(/^[0-9a-f]{24}$/);
+  });
+
+  test('auto records a miss and replay serves it without upstream', async () => {
+    const upstream = new CountingProvider();
+    const recorder = new FixtureProvider({ fixturesDir, mode: 'auto', upstream });
+
+    await recorder.chat(request('hello'));
+    await recorder.chat(request('hello'));
+    expect(upstream.calls).toBe(1);
+
+    const replay = new FixtureProvider({ fixturesDir, mode: 'replay' });
+    expect(await replay.chat(request('hello'))).toEqual({ content: 'answer 1', model: 'upstream', usage: null });
+  });
+
+  test('record overwrites what is on disk', async () => {
+    const upstream = new CountingProvider();
+    const recorder = new FixtureProvider({ fixturesDir, mode: 'record', upstream });
+
+    await recorder.chat(request('hello'));
+    const second = await recorder.chat(request('hello'));
+
+    expect(second.content).toBe('answer 2');
+    expect(fs.readdirSync(fixturesDir)).toHaveLength(1);
+  });
+
+  test('timestamps in prompts do not change the key', async () => {
+    const upstream = new CountingProvider();
+    const provider = new FixtureProvider({ fixturesDir, mode: 'auto', upstream });
+
+    await provider.chat(request('Run at 2024-05-01T10:00:00.000Z'));
+    await provider.chat(request('Run at 2025-01-15T08:30:00Z'));
+
+    expect(upstream.calls).toBe(1);
+  });
+
+  test('record and auto need an upstream', () => {
+    expect(() => new FixtureProvider({ fixturesDir, mode: 'record' })).toThrow(/requires an upstream/);
+    expect(() => new FixtureProvider({ fixturesDir, mode: 'rewind' })).toThrow(/Unknown fixture mode/);
+  });
+});
+
+describe('resolveLLM', () => {
+  test('passes a provider through, or the one in options.llm', () => {
+    const provider = new CountingProvider();
+
+    expect(resolveLLM(provider)).toBe(provider);
+    expect(resolveLLM({ llm: provider })).toBe(provider);
+  });
+
+  test('treats a bare string as an OpenAI API key', () => {
+    const provider = resolveLLM('sk-test');
+
+    expect(provider).toBeInstanceOf(OpenAIProvider);
+    expect(provider.client.apiKey).toBe('sk-test');
+  });
+
+  test('builds the named provider', () => {
+    const provider = resolveLLM({ provider: 'local', model: 'qwen2.5:7b' });
+
+    expect(provider).toBeInstanceOf(LocalModelProvider);
+    expect(provider.resolveModel('gpt-4-turbo-preview')).toBe('qwen2.5:7b');
+  });
+
+  test('rejects an unknown provider', () => {
+    expect(() => createLLMProvider({ provider: 'carrier-pigeon' })).toThrow(/Unknown LLM provider/);
+  });
+});
+
+describe('OpenAI-compatible providers', () => {
+  test('OpenAIProvider maps the request onto chat completions', async () => {
+    const client = fakeClient('{"ok":true}');
+    const provider = new OpenAIProvider({ client });
+
+    const json = await provider.chatJSON({ ...request('hi'), temperature: 0.2, maxTokens: 100 });
+
+    expect(json).toEqual({ ok: true });
+    expect(client.sent[0]).toMatchObject({
+      model: 'gpt-4',
+      temperature: 0.2,
+      max_tokens: 100,
+      response_format: { type: 'json_object' },
+    });
+  });
+
+  test('LocalModelProvider strips code fences from JSON answers', async () => {
+    const provider = new LocalModelProvider({ client: fakeClient('```json\n{"ok":true}\n```') });
+
+    expect(await provider.chatJSON(request('hi'))).toEqual({ ok: true });
+  });
+
+  test('LocalModelProvider asks for JSON in the prompt when the server has no JSON mode', async () => {
+    const client = fakeClient('{"ok":true}');
+    const provider = new LocalModelProvider({ client, supportsJSONMode: false });
+
+    await provider.chatJSON(request('hi'));
+
+    expect(client.sent[0].response_format).toBeUndefined();
+    expect(client.sent[0].messages.at(-1)).toEqual({ role: 'system', content: expect.stringMatching(/JSON/) });
+  });
+});
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  FileCheckpointStore, MemoryCheckpointStore, InvalidCaseIdError, hashInputs, createCaseId, isValidCaseId,
+} from '../../pipeline/checkpoint-store.js';
+
+describe('hashInputs', () => {
+  test('ignores key order and undefined fields', () => {
+    expect(hashInputs({ a: 1, b: { c: [1, 2], d: undefined } })).toBe(hashInputs({ b: { c: [1, 2] }, a: 1 }));
+  });
+
+  test('changes with any value', () => {
+    expect(hashInputs({ a: [1, 2] })).not.toBe(hashInputs({ a: [2, 1] }));
+    expect(hashInputs({ at: new Date('2024-01-01') })).toBe(hashInputs({ at: '2024-01-01T00:00:00.000Z' }));
+  });
+
+  test('accepts case ids that can name a directory', () => {
+    expect(isValidCaseId('smith-2024.v2')).toBe(true);
+    expect(['', '.', '..', '...', 'a..b', '../x', null].map(isValidCaseId)).toEqual(Array(7).fill(false));
+  });
+
+  test('derives a stable case id from the story', () => {
+    expect(createCaseId('My ceiling leaks')).toBe(createCaseId('My ceiling leaks'));
+    expect(createCaseId('My ceiling leaks')).toMatch(/^case-[0-9a-f]{12}$/);
+  });
+});
+
+describe('FileCheckpointStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+    store = new FileCheckpointStore({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips runs and phase checkpoints', async () => {
+    await store.saveRun('smith-2024', { rawStory: 'story', options: { judge: null } });
+    await store.save('smith-2024', 'intake', { inputHash: 'abc', output: { caseData: { x: 1 } } });
+
+    expect(await store.loadRun('smith-2024')).toMatchObject({ caseId: 'smith-2024', rawStory: 'story' });
+    expect(await store.load('smith-2024', 'intake')).toEqual({ phase: 'intake', inputHash: 'abc', output: { caseData: { x: 1 } } });
+    expect(await store.list('smith-2024')).toEqual(['intake']);
+  });
+
+  test('returns null or nothing for a case it has never seen', async () => {
+    expect(await store.load('nobody', 'intake')).toBeNull();
+    expect(await store.loadRun('nobody')).toBeNull();
+    expect(await store.list('nobody')).toEqual([]);
+  });
+
+  test('leaves no temporary files behind', async () => {
+    await store.save('smith-2024', 'legal', { output: {} });
+
+    expect(fs.readdirSync(path.join(dir, 'smith-2024'))).toEqual(['legal.json']);
+  });
+
+  test('keeps case ids inside its directory', async () => {
+    await store.save('smith/2024', 'intake', { output: {} });
+
+    expect(fs.readdirSync(dir)).toEqual(['smith_2024']);
+  });
+
+  test('rejects case ids that would resolve outside its directory', async () => {
+    const sibling = path.join(path.dirname(dir), `${path.basename(dir)}-sibling`);
+    fs.writeFileSync(sibling, 'keep me');
+
+    try {
+      for (const caseId of ['..', '.', '../../etc/passwd']) {
+        await expect(store.saveRun(caseId, { rawStory: 'story' })).rejects.toBeInstanceOf(InvalidCaseIdError);
+        await expect(store.clear(caseId)).rejects.toBeInstanceOf(InvalidCaseIdError);
+      }
+
+      expect(fs.readdirSync(dir)).toEqual([]);
+      expect(fs.readFileSync(sibling, 'utf8')).toBe('keep me');
+    } finally {
+      fs.rmSync(sibling, { force: true });
+    }
+  });
+
+  test('never deletes a path outside its directory', async () => {
+    class MisdirectedStore extends FileCheckpointStore {
+      caseDir() {
+        return path.dirname(this.dir);
+      }
+    }
+
+    await expect(new MisdirectedStore({ dir }).clear('smith-2024')).rejects.toThrow('outside the checkpoint directory');
+    expect(fs.existsSync(dir)).toBe(true);
+  });
+
+  test('clears single phases or the whole case', async () => {
+    await store.save('smith-2024', 'intake', { output: {} });
+    await store.save('smith-2024', 'legal', { output: {} });
+
+    await store.clear('smith-2024', ['legal']);
+    expect(await store.list('smith-2024')).toEqual(['intake']);
+
+    await store.clear('smith-2024');
+    expect(await store.list('smith-2024')).toEqual([]);
+  });
+});
+
+describe('MemoryCheckpointStore', () => {
+  test('hands out copies, never its own objects', async () => {
+    const store = new MemoryCheckpointStore();
+    const output = { caseData: { rent: 1800 } };
+
+    await store.save('smith-2024', 'intake', { output });
+    output.caseData.rent = 0;
+    (await store.load('smith-2024', 'intake')).output.caseData.rent = 5;
+
+    expect((await store.load('smith-2024', 'intake')).output.caseData.rent).toBe(1800);
+  });
+});
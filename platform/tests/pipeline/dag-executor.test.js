@@ -0,0 +1,80 @@
+import DAGExecutor, { PhaseFailedError, PhaseTimeoutError } from '../../pipeline/dag-executor.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const node = (name, dependsOn = [], extra = {}) => ({ name, dependsOn, ...extra });
+
+describe('DAGExecutor', () => {
+  test('starts each node once its dependencies finish, overlapping independent ones', async () => {
+    const log = [];
+    const executor = new DAGExecutor();
+
+    const timing = await executor.run(
+      [node('intake'), node('timeline', ['intake']), node('legal', ['intake']), node('summary', ['timeline', 'legal'])],
+      async ({ name }) => {
+        log.push(`start ${name}`);
+        await delay(name === 'legal' ? 30 : 5);
+        log.push(`end ${name}`);
+      }
+    );
+
+    expect(log.slice(0, 4)).toEqual(['start intake', 'end intake', 'start timeline', 'start legal']);
+    expect(log.at(-1)).toBe('end summary');
+    expect(timing.criticalPath.map(step => step.phase)).toEqual(['intake', 'legal', 'summary']);
+    expect(timing.phases.summary.status).toBe('executed');
+  });
+
+  test('retries a failed attempt, but not an error flagged non-retryable', async () => {
+    const executor = new DAGExecutor({ retries: 2, retryDelayMs: 0 });
+    const retried = [];
+    let calls = 0;
+
+    await executor.run([node('flaky')], async () => {
+      if (++calls < 3) throw new Error('socket hang up');
+      return 'executed';
+    }, { onRetry: (n, attempt) => retried.push(attempt) });
+    expect(retried).toEqual([1, 2]);
+
+    const fatal = Object.assign(new Error('no fixture'), { retryable: false });
+    const error = await executor.run([node('broken')], async () => { throw fatal; }).catch(e => e);
+
+    expect(error).toBeInstanceOf(PhaseFailedError);
+    expect(error).toMatchObject({ phase: 'broken', attempts: 1, cause: fatal });
+  });
+
+  test('aborts a timed-out attempt so its late result can be dropped', async () => {
+    const executor = new DAGExecutor({ timeoutMs: 20, retries: 1, retryDelayMs: 0 });
+    const signals = [];
+    const published = [];
+
+    await executor.run([node('legal')], async (n, { attempt, signal }) => {
+      signals.push(signal);
+      await delay(attempt === 1 ? 60 : 1);
+      if (!signal.aborted) published.push(attempt);
+    });
+    await delay(60);
+
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[0].reason).toBeInstanceOf(PhaseTimeoutError);
+    expect(signals[1].aborted).toBe(false);
+    expect(published).toEqual([2]);
+  });
+
+  test('stops scheduling after a failure', async () => {
+    const executor = new DAGExecutor();
+    const started = [];
+
+    const error = await executor.run([node('intake'), node('legal', ['intake'])], async ({ name }) => {
+      started.push(name);
+      throw new Error('intake failed');
+    }).catch(e => e);
+
+    expect(error.phase).toBe('intake');
+    expect(started).toEqual(['intake']);
+  });
+
+  test('rejects a dependency on an unknown node', async () => {
+    await expect(new DAGExecutor().run([node('legal', ['intake'])], async () => {}))
+      .rejects.toThrow('Phase "legal" depends on unknown phase "intake"');
+  });
+});
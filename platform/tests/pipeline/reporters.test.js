@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { ConsoleReporter, JSONLinesReporter } from '../../pipeline/reporters.js';
+import { PIPELINE_EVENTS } from '../../pipeline/events.js';
+
+function collectingStream() {
+  const lines = [];
+  return { lines, write: (chunk) => lines.push(...chunk.trim().split('\n').map(line => JSON.parse(line))) };
+}
+
+describe('JSONLinesReporter', () => {
+  test('writes one object per event, with outputs reduced to their keys', () => {
+    const emitter = new EventEmitter();
+    const stream = collectingStream();
+    new JSONLinesReporter({ stream }).attach(emitter);
+
+    emitter.emit('event', { type: PIPELINE_EVENTS.PROGRESS, phase: 'legal', message: 'Searching case law' });
+    emitter.emit('event', { type: PIPELINE_EVENTS.PARTIAL_RESULT, phase: 'legal', output: { legalAnalysis: { tenant: 'x' } } });
+
+    expect(stream.lines).toEqual([
+      { type: 'progress', phase: 'legal', message: 'Searching case law' },
+      { type: 'partial-result', phase: 'legal', outputKeys: ['legalAnalysis'] },
+    ]);
+  });
+
+  test('includes outputs when asked', () => {
+    const stream = collectingStream();
+    const reporter = new JSONLinesReporter({ stream, includeResults: true });
+
+    reporter.handle({ type: PIPELINE_EVENTS.PARTIAL_RESULT, phase: 'legal', output: { legalAnalysis: { score: 7 } } });
+
+    expect(stream.lines[0].output).toEqual({ legalAnalysis: { score: 7 } });
+  });
+
+  test('stops writing once detached', () => {
+    const emitter = new EventEmitter();
+    const stream = collectingStream();
+    const reporter = new JSONLinesReporter({ stream }).attach(emitter);
+
+    reporter.detach(emitter);
+    emitter.emit('event', { type: PIPELINE_EVENTS.WARNING, message: 'late' });
+
+    expect(stream.lines).toEqual([]);
+  });
+});
+
+describe('ConsoleReporter', () => {
+  let log;
+
+  beforeEach(() => {
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+  });
+
+  const printed = () => log.mock.calls.map(args => args.join(' '));
+
+  test('prints progress lines with their phase', () => {
+    const reporter = new ConsoleReporter();
+
+    reporter.handle({ type: PIPELINE_EVENTS.PROGRESS, phase: 'legal', message: 'Searching case law' });
+    reporter.handle({ type: PIPELINE_EVENTS.PROGRESS, phase: null, message: 'Loading library' });
+
+    expect(printed()).toEqual(['  [legal] Searching case law', '  Loading library']);
+  });
+
+  test('leaves progress out when not verbose', () => {
+    new ConsoleReporter({ verbose: false }).handle({ type: PIPELINE_EVENTS.PROGRESS, phase: 'legal', message: 'x' });
+
+    expect(log).not.toHaveBeenCalled();
+  });
+
+  test('holds a phase warning until the phase block prints', () => {
+    const reporter = new ConsoleReporter();
+
+    reporter.handle({ type: PIPELINE_EVENTS.WARNING, phase: 'damages', message: 'No rent amount' });
+    expect(log).not.toHaveBeenCalled();
+
+    reporter.handle({
+      type: PIPELINE_EVENTS.PHASE_COMPLETE, phase: 'damages', title: 'Damages', status: 'executed', highlights: ['Total $5,000'],
+    });
+
+    expect(printed()).toEqual(expect.arrayContaining(['  ✓ Total $5,000', '  ⚠️  No rent amount']));
+  });
+});